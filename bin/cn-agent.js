@@ -18,6 +18,7 @@ var verror = require('verror');
 
 var AgentHttpServer = require('../lib/server');
 var App = require('../lib/app');
+var Authenticator = require('../lib/auth');
 var dispatch = require('../lib/task_agent/dispatch');
 
 var createHttpTaskDispatchFn = dispatch.createHttpTaskDispatchFn;
@@ -25,6 +26,9 @@ var createTaskDispatchFn = dispatch.createTaskDispatchFn;
 
 var BACKEND_DIR = '../lib/backends';
 var LOGNAME = 'cn-agent';
+// SMF gives us 90 seconds to stop, so leave time to kill stragglers (which
+// TaskRunner gives 30 seconds to exit before it sends SIGKILL).
+var SIGTERM_DRAIN_SECONDS = 50;
 
 
 main();
@@ -140,19 +144,41 @@ function main() {
     }, function onPipelineComplete(err) {
         var agentServer;
         var app;
+        var auth;
         var options;
 
         if (err) {
             throw err;
         }
 
+        if (agentConfig.auth_mode) {
+            auth = new Authenticator({
+                config: agentConfig,
+                log: log
+            });
+        }
+
         agentServer = new AgentHttpServer({
+            auth: auth,
             bindip: adminIp,
             log: log,
             uuid: sysinfo.UUID
         });
         agentServer.start();
 
+        // Rather than orphaning any running task workers, stop accepting new
+        // tasks and give the running ones a chance to finish before exiting.
+        process.once('SIGTERM', function onSigterm() {
+            log.info('Received SIGTERM');
+
+            agentServer.shutdown({
+                timeoutSeconds: SIGTERM_DRAIN_SECONDS
+            }, function onShutdown() {
+                log.info('Exiting');
+                process.exit(0);
+            });
+        });
+
         options = {
             agentserver: agentServer,
             backend: backend,
@@ -13,35 +13,52 @@ var exec = require('child_process').exec;
 var fs = require('fs');
 var os = require('os');
 var path = require('path');
+var urlModule = require('url');
 
 var assert = require('assert-plus');
 var async = require('async');
-var backo2 = require('backo2');
+var cueball = require('cueball');
 var jsprim = require('jsprim');
 var restify = require('restify');
 var vasync = require('vasync');
 var verror = require('verror');
 
+var CnapiOutbox = require('./cnapi_outbox');
+var Intervals = require('./intervals');
+var StatusDeltas = require('./status_delta').StatusDeltas;
 var StatusReporter = require('./heartbeater');
 
 var createHttpTaskDispatchFn
     = require('./task_agent/dispatch').createHttpTaskDispatchFn;
 var TaskAgent = require('./task_agent/task_agent');
 
+// How we find and keep track of the CNAPI instances (see
+// createCnapiConnection). A CNAPI instance that fails its ping, or that we
+// can't connect to, is not used again until it recovers.
+var CNAPI_MAX_CONNECTIONS = 4;
+var CNAPI_PING_INTERVAL = 30 * 1000;
+var CNAPI_RECOVERY = {
+    default: {
+        delay: 250,
+        maxDelay: 2000,
+        retries: 2,
+        timeout: 2000
+    }
+};
+var CNAPI_SPARE_CONNECTIONS = 2;
 var DEFAULT_TASK_TIMEOUT_SECONDS = 60 * 60;
-var HEARTBEAT_INTERVAL = 5000; // (milliseconds) interval on which to send msgs
-
-//
-// 1.6 chosen here mostly randomly, just so we try a bit more often initially
-// than with the default value of 2. If a more scientific value is arrived at,
-// feel free to change. Same goes for the other values here. These seemed like
-// reasonable places to start, but production experience will likely lead to
-// improvement opportunities. Nothing is magical about these values.
-//
-var REGISTER_RETRY_FACTOR = 1.6;
-var REGISTER_RETRY_JITTER = 0.2;
-var REGISTER_RETRY_MAX_DELAY_MS = 120 * 1000;
-var REGISTER_RETRY_MIN_DELAY_MS = 500;
+// With status_delta, how often we send a full status rather than a delta.
+var STATUS_FULL_INTERVAL = 10 * 60 * 1000;
+
+// Thresholds (in milliseconds) for the health checks in getHealth(). Before
+// HEALTH_STARTUP_GRACE has passed, not yet having registered or heartbeated is
+// only a warning. The heartbeat check warns after HEALTH_HEARTBEAT_WARN_COUNT
+// heartbeat intervals, and fails after twice that or HEALTH_HEARTBEAT_FAIL_AGE,
+// whichever is longer.
+var HEALTH_HEARTBEAT_FAIL_AGE = 60 * 1000;
+var HEALTH_HEARTBEAT_WARN_COUNT = 3;
+var HEALTH_STARTUP_GRACE = 60 * 1000;
+var HEALTH_STATUS_WARN_AGE = 5 * 60 * 1000;
 
 function App(options) {
     assert.object(options, 'options');
@@ -66,25 +83,33 @@ function App(options) {
 
     this.agentserver = options.agentserver;
     this.backend = options.backend;
-    this.cnapiQueue = vasync.queue(sendToCnapi.bind(this), 1);
     this.config = options.config;
+    // When we last succeeded at each of the things that getHealth() checks.
+    this.health = {
+        lastHeartbeatAt: undefined,
+        lastStatusAt: undefined,
+        registeredAt: undefined
+    };
     this.log = options.log.child();
-    this.registerBackoff = new backo2({
-        factor: REGISTER_RETRY_FACTOR,
-        jitter: REGISTER_RETRY_JITTER,
-        max: REGISTER_RETRY_MAX_DELAY_MS,
-        min: REGISTER_RETRY_MIN_DELAY_MS
+    // The heartbeat and status intervals, which can be changed at runtime.
+    this.intervals = new Intervals({ config: options.config, log: this.log });
+    this.cnapiOutbox = new CnapiOutbox({
+        dir: path.join(options.tasklogdir, 'outbox'),
+        log: this.log,
+        metrics: this.agentserver.metrics
     });
     this.sdc_config = options.sdc_config;
-    this.statusQueued = false;
+    this.statusDeltas = (options.config.status_delta ?
+        new StatusDeltas({ fullInterval: STATUS_FULL_INTERVAL }) : null);
     this.sysinfo = options.sysinfo;
     this.sysinfoCount = 0;
-    this.sysinfoQueued = false;
     // use the same user-agent format as vm-agent
     this.userAgent = 'cn-agent/' + packageJson.version +
         ' (node/' + process.versions.node + ')' +
         ' server/' + options.uuid;
     this.uuid = options.uuid;
+    this.version = packageJson.version;
+    this.warnedNoTaskEvents = false;
 
     this.isUpdateHelper = false;
     if (process.env.SMF_FMRI === 'svc:/smartdc/agent/cn-agent-update:default') {
@@ -102,6 +127,8 @@ function App(options) {
         'this.sdc_config.datacenter_name');
     assert.object(this.sysinfo, 'this.sysinfo');
 
+    this.registerCnapiMessages();
+
     this.log.info('Started cn-agent for %s', this.uuid);
 }
 
@@ -117,82 +144,214 @@ function shuffleArray(array) {
 }
 
 
+/*
+ * Our connection to CNAPI is through a cueball agent, which resolves the CNAPI
+ * hostname (re-resolving it as DNS changes) and spreads requests over all of
+ * the CNAPI instances it finds. Instances that we can't connect to or that
+ * fail their ping are marked dead until they recover, so requests go to the
+ * others in the meantime. A failed request is retried by the outbox, by which
+ * time it will go to one of the healthy instances.
+ *
+ * DNS lookups go to config.cnapi.resolvers if set, otherwise the binder
+ * instances from sdc_config, falling back to the system resolvers.
+ */
 App.prototype.createCnapiConnection = function createCnapiConnection(callback) {
     var self = this;
 
     var cnapiAddr = 'cnapi.' + self.sdc_config.datacenter_name + '.' +
         self.sdc_config.dns_domain;
+    var parsedUrl;
+    var resolvers;
     var url = (self.config.cnapi && self.config.cnapi.url) ||
         'http://' + cnapiAddr;
 
+    parsedUrl = urlModule.parse(url);
+
+    if (self.config.cnapi && self.config.cnapi.resolvers) {
+        assert.arrayOfString(self.config.cnapi.resolvers,
+            'config.cnapi.resolvers');
+        resolvers = self.config.cnapi.resolvers;
+    } else if (self.sdc_config.binder_admin_ips) {
+        resolvers = self.sdc_config.binder_admin_ips.split(',');
+    }
+
+    self.cnapiHost = parsedUrl.hostname;
+    self.cnapiAgent = new cueball.HttpAgent({
+        errorOnEmpty: true,
+        log: self.log.child({ component: 'cnapi-agent' }),
+        maximum: CNAPI_MAX_CONNECTIONS,
+        ping: '/ping',
+        pingInterval: CNAPI_PING_INTERVAL,
+        recovery: CNAPI_RECOVERY,
+        resolvers: resolvers,
+        spares: CNAPI_SPARE_CONNECTIONS
+    });
+    // Start resolving now rather than on the first request.
+    self.cnapiAgent.createPool(self.cnapiHost, {
+        port: (parsedUrl.port ? Number(parsedUrl.port) : undefined)
+    });
+
     var restifyOptions = {
-        agent: false,
+        agent: self.cnapiAgent,
         connectTimeout: 5000,
         requestTimeout: 5000,
         userAgent: self.userAgent,
         url: url
     };
 
-    self.log.info('Creating CNAPI connection to %s', url);
+    self.log.info({ resolvers: resolvers },
+        'Creating CNAPI connection to %s', url);
     self.cnapiClient = restify.createJsonClient(restifyOptions);
 
     callback();
 };
 
 
-App.prototype.updateAgents = function (callback) {
+/*
+ * Returns the state of our pool of CNAPI connections, as used by getHealth().
+ */
+App.prototype.getCnapiPoolStatus = function getCnapiPoolStatus() {
     var self = this;
+    var pool;
+    var stats;
 
-    assert.object(self.cnapiClient, 'self.cnapiClient');
+    pool = (self.cnapiAgent ? self.cnapiAgent.getPool(self.cnapiHost) :
+        undefined);
+    if (!pool) {
+        return { status: 'warn' };
+    }
+
+    stats = pool.getStats();
+
+    // The pool is "failed" when every CNAPI instance we know of is dead.
+    return {
+        connections: stats.totalConnections,
+        idle_connections: stats.idleConnections,
+        last_error: (pool.isInState('failed') && pool.getLastError() ?
+            pool.getLastError().message : undefined),
+        status: (pool.isInState('failed') ? 'fail' :
+            (pool.isInState('running') ? 'ok' : 'warn'))
+    };
+};
+
+
+/*
+ * Registers the kinds of messages we send to CNAPI with the outbox (see
+ * cnapi_outbox.js for what the options mean). New kinds of message can be
+ * added here and then sent with self.cnapiOutbox.push().
+ */
+App.prototype.registerCnapiMessages = function registerCnapiMessages() {
+    var self = this;
+    var outbox = self.cnapiOutbox;
+
+    // The agents we have installed only change when agents are (un)installed,
+    // so we keep this until CNAPI has it.
+    outbox.register('agents', {
+        coalesce: true,
+        persist: true,
+        retry: true,
+        send: self.postAgents.bind(self)
+    });
+
+    // Heartbeats aren't retried since there'll be another one along shortly.
+    outbox.register('heartbeat', {
+        coalesce: true,
+        send: self.postHeartbeat.bind(self)
+    });
+
+    outbox.register('status', {
+        coalesce: true,
+        retry: true,
+        send: self.postStatus.bind(self)
+    });
+
+    outbox.register('sysinfo', {
+        coalesce: true,
+        retry: true,
+        send: self.registerServer.bind(self)
+    });
+
+    // Each of these is needed by CNAPI (a task's result may not otherwise get
+    // to it), so they're kept until CNAPI acknowledges them, in order.
+    // Tasks may report progress often, and only the latest progress of a
+    // task matters, so that's coalesced per task. Other task events aren't.
+    outbox.register('task_event', {
+        coalesceKey: function _progressKey(event) {
+            return (event.event === 'progress' ? event.id : undefined);
+        },
+        persist: true,
+        retry: true,
+        send: self.postTaskEvent.bind(self)
+    });
+};
+
+
+App.prototype.updateAgents = function (callback) {
+    var self = this;
 
     self.backend.getAgents({
         serverUuid: self.uuid,
         sysinfo: self.sysinfo
     }, function gotAgents(err, agents) {
         if (err) {
-            callback(new verror.VError('Cannot get agents image versions'));
+            self.log.error({
+                err: err
+            }, 'Cannot get agents image versions, not updating CNAPI');
+            callback(new verror.VError(err,
+                'Cannot get agents image versions'));
             return;
         }
 
-        self.log.info({ agents: agents }, 'Posting agents');
-        self.cnapiClient.post('/servers/' + self.uuid, {
-            agents: agents
-        }, function (postErr) {
-            if (postErr) {
-                self.log.warn({ error: postErr },
-                    'Error posting agents to cnapi');
-            } else {
-                self.log.info('Posted agents info to cnapi');
-            }
+        // This is sent ahead of anything pushed after it, but we don't wait
+        // for it to have been sent: the outbox keeps retrying it if CNAPI
+        // can't take it, without holding up the other messages.
+        self.cnapiOutbox.push('agents', agents);
+        callback();
+    });
+};
 
-            callback();
-        });
+App.prototype.postAgents = function postAgents(agents, callback) {
+    var self = this;
+
+    assert.object(self.cnapiClient, 'self.cnapiClient');
+
+    self.log.info({ agents: agents }, 'Posting agents');
+    self.cnapiClient.post('/servers/' + self.uuid, {
+        agents: agents
+    }, function (postErr) {
+        if (postErr) {
+            callback(new verror.VError(postErr,
+                'Error posting agents to CNAPI'));
+            return;
+        }
+
+        self.log.info('Posted agents info to cnapi');
+        callback();
     });
 };
 
 App.prototype.queueHeartbeat = function queueHeartbeat() {
     var self = this;
 
-    self.cnapiQueue.push('heartbeat', function _onHeartbeated() {
-        // Queue the next one 5s after this one completes.
-        setTimeout(self.queueHeartbeat.bind(self), HEARTBEAT_INTERVAL);
+    self.cnapiOutbox.push('heartbeat', {}, function _onHeartbeated() {
+        // Queue the next one heartbeat_interval_ms after this one completes
+        // (or fails).
+        setTimeout(self.queueHeartbeat.bind(self),
+            self.intervals.get('heartbeat_interval_ms'));
     });
 };
 
+/*
+ * If a status update is already waiting to be sent, it is replaced by this
+ * one, so CNAPI is always sent the latest status we have.
+ */
 App.prototype.queueStatusUpdateIfNotAlreadyQueued =
 function queueStatusUpdateIfNotAlreadyQueued() {
     var self = this;
 
-    if (self.statusQueued === true) {
-        self.log.debug('Already have a status update pending');
-        return;
-    }
+    assert.object(self.latestStatus, 'self.latestStatus');
 
-    // Queue a status update
-    self.statusQueued = true;
-    self.cnapiQueue.push('status', function _onStatusUpdated() {
-        self.statusQueued = false;
-    });
+    self.cnapiOutbox.push('status', self.latestStatus);
 };
 
 App.prototype.queueSysinfoUpdateIfNotAlreadyQueued =
@@ -201,93 +360,151 @@ function queueSysinfoUpdateIfNotAlreadyQueued(callback) {
 
     var self = this;
 
-    if (self.sysinfoQueued === true) {
-        self.log.debug('Already have a sysinfo update pending');
+    // registerServer gathers the sysinfo when it's sent, so there's nothing
+    // in the message itself.
+    self.cnapiOutbox.push('sysinfo', {}, callback);
+};
+
+/*
+ * A backend may hold up or skip heartbeats by providing
+ * beforeHeartbeat(opts, callback), which calls callback(send) once the
+ * heartbeat may be posted, or with send false to skip it. A skipped heartbeat
+ * looks to CNAPI as if it was lost, but doesn't make the outbox back off.
+ */
+App.prototype.postHeartbeat = function postHeartbeat(_, callback) {
+    var self = this;
+
+    var hburlpath = '/servers/' + self.uuid + '/events/heartbeat';
+
+    function post() {
+        self.cnapiClient.post({ path: hburlpath }, {},
+            function _onHeartbeatPosted(err) {
+
+            if (err) {
+                callback(new verror.VError(err,
+                    'Failed to post heartbeat to CNAPI'));
+                return;
+            }
+
+            self.health.lastHeartbeatAt = Date.now();
+            self.log.debug('Posted heartbeat to CNAPI');
+            callback();
+        });
+    }
+
+    if (!self.backend.beforeHeartbeat) {
+        post();
         return;
     }
 
-    // Queue a sysinfo update
-    self.sysinfoQueued = true;
-    self.cnapiQueue.push('sysinfo', function _onSysinfoUpdated() {
-        self.sysinfoQueued = false;
-        self.sysinfoCount++;
-        if (callback !== undefined) {
+    self.backend.beforeHeartbeat({
+        serverUuid: self.uuid
+    }, function _onBeforeHeartbeat(send) {
+        if (!send) {
+            self.log.debug('Backend skipped heartbeat');
             callback();
+            return;
         }
+
+        post();
     });
 };
 
 /*
- * This is used to serialize updates to CNAPI to ensure that we don't overload a
- * busy CNAPI by sending more than 1 request at a time. This is handled via a
- * vasync queue which calls this function to dispatch updates we need to make to
- * CNAPI. As cn-agent decides it needs to make updates, it pushes to the queue
- * to be executed asap, but not before other outstanding updates are completed.
+ * With status_delta set in the config, this posts only what has changed since
+ * the last status CNAPI accepted (see status_delta.js), otherwise the whole
+ * status. CNAPI responds to a delta it can't apply with a 409 ResyncRequired
+ * error, in which case we send it the full status straight away.
  */
-function sendToCnapi(msgType, callback) {
-    var self = this; // we .bind() this to the App
-
-    switch (msgType) {
-        case 'agents':
-            self.updateAgents(function _onAgentUpdate(err) {
-                if (err) {
-                    self.log.error({
-                        err: err
-                    }, 'Error updating agents info into CNAPI');
-                }
-                callback();
-            });
-            break;
-        case 'heartbeat':
-            self.postHeartbeat(callback);
-            break;
-        case 'status':
-            self.postStatus(callback);
-            break;
-        case 'sysinfo':
-            self.registerServer(callback);
-            break;
-        default:
-            assert.fail('', '',
-                'Malfunction: unknown cnapi message type: "%s"', msgType);
-            break;
+App.prototype.postStatus = function postStatus(status, callback) {
+    var self = this;
+
+    var statusurlpath = '/servers/' + self.uuid + '/events/status';
+    var update = status;
+
+    if (self.statusDeltas) {
+        update = self.statusDeltas.build(status);
     }
-}
 
-App.prototype.postHeartbeat = function postHeartbeat(callback) {
-    var self = this;
+    self.cnapiClient.post({ path: statusurlpath }, update,
+        function _onStatusPosted(err) {
 
-    var hburlpath = '/servers/' + self.uuid + '/events/heartbeat';
+        if (err && self.statusDeltas && !update.full &&
+            err.statusCode === 409 && err.restCode === 'ResyncRequired') {
 
-    self.cnapiClient.post({ path: hburlpath }, {},
-        function _onHeartbeatPosted(err) {
+            self.log.info({
+                base_seq: update.base_seq,
+                seq: update.seq
+            }, 'CNAPI asked for a status resync, sending full status');
+            self.statusDeltas.resync();
+            self.postStatus(status, callback);
+            return;
+        }
 
         if (err) {
-            self.log.warn({ error: err }, 'Failed to post heartbeat to CNAPI');
-        } else {
-            self.log.debug('Posted heartbeat to CNAPI');
+            callback(new verror.VError(err,
+                'Failed to post status to CNAPI'));
+            return;
+        }
+
+        if (self.statusDeltas) {
+            self.statusDeltas.acknowledge(status, update);
         }
 
+        self.health.lastStatusAt = Date.now();
+        self.log.debug({
+            full: update.full,
+            seq: update.seq
+        }, 'Posted status to CNAPI');
         callback();
     });
 };
 
-App.prototype.postStatus = function postStatus(callback) {
+/*
+ * Posts a task lifecycle event (see TaskRunner) to CNAPI, which can use its
+ * req_id to match it up with the request that started the task. This is
+ * config.cnapi.task_events_path if set, otherwise
+ * /servers/<uuid>/events/task.
+ */
+App.prototype.postTaskEvent = function postTaskEvent(event, callback) {
     var self = this;
 
-    assert.object(self.latestStatus, 'self.latestStatus');
+    var urlPath = (self.config.cnapi && self.config.cnapi.task_events_path) ||
+        '/servers/' + self.uuid + '/events/task';
 
-    var statusurlpath = '/servers/' + self.uuid + '/events/status';
+    self.cnapiClient.post({ path: urlPath }, event,
+        function _onTaskEventPosted(err) {
 
-    self.cnapiClient.post({ path: statusurlpath }, self.latestStatus,
-        function _onStatusPosted(err) {
+        if (err && err.statusCode >= 400 && err.statusCode < 500 &&
+            err.statusCode !== 408 && err.statusCode !== 429) {
 
-        if (err) {
-            self.log.warn({ error: err }, 'Failed to post status to CNAPI');
-        } else {
-            self.log.debug('Posted status to CNAPI');
+            // Retrying won't help, so we drop the event rather than hold up
+            // everything behind it. A 404 means CNAPI doesn't support task
+            // events, which we only warn about once.
+            if (err.statusCode !== 404 || !self.warnedNoTaskEvents) {
+                self.log.warn({
+                    err: err,
+                    event: event.event,
+                    id: event.id,
+                    req_id: event.req_id
+                }, 'CNAPI rejected task event, not retrying');
+            }
+            if (err.statusCode === 404) {
+                self.warnedNoTaskEvents = true;
+            }
+            callback();
+            return;
+        } else if (err) {
+            callback(new verror.VError(err,
+                'Failed to post task event to CNAPI'));
+            return;
         }
 
+        self.log.debug({
+            event: event.event,
+            id: event.id,
+            req_id: event.req_id
+        }, 'Posted task event to CNAPI');
         callback();
     });
 };
@@ -298,15 +515,29 @@ App.prototype.startHeartbeater = function () {
 
     assert.object(self.cnapiClient, 'self.cnapiClient');
 
-    statusReporter = new StatusReporter({
-        backend: self.backend,
-        log: self.log,
-        serverUuid: self.uuid
+    function statusIntervals() {
+        return {
+            maxInterval: self.intervals.get('status_max_interval_ms'),
+            statusInterval: self.intervals.get('status_check_interval_ms'),
+            throttleInterval: self.intervals.get('status_throttle_ms')
+        };
+    }
+
+    statusReporter = self.statusReporter = new StatusReporter(
+        jsprim.mergeObjects(statusIntervals(), {
+            backend: self.backend,
+            log: self.log,
+            metrics: self.agentserver.metrics,
+            serverUuid: self.uuid
+        }));
+
+    self.intervals.on('change', function _onIntervalsChange() {
+        statusReporter.setIntervals(statusIntervals());
     });
 
     // When the statusReporter tells us we need to update the status, we record
     // the latest status and queue an update. If a newer status comes in in the
-    // meantime, we'll update self.latestStatus, so when we finally run the
+    // meantime, the outbox replaces the queued one, so when we finally run the
     // status update, it will always post the latest one we have at that time.
     statusReporter.on('status', function _queueStatusUpdate(_status) {
         self.log.trace({ status: _status }, 'Status report');
@@ -316,10 +547,10 @@ App.prototype.startHeartbeater = function () {
 
     // Before we actually start the statusReporter, we want to make sure CNAPI
     // has the latest agents. So queue an agent update first and only start()
-    // the reporter when the agents update has completed.
-    self.cnapiQueue.push('agents', function _agentUpdateComplete() {
+    // the reporter once it's queued (whether or not it can be sent).
+    self.updateAgents(function _agentUpdateQueued() {
         // Queue first heartbeat. After this, heartbeats will requeue
-        // HEARTBEAT_INTERVAL after each heartbeat is posted.
+        // heartbeat_interval_ms after each heartbeat is posted.
         self.queueHeartbeat();
 
         statusReporter.start();
@@ -333,7 +564,7 @@ App.prototype.startHeartbeater = function () {
 //
 // We also pass the cnAgentPort which CNAPI can use to communicate with this
 // cn-agent instance.
-App.prototype.registerServer = function registerServer(callback) {
+App.prototype.registerServer = function registerServer(_, callback) {
     var self = this;
 
     assert.object(self.cnapiClient, 'self.cnapiClient');
@@ -342,9 +573,9 @@ App.prototype.registerServer = function registerServer(callback) {
 
     // We always grab the sysinfo here so that we're only ever trying to POST
     // the most recent state. If the POST fails (e.g. with an ETag error) the
-    // whole registerServer will be retried, so we'll re-gather the sysinfo
-    // which should ensure we're never overwriting newer sysinfo with older
-    // sysinfo.
+    // outbox will retry the whole registerServer, so we'll re-gather the
+    // sysinfo which should ensure we're never overwriting newer sysinfo with
+    // older sysinfo.
     self.backend.getSysinfo({
         serverAddress: serverAddress,
         serverUuid: self.uuid
@@ -361,14 +592,11 @@ App.prototype.registerServer = function registerServer(callback) {
         // IP can be found from sysinfo['Admin IP'].
         self.sysinfo['CN Agent Port'] = serverAddress.port;
 
-        // Make an attempt, if that fails, schedule a new attempt with a delay.
         self.cnapiClient.post({
             path: urlPath
         }, {
             sysinfo: self.sysinfo
         }, function _afterPost(err, req, res, obj) {
-            var delay;
-
             if (err) {
                 if (err.statusCode === 404 &&
                     err.restCode === 'ResourceNotFound') {
@@ -381,43 +609,99 @@ App.prototype.registerServer = function registerServer(callback) {
                     }, 'CNAPI does not seem to support sysinfo ' +
                         'registration. Skipping.');
 
+                    self.health.registeredAt = Date.now();
+                    self.sysinfoCount++;
                     callback();
                     return;
                 }
 
-                delay = self.registerBackoff.duration();
-
-                self.log.warn({
-                    err: err,
-                    retryInMs: delay
-                }, 'Error posting sysinfo to CNAPI, will retry.');
-
-                setTimeout(function _registerAgain() {
-                    // The .call() is necessary here because we want the
-                    // registerServer function to have the correct `self`, so
-                    // that it has self.log, and the same self.registerBackoff
-                    // that we do.
-                    registerServer.call(self, callback);
-                }, delay);
-
-                // Note: we don't call callback() because we wait until we're
-                // successful.
-
+                callback(new verror.VError(err,
+                    'Error posting sysinfo to CNAPI'));
                 return;
             }
 
-            callback();
+            self.health.registeredAt = Date.now();
+            self.sysinfoCount++;
 
             self.log.info({
                 headers: res.headers,
                 statusCode: res.statusCode,
                 sysinfoCount: self.sysinfoCount
             }, 'Posted sysinfo to CNAPI');
+
+            callback();
         });
     });
 };
 
 
+/*
+ * Returns the backend name, our version and the health checks for things the
+ * App is responsible for. Each check has a `status` of "ok", "warn" or "fail"
+ * (see AgentHttpServer.getHealth, which combines these into a verdict).
+ */
+App.prototype.getHealth = function getHealth() {
+    var self = this;
+    var checks = {};
+    var now = Date.now();
+    var heartbeatWarnAge = HEALTH_HEARTBEAT_WARN_COUNT *
+        self.intervals.get('heartbeat_interval_ms');
+    var starting = (now - self.startedAt < HEALTH_STARTUP_GRACE);
+    var watchers;
+
+    function ageCheck(lastAt, warnAge, failAge) {
+        var age;
+
+        if (lastAt === undefined) {
+            return {
+                status: (starting || failAge === undefined ? 'warn' : 'fail')
+            };
+        }
+
+        age = now - lastAt;
+        return {
+            age_seconds: age / 1000,
+            last_success_at: new Date(lastAt).toISOString(),
+            status: (age > failAge ? 'fail' : (age > warnAge ? 'warn' : 'ok'))
+        };
+    }
+
+    // The cn-agent-update service doesn't talk to CNAPI or watch anything.
+    if (!self.isUpdateHelper) {
+        checks.cnapi_registration = {
+            registered_at: (self.health.registeredAt === undefined ?
+                undefined : new Date(self.health.registeredAt).toISOString()),
+            status: (self.health.registeredAt !== undefined ? 'ok' :
+                (starting ? 'warn' : 'fail'))
+        };
+        checks.cnapi_connection = self.getCnapiPoolStatus();
+        checks.heartbeat = ageCheck(self.health.lastHeartbeatAt,
+            heartbeatWarnAge,
+            Math.max(2 * heartbeatWarnAge, HEALTH_HEARTBEAT_FAIL_AGE));
+        checks.status_report = ageCheck(self.health.lastStatusAt,
+            HEALTH_STATUS_WARN_AGE);
+
+        watchers = (self.statusReporter ?
+            self.statusReporter.getWatcherStatus() : {});
+        if (self.sysinfoWatcher) {
+            watchers.sysinfo = self.sysinfoWatcher.isWatching();
+        }
+        checks.watchers = {
+            running: watchers,
+            status: (Object.keys(watchers).every(function (name) {
+                return watchers[name];
+            }) ? 'ok' : 'warn')
+        };
+    }
+
+    return {
+        backend: self.backend.name,
+        checks: checks,
+        version: self.version
+    };
+};
+
+
 App.prototype.start = function () {
     var self = this;
 
@@ -429,6 +713,12 @@ App.prototype.start = function () {
     var queueDefns;
     var uuid = self.uuid;
 
+    self.startedAt = Date.now();
+    agentserver.setHealthCheck(self.getHealth.bind(self));
+    if (!self.isUpdateHelper) {
+        agentserver.setIntervals(self.intervals);
+    }
+
     queueDefns = jsprim.deepCopy(self.backend.queueDefns);
     assert.object(queueDefns, 'queueDefns');
 
@@ -436,6 +726,12 @@ App.prototype.start = function () {
         agentserver: agentserver,
         backend: self.backend,
         env: self.options.env,
+        // The cn-agent-update service runs alongside cn-agent, so it needs its
+        // own journal or it would mark cn-agent's running tasks interrupted.
+        journalDir: path.join(tasklogdir,
+            self.isUpdateHelper ? 'journal-update' : 'journal'),
+        journalMaxAgeDays: self.config.task_journal_max_age_days,
+        journalMaxEntries: self.config.task_journal_max_entries,
         log: self.log,
         logname: logname,
         tasklogdir: tasklogdir,
@@ -445,8 +741,16 @@ App.prototype.start = function () {
         uuid: uuid
     });
 
+    // The cn-agent-update service doesn't talk to CNAPI.
+    if (!self.isUpdateHelper) {
+        agent.on('taskEvent', function _onTaskEvent(event) {
+            self.cnapiOutbox.push('task_event', event);
+        });
+    }
+
     for (var i = 0; i < queueDefns.length; i++) {
-        queueDefns[i].onhttpmsg = createHttpTaskDispatchFn(agent, taskspath);
+        queueDefns[i].onhttpmsg =
+            createHttpTaskDispatchFn(agent, queueDefns[i].name);
     }
 
     function completeStartup() {
@@ -467,8 +771,15 @@ App.prototype.start = function () {
         funcs: [
             function _createCnapiConnection(_, cb) {
                 self.createCnapiConnection(cb);
+            }, function _openCnapiOutbox(_, cb) {
+                // Sends anything left over from before we restarted.
+                self.cnapiOutbox.open();
+                cb();
             }, function _startSysinfoFileWatcher(_, cb) {
-                self.backend.watchSysinfo({serverUuid: self.uuid},
+                var firstChange = true;
+
+                self.sysinfoWatcher = self.backend.watchSysinfo(
+                    {serverUuid: self.uuid},
                     function _onSysinfoChange() {
                         // This function (_onSysinfoChange) is called once on
                         // startup and then again any time the sysinfo changes.
@@ -476,7 +787,8 @@ App.prototype.start = function () {
                         // we've updated CNAPI.
                         self.log.info('Saw sysinfo change, updating to CNAPI');
                         self.queueSysinfoUpdateIfNotAlreadyQueued(
-                            self.sysinfoCount === 0 ? cb : undefined);
+                            firstChange ? cb : undefined);
+                        firstChange = false;
                     });
             }, function _startHeartbeater(_, cb) {
                 self.startHeartbeater();
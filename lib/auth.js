@@ -0,0 +1,327 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Optional authentication for cn-agent's HTTP API. Without it, anyone who can
+ * reach the admin network can run tasks (including command_execute) on the
+ * CN. The agent config selects one of these modes with `auth_mode`:
+ *
+ *  "signature" -- Requests must carry an HTTP Signature (as parsed by
+ *                 restify's authorizationParser) made with one of the keys in
+ *                 `auth_keys_dir`. Each file in that directory named
+ *                 <identity>.pem or <identity>.pub (PEM or OpenSSH format)
+ *                 holds the public key of <identity>, and the signature's
+ *                 keyId must be that identity. The signature must cover the
+ *                 request-line and a Digest header (RFC 3230, SHA-256) that
+ *                 matches the body, so that it can't be replayed for another
+ *                 request or with another body.
+ *
+ *  "tls"       -- The server listens with TLS using `auth_tls_cert` and
+ *                 `auth_tls_key`, and clients must present a certificate
+ *                 signed by `auth_tls_ca`. The identity is the certificate's
+ *                 subject CN.
+ *
+ * Once a request is authenticated, `auth_queue_policy` can restrict which
+ * identities may run the tasks in each queue, e.g.:
+ *
+ *     "auth_queue_policy": { "server_tasks": [ "cnapi" ] }
+ *
+ * Queues that are not listed may be used by any authenticated identity. The
+ * same policy applies to everything else that concerns those tasks, e.g.
+ * GET /tasks/:id or their history and logs. Similarly `auth_admin_identities`
+ * restricts which identities may use the endpoints that affect the agent as a
+ * whole (POST /pause, /resume and /intervals), e.g.:
+ *
+ *     "auth_admin_identities": [ "sdcadm" ]
+ *
+ * When it isn't set they may be used by any authenticated identity.
+ */
+
+var crypto = require('crypto');
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var httpSignature = require('http-signature');
+var restify = require('restify');
+var VError = require('verror').VError;
+
+
+var MODES = ['signature', 'tls'];
+var KEY_FILE_RE = /^(.+)\.(pem|pub)$/;
+var DIGEST_RE = /^SHA-256=(.+)$/i;
+// The parts of the request that every signature must cover.
+var SIGNED_HEADERS = ['request-line', 'digest'];
+
+// These can be used without authenticating, e.g. for health checks.
+var UNAUTHENTICATED_PATHS = ['/ping'];
+
+
+function loadKeys(dir) {
+    var keys = {};
+
+    fs.readdirSync(dir).forEach(function (filename) {
+        var key;
+        var match = filename.match(KEY_FILE_RE);
+
+        if (!match) {
+            return;
+        }
+
+        key = fs.readFileSync(path.join(dir, filename), 'utf8').trim();
+        if (key.indexOf('ssh-') === 0) {
+            key = httpSignature.sshKeyToPEM(key);
+        }
+        keys[match[1]] = key;
+    });
+
+    return keys;
+}
+
+
+function Authenticator(opts) {
+    var config;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.object(opts.log, 'opts.log');
+
+    config = opts.config;
+
+    assert.string(config.auth_mode, 'config.auth_mode');
+    assert.optionalObject(config.auth_queue_policy,
+        'config.auth_queue_policy');
+    assert.optionalArrayOfString(config.auth_admin_identities,
+        'config.auth_admin_identities');
+
+    // Anything but a list of identities would be matched with indexOf() all
+    // the same (e.g. "cnapi" would allow "api"), so don't start with one.
+    Object.keys(config.auth_queue_policy || {}).forEach(function (name) {
+        assert.arrayOfString(config.auth_queue_policy[name],
+            'config.auth_queue_policy.' + name);
+    });
+
+    if (MODES.indexOf(config.auth_mode) === -1) {
+        throw new VError('unknown auth_mode "%s", must be one of: %s',
+            config.auth_mode, MODES.join(', '));
+    }
+
+    this.adminIdentities = config.auth_admin_identities;
+    this.log = opts.log;
+    this.mode = config.auth_mode;
+    this.queuePolicy = config.auth_queue_policy || {};
+
+    if (this.mode === 'signature') {
+        assert.string(config.auth_keys_dir, 'config.auth_keys_dir');
+
+        this.keys = loadKeys(config.auth_keys_dir);
+        if (Object.keys(this.keys).length === 0) {
+            throw new VError('no keys found in auth_keys_dir "%s"',
+                config.auth_keys_dir);
+        }
+    } else {
+        assert.string(config.auth_tls_ca, 'config.auth_tls_ca');
+        assert.string(config.auth_tls_cert, 'config.auth_tls_cert');
+        assert.string(config.auth_tls_key, 'config.auth_tls_key');
+
+        this.tlsOptions = {
+            ca: fs.readFileSync(config.auth_tls_ca),
+            certificate: fs.readFileSync(config.auth_tls_cert),
+            key: fs.readFileSync(config.auth_tls_key),
+            // We check req.connection.authorized ourselves so that the
+            // rejection makes it into the audit log.
+            rejectUnauthorized: false,
+            requestCert: true
+        };
+    }
+
+    this.log.info({
+        adminIdentities: this.adminIdentities,
+        identities: (this.keys ? Object.keys(this.keys) : undefined),
+        mode: this.mode,
+        queuePolicy: this.queuePolicy
+    }, 'API authentication enabled');
+}
+
+
+/*
+ * Returns the options that need to be passed to restify.createServer() for
+ * this mode, if any.
+ */
+Authenticator.prototype.serverOptions = function serverOptions() {
+    return this.tlsOptions;
+};
+
+
+/*
+ * Returns the identity of the client that made `req`, or throws a restify
+ * error if it cannot be authenticated. As the body is part of what's signed,
+ * this needs req.body as it was read, before it's parsed.
+ */
+Authenticator.prototype.authenticate = function authenticate(req) {
+    var self = this;
+    var cert;
+    var digest;
+    var key;
+    var signature;
+    var verified;
+
+    if (self.mode === 'tls') {
+        if (!req.connection.authorized) {
+            throw new restify.InvalidCredentialsError(
+                'A valid client certificate is required (%s)',
+                req.connection.authorizationError || 'none presented');
+        }
+
+        cert = req.connection.getPeerCertificate();
+        if (!cert || !cert.subject || !cert.subject.CN) {
+            throw new restify.InvalidCredentialsError(
+                'Client certificate has no subject CN');
+        }
+
+        return cert.subject.CN;
+    }
+
+    signature = req.authorization && req.authorization.signature;
+    if (!signature) {
+        throw new restify.InvalidCredentialsError(
+            'Requests must be signed with HTTP Signature');
+    }
+
+    if (!self.keys.hasOwnProperty(signature.keyId)) {
+        throw new restify.InvalidCredentialsError(
+            'Unknown keyId \'%s\'', signature.keyId);
+    }
+    key = self.keys[signature.keyId];
+
+    SIGNED_HEADERS.forEach(function (header) {
+        if (signature.params.headers.indexOf(header) === -1) {
+            throw new restify.InvalidCredentialsError(
+                'Signature must include the %s', header);
+        }
+    });
+
+    try {
+        verified = httpSignature.verifySignature(signature, key);
+    } catch (err) {
+        throw new restify.InvalidCredentialsError(
+            'Unable to verify signature: %s', err.message);
+    }
+
+    if (!verified) {
+        throw new restify.InvalidCredentialsError('Invalid signature');
+    }
+
+    // The signature covers the Digest header, so this makes it cover the
+    // body too.
+    digest = DIGEST_RE.exec(req.headers.digest);
+    if (!digest || digest[1] !== crypto.createHash('sha256')
+        .update(req.body || '').digest('base64')) {
+
+        throw new restify.InvalidCredentialsError(
+            'Digest header must be the SHA-256 of the body');
+    }
+
+    return signature.keyId;
+};
+
+
+/*
+ * Returns a restify handler which sets req.identity for authenticated
+ * requests and rejects the rest. Rejected requests have req.authRejected set
+ * so that the audit log records them as such.
+ */
+Authenticator.prototype.handler = function handler() {
+    var self = this;
+
+    return function authenticateRequest(req, res, next) {
+        if (UNAUTHENTICATED_PATHS.indexOf(req.path()) !== -1) {
+            next();
+            return;
+        }
+
+        try {
+            req.identity = self.authenticate(req);
+        } catch (err) {
+            req.authRejected = err.message;
+            req.log.warn({ err: err }, 'Rejecting unauthenticated request');
+            next(err);
+            return;
+        }
+
+        next();
+    };
+};
+
+
+/*
+ * Returns whether `identity` may use the tasks in queue `queueName`.
+ */
+Authenticator.prototype.isAllowed = function isAllowed(identity, queueName) {
+    var self = this;
+
+    if (!self.queuePolicy.hasOwnProperty(queueName)) {
+        return true;
+    }
+
+    return (self.queuePolicy[queueName].indexOf(identity) !== -1);
+};
+
+
+/*
+ * Returns an error if req.identity may not use the tasks in queue
+ * `queueName`.
+ */
+Authenticator.prototype.authorizeQueue = function authorizeQueue(req,
+    queueName) {
+
+    var self = this;
+    var err;
+
+    if (self.isAllowed(req.identity, queueName)) {
+        return null;
+    }
+
+    err = new restify.NotAuthorizedError(
+        '\'%s\' may not use tasks in queue \'%s\'', req.identity, queueName);
+    req.authRejected = err.message;
+    req.log.warn({ identity: req.identity, queue: queueName },
+        'Rejecting request not allowed by auth_queue_policy');
+
+    return err;
+};
+
+
+/*
+ * Returns an error if req.identity may not use the endpoints that affect the
+ * whole agent.
+ */
+Authenticator.prototype.authorizeAdmin = function authorizeAdmin(req) {
+    var self = this;
+    var err;
+
+    if (self.adminIdentities === undefined ||
+        self.adminIdentities.indexOf(req.identity) !== -1) {
+
+        return null;
+    }
+
+    err = new restify.NotAuthorizedError(
+        '\'%s\' may not use %s %s', req.identity, req.method, req.path());
+    req.authRejected = err.message;
+    req.log.warn({ identity: req.identity },
+        'Rejecting request not allowed by auth_admin_identities');
+
+    return err;
+};
+
+
+module.exports = Authenticator;
@@ -602,6 +602,13 @@ SysinfoFileWatcher.prototype.watch = function watch() {
     self.watcher.on('error', _onError);
 };
 
+// Returns true unless we're waiting to retry watching the file.
+SysinfoFileWatcher.prototype.isWatching = function isWatching() {
+    var self = this;
+
+    return (self.watcher !== null && self.retryTimer === null);
+};
+
 module.exports = {
     adoptInstanceInSapi: adoptInstanceInSapi,
     getAgentImage: getAgentImage,
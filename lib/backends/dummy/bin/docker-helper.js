@@ -0,0 +1,60 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Forked by the dummy docker_* tasks to run the servers in ../lib/docker.js,
+ * since the task's own process is stopped as soon as it has finished. We're
+ * sent a message with the `action` (one of the functions exported from there)
+ * and its options, and reply with the result or {error: {message, restCode}}.
+ * We then exit once the servers are done.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+
+var docker = require('../lib/docker');
+
+
+process.on('message', function _onMessage(message) {
+    assert.object(message, 'message');
+    assert.string(message.action, 'message.action');
+    assert.func(docker[message.action], 'docker.' + message.action);
+    assert.string(message.req_id, 'message.req_id');
+
+    var logStreams = [ { level: 'debug', stream: process.stderr } ];
+
+    if (process.env.logdir) {
+        logStreams = [ {
+            level: 'debug',
+            path: process.env.logdir + '/' + message.req_id + '-docker_' +
+                message.action + '.log'
+        } ];
+    }
+
+    message.log = bunyan.createLogger({
+        name: 'docker-' + message.action,
+        req_id: message.req_id,
+        streams: logStreams
+    });
+
+    docker[message.action](message, function _onSetUp(err, result) {
+        var reply = result;
+
+        if (err) {
+            message.log.error({ err: err }, 'docker %s failed',
+                message.action);
+            reply = { error: { message: err.message, restCode: err.restCode } };
+        }
+
+        process.send(reply, function _onSent() {
+            process.disconnect();
+        });
+    });
+});
@@ -0,0 +1,62 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Forked by the dummy machine_migrate task to run the send or receive server
+ * in ../lib/migrate.js, since the task's own process is stopped as soon as it
+ * has finished. Our first argument is the VM's uuid, which the
+ * kill_migration_process action looks for before killing us. We're sent a
+ * message with the `action` ('send' or 'receive') and its options, and reply
+ * with the server's details or {error: {message}}. We then exit once the
+ * server is closed.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+
+var migrate = require('../lib/migrate');
+
+
+process.on('message', function _onMessage(message) {
+    assert.object(message, 'message');
+    assert.ok(message.action === 'send' || message.action === 'receive',
+        'Unknown action: ' + message.action);
+    assert.string(message.req_id, 'message.req_id');
+
+    var logStreams = [ { level: 'debug', stream: process.stderr } ];
+
+    if (process.env.logdir) {
+        logStreams = [ {
+            level: 'debug',
+            path: process.env.logdir + '/' + message.req_id +
+                '-machine_migrate_' + message.action + '.log'
+        } ];
+    }
+
+    message.log = bunyan.createLogger({
+        name: 'migrate-' + message.action,
+        req_id: message.req_id,
+        streams: logStreams
+    });
+
+    migrate[message.action](message, function _onSetUp(err, result) {
+        var reply = result;
+
+        if (err) {
+            message.log.error({ err: err }, 'migrate %s failed',
+                message.action);
+            reply = { error: { message: err.message } };
+        }
+
+        process.send(reply, function _onSent() {
+            process.disconnect();
+        });
+    });
+});
@@ -22,17 +22,21 @@ var path = require('path');
 var assert = require('assert-plus');
 var vasync = require('vasync');
 
-var mockcloudRoot;
-try {
-    mockcloudRoot = child_process
-        .execSync('/usr/sbin/mdata-get mockcloudRoot', {encoding: 'utf8'})
-        .trim();
-} catch (err) {
-    // The old default for backward compatibility.
-    mockcloudRoot = '/opt/custom/virtual';
-    console.warn('warning: cn-agent dummy backend could not get ' +
-        '"mockcloudRoot" dir from mdata, using default %s: %s',
-        mockcloudRoot, err);
+// CN_AGENT_MOCKCLOUD_ROOT overrides the mdata (e.g. for running the tests
+// somewhere without mdata-get). Task workers inherit it from cn-agent.
+var mockcloudRoot = process.env.CN_AGENT_MOCKCLOUD_ROOT;
+if (!mockcloudRoot) {
+    try {
+        mockcloudRoot = child_process
+            .execSync('/usr/sbin/mdata-get mockcloudRoot', {encoding: 'utf8'})
+            .trim();
+    } catch (err) {
+        // The old default for backward compatibility.
+        mockcloudRoot = '/opt/custom/virtual';
+        console.warn('warning: cn-agent dummy backend could not get ' +
+            '"mockcloudRoot" dir from mdata, using default %s: %s',
+            mockcloudRoot, err);
+    }
 }
 var SERVER_ROOT = mockcloudRoot + '/servers';
 
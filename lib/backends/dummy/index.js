@@ -5,9 +5,12 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2020 Joyent, Inc.
  */
 
+var fs = require('fs');
+var path = require('path');
+
 var netconfig = require('triton-netconfig');
 
 var assert = require('assert-plus');
@@ -15,13 +18,22 @@ var jsprim = require('jsprim');
 
 var backends_common = require('../common');
 var common = require('./common');
+var DummyFaults = require('./lib/faults').DummyFaults;
+var mod_zfs = require('./lib/zfs');
 var sysinfoGetter = require('./lib/sysinfo');
 
+var DummyZfs = mod_zfs.DummyZfs;
+
 // These are used for caching the results of mdata-get so we don't need to
 // re-run that for every server when we have multiple servers.
 var cachedDatacenterName;
 var cachedDNSDomain;
 
+// How often (ms) to check the simulated pool for changes.
+var ZFS_WATCH_INTERVAL = 1000;
+var IMAGE_DATASET_RE = new RegExp('^' + mod_zfs.POOL + '/' +
+    '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$');
+
 
 // This defines which tasks we'll handle.
 var queueDefns = [
@@ -41,6 +53,7 @@ var queueDefns = [
             'machine_delete_snapshot',
             'machine_destroy',
             'machine_kill',
+            'machine_migrate',
             'machine_reboot',
             'machine_rollback_snapshot',
             'machine_shutdown',
@@ -50,10 +63,47 @@ var queueDefns = [
     {
         name: 'machine_query',
         logging: false,
+        // Queries should be quick, so don't let one hang for the default hour.
+        timeoutSeconds: 5 * 60,
         tasks: [
             'machine_load'
         ]
     },
+    {
+        name: 'docker_tasks',
+        tasks: [
+            'docker_copy',
+            'docker_exec',
+            'docker_stats'
+        ]
+    },
+    {
+        name: 'docker_build_task',
+        log_params: false,
+        tasks: [ 'docker_build' ]
+    },
+    {
+        name: 'zfs_tasks',
+        tasks: [
+            'zfs_clone_dataset',
+            'zfs_create_dataset',
+            'zfs_destroy_dataset',
+            'zfs_rename_dataset',
+            'zfs_rollback_dataset',
+            'zfs_set_properties',
+            'zfs_snapshot_dataset'
+        ]
+    },
+    {
+        name: 'zfs_query',
+        timeoutSeconds: 5 * 60,
+        tasks: [
+            'zfs_get_properties',
+            'zfs_list_datasets',
+            'zfs_list_pools',
+            'zfs_list_snapshots'
+        ]
+    },
     {
         name: 'nop',
         tasks: [ 'nop' ]
@@ -128,7 +178,8 @@ DummyBackend.prototype.getSysinfo = function getSysinfo(opts, callback) {
     });
 };
 
-// This will call callback() every time sysinfo has changed.
+// This will call callback() every time sysinfo has changed. Returns the
+// SysinfoFileWatcher so that its state can be checked.
 DummyBackend.prototype.watchSysinfo = function watchSysinfo(opts, callback) {
     assert.func(callback, 'callback');
     assert.object(opts, 'opts');
@@ -145,6 +196,8 @@ DummyBackend.prototype.watchSysinfo = function watchSysinfo(opts, callback) {
     });
 
     watcher.watch();
+
+    return watcher;
 };
 
 
@@ -205,16 +258,21 @@ DummyBackend.prototype.getMemoryInfo = function getMemoryInfo(opts, callback) {
 function getPoolSpaceStats(pool, opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
+    assert.uuid(opts.serverUuid, 'opts.serverUuid');
 
-    var spaceStats = {};
+    var zfs = new DummyZfs({ log: opts.log, serverUuid: opts.serverUuid });
 
-    // TODO: implement something here
-    spaceStats = {
-        bytes_available: 3 * 1024 * 1024 * 1024 * 1024,
-        bytes_used: 42
-    };
+    zfs.get(pool, ['used', 'available'], true, function _onGet(err, props) {
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    callback(null, spaceStats);
+        callback(null, {
+            bytes_available: parseInt(props[pool].available, 10),
+            bytes_used: parseInt(props[pool].used, 10)
+        });
+    });
 }
 
 // getZpoolInfo() calls:
@@ -234,7 +292,7 @@ function getZpoolInfo(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
 
-    var pool = 'zones';
+    var pool = mod_zfs.POOL;
     var zpoolStatus = {};
 
     getPoolSpaceStats(pool, opts, function _onSpaceStats(err, ss) {
@@ -268,26 +326,99 @@ DummyBackend.prototype.getZpoolInfo = function _getZpoolInfo(opts, callback) {
 };
 
 
+// Works out the disk usage from the simulated pool in the same way as the
+// smartos backend does from the real one, except that an image is any
+// zones/<uuid> dataset that isn't a VM's and has an @final snapshot.
 DummyBackend.prototype.getDiskUsage =
 function getDiskUsage(vms, opts, callback) {
-    // XXX implement this
-
-    var diskUsage = {
-        kvm_zvol_used_bytes: 0,
-        kvm_zvol_volsize_bytes: 0,
-        kvm_quota_bytes: 0,
-        kvm_quota_used_bytes: 0,
-        zone_quota_bytes: 0,
-        zone_quota_used_bytes: 0,
-        cores_quota_bytes: 0,
-        cores_quota_used_bytes: 0,
-        installed_images_used_bytes: 0,
-        pool_size_bytes: 1024 * 1024 * 1024 * 1024,
-        pool_alloc_bytes: 512 * 1024 * 1024 * 1024,
-        system_used_bytes: 256 * 1024 * 1024
-    };
+    var self = this;
+    var serverUuid = opts.serverUuid || self.serverUuid;
+    var zfs = new DummyZfs({ log: self.log, serverUuid: serverUuid });
+
+    zfs.get('', ['name', 'used', 'available', 'quota', 'volsize'], true,
+        function _onGet(err, datasets) {
+
+        var diskUsage = {
+            kvm_zvol_used_bytes: 0,
+            kvm_zvol_volsize_bytes: 0,
+            kvm_quota_bytes: 0,
+            kvm_quota_used_bytes: 0,
+            zone_quota_bytes: 0,
+            zone_quota_used_bytes: 0,
+            cores_quota_bytes: 0,
+            cores_quota_used_bytes: 0,
+            installed_images_used_bytes: 0,
+            pool_size_bytes: 0,
+            pool_alloc_bytes: 0,
+            system_used_bytes: 0
+        };
+        var vmDatasets = {};
+
+        function toInt(val) {
+            var a = parseInt(val, 10);
+            return (isNaN(a) ? 0 : a);
+        }
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        Object.keys(vms).forEach(function _addVm(uuid) {
+            var coreds;
+            var vm = vms[uuid];
+            var zoneds = datasets[mod_zfs.POOL + '/' + uuid];
+
+            vmDatasets[mod_zfs.POOL + '/' + uuid] = true;
+
+            if (vm.brand === 'kvm') {
+                (vm.disks || []).forEach(function _addDisk(disk) {
+                    var ds = datasets[disk.zfs_filesystem];
+
+                    if (ds) {
+                        diskUsage.kvm_zvol_used_bytes += toInt(ds.used);
+                        diskUsage.kvm_zvol_volsize_bytes += toInt(ds.volsize);
+                    }
+                });
+
+                if (zoneds) {
+                    diskUsage.kvm_quota_bytes += toInt(zoneds.quota);
+                    diskUsage.kvm_quota_used_bytes += toInt(zoneds.used);
+                }
+            } else if (zoneds) {
+                diskUsage.zone_quota_bytes += toInt(zoneds.quota);
+                diskUsage.zone_quota_used_bytes += toInt(zoneds.used);
+            }
+
+            coreds = datasets[mod_zfs.POOL + '/' + uuid + '/cores'] ||
+                datasets[mod_zfs.POOL + '/cores/' + uuid];
+            if (coreds) {
+                diskUsage.cores_quota_bytes += toInt(coreds.quota);
+                diskUsage.cores_quota_used_bytes += toInt(coreds.used);
+            }
+        });
+
+        Object.keys(datasets).forEach(function _addImage(name) {
+            if (IMAGE_DATASET_RE.test(name) && !vmDatasets[name] &&
+                datasets[name + '@final']) {
+
+                diskUsage.installed_images_used_bytes +=
+                    toInt(datasets[name].used);
+            }
+        });
 
-    callback(null, diskUsage);
+        diskUsage.pool_alloc_bytes = toInt(datasets[mod_zfs.POOL].used);
+        diskUsage.pool_size_bytes = diskUsage.pool_alloc_bytes +
+            toInt(datasets[mod_zfs.POOL].available);
+        diskUsage.system_used_bytes = diskUsage.pool_alloc_bytes - (
+            diskUsage.kvm_zvol_used_bytes +
+            diskUsage.kvm_quota_used_bytes +
+            diskUsage.zone_quota_used_bytes +
+            diskUsage.cores_quota_used_bytes +
+            diskUsage.installed_images_used_bytes);
+
+        callback(null, diskUsage);
+    });
 };
 
 
@@ -311,11 +442,98 @@ DummyBackend.prototype.getBootTime = function getBootTime(opts, callback) {
 //  {
 //    fields: <array of field names to include in objects>,
 //    log: <bunyan logger>,
+//    uuids: <optional array of the UUIDs of the VMs to load>
 //  }
+//
+// Mock CNs have no VMs, so this always loads none (whatever opts.uuids).
+//
+// This is also where a "status" fault (see getInjectedFault) is injected,
+// since it's called each time the status is gathered.
 DummyBackend.prototype.loadVms = function loadVms(opts, callback) {
+    var self = this;
     var vms = []; // would be an array of VM objects limited to opts.fields
 
-    callback(null, vms);
+    self.getInjectedFault({
+        serverUuid: opts.serverUuid,
+        type: 'status'
+    }, function _onFault(err, fault) {
+        if (err) {
+            self.log.warn({err: err}, 'failed to check for status faults');
+        }
+
+        if (fault && fault.action === 'fail') {
+            callback(new Error(fault.message || 'injected status failure'));
+        } else if (fault && fault.action === 'hang') {
+            setTimeout(callback, fault.seconds * 1000, null, vms);
+        } else {
+            callback(null, vms);
+        }
+    });
+};
+
+
+// Calls callback(err, fault) with the fault to inject for a heartbeat or
+// status update on this mock CN, if there is one (see lib/faults.js). Faults
+// are injected into tasks by the tasks themselves (see lib/task.js).
+//
+// opts will have:
+//
+//  {
+//      serverUuid: <uuid>,
+//      type: 'heartbeat' | 'status'
+//  }
+//
+DummyBackend.prototype.getInjectedFault =
+function getInjectedFault(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalUuid(opts.serverUuid, 'opts.serverUuid');
+    assert.string(opts.type, 'opts.type');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var faults = new DummyFaults({
+        log: self.log,
+        serverUuid: opts.serverUuid || self.serverUuid
+    });
+
+    faults.check(opts.type, callback);
+};
+
+
+// Called by cn-agent before each heartbeat is posted, this is where a
+// "heartbeat" fault (see getInjectedFault) is injected. Calls callback(send)
+// once the heartbeat may be posted, with send false if it's to be dropped.
+//
+// opts will have:
+//
+//  {
+//      serverUuid: <uuid>
+//  }
+//
+DummyBackend.prototype.beforeHeartbeat =
+function beforeHeartbeat(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalUuid(opts.serverUuid, 'opts.serverUuid');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.getInjectedFault({
+        serverUuid: opts.serverUuid,
+        type: 'heartbeat'
+    }, function _onFault(err, fault) {
+        if (err) {
+            self.log.warn({err: err}, 'failed to check for heartbeat faults');
+        }
+
+        if (fault && fault.action === 'drop') {
+            callback(false);
+        } else if (fault && fault.action === 'hang') {
+            setTimeout(callback, fault.seconds * 1000, true);
+        } else {
+            callback(true);
+        }
+    });
 };
 
 
@@ -350,28 +568,46 @@ DummyBackend.prototype.getAgents = function getAgents(opts, callback) {
 };
 
 
-// Dummy needs no watchers, other backends would start watching whatever they
-// need in the filesystem/system and whenever they decide something changed that
-// might cause cn-agent's cache to be dirty, they should call dirtyFn() with no
-// arguments. This will tell cn-agent to reload its data asap. Otherwise the
-// change might not be noticed for up to a minute.
+// The only thing we watch is the simulated pool, as the zfs_* tasks change it
+// and it's where our zpoolStatus and diskinfo come from. Other backends would
+// start watching whatever they need in the filesystem/system and whenever they
+// decide something changed that might cause cn-agent's cache to be dirty, they
+// should call dirtyFn() with the UUID of the VM that changed, or with no
+// arguments if they can't tell (or it's not a VM that changed). This will tell
+// cn-agent to reload its data asap. Otherwise the change might not be noticed
+// for up to a minute.
 //
 // opts will have:
 //
 //  {
 //     dirtyFn: <function>,
-//     log: <bunyan logger>
+//     log: <bunyan logger>,
+//     serverUuid: <uuid>
 //  }
 //
 DummyBackend.prototype.startWatchers = function startWatchers(opts) {
+    var self = this;
+    var serverUuid = opts.serverUuid || self.serverUuid;
+    var zfsFilename = path.join(common.SERVER_ROOT, serverUuid, 'zfs.json');
+
     // TODO: fs.watch the instance JSON dir
+
+    // fs.watchFile() as the file is replaced on every change, and might not
+    // exist yet.
+    fs.watchFile(zfsFilename, { interval: ZFS_WATCH_INTERVAL },
+        function _onZfsChange() {
+
+        opts.dirtyFn();
+    });
+
+    return { zfsFilename: zfsFilename };
 };
 
 
-// This will never actually be called unless we returned watchers from
-// startWatchers. In that case, we'll get passed the object we returned there
-// and be expected to stop any watchers we created.
-DummyBackend.prototype.stopWatchers = function stopWatchers(watchers) {
+// This will get passed the object we returned from startWatchers and is
+// expected to stop any watchers we created.
+DummyBackend.prototype.stopWatchers = function stopWatchers(opts, watchers) {
+    fs.unwatchFile(watchers.zfsFilename);
 };
 
 
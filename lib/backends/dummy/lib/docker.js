@@ -0,0 +1,748 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Dummy implementations of the docker_exec, docker_copy, docker_stats and
+ * docker_build tasks. Each sets up a TCP server speaking the same protocol as
+ * its SmartOS counterpart (see lib/backends/smartos/lib/docker-stdio.js and
+ * lib/backends/smartos/bin/docker-*.js) and calls back with what the task
+ * returns to sdc-docker. Mock containers don't exist, so:
+ *
+ *  - exec runs the command as a local process in the VM's root directory
+ *  - copy reads and writes the VM's root directory
+ *  - stats are made up, but have the same shape as the real ones
+ *  - build and commit consume the context and produce an image with no layers
+ *
+ * where the "root directory" of a VM is SERVER_ROOT/<server>/zones/<vm>/root,
+ * mirroring /zones/<vm>/root on a real CN.
+ *
+ * These run in the docker-helper child process (see ../bin/docker-helper.js)
+ * so that the servers outlive the task's worker.
+ */
+
+var child_process = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+
+var assert = require('assert-plus');
+var LineStream = require('lstream');
+var mkdirp = require('mkdirp');
+var uuid = require('uuid');
+
+var common = require('../common');
+
+
+// Close a server that doesn't get its connection(s) within this long.
+var SERVER_CLOSE_TIMEOUT = 60;  // seconds
+// How often docker_stats sends stats when streaming.
+var STATS_INTERVAL = 1000;  // ms
+// SmartOS' tar can't extract to a directory, so use GNU tar there.
+var TAR = (process.platform === 'sunos') ? '/usr/bin/gtar' : 'tar';
+
+
+function zonepath(serverUuid, vmUuid) {
+    assert.uuid(serverUuid, 'serverUuid');
+    assert.uuid(vmUuid, 'vmUuid');
+
+    return path.join(common.SERVER_ROOT, serverUuid, 'zones', vmUuid);
+}
+
+
+/*
+ * Listens on opts.host, and calls onConnection(socket) for each of the first
+ * opts.connections (default 1) connections, after which the server is closed.
+ * It is also closed if they haven't all been made within opts.timeoutSeconds.
+ * Calls callback(err, {host, port}) once listening.
+ */
+function listen(opts, onConnection, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.connections, 'opts.connections');
+    assert.string(opts.host, 'opts.host');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.timeoutSeconds, 'opts.timeoutSeconds');
+    assert.func(onConnection, 'onConnection');
+    assert.func(callback, 'callback');
+
+    var connections = opts.connections || 1;
+    var timeoutSeconds = opts.timeoutSeconds || SERVER_CLOSE_TIMEOUT;
+    var server = net.createServer({ allowHalfOpen: true });
+    var timeout = setTimeout(function _onTimeout() {
+        opts.log.warn('Closing server after %d seconds without connection',
+            timeoutSeconds);
+        server.close();
+    }, timeoutSeconds * 1000);
+
+    server.on('connection', function _onConnection(socket) {
+        connections--;
+        if (connections === 0) {
+            clearTimeout(timeout);
+            server.close();
+        }
+
+        socket.on('error', function _onSocketError(err) {
+            opts.log.error({ err: err }, 'socket error');
+        });
+
+        onConnection(socket);
+    });
+
+    server.once('error', function _onError(err) {
+        clearTimeout(timeout);
+        callback(err);
+    });
+
+    server.listen(0, opts.host, function _onListening() {
+        opts.log.info({ address: server.address() }, 'listening');
+        callback(null, { host: opts.host, port: server.address().port });
+    });
+}
+
+
+function writeStdio(socket, type, data) {
+    if (socket.destroyed) {
+        return;
+    }
+    socket.write(JSON.stringify({ type: type, data: data }) + '\r\n');
+}
+
+
+/*
+ * Runs opts.command.Cmd in opts.root, relaying its stdio over the connection
+ * as docker-stdio.js does: newline separated JSON objects with a type of
+ * 'stdout', 'stderr' or 'tty' (when command.Tty is set) from us, then an
+ * 'end' with the exit status. From the client we take 'stdin' and 'tty' data
+ * and an 'end' when stdin is closed. There's no pty, so resizes are ignored.
+ */
+function runCommand(opts, socket) {
+    var command = opts.command;
+    var env = { PATH: process.env.PATH };
+    var log = opts.log;
+    var proc;
+    var spawnErr;
+
+    (command.Env || []).forEach(function _addEnv(pair) {
+        var idx = pair.indexOf('=');
+
+        if (idx > 0) {
+            env[pair.slice(0, idx)] = pair.slice(idx + 1);
+        }
+    });
+
+    log.info({ cmd: command.Cmd }, 'running command');
+
+    // A detached command's output goes nowhere, as there's no one to read
+    // it, and we don't wait for it to exit.
+    proc = child_process.spawn(command.Cmd[0], command.Cmd.slice(1), {
+        cwd: opts.root,
+        detached: !socket,
+        env: env,
+        stdio: socket ? 'pipe' : 'ignore'
+    });
+
+    proc.on('error', function _onError(err) {
+        log.error({ err: err }, 'failed to run command');
+        spawnErr = err;
+        if (socket) {
+            writeStdio(socket, command.Tty ? 'tty' : 'stderr',
+                'exec: ' + err.message + '\r\n');
+        }
+    });
+
+    if (!socket) {
+        proc.unref();
+        return;
+    }
+
+    proc.stdin.on('error', function _onStdinError(err) {
+        log.warn({ err: err }, 'error writing to command stdin');
+    });
+
+    proc.stdout.on('data', function _onStdout(data) {
+        writeStdio(socket, command.Tty ? 'tty' : 'stdout', data.toString());
+    });
+    proc.stderr.on('data', function _onStderr(data) {
+        writeStdio(socket, command.Tty ? 'tty' : 'stderr', data.toString());
+    });
+
+    if (command.AttachStdin) {
+        var lstream = new LineStream({ encoding: 'utf8' });
+
+        lstream.on('readable', function _onReadable() {
+            var line;
+            var parsed;
+
+            while ((line = lstream.read()) !== null) {
+                line = line.trim();
+                if (!line) {
+                    continue;
+                }
+
+                try {
+                    parsed = JSON.parse(line);
+                } catch (ex) {
+                    log.error('invalid json: %s - ignoring', line);
+                    continue;
+                }
+
+                if (parsed.type === 'end') {
+                    proc.stdin.end();
+                } else if ((parsed.type === 'stdin' ||
+                    parsed.type === 'tty') && parsed.data) {
+
+                    proc.stdin.write(parsed.data);
+                }
+            }
+        });
+        socket.pipe(lstream);
+    }
+
+    socket.on('end', function _onEnd() {
+        proc.stdin.end();
+    });
+
+    proc.on('close', function _onClose(code, signal) {
+        log.info('command exited with code %s signal %s', code, signal);
+        if (socket.destroyed) {
+            return;
+        }
+        socket.end(JSON.stringify({
+            type: 'end',
+            // Like docker, exit 127 if the command couldn't be run.
+            data: { code: spawnErr ? 127 : code, signal: signal }
+        }) + '\r\n');
+    });
+}
+
+
+/*
+ * docker_exec: calls back with {port} for the client to connect to, or with
+ * {} if command.Detach is set, in which case the command is just started.
+ */
+function exec(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.command, 'opts.command');
+    assert.string(opts.root, 'opts.root');
+
+    var command = opts.command;
+
+    mkdirp(opts.root, function _onMkdir(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (command.Detach) {
+            runCommand(opts);
+            callback(null, {});
+            return;
+        }
+
+        listen(opts, function _onConnection(socket) {
+            if (command.Logs) {
+                // Mock containers never write any logs.
+                socket.end(JSON.stringify({
+                    type: 'end',
+                    data: { code: 0, signal: null }
+                }) + '\r\n');
+                return;
+            }
+
+            runCommand(opts, socket);
+        }, callback);
+    });
+}
+
+
+function pathError(err, norm) {
+    var error;
+
+    if (err.code === 'ENOTDIR') {
+        error = new Error('path was not a directory: ' + norm);
+        error.restCode = 'PathNotDirectory';
+    } else if (err.code === 'ENOENT') {
+        error = new Error('no such file in container: ' + norm);
+        error.restCode = 'FileNotFound';
+    } else {
+        error = err;
+    }
+
+    return error;
+}
+
+
+// Same as dockerPathStatFromPath() in docker-stdio.js.
+function pathStat(norm, abspath) {
+    var stat = fs.lstatSync(abspath.replace(new RegExp('/$'), ''));
+    var result = {
+        name: norm.replace(new RegExp('^/'), ''),
+        size: stat.size,
+        mtime: stat.mtime.toISOString(),
+        linkTarget: '',
+        mode: 0
+    };
+
+    if (stat.isSymbolicLink()) {
+        result.linkTarget = fs.readlinkSync(abspath);
+        result.mode = (1<<26)>>>0;
+    } else if (stat.isDirectory()) {
+        result.mode = (1<<31)>>>0;
+    }
+
+    return result;
+}
+
+
+/*
+ * docker_copy: opts.mode is one of:
+ *
+ *  - 'read': the client is sent a tarball of opts.path
+ *  - 'write': the tarball the client sends is extracted into opts.path, which
+ *    must be a directory
+ *  - 'stat': no connection, we just return the containerPathStat
+ */
+function copy(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.mode, 'opts.mode');
+    assert.optionalBool(opts.no_overwrite_dir, 'opts.no_overwrite_dir');
+    assert.string(opts.path, 'opts.path');
+    assert.string(opts.root, 'opts.root');
+
+    var abspath;
+    var log = opts.log;
+    var norm = path.normalize('/' + opts.path);
+    var stat;
+
+    abspath = path.join(opts.root, norm);
+
+    if (['read', 'stat', 'write'].indexOf(opts.mode) === -1) {
+        callback(new Error('unknown mode: ' + opts.mode));
+        return;
+    }
+
+    mkdirp(opts.root, function _onMkdir(mkdirErr) {
+        if (mkdirErr) {
+            callback(mkdirErr);
+            return;
+        }
+
+        try {
+            stat = pathStat(norm, abspath);
+        } catch (e) {
+            callback(pathError(e, norm));
+            return;
+        }
+
+        if (opts.mode === 'stat') {
+            callback(null, { containerPathStat: stat });
+            return;
+        }
+
+        if (opts.mode === 'write' && stat.mode !== (1<<31)>>>0) {
+            callback(pathError({ code: 'ENOTDIR' }, norm));
+            return;
+        }
+
+        listen(opts, function _onConnection(socket) {
+            var args;
+            var tar;
+
+            if (opts.mode === 'read') {
+                if (norm === '/') {
+                    args = ['cf', '-', '-C', abspath, '.'];
+                } else {
+                    args = ['cf', '-', '-C', path.dirname(abspath),
+                        path.basename(abspath)];
+                }
+            } else {
+                args = ['xf', '-', '-C', abspath];
+                if (opts.no_overwrite_dir) {
+                    args.push('--no-overwrite-dir');
+                }
+            }
+
+            log.info({ args: args }, 'running %s', TAR);
+            tar = child_process.spawn(TAR, args);
+
+            tar.stderr.on('data', function _onStderr(data) {
+                log.warn('tar stderr: %s', data.toString());
+            });
+            tar.on('error', function _onError(err) {
+                log.error({ err: err }, 'failed to run tar');
+                socket.destroy();
+            });
+
+            if (opts.mode === 'read') {
+                tar.stdout.pipe(socket);
+            } else {
+                socket.pipe(tar.stdin);
+                tar.on('close', function _onClose(code) {
+                    log.info('tar exited with code %s', code);
+                    socket.end();
+                });
+            }
+        }, function _onListening(err, addr) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            callback(null, { containerPathStat: stat, port: addr.port });
+        });
+    });
+}
+
+
+function cpuStats(total, system) {
+    return {
+        cpu_usage: {
+            percpu_usage: [total],
+            total_usage: total,
+            usage_in_kernelmode: Math.floor(total / 4),
+            usage_in_usermode: total - Math.floor(total / 4)
+        },
+        system_cpu_usage: system,
+        throttling_data: {
+            periods: 0,
+            throttled_periods: 0,
+            throttled_time: 0
+        }
+    };
+}
+
+
+/*
+ * Makes up stats in the shape docker-stats.js produces, for a VM using a
+ * steady 5% of CPU, a quarter of its memory and trickling some traffic.
+ * `last` is the previous result, if any.
+ */
+function fakeStats(opts, last) {
+    var elapsed = last ? STATS_INTERVAL / 1000 : 1;
+    var limit = (opts.vm.max_physical_memory || 1024) * 1024 * 1024;
+    var memStats = {};
+    var nic = {
+        rx_bytes: 0,
+        rx_dropped: 0,
+        rx_errors: 0,
+        rx_packets: 0,
+        tx_bytes: 0,
+        tx_dropped: 0,
+        tx_errors: 0,
+        tx_packets: 0
+    };
+    var lastNic;
+    var result = { read: new Date().toISOString() };
+    var lastCpu = last ? last.cpu_stats : cpuStats(0, 0);
+
+    result.cpu_stats = cpuStats(
+        lastCpu.cpu_usage.total_usage + Math.round(elapsed * 5),
+        lastCpu.system_cpu_usage + Math.round(elapsed * 100));
+    result.precpu_stats = lastCpu;
+
+    ['active_anon', 'active_file', 'cache', 'hierarchical_memory_limit',
+        'hierarchical_memsw_limit', 'inactive_file', 'mapped_file', 'pgfault',
+        'pgmajfault', 'pgpgin', 'pgpgout', 'rss_huge', 'total_active_file',
+        'total_cache', 'total_inactive_file', 'total_mapped_file',
+        'total_pgfault', 'total_pgmajfault', 'total_pgpgin', 'total_pgpgout',
+        'total_rss', 'total_rss_huge', 'total_unevictable', 'total_writeback',
+        'unevictable', 'writeback'].forEach(function _zero(name) {
+
+        memStats[name] = 0;
+    });
+    memStats.rss = Math.floor(limit / 4);
+    memStats.swap = memStats.rss;
+    memStats.total_active_anon = memStats.rss;
+    memStats.total_swap = limit;
+    memStats.inactive_anon = limit - memStats.rss;
+
+    result.memory_stats = {
+        failcnt: 0,
+        limit: limit,
+        max_usage: 0,
+        stats: memStats,
+        usage: memStats.rss
+    };
+
+    if (last) {
+        lastNic = last.networks ? last.networks.eth0 : last.network;
+        Object.keys(nic).forEach(function _copy(name) {
+            nic[name] = lastNic[name];
+        });
+    }
+    nic.rx_bytes += Math.round(elapsed * 1500);
+    nic.rx_packets += Math.round(elapsed * 10);
+    nic.tx_bytes += Math.round(elapsed * 750);
+    nic.tx_packets += Math.round(elapsed * 5);
+
+    // Docker 1.9 (API version 1.21) changed to per-nic stats.
+    if (opts.clientApiVersion && opts.clientApiVersion >= 1.21) {
+        result.networks = { eth0: nic };
+    } else {
+        result.network = nic;
+    }
+
+    result.blkio_stats = {
+        io_merged_recursive: [],
+        io_queue_recursive: [],
+        io_service_bytes_recursive: [],
+        io_service_time_recursive: [],
+        io_serviced_recursive: [],
+        io_time_recursive: [],
+        io_wait_time_recursive: [],
+        sectors_recursive: []
+    };
+
+    return result;
+}
+
+
+/*
+ * docker_stats: the client is sent a JSON object (and "\r\n") of stats, and
+ * if opts.doStream is set, another every STATS_INTERVAL ms until it hangs up.
+ */
+function stats(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.bool(opts.doStream, 'opts.doStream');
+    assert.optionalNumber(opts.clientApiVersion, 'opts.clientApiVersion');
+    assert.object(opts.vm, 'opts.vm');
+
+    listen(opts, function _onConnection(socket) {
+        var last = null;
+        var timer;
+
+        function send() {
+            last = fakeStats(opts, last);
+            socket.write(JSON.stringify(last) + '\r\n');
+
+            if (!opts.doStream) {
+                socket.end();
+                return;
+            }
+            timer = setTimeout(send, STATS_INTERVAL);
+        }
+
+        socket.on('end', function _onEnd() {
+            clearTimeout(timer);
+            socket.destroy();
+        });
+        socket.on('close', function _onClose() {
+            clearTimeout(timer);
+        });
+
+        send();
+    }, callback);
+}
+
+
+/*
+ * docker_build: opts.payload.command is 'build' or 'commit'. For a build the
+ * first connection sends the context tarball (which we keep, but don't look
+ * at), and the second is the event stream. A commit only has the latter.
+ *
+ * On the event stream we send the same events docker-build.js does: a few
+ * 'message's, an 'image_create' task for a single image with no layers, then
+ * a 'build_finished' (or 'commit_finished') task, then 'end'. Tasks have a
+ * messageId, and the client answers each with a 'callback' event.
+ */
+function build(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.payload, 'opts.payload');
+    assert.string(opts.payload.command, 'opts.payload.command');
+    assert.string(opts.root, 'opts.root');
+
+    var commandType = opts.payload.command;
+    var contextDone = (commandType === 'commit');
+    var contextDir = path.join(path.dirname(opts.root), 'config',
+        'docker-build');
+    var contextSocket;
+    var eventSocket;
+    var log = opts.log;
+    var messageId = 0;
+    var pending = {};
+
+    if (commandType !== 'build' && commandType !== 'commit') {
+        callback(new Error('Unknown command type: ' + commandType));
+        return;
+    }
+
+    function sendEvent(evt, cb) {
+        evt.messageId = messageId++;
+        if (cb) {
+            pending[evt.messageId] = cb;
+        }
+        eventSocket.write(JSON.stringify(evt) + '\n');
+    }
+
+    function onEventLine(line) {
+        var cb;
+        var evt;
+
+        try {
+            evt = JSON.parse(line);
+        } catch (e) {
+            log.error('invalid json from client: %s - ignoring', line);
+            return;
+        }
+
+        if (evt.type !== 'callback' || !pending[evt.messageId]) {
+            log.error({ event: evt }, 'unhandled client event - ignoring');
+            return;
+        }
+
+        cb = pending[evt.messageId];
+        delete pending[evt.messageId];
+        cb(evt.error ? new Error(evt.error) : null, evt.result);
+    }
+
+    // The first connection of a build sends the context.
+    function receiveContext(socket) {
+        mkdirp(contextDir, function _onMkdir(err) {
+            var out;
+
+            if (err) {
+                log.error({ err: err }, 'failed to create context dir');
+                socket.destroy();
+                return;
+            }
+
+            out = fs.createWriteStream(
+                path.join(contextDir, 'context.tar'));
+
+            out.on('error', function _onWriteError(writeErr) {
+                log.error({ err: writeErr }, 'failed to write context');
+                socket.destroy();
+            });
+
+            // The context has all been written once the client has ended the
+            // upload and we've flushed it.
+            socket.pipe(out);
+            out.on('finish', function _onContextEnd() {
+                log.info('build context received');
+                contextDone = true;
+                socket.end(JSON.stringify({
+                    message: 'Context received',
+                    messageId: messageId++,
+                    type: 'message'
+                }) + '\n');
+                if (eventSocket) {
+                    runBuild();
+                }
+            });
+        });
+    }
+
+    function runBuild() {
+        var config = {
+            architecture: 'amd64',
+            config: {
+                Cmd: null,
+                Env: null,
+                Labels: JSON.parse(opts.payload.labels || '{}')
+            },
+            created: new Date().toISOString(),
+            history: [ {
+                created: new Date().toISOString(),
+                created_by: 'cn-agent dummy ' + commandType,
+                empty_layer: true
+            } ],
+            os: 'linux',
+            rootfs: { diff_ids: [], type: 'layers' }
+        };
+        var configStr = JSON.stringify(config);
+        var configDigest = 'sha256:' +
+            crypto.createHash('sha256').update(configStr).digest('hex');
+        var manifestStr = JSON.stringify({
+            config: {
+                digest: configDigest,
+                mediaType: 'application/vnd.docker.container.image.v1+json',
+                size: configStr.length
+            },
+            layers: [],
+            mediaType: 'application/vnd.docker.distribution.manifest.v2+json',
+            schemaVersion: 2
+        });
+        var imageUuid = uuid.v4();
+
+        function onDone(err) {
+            var evt = { type: 'end' };
+
+            log.info({ err: err }, '%s finished', commandType);
+            if (err) {
+                evt.error = err.message;
+            }
+            sendEvent(evt);
+            eventSocket.end();
+        }
+
+        sendEvent({ message: 'Starting ' + commandType, type: 'message' });
+        sendEvent({
+            payload: {
+                config_digest: configDigest,
+                head: true,
+                image: config,
+                image_uuid: imageUuid,
+                manifest_digest: 'sha256:' + crypto.createHash('sha256')
+                    .update(manifestStr).digest('hex'),
+                manifest_str: manifestStr,
+                size: 0
+            },
+            type: 'image_create'
+        }, function _onImageCreated(err) {
+            if (err) {
+                onDone(err);
+                return;
+            }
+
+            sendEvent({
+                finalImageDigest: configDigest,
+                type: commandType + '_finished'
+            }, onDone);
+        });
+    }
+
+    listen({
+        connections: (commandType === 'build') ? 2 : 1,
+        host: opts.host,
+        log: log,
+        timeoutSeconds: opts.timeoutSeconds
+    }, function _onConnection(socket) {
+        var lstream;
+
+        if (commandType === 'build' && !contextSocket) {
+            contextSocket = socket;
+            receiveContext(socket);
+            return;
+        }
+
+        eventSocket = socket;
+        lstream = new LineStream({ encoding: 'utf8' });
+        lstream.on('readable', function _onReadable() {
+            var line;
+
+            while ((line = lstream.read()) !== null) {
+                onEventLine(line);
+            }
+        });
+        socket.pipe(lstream);
+
+        if (contextDone) {
+            runBuild();
+        }
+    }, callback);
+}
+
+
+module.exports = {
+    build: build,
+    copy: copy,
+    exec: exec,
+    stats: stats,
+    zonepath: zonepath
+};
@@ -0,0 +1,262 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Faults to inject into a mock CN, so that CNAPI and VMAPI can be tested
+ * against a cn-agent that fails in the ways a real one does. They're kept in
+ * SERVER_ROOT/<server>/faults.json, which looks like:
+ *
+ *     {
+ *         "heartbeat": <fault(s)>,
+ *         "status": <fault(s)>,
+ *         "tasks": {
+ *             "<task name>": <fault(s)>,
+ *             "*": <fault(s)>
+ *         }
+ *     }
+ *
+ * where each <fault(s)> is a fault or an array of them. The faults that
+ * apply to a task are those for its name followed by those for "*". A fault
+ * looks like:
+ *
+ *     {
+ *         "action": <see ACTIONS>,
+ *         "count": <times it's injected before being removed, default forever>,
+ *         "message": <the error message, for "fail">,
+ *         "probability": <of being injected each time, 0-1, default 1>,
+ *         "restCode": <the error's restCode, for a task's "fail">,
+ *         "seconds": <how long to "hang" for, default forever for a task>
+ *     }
+ *
+ * The first of the faults that applies which is chosen (according to its
+ * probability) is injected, so a fault with "count": 1 is a one-shot. The file
+ * is read each time, so it can be changed at any time without restarting
+ * anything.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var lock = require('qlocker').lock;
+var VError = require('verror').VError;
+
+var common = require('../common');
+
+
+// What each kind of fault can do:
+//
+//  crash: the task's worker process dies with an uncaught exception
+//  drop: the heartbeat isn't sent
+//  fail: the task fails, or the status can't be gathered
+//  hang: wait `seconds` before running the task, sending the heartbeat or
+//        gathering the status
+//
+var ACTIONS = {
+    heartbeat: [ 'drop', 'hang' ],
+    status: [ 'fail', 'hang' ],
+    task: [ 'crash', 'fail', 'hang' ]
+};
+
+
+function validateFault(type, fault) {
+    if (typeof (fault) !== 'object' || fault === null) {
+        return 'not an object';
+    }
+    if (ACTIONS[type].indexOf(fault.action) === -1) {
+        return 'action must be one of: ' + ACTIONS[type].join(', ');
+    }
+    if (fault.count !== undefined &&
+        (!Number.isInteger(fault.count) || fault.count < 1)) {
+
+        return 'count must be a positive integer';
+    }
+    if (fault.probability !== undefined &&
+        (typeof (fault.probability) !== 'number' ||
+        fault.probability < 0 || fault.probability > 1)) {
+
+        return 'probability must be between 0 and 1';
+    }
+    if (fault.seconds !== undefined &&
+        (typeof (fault.seconds) !== 'number' || fault.seconds < 0)) {
+
+        return 'seconds must be a non-negative number';
+    }
+    if (type !== 'task' && fault.action === 'hang' &&
+        fault.seconds === undefined) {
+
+        return 'seconds is required';
+    }
+
+    return null;
+}
+
+
+function DummyFaults(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.serverRoot, 'opts.serverRoot');
+    assert.uuid(opts.serverUuid, 'opts.serverUuid');
+
+    this.filename = path.join(opts.serverRoot || common.SERVER_ROOT,
+        opts.serverUuid, 'faults.json');
+    this.log = opts.log;
+}
+
+
+/*
+ * Calls callback(err, fault) with the fault to inject for a `type` ('task',
+ * 'heartbeat' or 'status'), or no fault if there's nothing to inject. For a
+ * task, `name` is its name. When the fault has a count, it's decremented (and
+ * the fault removed once it reaches 0) while holding a lock on the file, since
+ * tasks run in separate processes.
+ */
+DummyFaults.prototype.check = function check(type, name, callback) {
+    if (callback === undefined) {
+        callback = name;
+        name = undefined;
+    }
+
+    assert.ok(ACTIONS.hasOwnProperty(type), 'unknown type: ' + type);
+    assert.optionalString(name, 'name');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    // Most of the time there won't be a file, so there's no need to lock it.
+    fs.stat(self.filename, function _onStat(statErr) {
+        if (statErr && statErr.code === 'ENOENT') {
+            callback();
+            return;
+        } else if (statErr) {
+            callback(statErr);
+            return;
+        }
+
+        lock(self.filename + '.lock', function _onLock(lockErr, unlock) {
+            if (lockErr) {
+                callback(lockErr);
+                return;
+            }
+
+            self._check(type, name, function _onChecked(err, fault) {
+                unlock(function _onUnlock() {
+                    if (fault) {
+                        self.log.info({ fault: fault, name: name, type: type },
+                            'injecting fault');
+                    }
+                    callback(err, fault);
+                });
+            });
+        });
+    });
+};
+
+
+DummyFaults.prototype._check = function _check(type, name, callback) {
+    var self = this;
+
+    fs.readFile(self.filename, function _onRead(readErr, data) {
+        var candidates = [];
+        var chosen;
+        var config;
+        var fault;
+        var i;
+        var invalid;
+        var tmpFilename = self.filename + '.' + process.pid;
+
+        if (readErr && readErr.code === 'ENOENT') {
+            callback();
+            return;
+        } else if (readErr) {
+            callback(readErr);
+            return;
+        }
+
+        try {
+            config = JSON.parse(data.toString());
+        } catch (parseErr) {
+            callback(new VError(parseErr, 'parsing %s', self.filename));
+            return;
+        }
+
+        // Each candidate is the object and key its fault(s) are found at.
+        function addCandidates(parent, key) {
+            if (parent && parent.hasOwnProperty(key)) {
+                if (!Array.isArray(parent[key])) {
+                    parent[key] = [ parent[key] ];
+                }
+                parent[key].forEach(function (f, idx) {
+                    candidates.push({
+                        fault: f,
+                        index: idx,
+                        list: parent[key]
+                    });
+                });
+            }
+        }
+
+        if (type === 'task') {
+            addCandidates(config.tasks, name);
+            addCandidates(config.tasks, '*');
+        } else {
+            addCandidates(config, type);
+        }
+
+        for (i = 0; i < candidates.length; i++) {
+            invalid = validateFault(type, candidates[i].fault);
+
+            if (invalid) {
+                callback(new VError('%s: invalid %s fault: %s', self.filename,
+                    type, invalid));
+                return;
+            }
+        }
+
+        chosen = candidates.filter(function (c) {
+            var probability = c.fault.probability;
+
+            return (probability === undefined || Math.random() < probability);
+        })[0];
+
+        if (!chosen) {
+            callback();
+            return;
+        }
+
+        fault = JSON.parse(JSON.stringify(chosen.fault));
+        if (chosen.fault.count === undefined) {
+            callback(null, fault);
+            return;
+        }
+
+        chosen.fault.count--;
+        if (chosen.fault.count === 0) {
+            chosen.list.splice(chosen.index, 1);
+        }
+
+        fs.writeFile(tmpFilename, JSON.stringify(config, null, 2) + '\n',
+            function _onWrite(writeErr) {
+
+            if (writeErr) {
+                callback(writeErr);
+                return;
+            }
+            fs.rename(tmpFilename, self.filename, function _onRename(err) {
+                callback(err, err ? undefined : fault);
+            });
+        });
+    });
+};
+
+
+module.exports = {
+    DummyFaults: DummyFaults
+};
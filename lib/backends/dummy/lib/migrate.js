@@ -0,0 +1,1052 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The servers behind the dummy machine_migrate task's "sync" (on the source
+ * server) and "receive" (on the target server) actions. They speak the same
+ * line-delimited JSON protocol as the smartos backend's machine-migrate-send.js
+ * and machine-migrate-receive.js, so that VMAPI's migration workflows can drive
+ * them in the same way:
+ *
+ *  - VMAPI connects to the source's server and sends "sync" with the host and
+ *    port of the target's, and "watch" to get progress events.
+ *  - For each of the VM's datasets, the source asks the target which
+ *    migration snapshots it already has, takes the next one and sends
+ *    everything since the last one the target has ("sync" on the target).
+ *  - Once everything is sent, the source removes all but its latest migration
+ *    snapshots and the target's previous one, and tells the target to "stop".
+ *
+ * Rather than `zfs send` data, a sync sends the JSON of a stream from
+ * DummyZfs#send() and then ends the connection, and the target applies it to
+ * its own simulated pool. As receives are all or nothing, there's never a
+ * resume token. The transfer takes no time unless the payload has a
+ * zfs_send_mbps_limit, in which case it takes as long as sending the
+ * simulated data would at that rate, so there's progress to watch.
+ */
+
+var net = require('net');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var LineStream = require('lstream');
+var vasync = require('vasync');
+
+var mod_zfs = require('./zfs');
+
+var DummyZfs = mod_zfs.DummyZfs;
+
+
+var MEGABITS_TO_BYTES = 1000 * 1000 / 8;
+var PROGRESS_INTERVAL = 495;
+var SNAPSHOT_NAME_PREFIX = 'vm-migration-';
+var SYNC_ABORT_MSG = 'Sync was aborted';
+var VERSION = '1.0.0';
+
+
+function writeEvent(socket, event) {
+    if (!socket.destroyed) {
+        socket.write(JSON.stringify(event) + '\n');
+    }
+}
+
+
+function responseTo(event, fields) {
+    return jsprim.mergeObjects(fields, {
+        command: event.command,
+        eventId: event.eventId,
+        type: 'response'
+    });
+}
+
+
+function errorFor(event, message) {
+    return {
+        command: event.command,
+        eventId: event.eventId,
+        message: message,
+        type: 'error',
+        version: VERSION
+    };
+}
+
+
+/*
+ * Calls onCommand(event, socket, detach) for each JSON line from a connection,
+ * until detach() is called to have the rest of the connection's data to itself.
+ * Otherwise, the connection is ended once the client has ended it.
+ */
+function handleConnection(log, socket, onCommand) {
+    var commandStream = new LineStream();
+    var detached = false;
+
+    function detach() {
+        detached = true;
+        socket.unpipe(commandStream);
+    }
+
+    log.info('got connection from %j', socket.remoteAddress);
+
+    socket.on('error', function _onSocketError(err) {
+        log.warn({err: err}, 'socket error');
+    });
+    socket.on('end', function _onSocketEnd() {
+        if (!detached) {
+            socket.end();
+        }
+    });
+
+    socket.pipe(commandStream);
+    commandStream.on('readable', function _onReadable() {
+        var event;
+        var line;
+
+        while (!detached && (line = commandStream.read()) !== null) {
+            try {
+                event = JSON.parse(line);
+            } catch (ex) {
+                log.error('invalid json: %s - ignoring', line);
+                continue;
+            }
+
+            log.debug({event: event}, 'received command');
+            onCommand(event, socket, detach);
+        }
+    });
+}
+
+
+function listen(opts, onConnection, callback) {
+    var server = net.createServer({ allowHalfOpen: true });
+
+    server.on('connection', onConnection);
+    server.once('error', callback);
+    server.listen(0, opts.host, function _onListening() {
+        server.removeListener('error', callback);
+        opts.log.info('listening on %j', server.address());
+        callback(null, server);
+    });
+}
+
+
+/*
+ * Calls callback(err, names) with the names (after the @) of the snapshots of
+ * a dataset, oldest first, or with an empty array if there's no such dataset.
+ */
+function getSnapshotNames(zfs, dataset, callback) {
+    zfs.get(dataset, ['name'], true, function _onGet(err) {
+        if (err && err.message.indexOf('dataset does not exist') !== -1) {
+            callback(null, []);
+            return;
+        } else if (err) {
+            callback(err);
+            return;
+        }
+
+        zfs.get('', ['createtxg'], true, function _onGetAll(getErr, values) {
+            if (getErr) {
+                callback(getErr);
+                return;
+            }
+
+            callback(null, Object.keys(values).filter(function (n) {
+                return n.indexOf(dataset + '@') === 0;
+            }).sort(function (a, b) {
+                return values[a].createtxg - values[b].createtxg;
+            }).map(function (n) {
+                return n.split('@')[1];
+            }));
+        });
+    });
+}
+
+
+/*
+ * The datasets that make up a VM, each of which is synced separately. Those
+ * below its zfs_filesystem (bhyve disks, delegated datasets and so on) are
+ * sent along with it.
+ */
+function vmDatasets(vm) {
+    var datasets = [vm.zfs_filesystem];
+
+    if (vm.brand === 'kvm' && Array.isArray(vm.disks)) {
+        vm.disks.forEach(function _addDisk(disk) {
+            datasets.push(disk.zfs_filesystem);
+        });
+    }
+
+    return datasets;
+}
+
+
+/*
+ * As dummy VMs are created without any datasets, creates any of the VM's
+ * datasets that are missing from the simulated pool, so there's something to
+ * migrate.
+ */
+function ensureVmDatasets(zfs, vm, callback) {
+    assert.object(zfs, 'zfs');
+    assert.object(vm, 'vm');
+    assert.string(vm.zfs_filesystem, 'vm.zfs_filesystem');
+    assert.func(callback, 'callback');
+
+    var datasets = [ {
+        name: vm.zfs_filesystem,
+        properties: vm.quota ? { quota: vm.quota + 'G' } : {}
+    } ];
+
+    if (vm.brand === 'kvm' && Array.isArray(vm.disks)) {
+        vm.disks.forEach(function _addDisk(disk) {
+            datasets.push({
+                name: disk.zfs_filesystem,
+                properties: { volsize: (disk.size || 10240) + 'M' }
+            });
+        });
+    }
+
+    vasync.forEachPipeline({
+        inputs: datasets,
+        func: function _ensureDataset(ds, next) {
+            zfs.get(ds.name, ['name'], true, function _onGet(err) {
+                if (!err) {
+                    next();
+                    return;
+                }
+                zfs.create(ds.name, ds.properties, next);
+            });
+        }
+    }, function _onEnsured(err) {
+        callback(err);
+    });
+}
+
+
+// --- Receive (target server)
+
+
+/*
+ * Starts the server that receives datasets into serverUuid's pool, and calls
+ * callback(err, {event, host, pid, port}).
+ */
+function receive(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.host, 'opts.host');
+    assert.object(opts.log, 'opts.log');
+    assert.uuid(opts.serverUuid, 'opts.serverUuid');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+    var server;
+    var zfs = new DummyZfs({ log: log, serverUuid: opts.serverUuid });
+
+    function commandSync(event, socket, detach) {
+        var chunks = [];
+
+        assert.bool(event.isFirstSync, 'event.isFirstSync');
+        assert.bool(event.resumeSync, 'event.resumeSync');
+        assert.string(event.zfsFilesystem, 'event.zfsFilesystem');
+
+        function startReceive() {
+            // Everything else on this connection is the stream.
+            detach();
+            socket.on('data', function _onData(chunk) {
+                chunks.push(chunk);
+            });
+            // Unpiping paused it.
+            socket.resume();
+            socket.on('end', function _onEnd() {
+                var stream;
+
+                try {
+                    stream = JSON.parse(Buffer.concat(chunks).toString());
+                } catch (ex) {
+                    writeEvent(socket, errorFor(event,
+                        'zfs receive error: invalid stream'));
+                    socket.end();
+                    return;
+                }
+
+                zfs.receive(event.zfsFilesystem, stream,
+                    function _onReceive(err) {
+
+                    if (err) {
+                        log.error({err: err}, 'receive failed');
+                        writeEvent(socket, errorFor(event,
+                            'zfs receive exited with code: 1'));
+                    } else {
+                        writeEvent(socket, { type: 'sync-success' });
+                    }
+                    socket.end();
+                });
+            });
+
+            writeEvent(socket, responseTo(event));
+        }
+
+        // A first sync replaces whatever is there.
+        if (!event.isFirstSync || event.resumeSync) {
+            startReceive();
+            return;
+        }
+
+        zfs.destroy(event.zfsFilesystem, { recursive: true },
+            function _onDestroy(err) {
+
+            if (err && err.message.indexOf('dataset does not exist') === -1) {
+                writeEvent(socket, errorFor(event,
+                    'zfs destroy error: ' + err.message));
+                return;
+            }
+
+            startReceive();
+        });
+    }
+
+    function onCommand(event, socket, detach) {
+        switch (event.command) {
+        case 'stop':
+            server.close();
+            writeEvent(socket, responseTo(event));
+            socket.destroy();
+            break;
+        case 'ping':
+            writeEvent(socket, responseTo(event, {
+                pid: process.pid,
+                version: VERSION
+            }));
+            break;
+        case 'get-zfs-resume-token':
+            zfs.get(event.zfsFilesystem, ['name'], true, function (err) {
+                if (err && err.message.indexOf('does not exist') === -1) {
+                    writeEvent(socket, errorFor(event,
+                        'zfs get error: ' + err.message));
+                    return;
+                }
+                writeEvent(socket, responseTo(event, err ? {} : { token: '' }));
+            });
+            break;
+        case 'get-zfs-snapshot-names':
+            getSnapshotNames(zfs, event.zfsFilesystem,
+                function _onNames(err, names) {
+
+                if (err) {
+                    writeEvent(socket, errorFor(event,
+                        'zfs list snapshot error: ' + err.message));
+                    return;
+                }
+                writeEvent(socket, responseTo(event, { names: names }));
+            });
+            break;
+        case 'sync':
+            commandSync(event, socket, detach);
+            break;
+        case 'zfs-destroy':
+            zfs.destroy(event.zfsFilesystem, { recursive: true },
+                function _onDestroy(err) {
+
+                if (err && err.message.indexOf(
+                    'could not find any snapshots to destroy') === -1) {
+
+                    writeEvent(socket, errorFor(event, err.message));
+                    return;
+                }
+                writeEvent(socket, responseTo(event));
+            });
+            break;
+        case 'rate':
+        case 'status':
+            writeEvent(socket, errorFor(event, 'Not Implemented'));
+            break;
+        default:
+            log.error({event: event}, 'Unknown command');
+            writeEvent(socket, errorFor(event, 'Unknown command'));
+            break;
+        }
+    }
+
+    listen(opts, function _onConnection(socket) {
+        handleConnection(log, socket, onCommand);
+    }, function _onListening(err, _server) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        server = _server;
+        callback(null, {
+            event: 'setup completed',
+            host: opts.host,
+            pid: process.pid,
+            port: server.address().port
+        });
+    });
+}
+
+
+// --- Send (source server)
+
+
+/*
+ * A connection to the target's receive server, over which commands can be
+ * run and a stream sent. Any error (including unexpectedly losing the
+ * connection) is passed to whatever is waiting on it.
+ */
+function Receiver(opts) {
+    this.connectCallback = null;
+    this.endedSuccessfully = false;
+    this.eventId = 1;
+    this.log = opts.log;
+    this.pending = {};
+    this.socket = null;
+    this.syncCallback = null;
+}
+
+
+Receiver.prototype.connect = function connect(host, port, callback) {
+    var self = this;
+    var responseStream = new LineStream();
+
+    self.connectCallback = callback;
+    self.socket = net.connect({
+        allowHalfOpen: true,
+        host: host,
+        port: port
+    }, function _onConnect() {
+        self.connectCallback = null;
+        callback();
+    });
+
+    self.socket.on('error', function _onError(err) {
+        self.log.warn({err: err}, 'receiver socket error');
+        self._fail(err);
+    });
+    self.socket.on('end', function _onEnd() {
+        if (!self.endedSuccessfully) {
+            self._fail(new Error('No "sync-success" received from target ' +
+                'cn-agent process'));
+        }
+    });
+
+    self.socket.pipe(responseStream);
+    responseStream.on('readable', function _onReadable() {
+        var line;
+
+        while ((line = responseStream.read()) !== null) {
+            self._onEvent(line);
+        }
+    });
+};
+
+
+Receiver.prototype._onEvent = function _onEvent(line) {
+    var cb;
+    var err = null;
+    var event;
+
+    try {
+        event = JSON.parse(line);
+    } catch (ex) {
+        this.log.warn('Ignoring bad JSON line: %s', line);
+        return;
+    }
+
+    if (event.type === 'error') {
+        this.log.error({event: event}, 'received "error" event from target');
+        err = new Error(event.message);
+    }
+
+    if (this.syncCallback && (event.type === 'sync-success' || err)) {
+        this.endedSuccessfully = !err;
+        cb = this.syncCallback;
+        this.syncCallback = null;
+        cb(err);
+        return;
+    }
+
+    cb = this.pending[event.eventId];
+    delete this.pending[event.eventId];
+    if (cb) {
+        cb(err, event);
+    } else {
+        this.log.warn({event: event}, 'unexpected event from target');
+    }
+};
+
+
+/*
+ * Passes err to everything that's waiting on the connection.
+ */
+Receiver.prototype._fail = function _fail(err) {
+    var self = this;
+    var callbacks = Object.keys(self.pending).map(function (id) {
+        return self.pending[id];
+    });
+
+    [self.connectCallback, self.syncCallback].forEach(function (cb) {
+        if (cb) {
+            callbacks.push(cb);
+        }
+    });
+
+    self.connectCallback = null;
+    self.pending = {};
+    self.syncCallback = null;
+    self.socket.destroy();
+
+    callbacks.forEach(function (cb) {
+        cb(err);
+    });
+};
+
+
+Receiver.prototype.command = function command(event, callback) {
+    event.type = 'request';
+    event.eventId = this.eventId++;
+    this.pending[event.eventId] = callback;
+    writeEvent(this.socket, event);
+};
+
+
+/*
+ * Sends a stream after the "sync" command, and calls callback once it's been
+ * received.
+ */
+Receiver.prototype.sendStream = function sendStream(stream, callback) {
+    this.syncCallback = callback;
+    this.socket.end(JSON.stringify(stream));
+};
+
+
+Receiver.prototype.end = function end() {
+    this.endedSuccessfully = true;
+    this.socket.end();
+};
+
+
+/*
+ * Works out which migration snapshot to take and what it's sent from (as
+ * machine-migrate-send.js does), setting ctx.isFirstSync, ctx.snapshotName
+ * and ctx.prevSnapshotName. Returns an error if the snapshots on the source
+ * and target don't match up.
+ */
+function determineSnapshotNames(ctx) {
+    var prefixLen = SNAPSHOT_NAME_PREFIX.length;
+    var source = ctx.sourceSnapshotNames;
+    var target = ctx.targetSnapshotNames;
+
+    ctx.isFirstSync = (target.length === 0);
+    ctx.prevSnapshotName = '';
+    ctx.snapshotName = SNAPSHOT_NAME_PREFIX + '1';
+
+    if (source.length === 0) {
+        if (target.length > 0) {
+            return new Error('Migration snapshots already exist on the ' +
+                'target server');
+        }
+        return null;
+    }
+
+    ctx.prevSnapshotName = source[source.length - 1];
+    ctx.snapshotName = SNAPSHOT_NAME_PREFIX +
+        (Number(ctx.prevSnapshotName.substr(prefixLen)) + 1);
+
+    // If the target doesn't have the previous snapshot, that sync didn't
+    // finish, so send it again.
+    if (target.lastIndexOf(ctx.prevSnapshotName) === -1) {
+        ctx.snapshotName = ctx.prevSnapshotName;
+        if (source.length > 1) {
+            ctx.prevSnapshotName = source[source.length - 2];
+            if (target.lastIndexOf(ctx.prevSnapshotName) === -1) {
+                return new Error('Migration snapshots are missing from the ' +
+                    'target server');
+            }
+        } else {
+            ctx.isFirstSync = true;
+            ctx.prevSnapshotName = '';
+        }
+    }
+
+    if (target.lastIndexOf(ctx.snapshotName) !== -1) {
+        return new Error('Migration snapshots already exist on the target ' +
+            'server');
+    }
+
+    return null;
+}
+
+
+function Migration(opts) {
+    this.aborted = false;
+    this.currentProgress = 0;
+    this.log = opts.log;
+    this.payload = opts.payload;
+    this.syncing = false;
+    this.totalProgress = 100;
+    this.watchers = [];
+    this.zfs = new DummyZfs({ log: opts.log, serverUuid: opts.serverUuid });
+}
+
+
+/*
+ * The VM's uuid may be different on the target (which is only supported in
+ * non-production setups), and its datasets' names with it.
+ */
+Migration.prototype.targetDataset = function targetDataset(dataset) {
+    var record = this.payload.migrationTask.record;
+
+    return dataset.replace(record.vm_uuid, record.target_vm_uuid);
+};
+
+
+Migration.prototype.connect = function connect(callback) {
+    var receiver = new Receiver({ log: this.log });
+
+    if (this.aborted) {
+        callback(new Error(SYNC_ABORT_MSG));
+        return;
+    }
+
+    receiver.connect(this.host, this.port, function _onConnect(err) {
+        callback(err, receiver);
+    });
+};
+
+
+/*
+ * Works out what to send for a dataset, takes its next migration snapshot and
+ * gets the size of the stream.
+ */
+Migration.prototype.prepareDataset = function prepareDataset(ctx, callback) {
+    var self = this;
+
+    vasync.pipeline({ funcs: [
+        function getSourceNames(_, next) {
+            getSnapshotNames(self.zfs, ctx.zfsFilesystem,
+                function _onNames(err, names) {
+
+                ctx.sourceSnapshotNames = (names || []).filter(function (n) {
+                    return n.indexOf(SNAPSHOT_NAME_PREFIX) === 0;
+                });
+                next(err);
+            });
+        },
+        function getTargetNames(_, next) {
+            self.connect(function _onConnect(err, receiver) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                receiver.command({
+                    command: 'get-zfs-snapshot-names',
+                    zfsFilesystem: self.targetDataset(ctx.zfsFilesystem)
+                }, function _onNames(cmdErr, event) {
+                    receiver.end();
+                    if (cmdErr) {
+                        next(cmdErr);
+                        return;
+                    }
+
+                    ctx.targetSnapshotNames = (event.names || []).filter(
+                        function (n) {
+                        return n.indexOf(SNAPSHOT_NAME_PREFIX) === 0;
+                    });
+                    next(determineSnapshotNames(ctx));
+                });
+            });
+        },
+        function createSnapshot(_, next) {
+            if (self.aborted) {
+                next(new Error(SYNC_ABORT_MSG));
+                return;
+            }
+            if (ctx.sourceSnapshotNames.indexOf(ctx.snapshotName) !== -1) {
+                next();
+                return;
+            }
+
+            self.zfs.snapshot(ctx.zfsFilesystem + '@' + ctx.snapshotName,
+                { recursive: true }, function _onSnapshot(err) {
+
+                if (!err) {
+                    ctx.sourceSnapshotNames.push(ctx.snapshotName);
+                }
+                next(err);
+            });
+        },
+        function getStream(_, next) {
+            self.zfs.send(ctx.zfsFilesystem + '@' + ctx.snapshotName, {
+                from: ctx.isFirstSync ? undefined : ctx.prevSnapshotName
+            }, function _onSend(err, stream) {
+                ctx.stream = stream;
+                next(err);
+            });
+        }
+    ]}, function _onPrepared(err) {
+        callback(err);
+    });
+};
+
+
+/*
+ * Simulates sending `size` bytes, advancing the progress as it goes.
+ */
+Migration.prototype.transfer = function transfer(size, callback) {
+    var self = this;
+    var bytesPerInterval;
+    var intervalId;
+    var mbps = self.payload.zfs_send_mbps_limit;
+    var remaining = size;
+
+    if (!mbps) {
+        self.currentProgress += size;
+        setImmediate(callback);
+        return;
+    }
+
+    bytesPerInterval = mbps * MEGABITS_TO_BYTES * PROGRESS_INTERVAL / 1000;
+    intervalId = setInterval(function _onInterval() {
+        var sent = Math.min(remaining, bytesPerInterval);
+
+        if (self.aborted) {
+            clearInterval(intervalId);
+            callback(new Error(SYNC_ABORT_MSG));
+            return;
+        }
+
+        remaining -= sent;
+        self.currentProgress += sent;
+        if (remaining <= 0) {
+            clearInterval(intervalId);
+            callback();
+        }
+    }, PROGRESS_INTERVAL);
+};
+
+
+Migration.prototype.syncDataset = function syncDataset(ctx, callback) {
+    var self = this;
+
+    self.connect(function _onConnect(err, receiver) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        receiver.command({
+            command: 'sync',
+            isFirstSync: ctx.isFirstSync,
+            resumeSync: false,
+            zfsFilesystem: self.targetDataset(ctx.zfsFilesystem)
+        }, function _onSyncReady(cmdErr) {
+            if (cmdErr) {
+                receiver.end();
+                callback(cmdErr);
+                return;
+            }
+
+            self.transfer(ctx.stream.size, function _onTransferred(xferErr) {
+                if (xferErr) {
+                    receiver.socket.destroy();
+                    callback(xferErr);
+                    return;
+                }
+
+                receiver.sendStream(ctx.stream, callback);
+            });
+        });
+    });
+};
+
+
+/*
+ * After a successful sync, only the latest migration snapshot is kept on each
+ * side.
+ */
+Migration.prototype.cleanupDataset = function cleanupDataset(ctx, callback) {
+    var self = this;
+
+    vasync.pipeline({ funcs: [
+        function cleanupSource(_, next) {
+            vasync.forEachPipeline({
+                inputs: ctx.sourceSnapshotNames.slice(0, -1),
+                func: function _destroySnapshot(name, cb) {
+                    self.zfs.destroy(ctx.zfsFilesystem + '@' + name,
+                        { recursive: true }, function _onDestroy(err) {
+
+                        if (err && err.message.indexOf(
+                            'could not find any snapshots') !== -1) {
+
+                            err = null;
+                        }
+                        cb(err);
+                    });
+                }
+            }, next);
+        },
+        function cleanupTarget(_, next) {
+            if (ctx.isFirstSync) {
+                next();
+                return;
+            }
+
+            self.connect(function _onConnect(err, receiver) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                receiver.command({
+                    command: 'zfs-destroy',
+                    zfsFilesystem: self.targetDataset(ctx.zfsFilesystem) +
+                        '@' + ctx.prevSnapshotName
+                }, function _onDestroyed(cmdErr) {
+                    receiver.end();
+                    next(cmdErr);
+                });
+            });
+        }
+    ]}, function _onCleanedUp(err) {
+        callback(err);
+    });
+};
+
+
+Migration.prototype.run = function run(event, callback) {
+    var self = this;
+    var contexts = vmDatasets(self.payload.vm).sort().map(function (ds) {
+        return { zfsFilesystem: ds };
+    });
+
+    assert.string(event.host, 'event.host');
+    assert.number(event.port, 'event.port');
+
+    self.host = event.host;
+    self.port = event.port;
+
+    function forEachDataset(func, next) {
+        vasync.forEachPipeline({
+            inputs: contexts,
+            func: func.bind(self)
+        }, function _onDone(err) {
+            next(err);
+        });
+    }
+
+    vasync.pipeline({ funcs: [
+        function prepare(_, next) {
+            ensureVmDatasets(self.zfs, self.payload.vm, function (err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                forEachDataset(self.prepareDataset, next);
+            });
+        },
+        function sync(_, next) {
+            self.totalProgress = contexts.reduce(function (total, ctx) {
+                return total + ctx.stream.size;
+            }, 0);
+            forEachDataset(self.syncDataset, next);
+        },
+        function cleanup(_, next) {
+            // The estimates were exact, but keep to what was actually sent.
+            self.totalProgress = self.currentProgress;
+            forEachDataset(self.cleanupDataset, next);
+        }
+    ]}, function _onSynced(err) {
+        // Always tell the target we're done with it.
+        self.connect(function _onConnect(connectErr, receiver) {
+            if (connectErr) {
+                self.log.warn({err: connectErr},
+                    'Error shutting down receiver - ignoring');
+                callback(err);
+                return;
+            }
+
+            receiver.command({ command: 'stop' }, function _onStopped() {
+                receiver.end();
+                callback(err);
+            });
+        });
+    });
+};
+
+
+/*
+ * Sends a progress event to the watchers every second that progress was made,
+ * and at least once a minute to keep their connections alive.
+ */
+Migration.prototype.watch = function watch(socket) {
+    var self = this;
+    var lastMs = Date.now();
+    var lastProgress = self.currentProgress;
+    var lastSpeed = 0;
+    var loopCount = 0;
+
+    if (self.watchers.indexOf(socket) === -1) {
+        self.watchers.push(socket);
+        socket.once('close', function _onClose() {
+            self.watchers.splice(self.watchers.indexOf(socket), 1);
+        });
+    }
+
+    if (self.watchIntervalId) {
+        return;
+    }
+
+    self.watchIntervalId = setInterval(function _onWatchInterval() {
+        var avgSpeed;
+        var isMinute;
+        var line;
+        var ms = Date.now();
+        var progressMade = self.currentProgress - lastProgress;
+        var speed = progressMade / Math.max(1, ms - lastMs) * 1000;
+
+        loopCount = (loopCount + 1) % 60;
+        isMinute = (loopCount === 0);
+        avgSpeed = (speed + lastSpeed) / 2;
+        lastMs = ms;
+        lastProgress = self.currentProgress;
+        lastSpeed = speed;
+
+        if (!isMinute && !progressMade) {
+            return;
+        }
+
+        line = JSON.stringify({
+            current_progress: self.currentProgress,
+            eta_ms: Math.round(Math.max(self.totalProgress -
+                self.currentProgress, 5000) / Math.max(1, avgSpeed) * 1000),
+            phase: 'sync',
+            state: 'running',
+            store: isMinute,
+            total_progress: Math.max(self.currentProgress,
+                self.totalProgress),
+            transfer_bytes_second: Math.round(avgSpeed),
+            type: 'progress'
+        }) + '\n';
+        self.watchers.forEach(function _sendProgress(watcher) {
+            watcher.write(line);
+        });
+    }, 1000);
+};
+
+
+Migration.prototype.end = function end() {
+    this.aborted = true;
+    clearInterval(this.watchIntervalId);
+    this.watchers.forEach(function _destroyWatcher(socket) {
+        socket.destroy();
+    });
+};
+
+
+/*
+ * Starts the server that syncs the VM in opts.payload from serverUuid's pool
+ * to the target's, and calls callback(err, {event, host, pid, port}).
+ */
+function send(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.host, 'opts.host');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.payload, 'opts.payload');
+    assert.object(opts.payload.migrationTask, 'opts.payload.migrationTask');
+    assert.object(opts.payload.migrationTask.record,
+        'opts.payload.migrationTask.record');
+    assert.object(opts.payload.vm, 'opts.payload.vm');
+    assert.uuid(opts.serverUuid, 'opts.serverUuid');
+    assert.func(callback, 'callback');
+
+    var log = opts.log;
+    var migration = new Migration(opts);
+    var server;
+
+    function endProcess() {
+        migration.end();
+        server.close();
+    }
+
+    function onCommand(event, socket) {
+        switch (event.command) {
+        case 'end':
+        case 'stop':
+            writeEvent(socket, responseTo(event));
+            endProcess();
+            break;
+        case 'ping':
+            writeEvent(socket, responseTo(event, {
+                pid: process.pid,
+                version: VERSION
+            }));
+            break;
+        case 'set-record':
+            assert.object(event.record, 'event.record');
+            opts.payload.migrationTask.record = event.record;
+            writeEvent(socket, responseTo(event));
+            break;
+        case 'sync':
+            if (migration.syncing) {
+                writeEvent(socket, errorFor(event,
+                    'sync error: sync handler was already configured'));
+                endProcess();
+                return;
+            }
+
+            migration.syncing = true;
+            migration.watch(socket);
+            migration.run(event, function _onSynced(err) {
+                if (err) {
+                    log.error({err: err}, 'sync failed - ending process');
+                    writeEvent(socket, errorFor(event,
+                        'sync error: ' + err.message));
+                    endProcess();
+                    return;
+                }
+
+                log.info('sync command finished successfully');
+                writeEvent(socket, responseTo(event));
+            });
+            break;
+        case 'watch':
+            migration.watch(socket);
+            break;
+        default:
+            log.error({event: event}, 'Unhandled socket event - ignoring');
+            break;
+        }
+    }
+
+    listen(opts, function _onConnection(socket) {
+        handleConnection(log, socket, onCommand);
+    }, function _onListening(err, _server) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        server = _server;
+        callback(null, {
+            event: 'setup completed',
+            host: opts.host,
+            pid: process.pid,
+            port: server.address().port
+        });
+    });
+}
+
+
+module.exports = {
+    ensureVmDatasets: ensureVmDatasets,
+    getSnapshotNames: getSnapshotNames,
+    receive: receive,
+    send: send,
+    SNAPSHOT_NAME_PREFIX: SNAPSHOT_NAME_PREFIX,
+    vmDatasets: vmDatasets
+};
@@ -0,0 +1,99 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The Task that the dummy backend's tasks are created from. It's the usual
+ * Task (see lib/task_agent/task.js), except that when a task starts, a task
+ * fault for its server (see faults.js) may be injected instead of running it:
+ *
+ *  crash -- the task's worker process dies with an uncaught exception
+ *  fail  -- the task fails with the fault's message (and restCode)
+ *  hang  -- the task runs `seconds` late, or never if that isn't set (so that
+ *           it times out)
+ */
+
+var DummyFaults = require('./faults').DummyFaults;
+var Task = require('../../../task_agent/task');
+
+
+function DummyTask(req) {
+    Task.call(this, req);
+}
+
+
+/*
+ * Calls fn (the task's start function) unless there's a fault to inject
+ * instead.
+ */
+function startOrInjectFault(task, fn, args) {
+    var faults;
+    var req = task.req;
+
+    if (!req.sysinfo || !req.sysinfo.UUID) {
+        fn.apply(task, args);
+        return;
+    }
+
+    faults = new DummyFaults({
+        log: task.log,
+        serverUuid: req.sysinfo.UUID
+    });
+
+    faults.check('task', req.task, function _onFault(err, fault) {
+        if (err) {
+            task.log.warn({ err: err }, 'failed to check for task faults');
+        }
+
+        if (!fault) {
+            fn.apply(task, args);
+            return;
+        }
+
+        task.log.warn({ fault: fault }, 'injecting fault into task');
+
+        switch (fault.action) {
+            case 'crash':
+                throw new Error('Injected crash in ' + req.task);
+            case 'fail':
+                task.fatal(fault.message || 'Injected failure',
+                    (fault.restCode ? { restCode: fault.restCode } :
+                    undefined));
+                break;
+            case 'hang':
+                if (fault.seconds !== undefined) {
+                    setTimeout(function _startLate() {
+                        fn.apply(task, args);
+                    }, fault.seconds * 1000);
+                }
+                break;
+            default:
+                fn.apply(task, args);
+                break;
+        }
+    });
+}
+
+
+/*
+ * Like Task.createTask(), except that faults may be injected when the task
+ * starts.
+ */
+DummyTask.createTask = function createTask(task) {
+    Task.createTask(task);
+
+    task.setStart = function setStart(fn) {
+        Task.setStart.call(this, function _start() {
+            startOrInjectFault(this, fn, arguments);
+        });
+    };
+};
+
+
+module.exports = DummyTask;
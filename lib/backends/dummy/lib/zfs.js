@@ -0,0 +1,1216 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A simulated zpool for a mock CN, with the subset of the node-zfs interface
+ * that the zfs_* tasks and the status reporter use. The pool's datasets are
+ * kept in SERVER_ROOT/<server>/zfs.json, which is created with a fresh pool
+ * laid out like a SmartOS CN's the first time anything is changed. Every
+ * change takes a lock on the file, since tasks run in separate processes.
+ *
+ * Nothing is actually stored, so each filesystem and volume just has a number
+ * of bytes it refers to, which starts out small and can be changed with
+ * write(). Everything else is worked out from those and the datasets'
+ * properties in the same way as ZFS does (near enough):
+ *
+ *  - a snapshot refers to what its dataset did when it was taken, and uses
+ *    whatever the dataset (or the next snapshot) no longer refers to
+ *  - a clone uses only what it refers to beyond its origin snapshot
+ *  - a dataset's used is that plus its snapshots' and children's used, plus
+ *    any unused refreservation, and a volume has a refreservation of its
+ *    volsize unless told otherwise
+ *  - what's available is what's free in the pool, limited by the quotas of
+ *    the dataset and its ancestors
+ *
+ * and quotas and the pool's size are enforced. All numbers are returned as
+ * exact byte counts (as with `zfs get -p`), in strings.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var lock = require('qlocker').lock;
+var VError = require('verror').VError;
+
+var common = require('../common');
+
+
+var POOL = 'zones';
+var POOL_SIZE = 1024 * 1024 * 1024 * 1024;  // 1 TiB
+// What a new filesystem and volume refer to.
+var EMPTY_FILESYSTEM = 24 * 1024;
+var EMPTY_VOLUME = 8 * 1024;
+// The datasets in a new pool other than the pool's own, and what they refer
+// to. These all count as system_used_bytes in the disk usage.
+var SYSTEM_DATASETS = {
+    'zones/config': 64 * 1024,
+    'zones/cores': 32 * 1024,
+    'zones/opt': 512 * 1024 * 1024,
+    'zones/usbkey': 128 * 1024,
+    'zones/var': 2 * 1024 * 1024 * 1024
+};
+
+// The columns of `zfs list` and `zpool list`, as node-zfs has them.
+var LIST_FIELDS = ['name', 'used', 'avail', 'refer', 'type', 'mountpoint'];
+var POOL_LIST_FIELDS = ['name', 'size', 'allocated', 'free', 'cap', 'health',
+    'altroot'];
+
+// The short names zfs accepts for properties.
+var ALIASES = {
+    avail: 'available',
+    compress: 'compression',
+    refer: 'referenced',
+    refreserv: 'refreservation',
+    reserv: 'reservation',
+    volblock: 'volblocksize'
+};
+// Properties returned by `zfs get all`, by dataset type.
+var PROPERTIES = {
+    filesystem: ['type', 'creation', 'used', 'available', 'referenced',
+        'compressratio', 'mounted', 'quota', 'reservation', 'recordsize',
+        'mountpoint', 'compression', 'atime', 'readonly', 'canmount',
+        'origin', 'usedbysnapshots', 'usedbydataset', 'usedbychildren',
+        'usedbyrefreservation', 'refquota', 'refreservation'],
+    snapshot: ['type', 'creation', 'used', 'referenced', 'compressratio',
+        'clones', 'createtxg'],
+    volume: ['type', 'creation', 'used', 'available', 'referenced',
+        'compressratio', 'reservation', 'volsize', 'volblocksize',
+        'compression', 'readonly', 'origin', 'usedbysnapshots',
+        'usedbydataset', 'usedbychildren', 'usedbyrefreservation',
+        'refreservation']
+};
+// The properties that can be set, and their defaults (mountpoint's is worked
+// out from the dataset's name).
+var SETTABLE = {
+    atime: 'on',
+    canmount: 'on',
+    compression: 'off',
+    mountpoint: null,
+    quota: 0,
+    readonly: 'off',
+    recordsize: 131072,
+    refquota: 0,
+    refreservation: 0,
+    reservation: 0,
+    volblocksize: 8192,
+    volsize: 0
+};
+var SIZE_PROPERTIES = ['quota', 'recordsize', 'refquota', 'refreservation',
+    'reservation', 'volblocksize', 'volsize'];
+// Properties a dataset gets from its parent unless set on it.
+var INHERITED = ['atime', 'compression', 'readonly'];
+
+var NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.:-]*$/;
+var SIZE_RE = /^(\d+(?:\.\d+)?)([KMGTP]?)B?$/i;
+
+
+function parseSize(value) {
+    var match;
+
+    if (typeof (value) === 'number') {
+        return value;
+    }
+    if (value === 'none') {
+        return 0;
+    }
+
+    match = String(value).match(SIZE_RE);
+    if (!match) {
+        return NaN;
+    }
+
+    return Math.round(Number(match[1]) *
+        Math.pow(1024, ' KMGTP'.indexOf(match[2].toUpperCase() || ' ')));
+}
+
+
+function parentName(name) {
+    var idx = name.lastIndexOf('/');
+
+    return (idx === -1) ? null : name.slice(0, idx);
+}
+
+
+function validName(name) {
+    var parts = name.split('@');
+
+    if (parts.length > 2 || (parts.length === 2 && !NAME_RE.test(parts[1]))) {
+        return false;
+    }
+
+    parts = parts[0].split('/');
+    return parts[0] === POOL && parts.every(function (part) {
+        return NAME_RE.test(part);
+    });
+}
+
+
+function newState() {
+    var now = Math.floor(Date.now() / 1000);
+    var state = {
+        datasets: {},
+        pool: { name: POOL, size: POOL_SIZE },
+        txg: 1
+    };
+
+    state.datasets[POOL] = {
+        creation: now,
+        properties: { mountpoint: '/' + POOL },
+        referenced: EMPTY_FILESYSTEM,
+        type: 'filesystem'
+    };
+    Object.keys(SYSTEM_DATASETS).forEach(function (name) {
+        state.datasets[name] = {
+            creation: now,
+            properties: {},
+            referenced: SYSTEM_DATASETS[name],
+            type: 'filesystem'
+        };
+    });
+
+    return state;
+}
+
+
+/*
+ * Works out the space used and available for every dataset in the state.
+ * Returns an object of dataset name -> {available, used, usedby*}.
+ */
+function computeSpace(state) {
+    var datasets = state.datasets;
+    var names = Object.keys(datasets);
+    var space = {};
+
+    function snapshotsOf(name) {
+        return names.filter(function (n) {
+            return n.indexOf(name + '@') === 0;
+        }).sort(function (a, b) {
+            return datasets[a].createtxg - datasets[b].createtxg;
+        });
+    }
+
+    function used(name) {
+        var ds = datasets[name];
+        var snaps;
+        var s;
+
+        if (ds.type === 'snapshot') {
+            // Filled in by the dataset the snapshot is of.
+            used(name.split('@')[0]);
+            return space[name].used;
+        }
+
+        if (space[name]) {
+            return space[name].used;
+        }
+
+        s = space[name] = {};
+
+        s.usedbydataset = ds.referenced;
+        if (ds.origin) {
+            s.usedbydataset = Math.max(0,
+                ds.referenced - datasets[ds.origin].referenced);
+        }
+
+        s.usedbysnapshots = 0;
+        snaps = snapshotsOf(name);
+        snaps.forEach(function (snap, idx) {
+            var next = (idx + 1 < snaps.length) ?
+                datasets[snaps[idx + 1]] : ds;
+
+            space[snap] = {
+                used: Math.max(0, datasets[snap].referenced - next.referenced)
+            };
+            s.usedbysnapshots += space[snap].used;
+        });
+
+        s.usedbychildren = 0;
+        names.forEach(function (n) {
+            if (datasets[n].type !== 'snapshot' && parentName(n) === name) {
+                s.usedbychildren += used(n);
+            }
+        });
+
+        s.usedbyrefreservation = Math.max(0,
+            (ds.properties.refreservation || 0) - s.usedbydataset);
+        s.used = s.usedbydataset + s.usedbysnapshots + s.usedbychildren +
+            s.usedbyrefreservation;
+
+        return s.used;
+    }
+
+    names.forEach(used);
+
+    names.forEach(function (name) {
+        var ds = datasets[name];
+        var avail;
+        var a;
+        var quota;
+
+        if (ds.type === 'snapshot') {
+            return;
+        }
+
+        // Any unused refreservation is already set aside for this dataset.
+        avail = state.pool.size - space[POOL].used +
+            space[name].usedbyrefreservation;
+        for (a = name; a !== null; a = parentName(a)) {
+            quota = datasets[a].properties.quota || 0;
+            if (quota > 0) {
+                avail = Math.min(avail, quota - space[a].used);
+            }
+        }
+        if (ds.properties.refquota > 0) {
+            avail = Math.min(avail, ds.properties.refquota - ds.referenced);
+        }
+
+        space[name].available = Math.max(0, avail);
+    });
+
+    return space;
+}
+
+
+/*
+ * Returns an error if the state is using more space than the pool has, or any
+ * dataset is using more than its quota allows.
+ */
+function checkSpace(state, what) {
+    var space = computeSpace(state);
+    var over;
+
+    if (space[POOL].used > state.pool.size) {
+        return new VError('%s: out of space', what);
+    }
+
+    over = Object.keys(state.datasets).filter(function (name) {
+        var quota = state.datasets[name].properties.quota || 0;
+
+        return quota > 0 && space[name].used > quota;
+    });
+    if (over.length > 0) {
+        return new VError('%s: out of space (quota of %s exceeded)', what,
+            over[0]);
+    }
+
+    return null;
+}
+
+
+function propertyValue(state, space, name, prop) {
+    var a;
+    var ds = state.datasets[name];
+    var props = ds.properties;
+    var s = space[name];
+
+    switch (prop) {
+    case 'name':
+        return name;
+    case 'type':
+    case 'creation':
+    case 'createtxg':
+        return String(ds[prop]);
+    case 'referenced':
+        return String(ds.referenced);
+    case 'used':
+    case 'available':
+    case 'usedbysnapshots':
+    case 'usedbydataset':
+    case 'usedbychildren':
+    case 'usedbyrefreservation':
+        return (s[prop] === undefined) ? '-' : String(s[prop]);
+    case 'compressratio':
+        return '1.00x';
+    case 'mounted':
+        return (ds.type === 'filesystem') ? 'yes' : '-';
+    case 'origin':
+        return ds.origin || '-';
+    case 'clones':
+        return Object.keys(state.datasets).filter(function (n) {
+            return state.datasets[n].origin === name;
+        }).join(',');
+    case 'mountpoint':
+        if (ds.type !== 'filesystem') {
+            return '-';
+        }
+        // Inherited as the ancestor's mountpoint plus the rest of our name.
+        a = name;
+        while (!state.datasets[a].properties.mountpoint) {
+            a = parentName(a);
+        }
+        return path.join(state.datasets[a].properties.mountpoint,
+            name.slice(a.length));
+    default:
+        break;
+    }
+
+    if (PROPERTIES[ds.type].indexOf(prop) === -1 && prop.indexOf(':') === -1) {
+        return '-';
+    }
+
+    if (INHERITED.indexOf(prop) !== -1 || prop.indexOf(':') !== -1) {
+        for (a = name.split('@')[0]; a !== null; a = parentName(a)) {
+            if (state.datasets[a].properties.hasOwnProperty(prop)) {
+                return String(state.datasets[a].properties[prop]);
+            }
+        }
+        return (prop.indexOf(':') === -1) ? String(SETTABLE[prop]) : '-';
+    }
+
+    return String(props.hasOwnProperty(prop) ? props[prop] : SETTABLE[prop]);
+}
+
+
+function DummyZfs(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.serverRoot, 'opts.serverRoot');
+    assert.uuid(opts.serverUuid, 'opts.serverUuid');
+
+    this.filename = path.join(opts.serverRoot || common.SERVER_ROOT,
+        opts.serverUuid, 'zfs.json');
+    this.log = opts.log;
+}
+
+
+DummyZfs.prototype._load = function _load(callback) {
+    var self = this;
+
+    fs.readFile(self.filename, function _onRead(err, data) {
+        var state;
+
+        if (err && err.code === 'ENOENT') {
+            callback(null, newState());
+            return;
+        } else if (err) {
+            callback(err);
+            return;
+        }
+
+        try {
+            state = JSON.parse(data.toString());
+        } catch (parseErr) {
+            callback(new VError(parseErr, 'parsing %s', self.filename));
+            return;
+        }
+
+        callback(null, state);
+    });
+};
+
+
+/*
+ * Calls changeFn(state) with the pool's state while holding the lock, and if
+ * it doesn't return an error, saves the (changed) state.
+ */
+DummyZfs.prototype._modify = function _modify(changeFn, callback) {
+    var self = this;
+
+    lock(self.filename + '.lock', function _onLock(lockErr, unlock) {
+        if (lockErr) {
+            callback(lockErr);
+            return;
+        }
+
+        function done(err) {
+            unlock(function _onUnlock() {
+                callback(err);
+            });
+        }
+
+        self._load(function _onLoad(loadErr, state) {
+            var err;
+            var tmpFilename = self.filename + '.' + process.pid;
+
+            if (loadErr) {
+                done(loadErr);
+                return;
+            }
+
+            err = changeFn(state);
+            if (err) {
+                done(err);
+                return;
+            }
+
+            fs.writeFile(tmpFilename, JSON.stringify(state, null, 2) + '\n',
+                function _onWrite(writeErr) {
+
+                if (writeErr) {
+                    done(writeErr);
+                    return;
+                }
+                fs.rename(tmpFilename, self.filename, done);
+            });
+        });
+    });
+};
+
+
+/*
+ * Creates filesystem `name`, or a volume if `properties` has a volsize.
+ */
+DummyZfs.prototype.create = function create(name, properties, callback) {
+    if (typeof (properties) === 'function') {
+        callback = properties;
+        properties = {};
+    }
+
+    assert.string(name, 'name');
+    assert.object(properties, 'properties');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var what = 'cannot create \'' + name + '\'';
+
+    self._modify(function _create(state) {
+        var err;
+        var parent = parentName(name);
+        var ds = {
+            creation: Math.floor(Date.now() / 1000),
+            properties: {},
+            referenced: EMPTY_FILESYSTEM,
+            type: 'filesystem'
+        };
+
+        if (!validName(name) || name.indexOf('@') !== -1 || !parent) {
+            return new VError('%s: invalid dataset name', what);
+        }
+        if (state.datasets[name]) {
+            return new VError('%s: dataset already exists', what);
+        }
+        if (!state.datasets[parent] ||
+            state.datasets[parent].type !== 'filesystem') {
+
+            return new VError('%s: parent does not exist', what);
+        }
+
+        if (properties.volsize !== undefined) {
+            ds.type = 'volume';
+            ds.referenced = EMPTY_VOLUME;
+            ds.properties.refreservation = parseSize(properties.volsize);
+        }
+        state.datasets[name] = ds;
+
+        err = setProperties(state, name, properties, what);
+        if (err) {
+            return err;
+        }
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * Destroys a dataset or snapshot. With opts.recursive (`zfs destroy -r`) a
+ * dataset's descendants and snapshots go too, and a snapshot is destroyed in
+ * the dataset's descendants as well.
+ */
+DummyZfs.prototype.destroy = function destroy(name, opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    assert.string(name, 'name');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.recursive, 'opts.recursive');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot destroy \'' + name + '\'';
+
+    this._modify(function _destroy(state) {
+        var dsName = name.split('@')[0];
+        var names = Object.keys(state.datasets);
+        var targets = [name];
+
+        if (opts.recursive && name.indexOf('@') !== -1) {
+            targets = names.filter(function (n) {
+                return n.split('@')[1] === name.split('@')[1] &&
+                    (n.indexOf(dsName + '@') === 0 ||
+                    n.indexOf(dsName + '/') === 0);
+            });
+            if (targets.length === 0) {
+                return new VError('%s: could not find any snapshots to ' +
+                    'destroy; check snapshot names.', what);
+            }
+        } else if (!state.datasets[name]) {
+            return new VError('%s: dataset does not exist', what);
+        } else if (opts.recursive) {
+            targets = names.filter(function (n) {
+                return n === name || n.indexOf(name + '/') === 0 ||
+                    n.indexOf(name + '@') === 0;
+            });
+        }
+
+        if (name === POOL) {
+            return new VError('%s: operation does not apply to pools', what);
+        }
+        if (names.some(function (n) {
+            var base = n.split('@')[0];
+
+            return targets.indexOf(n) === -1 &&
+                (targets.indexOf(base) !== -1 ||
+                (base === n && targets.indexOf(parentName(n)) !== -1));
+        })) {
+            return new VError('%s: filesystem has children', what);
+        }
+        if (names.some(function (n) {
+            return targets.indexOf(n) === -1 &&
+                targets.indexOf(state.datasets[n].origin) !== -1;
+        })) {
+            return new VError('%s: snapshot has dependent clones', what);
+        }
+
+        targets.forEach(function (n) {
+            delete state.datasets[n];
+        });
+        return null;
+    }, callback);
+};
+
+
+/*
+ * Renames a dataset along with its descendants and snapshots, or renames a
+ * snapshot (in which case newname must be of the same dataset).
+ */
+DummyZfs.prototype.rename = function rename(name, newname, callback) {
+    assert.string(name, 'name');
+    assert.string(newname, 'newname');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot rename \'' + name + '\'';
+
+    this._modify(function _rename(state) {
+        var isSnapshot = (name.indexOf('@') !== -1);
+        var parent = parentName(newname.split('@')[0]);
+
+        if (!state.datasets[name]) {
+            return new VError('%s: dataset does not exist', what);
+        }
+        if (!validName(newname) || name === POOL) {
+            return new VError('%s: invalid dataset name', what);
+        }
+        if (isSnapshot !== (newname.indexOf('@') !== -1) || (isSnapshot &&
+            name.split('@')[0] !== newname.split('@')[0])) {
+
+            return new VError('%s: snapshots must be part of same dataset',
+                what);
+        }
+        if (state.datasets[newname]) {
+            return new VError('%s: dataset already exists', what);
+        }
+        if (!isSnapshot && (newname.indexOf(name + '/') === 0 ||
+            !state.datasets[parent] ||
+            state.datasets[parent].type !== 'filesystem')) {
+
+            return new VError('%s: invalid new parent', what);
+        }
+
+        Object.keys(state.datasets).forEach(function (n) {
+            var ds = state.datasets[n];
+            var renamed;
+
+            if (n === name || n.indexOf(name + '/') === 0 ||
+                n.indexOf(name + '@') === 0) {
+
+                renamed = newname + n.slice(name.length);
+                delete state.datasets[n];
+                state.datasets[renamed] = ds;
+            }
+        });
+
+        // Keep clones pointing at their (possibly renamed) origins.
+        Object.keys(state.datasets).forEach(function (n) {
+            var origin = state.datasets[n].origin;
+
+            if (origin && (origin === name ||
+                origin.indexOf(name + '/') === 0 ||
+                origin.indexOf(name + '@') === 0)) {
+
+                state.datasets[n].origin = newname + origin.slice(name.length);
+            }
+        });
+
+        return null;
+    }, callback);
+};
+
+
+/*
+ * Takes a snapshot, of the dataset's descendants as well (in the same txg)
+ * with opts.recursive.
+ */
+DummyZfs.prototype.snapshot = function snapshot(name, opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    assert.string(name, 'name');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.recursive, 'opts.recursive');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot create snapshot \'' + name + '\'';
+
+    this._modify(function _snapshot(state) {
+        var dsName = name.split('@')[0];
+        var dsNames = [dsName];
+        var snapName = name.split('@')[1];
+        var txg;
+
+        if (!validName(name) || name.indexOf('@') === -1) {
+            return new VError('%s: invalid snapshot name', what);
+        }
+        if (!state.datasets[dsName]) {
+            return new VError('%s: dataset does not exist', what);
+        }
+
+        if (opts.recursive) {
+            dsNames = Object.keys(state.datasets).filter(function (n) {
+                return n === dsName || (n.indexOf(dsName + '/') === 0 &&
+                    state.datasets[n].type !== 'snapshot');
+            });
+        }
+        if (dsNames.some(function (n) {
+            return state.datasets[n + '@' + snapName];
+        })) {
+            return new VError('%s: dataset already exists', what);
+        }
+
+        txg = ++state.txg;
+        dsNames.forEach(function (n) {
+            state.datasets[n + '@' + snapName] = {
+                createtxg: txg,
+                creation: Math.floor(Date.now() / 1000),
+                properties: {},
+                referenced: state.datasets[n].referenced,
+                type: 'snapshot'
+            };
+        });
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * Rolls the snapshot's dataset back to it, which must be the most recent.
+ */
+DummyZfs.prototype.rollback = function rollback(name, callback) {
+    assert.string(name, 'name');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot rollback to \'' + name + '\'';
+
+    this._modify(function _rollback(state) {
+        var dsName = name.split('@')[0];
+        var snap = state.datasets[name];
+
+        if (!snap || snap.type !== 'snapshot') {
+            return new VError('%s: snapshot does not exist', what);
+        }
+        if (Object.keys(state.datasets).some(function (n) {
+            return n.indexOf(dsName + '@') === 0 &&
+                state.datasets[n].createtxg > snap.createtxg;
+        })) {
+            return new VError('%s: more recent snapshots or bookmarks exist',
+                what);
+        }
+
+        state.datasets[dsName].referenced = snap.referenced;
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+DummyZfs.prototype.clone = function clone(snapshotName, name, callback) {
+    assert.string(snapshotName, 'snapshotName');
+    assert.string(name, 'name');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot create \'' + name + '\'';
+
+    this._modify(function _clone(state) {
+        var origin = state.datasets[snapshotName];
+        var originDs = state.datasets[snapshotName.split('@')[0]];
+        var parent = parentName(name);
+
+        if (!origin || origin.type !== 'snapshot') {
+            return new VError('cannot open \'%s\': dataset does not exist',
+                snapshotName);
+        }
+        if (!validName(name) || name.indexOf('@') !== -1) {
+            return new VError('%s: invalid dataset name', what);
+        }
+        if (state.datasets[name]) {
+            return new VError('%s: dataset already exists', what);
+        }
+        if (!state.datasets[parent] ||
+            state.datasets[parent].type !== 'filesystem') {
+
+            return new VError('%s: parent does not exist', what);
+        }
+
+        state.datasets[name] = {
+            creation: Math.floor(Date.now() / 1000),
+            origin: snapshotName,
+            properties: {},
+            referenced: origin.referenced,
+            type: originDs.type
+        };
+        if (originDs.type === 'volume') {
+            state.datasets[name].properties.volsize =
+                originDs.properties.volsize;
+        }
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * Sets the properties in `properties` (name -> value) on a dataset, which
+ * must all be settable ones or user properties (those with a ':').
+ */
+function setProperties(state, name, properties, what) {
+    var ds = state.datasets[name];
+    var props = Object.keys(properties);
+    var prop;
+    var value;
+
+    for (var i = 0; i < props.length; i++) {
+        prop = ALIASES[props[i]] || props[i];
+        value = properties[props[i]];
+
+        if (prop.indexOf(':') !== -1) {
+            ds.properties[prop] = String(value);
+            continue;
+        }
+
+        if (!SETTABLE.hasOwnProperty(prop)) {
+            return new VError('%s: invalid property \'%s\'', what, prop);
+        }
+        if (ds.type === 'snapshot' ||
+            PROPERTIES[ds.type].indexOf(prop) === -1) {
+
+            return new VError('%s: \'%s\' does not apply to datasets of this ' +
+                'type', what, prop);
+        }
+
+        if (SIZE_PROPERTIES.indexOf(prop) !== -1) {
+            value = parseSize(value);
+            if (isNaN(value)) {
+                return new VError('%s: bad numeric value \'%s\'', what,
+                    properties[props[i]]);
+            }
+        }
+
+        if (prop === 'quota' && value > 0 &&
+            value < computeSpace(state)[name].used) {
+
+            return new VError('%s: size is less than current used or ' +
+                'reserved space', what);
+        }
+        if (prop === 'refquota' && value > 0 && value < ds.referenced) {
+            return new VError('%s: size is less than current used or ' +
+                'reserved space', what);
+        }
+        if (prop === 'volsize' && ds.properties.refreservation ===
+            ds.properties.volsize) {
+
+            // A volume's refreservation follows its size unless it's sparse.
+            ds.properties.refreservation = value;
+        }
+
+        ds.properties[prop] = value;
+    }
+
+    return null;
+}
+
+
+DummyZfs.prototype.set = function set(name, properties, callback) {
+    assert.string(name, 'name');
+    assert.object(properties, 'properties');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot set property for \'' + name + '\'';
+
+    this._modify(function _set(state) {
+        var err;
+
+        if (!state.datasets[name]) {
+            return new VError('%s: dataset does not exist', what);
+        }
+
+        err = setProperties(state, name, properties, what);
+        if (err) {
+            return err;
+        }
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * Changes what a filesystem or volume refers to by `bytes` (which may be
+ * negative), as if data had been written or removed. This is how tests (and
+ * tools) fill up the simulated pool.
+ */
+DummyZfs.prototype.write = function write(name, bytes, callback) {
+    assert.string(name, 'name');
+    assert.number(bytes, 'bytes');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot write to \'' + name + '\'';
+
+    this._modify(function _write(state) {
+        var ds = state.datasets[name];
+
+        if (!ds || ds.type === 'snapshot') {
+            return new VError('%s: dataset does not exist', what);
+        }
+
+        ds.referenced = Math.max(0, ds.referenced + bytes);
+        if (ds.type === 'volume' && ds.referenced > ds.properties.volsize) {
+            return new VError('%s: beyond the end of the volume', what);
+        }
+        if (bytes > 0 && ds.properties.refquota > 0 &&
+            ds.referenced > ds.properties.refquota) {
+
+            return new VError('%s: out of space (refquota exceeded)', what);
+        }
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * As `zfs send --replicate [-I @<opts.from>] <snapshot>`, but calls
+ * callback(err, stream) with a stream object that receive() can apply to
+ * another pool. It describes the snapshot's dataset and descendants (with
+ * their properties) and their snapshots up to this one, or just those after
+ * `from` for datasets that have it. stream.size is how much data a real
+ * stream would have in it.
+ */
+DummyZfs.prototype.send = function send(snapshotName, opts, callback) {
+    assert.string(snapshotName, 'snapshotName');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.from, 'opts.from');
+    assert.func(callback, 'callback');
+
+    var dsName = snapshotName.split('@')[0];
+    var snapName = snapshotName.split('@')[1];
+
+    this._load(function _onLoad(err, state) {
+        var datasets = state && state.datasets;
+        var stream = { datasets: [], size: 0 };
+        var snap;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        snap = datasets[snapshotName];
+        if (!snap || snap.type !== 'snapshot') {
+            callback(new VError('cannot open \'%s\': dataset does not exist',
+                snapshotName));
+            return;
+        }
+        if (opts.from && !datasets[dsName + '@' + opts.from]) {
+            callback(new VError('incremental source (%s@%s) does not exist',
+                dsName, opts.from));
+            return;
+        }
+
+        Object.keys(datasets).sort().filter(function (n) {
+            return (n === dsName || n.indexOf(dsName + '/') === 0) &&
+                datasets[n + '@' + snapName];
+        }).forEach(function (n) {
+            var from = opts.from && datasets[n + '@' + opts.from];
+            var prevReferenced = from ? from.referenced : 0;
+            var record = {
+                from: from ? opts.from : null,
+                name: n.slice(dsName.length),
+                properties: JSON.parse(JSON.stringify(
+                    datasets[n].properties)),
+                referenced: datasets[n + '@' + snapName].referenced,
+                snapshots: [],
+                type: datasets[n].type
+            };
+
+            Object.keys(datasets).filter(function (s) {
+                return s.indexOf(n + '@') === 0 &&
+                    datasets[s].createtxg <= snap.createtxg &&
+                    (!from || datasets[s].createtxg > from.createtxg);
+            }).sort(function (a, b) {
+                return datasets[a].createtxg - datasets[b].createtxg;
+            }).forEach(function (s) {
+                record.snapshots.push({
+                    creation: datasets[s].creation,
+                    name: s.split('@')[1],
+                    referenced: datasets[s].referenced
+                });
+                stream.size += Math.max(0,
+                    datasets[s].referenced - prevReferenced);
+                prevReferenced = datasets[s].referenced;
+            });
+
+            stream.datasets.push(record);
+        });
+
+        callback(null, stream);
+    });
+};
+
+
+/*
+ * As `zfs receive -u -F <name>`, applies a stream from send() to this pool.
+ * A full stream creates `name`, which mustn't exist, and an incremental one
+ * adds to it after rolling it back to the stream's `from` snapshot.
+ */
+DummyZfs.prototype.receive = function receive(name, stream, callback) {
+    assert.string(name, 'name');
+    assert.object(stream, 'stream');
+    assert.arrayOfObject(stream.datasets, 'stream.datasets');
+    assert.func(callback, 'callback');
+
+    var what = 'cannot receive \'' + name + '\'';
+
+    this._modify(function _receive(state) {
+        var datasets = state.datasets;
+        var record;
+        var target;
+        var from;
+
+        for (var i = 0; i < stream.datasets.length; i++) {
+            record = stream.datasets[i];
+            target = name + record.name;
+
+            if (!validName(target)) {
+                return new VError('%s: invalid dataset name', what);
+            }
+
+            if (record.from === null) {
+                if (datasets[target]) {
+                    return new VError('%s: destination \'%s\' exists', what,
+                        target);
+                }
+                if (!datasets[parentName(target)]) {
+                    return new VError('%s: destination \'%s\' does not exist',
+                        what, parentName(target));
+                }
+                datasets[target] = {
+                    creation: Math.floor(Date.now() / 1000),
+                    type: record.type
+                };
+            } else {
+                from = datasets[target + '@' + record.from];
+                if (!datasets[target] || !from) {
+                    return new VError('%s: destination \'%s\' does not have ' +
+                        'snapshot \'%s\'', what, target, record.from);
+                }
+                // -F: throw away whatever came after the incremental source.
+                Object.keys(datasets).forEach(function (n) {
+                    if (n.indexOf(target + '@') === 0 &&
+                        datasets[n].createtxg > from.createtxg) {
+
+                        delete datasets[n];
+                    }
+                });
+            }
+
+            datasets[target].properties = record.properties;
+            datasets[target].referenced = record.referenced;
+            record.snapshots.forEach(function (s) {
+                datasets[target + '@' + s.name] = {
+                    createtxg: ++state.txg,
+                    creation: s.creation,
+                    properties: {},
+                    referenced: s.referenced,
+                    type: 'snapshot'
+                };
+            });
+        }
+
+        return checkSpace(state, what);
+    }, callback);
+};
+
+
+/*
+ * Calls callback(err, values) where values is an object of dataset name ->
+ * property -> value for `properties` (or every property if that's ['all']) of
+ * `name` and its descendants, or of every dataset if name is empty. Values
+ * are always parseable, so `parseable` is ignored.
+ */
+DummyZfs.prototype.get = function get(name, properties, parseable, callback) {
+    assert.optionalString(name, 'name');
+    assert.arrayOfString(properties, 'properties');
+    assert.func(callback, 'callback');
+
+    this._load(function _onLoad(err, state) {
+        var names;
+        var props;
+        var space;
+        var values = {};
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (name && !state.datasets[name]) {
+            callback(new VError('cannot open \'%s\': dataset does not exist',
+                name));
+            return;
+        }
+
+        space = computeSpace(state);
+        names = name ? [name] : Object.keys(state.datasets).sort();
+        props = properties.map(function (prop) {
+            return ALIASES[prop] || prop;
+        });
+
+        names.forEach(function (n) {
+            var dsProps = props;
+
+            if (props.indexOf('all') !== -1) {
+                dsProps = PROPERTIES[state.datasets[n].type].concat(
+                    Object.keys(state.datasets[n].properties).filter(
+                    function (p) {
+                        return p.indexOf(':') !== -1;
+                    }));
+            }
+
+            values[n] = {};
+            dsProps.forEach(function (prop) {
+                values[n][prop] = propertyValue(state, space, n, prop);
+            });
+        });
+
+        callback(null, values);
+    });
+};
+
+
+/*
+ * As node-zfs' zfs.list(): calls callback(err, fields, rows) with the
+ * LIST_FIELDS of `name` (and its descendants if opts.recursive is set), or
+ * of all datasets if name is empty. opts.type is one of 'filesystem',
+ * 'volume', 'snapshot' or 'all' and defaults to filesystems and volumes.
+ */
+DummyZfs.prototype.list = function list(name, opts, callback) {
+    assert.optionalString(name, 'name');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.type, 'opts.type');
+    assert.optionalBool(opts.recursive, 'opts.recursive');
+    assert.func(callback, 'callback');
+
+    this._load(function _onLoad(err, state) {
+        var names;
+        var space;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (name && !state.datasets[name]) {
+            callback(new VError('cannot open \'%s\': dataset does not exist',
+                name));
+            return;
+        }
+
+        space = computeSpace(state);
+        names = Object.keys(state.datasets).sort().filter(function (n) {
+            var type = state.datasets[n].type;
+
+            if (name && n !== name && !(opts.recursive &&
+                (n.indexOf(name + '/') === 0 || n.indexOf(name + '@') === 0))) {
+
+                return false;
+            }
+
+            if (opts.type === 'all') {
+                return true;
+            } else if (opts.type) {
+                return type === opts.type;
+            }
+            return type !== 'snapshot';
+        });
+
+        callback(null, LIST_FIELDS, names.map(function (n) {
+            return LIST_FIELDS.map(function (field) {
+                return propertyValue(state, space, n, ALIASES[field] || field);
+            });
+        }));
+    });
+};
+
+
+/*
+ * As node-zfs' zpool.list(): calls callback(err, fields, rows).
+ */
+DummyZfs.prototype.listPools = function listPools(callback) {
+    assert.func(callback, 'callback');
+
+    this._load(function _onLoad(err, state) {
+        var used;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        used = computeSpace(state)[POOL].used;
+        callback(null, POOL_LIST_FIELDS, [ [
+            POOL,
+            String(state.pool.size),
+            String(used),
+            String(state.pool.size - used),
+            Math.round(100 * used / state.pool.size) + '%',
+            'ONLINE',
+            '-'
+        ] ]);
+    });
+};
+
+
+/*
+ * Converts the fields and rows from list() or listPools() to an array of
+ * objects.
+ */
+function listToObjects(fields, rows) {
+    return rows.map(function (row) {
+        var obj = {};
+
+        fields.forEach(function (field, idx) {
+            obj[field] = row[idx];
+        });
+
+        return obj;
+    });
+}
+
+
+module.exports = {
+    DummyZfs: DummyZfs,
+    listToObjects: listToObjects,
+    POOL: POOL,
+    SYSTEM_DATASETS: Object.keys(SYSTEM_DATASETS)
+};
@@ -52,7 +52,7 @@ var vasync = require('vasync');
 var backendCommon = require('../../common');
 var common = require('../common');
 var shared = require('./shared');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var CURL_CMD = '/usr/bin/curl';
 var SERVER_ROOT = common.SERVER_ROOT;
@@ -28,7 +28,7 @@ var VError = require('verror');
 
 var common = require('../common');
 var shared = require('./shared');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 // These constants can be manually tweaked for development to have this task
 // randomly be slow or fail.
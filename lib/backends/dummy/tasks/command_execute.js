@@ -11,7 +11,7 @@
 var assert = require('assert-plus');
 var verror = require('verror');
 
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 
 var CommandExecuteTask = module.exports = function (req) {
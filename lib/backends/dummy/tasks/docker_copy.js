@@ -0,0 +1,63 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var shared = require('./shared');
+var Task = require('../lib/task');
+
+
+var DockerCopyTask = module.exports = function (req) {
+    Task.call(this);
+    this.req = req;
+};
+
+Task.createTask(DockerCopyTask);
+
+function start(callback) {
+    var self = this;
+    var mode = self.req.params.mode || 'read';
+    var path = self.req.params.path;
+    var payload = self.req.params.payload;
+
+    // Work around deprecated 'payload' option
+    if (!path && payload) {
+        path = payload.path;
+        mode = payload.mode || 'read';
+    }
+
+    shared.runDockerHelper({
+        action: 'copy',
+        log: self.log,
+        params: {
+            mode: mode,
+            no_overwrite_dir: self.req.params.no_overwrite_dir,
+            path: path
+        },
+        req_id: self.req.req_id,
+        sysinfo: self.sysinfo,
+        uuid: self.req.params.uuid
+    }, function _onCopy(err, result) {
+        if (err) {
+            if (err.restCode) {
+                self.fatal(err.message, { restCode: err.restCode });
+            } else {
+                self.fatal(err.message);
+            }
+            return;
+        }
+
+        self.finish({
+            host: result.host,
+            port: result.port,
+            containerPathStat: result.containerPathStat
+        });
+    });
+}
+
+DockerCopyTask.setStart(start);
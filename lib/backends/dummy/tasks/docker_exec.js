@@ -0,0 +1,59 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var shared = require('./shared');
+var Task = require('../lib/task');
+
+
+var DockerExecTask = module.exports = function (req) {
+    Task.call(this);
+    this.req = req;
+};
+
+Task.createTask(DockerExecTask);
+
+function start(callback) {
+    var self = this;
+    var command = self.req.params.command;
+
+    assert.object(command, 'self.req.params.command');
+    assert.arrayOfString(command.Cmd, 'self.req.params.command.Cmd');
+
+    shared.runDockerHelper({
+        action: 'exec',
+        log: self.log,
+        params: { command: command },
+        req_id: self.req.req_id,
+        // Only `docker logs` works for a stopped container.
+        requireRunning: !command.Logs,
+        sysinfo: self.sysinfo,
+        uuid: self.req.params.uuid
+    }, function _onExec(err, result) {
+        if (err) {
+            if (err.restCode) {
+                self.fatal(err.message, { restCode: err.restCode });
+            } else {
+                self.fatal(err.message);
+            }
+            return;
+        }
+
+        if (command.Detach) {
+            self.finish();
+            return;
+        }
+
+        self.finish({ host: result.host, port: result.port });
+    });
+}
+
+DockerExecTask.setStart(start);
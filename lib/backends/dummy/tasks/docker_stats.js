@@ -0,0 +1,50 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var shared = require('./shared');
+var Task = require('../lib/task');
+
+
+var DockerStatsTask = module.exports = function (req) {
+    Task.call(this);
+    this.req = req;
+};
+
+Task.createTask(DockerStatsTask);
+
+function start(callback) {
+    var self = this;
+    var payload = self.req.params.payload;
+
+    assert.object(payload, 'self.req.params.payload');
+
+    shared.runDockerHelper({
+        action: 'stats',
+        log: self.log,
+        params: {
+            clientApiVersion: payload.clientApiVersion,
+            doStream: Boolean(payload.doStream)
+        },
+        req_id: self.req.req_id,
+        sysinfo: self.sysinfo,
+        uuid: self.req.params.uuid
+    }, function _onStats(err, result) {
+        if (err) {
+            self.fatal(err.message);
+            return;
+        }
+
+        self.finish({ host: result.host, port: result.port });
+    });
+}
+
+DockerStatsTask.setStart(start);
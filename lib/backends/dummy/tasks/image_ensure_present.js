@@ -10,7 +10,7 @@
 
 var assert = require('assert-plus');
 
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 function ImageEnsurePresentTask(req) {
     Task.call(this);
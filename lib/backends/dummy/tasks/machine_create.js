@@ -19,7 +19,7 @@ var vasync = require('vasync');
 
 // local
 var common = require('../common');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 // global, gets created by start()
 var vmadm;
@@ -129,6 +129,11 @@ function start(callback) {
                     self.req.params.uuid,
                     function _afterCreateLock(err, filename) {
                         creationGuardFilename = filename;
+                        self.addCancelHook(function _removeLock(hookCb) {
+                            fs.unlink(creationGuardFilename, function () {
+                                hookCb();
+                            });
+                        });
                         cb();
                         return;
                     });
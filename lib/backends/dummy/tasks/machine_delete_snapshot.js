@@ -10,7 +10,7 @@
 
 var common = require('../common');
 var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var MachineDeleteSnapshotTask = module.exports = function (req) {
     Task.call(this);
@@ -13,7 +13,7 @@ var vasync = require('vasync');
 var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
 
 var common = require('../common');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 
 var MachineDestroyTask = module.exports = function (req) {
@@ -13,7 +13,7 @@ var assert = require('assert-plus');
 var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
 
 var common = require('../common');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 
 var MachineLoadTask = module.exports = function (req) {
@@ -0,0 +1,427 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The dummy version of the smartos machine_migrate task, which works on the
+ * simulated pool (see ../lib/zfs.js) and the VMs' JSON files instead of zfs,
+ * zonecfg and vmadm. The "sync" and "receive" actions start the servers from
+ * ../lib/migrate.js in a child process.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('../common');
+var DummyZfs = require('../lib/zfs').DummyZfs;
+var migrate = require('../lib/migrate');
+var Task = require('../lib/task');
+
+
+var MachineMigrateTask = module.exports = function (req) {
+    Task.call(this);
+    this.req = req;
+};
+
+Task.createTask(MachineMigrateTask);
+
+
+function newZfs(task) {
+    return new DummyZfs({ log: task.log, serverUuid: task.sysinfo.UUID });
+}
+
+
+/*
+ * Sets properties that the dummy vmadm can't update directly in the VM's
+ * JSON file, replacing it as vmadm does.
+ */
+function updateVmFile(task, properties, callback) {
+    var payload = task.req.params;
+
+    assert.uuid(payload.vm_uuid, 'payload.vm_uuid');
+
+    var filename = path.join(common.SERVER_ROOT, task.sysinfo.UUID, 'vms',
+        payload.vm_uuid + '.json');
+    var tmpFilename = filename + '.' + process.pid;
+
+    task.log.debug({filename: filename, properties: properties},
+        'updateVmFile');
+
+    fs.readFile(filename, function _onRead(readErr, data) {
+        var vmobj;
+
+        if (readErr) {
+            callback(readErr);
+            return;
+        }
+
+        vmobj = JSON.parse(data.toString());
+        Object.keys(properties).forEach(function (prop) {
+            vmobj[prop] = properties[prop];
+        });
+
+        fs.writeFile(tmpFilename, JSON.stringify(vmobj, null, 2) + '\n',
+            function _onWrite(writeErr) {
+
+            if (writeErr) {
+                callback(writeErr);
+                return;
+            }
+            fs.rename(tmpFilename, filename, callback);
+        });
+    });
+}
+
+
+function startChildProcess() {
+    var self = this;
+    var payload = self.req.params;
+    var action = (payload.action === 'receive') ? 'receive' : 'send';
+    var replied = false;
+
+    // The VM's uuid is used as a marker for killChild.
+    var helper = child_process.fork(
+        path.join(__dirname, '../bin/machine-migrate.js'), [payload.vm_uuid]);
+
+    helper.once('exit', function _onExit(code, signal) {
+        if (!replied) {
+            self.fatal('machine-migrate exit error (code ' + code +
+                ', signal ' + signal + ')');
+        }
+    });
+
+    helper.once('message', function _onMessage(result) {
+        replied = true;
+
+        if (result.error) {
+            self.fatal(result.error.message);
+            return;
+        }
+
+        self.log.debug({result: result}, 'Got response');
+        self.finish(result);
+    });
+
+    helper.send({
+        action: action,
+        host: self.sysinfo['CN Agent IP'],
+        payload: payload,
+        req_id: self.req.req_id,
+        serverUuid: self.sysinfo.UUID
+    });
+}
+
+
+function killChild() {
+    var argv;
+    var log = this.log;
+    var payload = this.req.params;
+    var pid = payload.pid;
+
+    if (!pid || !Number.isInteger(pid) || pid <= 1) {
+        this.fatal('Invalid PID supplied to kill_migration_process task');
+        return;
+    }
+
+    try {
+        process.kill(pid, 0);
+    } catch (ex) {
+        log.debug({proc_pid: pid}, 'process not running');
+        this.finish();
+        return;
+    }
+
+    // Only kill it if it's the helper for this VM.
+    try {
+        argv = fs.readFileSync('/proc/' + pid + '/cmdline');
+    } catch (ex) {
+        try {
+            argv = fs.readFileSync('/proc/' + pid + '/argv');
+        } catch (ex2) {
+            log.warn({proc_pid: pid, err: ex2}, 'Could not get argv info');
+            this.finish();
+            return;
+        }
+    }
+
+    if (argv.indexOf('/machine-migrate.js') === -1 ||
+        argv.indexOf(payload.vm_uuid) === -1) {
+
+        log.warn({argv: String(argv)},
+            'Could not find migrate markers in argv');
+        this.finish();
+        return;
+    }
+
+    try {
+        process.kill(pid, 'SIGTERM');
+    } catch (ex) {
+        log.warn({proc_pid: pid, err: ex}, 'Could not kill process');
+    }
+
+    log.info({proc_pid: pid}, 'killed the cn-agent migrate process');
+    this.finish();
+}
+
+
+function getFilesystemDetails() {
+    var self = this;
+    var vm = self.req.params.vm;
+    var zfs = newZfs(self);
+
+    assert.object(vm, 'payload.vm');
+
+    migrate.ensureVmDatasets(zfs, vm, function _onEnsured(err) {
+        if (err) {
+            self.fatal('zfs list failure: ' + err.message);
+            return;
+        }
+
+        zfs.get(vm.zfs_filesystem, ['quota', 'reservation'], true,
+            function _onGet(getErr, values) {
+
+            if (getErr) {
+                self.fatal('zfs list failure: ' + getErr.message);
+                return;
+            }
+
+            // As with the smartos backend, these are left as strings.
+            self.finish({
+                quotaStr: values[vm.zfs_filesystem].quota,
+                reservationStr: values[vm.zfs_filesystem].reservation
+            });
+        });
+    });
+}
+
+
+function setZfsQuota(quota) {
+    var self = this;
+    var vm = self.req.params.vm;
+    var zfs = newZfs(self);
+
+    assert.object(vm, 'payload.vm');
+
+    function setQuota(value) {
+        zfs.set(vm.zfs_filesystem, { quota: value }, function _onSet(err) {
+            if (err) {
+                self.fatal('zfs set failure: ' + err.message);
+                return;
+            }
+            self.finish();
+        });
+    }
+
+    if (quota !== undefined) {
+        setQuota(quota);
+        return;
+    }
+
+    // Restore the quota from the reservation, which it's the same as.
+    zfs.get(vm.zfs_filesystem, ['reservation'], true,
+        function _onGet(err, values) {
+
+        if (err) {
+            self.fatal('zfs list failure: ' + err.message);
+            return;
+        }
+        setQuota(values[vm.zfs_filesystem].reservation);
+    });
+}
+
+
+function estimate() {
+    var self = this;
+    var vm = self.req.params.vm;
+    var zfs = newZfs(self);
+
+    assert.object(vm, 'payload.vm');
+
+    migrate.ensureVmDatasets(zfs, vm, function _onEnsured(err) {
+        if (err) {
+            self.fatal(err.message);
+            return;
+        }
+
+        zfs.get('', ['usedbydataset'], true, function _onGet(getErr, values) {
+            var datasets = migrate.vmDatasets(vm);
+
+            if (getErr) {
+                self.fatal('zfs list error: ' + getErr.message);
+                return;
+            }
+
+            self.finish({
+                size: Object.keys(values).filter(function (name) {
+                    return datasets.some(function (ds) {
+                        return name === ds || name.indexOf(ds + '/') === 0;
+                    });
+                }).reduce(function (size, name) {
+                    return size + (parseInt(values[name].usedbydataset, 10) ||
+                        0);
+                }, 0)
+            });
+        });
+    });
+}
+
+
+function setupFilesystem() {
+    var self = this;
+    var payload = self.req.params;
+    var record;
+
+    assert.object(payload.vm, 'payload.vm');
+    assert.object(payload.migrationTask, 'payload.migrationTask');
+
+    record = payload.migrationTask.record;
+
+    // Nothing is mounted in the simulated pool, so just check it's there.
+    newZfs(self).get(payload.vm.zfs_filesystem.replace(record.vm_uuid,
+        record.target_vm_uuid), ['mounted'], true, function _onGet(err) {
+
+        if (err) {
+            self.fatal(err.message);
+            return;
+        }
+        self.finish();
+    });
+}
+
+
+function removeSyncSnapshots() {
+    var self = this;
+    var payload = self.req.params;
+    var zfs = newZfs(self);
+
+    assert.uuid(payload.vm_uuid, 'payload.vm_uuid');
+    assert.object(payload.vm, 'payload.vm');
+
+    // The datasets are named for the target's VM uuid (if that's different).
+    var datasets = migrate.vmDatasets(payload.vm).map(function (ds) {
+        return ds.replace(payload.vm.uuid, payload.vm_uuid);
+    });
+
+    vasync.forEachPipeline({
+        inputs: datasets,
+        func: function _removeSnapshots(dataset, next) {
+            migrate.getSnapshotNames(zfs, dataset,
+                function _onNames(err, names) {
+
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                vasync.forEachPipeline({
+                    inputs: names.filter(function (name) {
+                        return name.indexOf(
+                            migrate.SNAPSHOT_NAME_PREFIX) === 0;
+                    }),
+                    func: function _destroy(name, cb) {
+                        zfs.destroy(dataset + '@' + name, { recursive: true },
+                            cb);
+                    }
+                }, next);
+            });
+        }
+    }, function _onRemoved(err) {
+        if (err) {
+            self.fatal(err.message);
+            return;
+        }
+        self.finish();
+    });
+}
+
+
+function setVmProperties(properties) {
+    var self = this;
+
+    updateVmFile(self, properties, function _onUpdated(err) {
+        if (err) {
+            self.fatal('vmadm update error: ' + err.message);
+            return;
+        }
+        self.finish();
+    });
+}
+
+
+// The set-* actions are given their value as a string, as for `vmadm update`.
+function setBooleanVmProperty(prop) {
+    var properties = {};
+
+    assert.string(this.req.params.value, 'payload.value');
+
+    properties[prop] = (this.req.params.value === 'true');
+    setVmProperties.call(this, properties);
+}
+
+
+function start() {
+    var payload = this.req.params;
+
+    switch (payload.action) {
+    case 'kill_migration_process':
+        killChild.call(this);
+        break;
+    case 'get-filesystem-details':
+        getFilesystemDetails.call(this);
+        break;
+    case 'set-create-timestamp':
+        assert.object(payload.vm, 'payload.vm');
+        assert.string(payload.vm.create_timestamp,
+            'payload.vm.create_timestamp');
+        setVmProperties.call(this, {
+            create_timestamp: payload.vm.create_timestamp
+        });
+        break;
+    case 'sync':
+    case 'receive':
+        startChildProcess.call(this);
+        break;
+    case 'remove-zfs-quota':
+        setZfsQuota.call(this, 'none');
+        break;
+    case 'restore-zfs-quota':
+        setZfsQuota.call(this);
+        break;
+    case 'estimate':
+        estimate.call(this);
+        break;
+    case 'remove-sync-snapshots':
+        removeSyncSnapshots.call(this);
+        break;
+    case 'setup-filesystem':
+        setupFilesystem.call(this);
+        break;
+    case 'set-do-not-inventory':
+        setBooleanVmProperty.call(this, 'do_not_inventory');
+        break;
+    case 'set-autoboot':
+        setBooleanVmProperty.call(this, 'autoboot');
+        break;
+    case 'set-indestructible-zoneroot':
+        setBooleanVmProperty.call(this, 'indestructible_zoneroot');
+        break;
+    case 'set-indestructible-delegated':
+        setBooleanVmProperty.call(this, 'indestructible_delegated');
+        break;
+    default:
+        this.fatal('Unexpected payload.action: ' + payload.action);
+        break;
+    }
+}
+
+MachineMigrateTask.setStart(start);
@@ -11,7 +11,7 @@
 var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
 
 var common = require('../common');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 
 var MachineRebootTask = module.exports = function (req) {
@@ -14,7 +14,7 @@ var async = require('async');
 
 var common = require('../common');
 var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var vmadm;
 var MachineReprovisionTask = module.exports = function (req) {
@@ -8,7 +8,7 @@
  * Copyright (c) 2018, Joyent, Inc.
  */
 
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var Sleep = module.exports = function (req) {
     Task.call(this);
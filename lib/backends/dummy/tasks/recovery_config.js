@@ -27,7 +27,7 @@ var restify = require('restify');
 
 var common = require('../common');
 var shared = require('./shared');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 function sha512str(str) {
     const hash = crypto.createHash('sha512');
@@ -16,7 +16,7 @@
 var assert = require('assert-plus');
 
 var refreshAgents = require('./shared').refreshAgents;
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 function RefreshAgentsTask(req) {
     Task.call(this);
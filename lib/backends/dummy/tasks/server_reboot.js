@@ -15,7 +15,7 @@ var assert = require('assert-plus');
 var common = require('../common');
 var shared = require('./shared');
 var SysinfoGetter = require('../lib/sysinfo');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var ServerRebootTask = module.exports = function (req) {
     Task.call(this);
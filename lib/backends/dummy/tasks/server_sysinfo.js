@@ -11,7 +11,7 @@
 var assert = require('assert-plus');
 var common = require('../common');
 var SysinfoGetter = require('../lib/sysinfo');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 var ServerSysinfoTask = module.exports = function (req) {
     Task.call(this);
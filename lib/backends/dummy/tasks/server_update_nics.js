@@ -17,7 +17,7 @@ var vasync = require('vasync');
 var common = require('../common');
 var shared = require('./shared');
 var SysinfoGetter = require('../lib/sysinfo');
-var Task = require('../../../task_agent/task');
+var Task = require('../lib/task');
 
 
 var NicUpdateTask = module.exports = function (req) {
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright 2020 Joyent, Inc.
  */
 
 /*
@@ -19,12 +19,14 @@ var fs = require('fs');
 var path = require('path');
 
 var assert = require('assert-plus');
+var DummyVmadm = require('vmadm/lib/index.dummy_vminfod');
 var restify = require('restify');
 var uuid = require('uuid');
 var vasync = require('vasync');
 
 var backendCommon = require('../../common');
 var common = require('../common');
+var docker = require('../lib/docker');
 
 var SERVER_ROOT = common.SERVER_ROOT;
 
@@ -762,10 +764,88 @@ function writeSysinfo(opts, sysinfo, callback) {
     });
 }
 
+/*
+ * Runs docker.<opts.action>() (see ../lib/docker.js) for a docker_* task in a
+ * docker-helper child process, with opts.params and the VM's root directory,
+ * and calls callback(err, result) with what it returns. Fails with restCode
+ * VmNotRunning if opts.requireRunning is set and the VM isn't.
+ */
+function runDockerHelper(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.action, 'opts.action');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.params, 'opts.params');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.requireRunning, 'opts.requireRunning');
+    assert.object(opts.sysinfo, 'opts.sysinfo');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.func(callback, 'callback');
+
+    var vmadm = new DummyVmadm({
+        log: opts.log,
+        serverRoot: SERVER_ROOT,
+        sysinfo: opts.sysinfo,
+        uuid: opts.sysinfo.UUID
+    });
+
+    vmadm.load({
+        log: opts.log,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoad(loadErr, vm) {
+        var err;
+        var helper;
+        var message = opts.params;
+        var replied = false;
+
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        if (opts.requireRunning && vm.zone_state !== 'running') {
+            err = new Error('docker_' + opts.action +
+                ': VM is not running, cannot run docker ' + opts.action);
+            err.restCode = 'VmNotRunning';
+            callback(err);
+            return;
+        }
+
+        message.action = opts.action;
+        message.host = opts.sysinfo['CN Agent IP'];
+        message.req_id = opts.req_id;
+        message.root = path.join(docker.zonepath(opts.sysinfo.UUID, opts.uuid),
+            'root');
+        message.vm = vm;
+
+        helper = child_process.fork(
+            path.join(__dirname, '../bin/docker-helper.js'));
+        helper.once('exit', function _onExit(code, signal) {
+            if (!replied) {
+                callback(new Error('docker-helper exited with code ' + code +
+                    ' signal ' + signal + ' before replying'));
+            }
+        });
+        helper.once('message', function _onMessage(reply) {
+            replied = true;
+            if (reply.error) {
+                err = new Error(reply.error.message);
+                err.restCode = reply.error.restCode;
+                callback(err);
+                return;
+            }
+
+            callback(null, reply);
+        });
+        helper.send(message);
+    });
+}
+
 
 module.exports = {
     installAgent: installAgent,
     installAgentsShar: installAgentsShar,
     refreshAgents: refreshAgents,
+    runDockerHelper: runDockerHelper,
     writeSysinfo: writeSysinfo
 };
@@ -0,0 +1,41 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var DummyZfs = require('../lib/zfs').DummyZfs;
+var Task = require('../lib/task');
+
+
+function ZFSCloneDatasetTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSCloneDatasetTask);
+
+function start(callback) {
+    var self = this;
+    var snapshot = self.req.params.snapshot;
+    var dataset = self.req.params.dataset;
+    var zfs = new DummyZfs({ log: self.log, serverUuid: self.sysinfo.UUID });
+
+    zfs.clone(snapshot, dataset, function (err) {
+        if (err) {
+            self.fatal('failed to clone ZFS snapshot "' + snapshot +
+                '" into dataset "' + dataset + '": ' + err.message);
+            return;
+        }
+
+        self.finish();
+    });
+}
+
+ZFSCloneDatasetTask.setStart(start);
+
+module.exports = ZFSCloneDatasetTask;
@@ -0,0 +1,40 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var DummyZfs = require('../lib/zfs').DummyZfs;
+var Task = require('../lib/task');
+
+
+function ZFSDestroyDatasetTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSDestroyDatasetTask);
+
+function start(callback) {
+    var self = this;
+    var dataset = self.req.params.dataset;
+    var zfs = new DummyZfs({ log: self.log, serverUuid: self.sysinfo.UUID });
+
+    zfs.destroy(dataset, function (err) {
+        if (err) {
+            self.fatal('failed to destroy ZFS dataset "' + dataset + '": ' +
+                err.message);
+            return;
+        }
+
+        self.finish();
+    });
+}
+
+ZFSDestroyDatasetTask.setStart(start);
+
+module.exports = ZFSDestroyDatasetTask;
@@ -0,0 +1,42 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var mod_zfs = require('../lib/zfs');
+var Task = require('../lib/task');
+
+
+function ZFSListDatasetsTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSListDatasetsTask);
+
+function start(callback) {
+    var self = this;
+    var zfs = new mod_zfs.DummyZfs({
+        log: self.log,
+        serverUuid: self.sysinfo.UUID
+    });
+
+    zfs.list('', { type: 'all' }, function (err, fields, rows) {
+        if (err) {
+            self.fatal('failed to list ZFS datasets: ' + err.message);
+            return;
+        }
+
+        self.progress(100);
+        self.finish(mod_zfs.listToObjects(fields, rows));
+    });
+}
+
+ZFSListDatasetsTask.setStart(start);
+
+module.exports = ZFSListDatasetsTask;
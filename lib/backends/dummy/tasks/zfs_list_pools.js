@@ -0,0 +1,42 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var mod_zfs = require('../lib/zfs');
+var Task = require('../lib/task');
+
+
+function ZFSListPoolsTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSListPoolsTask);
+
+function start(callback) {
+    var self = this;
+    var zfs = new mod_zfs.DummyZfs({
+        log: self.log,
+        serverUuid: self.sysinfo.UUID
+    });
+
+    zfs.listPools(function (err, fields, rows) {
+        if (err) {
+            self.fatal('failed to list ZFS pools: ' + err.message);
+            return;
+        }
+
+        self.progress(100);
+        self.finish(mod_zfs.listToObjects(fields, rows));
+    });
+}
+
+ZFSListPoolsTask.setStart(start);
+
+module.exports = ZFSListPoolsTask;
@@ -0,0 +1,41 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var DummyZfs = require('../lib/zfs').DummyZfs;
+var Task = require('../lib/task');
+
+
+function ZFSRenameDatasetTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSRenameDatasetTask);
+
+function start(callback) {
+    var self = this;
+    var dataset = self.req.params.dataset;
+    var newname = self.req.params.newname;
+    var zfs = new DummyZfs({ log: self.log, serverUuid: self.sysinfo.UUID });
+
+    zfs.rename(dataset, newname, function (err) {
+        if (err) {
+            self.fatal('failed to rename ZFS dataset "' + dataset + '" to "' +
+                newname + '": ' + err.message);
+            return;
+        }
+
+        self.finish();
+    });
+}
+
+ZFSRenameDatasetTask.setStart(start);
+
+module.exports = ZFSRenameDatasetTask;
@@ -0,0 +1,40 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var DummyZfs = require('../lib/zfs').DummyZfs;
+var Task = require('../lib/task');
+
+
+function ZFSRollbackDatasetTask(req) {
+    Task.call(this);
+    this.req = req;
+}
+
+Task.createTask(ZFSRollbackDatasetTask);
+
+function start(callback) {
+    var self = this;
+    var dataset = self.req.params.dataset;
+    var zfs = new DummyZfs({ log: self.log, serverUuid: self.sysinfo.UUID });
+
+    zfs.rollback(dataset, function (err) {
+        if (err) {
+            self.fatal('failed to rollback ZFS dataset "' + dataset + '": ' +
+                err.message);
+            return;
+        }
+
+        self.finish();
+    });
+}
+
+ZFSRollbackDatasetTask.setStart(start);
+
+module.exports = ZFSRollbackDatasetTask;
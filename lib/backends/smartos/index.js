@@ -35,6 +35,12 @@ var arcstats_reader = null;
 // ms to wait when zoneevent exits, before restarting
 var ZONEEVENT_RESTART_INTERVAL = 30 * 1000;
 
+// VMs' zonenames are their UUIDs, and their configs are /etc/zones/<uuid>.xml
+var VM_UUID_RE_STR =
+    '([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})';
+var VM_UUID_RE = new RegExp('^' + VM_UUID_RE_STR + '$');
+var ZONE_XML_RE = new RegExp('^' + VM_UUID_RE_STR + '\\.xml$');
+
 
 var queueDefns = [
     {
@@ -120,6 +126,7 @@ var queueDefns = [
     {
         name: 'image_query',
         logging: false,
+        timeoutSeconds: 5 * 60,
         tasks: [
             'image_get'
         ]
@@ -127,6 +134,8 @@ var queueDefns = [
     {
         name: 'machine_query',
         logging: false,
+        // Queries should be quick, so don't let one hang for the default hour.
+        timeoutSeconds: 5 * 60,
         tasks: [
             'machine_load',
             'machine_info'
@@ -146,6 +155,7 @@ var queueDefns = [
     },
     {
         name: 'zfs_query',
+        timeoutSeconds: 5 * 60,
         tasks: [
             'zfs_get_properties',
             'zfs_list_datasets',
@@ -503,6 +513,7 @@ function getZpoolInfo(opts, callback) {
 
 
 function startZoneeventWatcher(opts, watchers) {
+    var carry = '';
     var pid;
 
     assert.object(opts, 'opts');
@@ -514,10 +525,33 @@ function startZoneeventWatcher(opts, watchers) {
     opts.log.info('zoneevent[' + pid + '] watcher running');
 
     watchers.zoneeventHandle.stdout.on('data', function _onData(data) {
-        // If we cared about the data here, we'd parse it (JSON) but we just
-        // care that *something* changed, not what it was so we always just
-        // mark our sample dirty when we see any changes.
-        opts.dirtyFn();
+        var lines = (carry + data.toString()).split('\n');
+
+        carry = lines.pop();
+
+        // Each line is a JSON event for one zone, whose zonename is the VM's
+        // UUID, so only that VM needs to be reloaded. If we can't tell which
+        // VM it was, everything is.
+        lines.forEach(function _onLine(line) {
+            var event;
+
+            if (line.trim().length === 0) {
+                return;
+            }
+
+            try {
+                event = JSON.parse(line);
+            } catch (_) {
+                opts.dirtyFn();
+                return;
+            }
+
+            if (VM_UUID_RE.test(event.zonename)) {
+                opts.dirtyFn(event.zonename);
+            } else {
+                opts.dirtyFn();
+            }
+        });
     });
 
     // stdin is not used
@@ -541,10 +575,18 @@ function startZoneConfigWatcher(opts, watchers) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
 
-    watchers.configWatchHandle = fs.watch(dir, function _onFsEvent() {
-        // note: we ignore the arguments to the _onFsEvent() callback here
-        // because we don't care *what* changed.
-        opts.dirtyFn();
+    watchers.configWatchHandle = fs.watch(dir,
+        function _onFsEvent(_, filename) {
+
+        var match = (filename ? String(filename).match(ZONE_XML_RE) : null);
+
+        // A change to /etc/zones/<uuid>.xml only affects that VM, whereas
+        // the index (or anything else) could affect any of them.
+        if (match) {
+            opts.dirtyFn(match[1]);
+        } else {
+            opts.dirtyFn();
+        }
     });
 
     opts.log.info('Started fs.watch() for ' + dir);
@@ -668,7 +710,8 @@ SmartosBackend.prototype.getFirstAdminIp = function getFirstAdminIp(_, sysinfo,
     return smartdc_config.getFirstAdminIp(sysinfo, callback);
 };
 
-// This will call callback() every time sysinfo has changed.
+// This will call callback() every time sysinfo has changed. Returns the
+// SysinfoFileWatcher so that its state can be checked.
 SmartosBackend.prototype.watchSysinfo = function watchSysinfo(opts, callback) {
     assert.object(opts, 'opts');
     assert.func(callback, 'callback');
@@ -688,6 +731,8 @@ SmartosBackend.prototype.watchSysinfo = function watchSysinfo(opts, callback) {
     });
 
     watcher.watch();
+
+    return watcher;
 };
 
 SmartosBackend.prototype.getBootTime = function getBootTime(_, callback) {
@@ -721,9 +766,26 @@ function _getDiskUsage(vms, _, callback) {
 //  {
 //    fields: <array of field names to include in objects>,
 //    log: <bunyan logger>,
+//    uuids: <optional array of the UUIDs of the VMs to load>
 //  }
+//
+// VMs in opts.uuids that don't exist are left out of the result. They're all
+// looked up with a single vmadm, matching their UUIDs with a regular
+// expression (see "lookup" in vmadm(1M)).
 SmartosBackend.prototype.loadVms = function loadVms(opts, callback) {
-    vmadm.lookup({}, opts, function onLookup(err, vmobjs) {
+    var search = {};
+
+    assert.optionalArrayOfUuid(opts.uuids, 'opts.uuids');
+
+    if (opts.uuids) {
+        if (opts.uuids.length === 0) {
+            setImmediate(callback, null, []);
+            return;
+        }
+        search.uuid = '~^(' + opts.uuids.join('|') + ')$';
+    }
+
+    vmadm.lookup(search, opts, function onLookup(err, vmobjs) {
         if (err) {
             callback(err);
             return;
@@ -866,8 +928,9 @@ SmartosBackend.prototype.getZpoolInfo = function _getZpoolInfo(_, callback) {
 //  2. fs.watch() on /etc/zones for zone configuration changes
 //
 // if either of these events are seen, we'll call the 'dirtyFn' function
-// that was passed in the opts. This will tell cn-agent to reload its data
-// asap. Otherwise the change might not be noticed for up to a minute.
+// that was passed in the opts, with the UUID of the VM that changed if we know
+// it. This will tell cn-agent to reload its data (or just that VM's) asap.
+// Otherwise the change might not be noticed for up to a minute.
 //
 // opts will have:
 //
@@ -894,6 +957,18 @@ SmartosBackend.prototype.startWatchers = function startWatchers(opts) {
 };
 
 
+// Reports which of the watchers returned by startWatchers are running. The
+// zoneevent watcher will be missing while it is waiting to be restarted.
+SmartosBackend.prototype.getWatcherStatus = function getWatcherStatus(_,
+    watchers) {
+
+    return {
+        zone_config: Boolean(watchers.configWatchHandle),
+        zoneevent: Boolean(watchers.zoneeventHandle)
+    };
+};
+
+
 SmartosBackend.prototype.stopWatchers = function stopWatchers(_, watchers) {
     // Not implemented. If in the future we want to be able to stop the watchers
     // we started with startWatchers, we will be passed the same object we
@@ -64,6 +64,11 @@ function start(callback) {
                 self.req.params.uuid,
                 function (err, filename) {
                     creationGuardFilename = filename;
+                    self.addCancelHook(function (hookCb) {
+                        fs.unlink(creationGuardFilename, function () {
+                            hookCb();
+                        });
+                    });
                     cb();
                     return;
                 });
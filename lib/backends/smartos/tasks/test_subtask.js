@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2020 Joyent, Inc.
  */
 
 var Task = require('../../../task_agent/task');
@@ -28,9 +28,19 @@ function start(callback) {
     var subTaskParams = {random:random};
     subTaskParams.sleep = params.sleep;
 
-    var cb = function (error) {
-        console.dir(arguments);
-        self.finish();
+    var subTaskError;
+
+    // Called for each event from the sub-task.
+    var cb = function (name, event) {
+        if (name === 'error') {
+            subTaskError = event.error;
+        } else if (name === 'finish') {
+            if (subTaskError) {
+                self.fatal('nop sub-task failed: ' + subTaskError);
+                return;
+            }
+            self.finish();
+        }
     };
 
     self.subTask(
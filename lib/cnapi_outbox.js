@@ -0,0 +1,589 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The CnapiOutbox serializes the messages cn-agent sends to CNAPI, so that we
+ * never have more than one request outstanding to a (possibly busy) CNAPI.
+ * Each kind of message is registered with:
+ *
+ *     outbox.register(type, {
+ *         send: function (payload, callback) { ... },
+ *         coalesce: <boolean>,
+ *         coalesceKey: function (payload) { ... },
+ *         persist: <boolean>,
+ *         retry: <boolean>
+ *     });
+ *
+ * and then sent with outbox.push(type, payload, callback). `send` makes the
+ * request and calls callback(err) when it's done. The options are:
+ *
+ *  coalesce -- a message that has not been sent yet is replaced by a newer
+ *              message of the same type, since the newer one supersedes it.
+ *              All of their callbacks are called once the newer is sent.
+ *  coalesceKey -- only coalesce messages of this type for which this returns
+ *              the same key. Those for which it returns undefined are never
+ *              coalesced. Implies coalesce.
+ *  persist  -- the message is written to the outbox directory until it has
+ *              been sent, so that it will still be sent if cn-agent restarts.
+ *              It isn't sent until it has been written.
+ *  retry    -- if sending fails, the message is retried (after the backoff
+ *              delay) until it succeeds. Otherwise callback(err) is called.
+ *
+ * Messages are sent in the order they were pushed, except that after a
+ * failure, messages of that type are skipped until an exponential backoff
+ * delay has passed. Messages of other types are still sent meanwhile, so that
+ * e.g. a status CNAPI won't take doesn't hold up heartbeats. After
+ * breakerThreshold consecutive failures (of any type), the circuit breaker
+ * opens: nothing is sent for breakerCooldown ms, after which one message is
+ * tried. Messages that would not be retried or persisted fail immediately
+ * while the breaker is open rather than pile up.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var backo2 = require('backo2');
+var mkdirp = require('mkdirp');
+var VError = require('verror').VError;
+
+
+//
+// 1.6 chosen here mostly randomly, just so we try a bit more often initially
+// than with the default value of 2. If a more scientific value is arrived at,
+// feel free to change. Same goes for the other values here. These seemed like
+// reasonable places to start, but production experience will likely lead to
+// improvement opportunities. Nothing is magical about these values.
+//
+var RETRY_FACTOR = 1.6;
+var RETRY_JITTER = 0.2;
+var RETRY_MAX_DELAY_MS = 120 * 1000;
+var RETRY_MIN_DELAY_MS = 500;
+
+var DEFAULT_BREAKER_COOLDOWN_MS = 60 * 1000;
+var DEFAULT_BREAKER_THRESHOLD = 5;
+
+var OUTBOX_FILE_RE = /^(\d+)-([a-z_]+)\.json$/;
+
+
+function CnapiOutbox(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.breakerCooldown, 'opts.breakerCooldown');
+    assert.optionalNumber(opts.breakerThreshold, 'opts.breakerThreshold');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.metrics, 'opts.metrics');
+
+    this.breakerCooldown = opts.breakerCooldown ||
+        DEFAULT_BREAKER_COOLDOWN_MS;
+    this.breakerOpenUntil = 0;
+    this.breakerThreshold = opts.breakerThreshold || DEFAULT_BREAKER_THRESHOLD;
+    this.consecutiveFailures = 0;
+    // Without a dir, messages are not persisted.
+    this.dir = opts.dir;
+    this.handlers = {};
+    this.log = opts.log;
+    this.pending = [];
+    this.sending = false;
+    this.seq = 0;
+    this.timer = null;
+
+    this.metrics = {};
+    if (opts.metrics) {
+        this.metrics.failures = opts.metrics.counter(
+            'cn_agent_cnapi_post_failures_total',
+            'Failed POSTs to CNAPI, by message type');
+        this.metrics.latency = opts.metrics.histogram(
+            'cn_agent_cnapi_post_duration_seconds',
+            'Time taken by POSTs to CNAPI, by message type');
+        this.metrics.pending = opts.metrics.gauge(
+            'cn_agent_cnapi_outbox_pending',
+            'Messages waiting to be sent to CNAPI');
+    }
+}
+
+
+CnapiOutbox.prototype.register = function register(type, opts) {
+    var self = this;
+
+    assert.string(type, 'type');
+    assert.ok(OUTBOX_FILE_RE.test('0-' + type + '.json'),
+        'type must be lowercase letters and underscores');
+    assert.object(opts, 'opts');
+    assert.func(opts.send, 'opts.send');
+    assert.optionalBool(opts.coalesce, 'opts.coalesce');
+    assert.optionalFunc(opts.coalesceKey, 'opts.coalesceKey');
+    assert.optionalBool(opts.persist, 'opts.persist');
+    assert.optionalBool(opts.retry, 'opts.retry');
+    assert.ok(!self.handlers.hasOwnProperty(type),
+        'message type ' + type + ' already registered');
+
+    self.handlers[type] = {
+        // Each type of message backs off separately.
+        backoff: new backo2({
+            factor: RETRY_FACTOR,
+            jitter: RETRY_JITTER,
+            max: RETRY_MAX_DELAY_MS,
+            min: RETRY_MIN_DELAY_MS
+        }),
+        coalesce: Boolean(opts.coalesce || opts.coalesceKey),
+        coalesceKey: opts.coalesceKey,
+        persist: Boolean(opts.persist && self.dir),
+        retry: Boolean(opts.retry),
+        // When this type of message may next be sent, after a failure.
+        retryAt: 0,
+        send: opts.send
+    };
+};
+
+
+/*
+ * Loads any messages that were persisted but not sent before we last
+ * stopped, and starts sending. All message types must be registered first.
+ */
+CnapiOutbox.prototype.open = function open() {
+    var self = this;
+
+    if (self.dir) {
+        if (!fs.existsSync(self.dir)) {
+            mkdirp.sync(self.dir, parseInt('0755', 8));
+        }
+
+        fs.readdirSync(self.dir).filter(function (filename) {
+            return OUTBOX_FILE_RE.test(filename);
+        }).sort(function (a, b) {
+            return (parseInt(a, 10) - parseInt(b, 10));
+        }).forEach(function (filename) {
+            self._loadPersisted(filename);
+        });
+    }
+
+    self._kick();
+};
+
+
+CnapiOutbox.prototype._loadPersisted = function _loadPersisted(filename) {
+    var self = this;
+    var file = path.join(self.dir, filename);
+    var record;
+
+    try {
+        record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        self.log.warn({ err: err, file: file },
+            'Discarding unreadable CNAPI outbox message');
+        fs.unlinkSync(file);
+        return;
+    }
+
+    if (!self.handlers.hasOwnProperty(record.type)) {
+        self.log.warn({ file: file, type: record.type },
+            'Discarding CNAPI outbox message of unknown type');
+        fs.unlinkSync(file);
+        return;
+    }
+
+    self.seq = Math.max(self.seq, parseInt(filename, 10));
+    self.log.info({ file: file, type: record.type },
+        'Loaded unsent CNAPI message');
+    self._enqueue(record.type, record.payload, undefined, file);
+};
+
+
+/*
+ * Queues a message of `type` to be sent to CNAPI. The optional callback is
+ * called with an error if the message could not be sent (and won't be
+ * retried), and without one once it has been sent.
+ */
+CnapiOutbox.prototype.push = function push(type, payload, callback) {
+    var self = this;
+    var handler = self.handlers[type];
+
+    assert.ok(handler, 'unknown CNAPI message type: ' + type);
+    assert.optionalFunc(callback, 'callback');
+
+    if (self.breakerState() === 'open' && !handler.retry &&
+        !handler.persist) {
+
+        if (callback) {
+            setImmediate(callback, new VError(
+                'not sending %s to CNAPI while circuit breaker is open',
+                type));
+        }
+        return;
+    }
+
+    self._enqueue(type, payload, callback);
+    self._kick();
+};
+
+
+CnapiOutbox.prototype._enqueue = function _enqueue(type, payload, callback,
+    file) {
+
+    var self = this;
+    var handler = self.handlers[type];
+    var msg = self._findCoalescable(type, payload);
+
+    if (msg) {
+        self.log.debug({ type: type }, 'Coalescing CNAPI message');
+        msg.payload = payload;
+    } else {
+        msg = { attempts: 0, callbacks: [], payload: payload, type: type };
+        self.pending.push(msg);
+    }
+
+    if (callback) {
+        msg.callbacks.push(callback);
+    }
+
+    if (file) {
+        // A message loaded from the outbox directory that supersedes one
+        // loaded before it takes its place, so the older one's file must go
+        // or it would be sent again after the next restart.
+        if (msg.file && msg.file !== file) {
+            self._removeFile(msg.file);
+        }
+        msg.file = file;
+    } else if (handler.persist) {
+        self._persist(msg);
+    }
+
+    self._updatePendingMetric();
+};
+
+
+/*
+ * Returns the pending message that a new message of `type` with `payload`
+ * supersedes, if any.
+ */
+CnapiOutbox.prototype._findCoalescable = function _findCoalescable(type,
+    payload) {
+
+    var self = this;
+    var handler = self.handlers[type];
+    var idx;
+    var key;
+
+    if (!handler.coalesce) {
+        return undefined;
+    }
+
+    if (handler.coalesceKey) {
+        key = handler.coalesceKey(payload);
+        if (key === undefined) {
+            return undefined;
+        }
+    }
+
+    for (idx = 0; idx < self.pending.length; idx++) {
+        if (self.pending[idx].type === type && (!handler.coalesceKey ||
+            handler.coalesceKey(self.pending[idx].payload) === key)) {
+
+            return self.pending[idx];
+        }
+    }
+
+    return undefined;
+};
+
+
+/*
+ * Writes `msg` to the outbox directory. A message that was coalesced is
+ * written over its file, so that it keeps its place in the order persisted
+ * messages are loaded in. The message isn't sent while this is underway.
+ */
+CnapiOutbox.prototype._persist = function _persist(msg) {
+    var self = this;
+    var file = msg.file;
+    var tmpFile;
+
+    // A message coalesced while it was being written is written again once
+    // that's done.
+    if (msg.writing) {
+        msg.rewrite = true;
+        return;
+    }
+
+    if (!file) {
+        self.seq = Math.max(self.seq + 1, Date.now());
+        file = path.join(self.dir, self.seq + '-' + msg.type + '.json');
+    }
+    tmpFile = file + '.tmp';
+    msg.writing = true;
+
+    function done(err) {
+        msg.writing = false;
+
+        if (err) {
+            self.log.error({ err: err, file: file, type: msg.type },
+                'Unable to persist CNAPI message, it will be lost on restart');
+        } else {
+            // It may have been coalesced with a loaded message meanwhile.
+            if (msg.file && msg.file !== file) {
+                self._removeFile(msg.file);
+            }
+            msg.file = file;
+        }
+
+        if (msg.rewrite) {
+            msg.rewrite = false;
+            self._persist(msg);
+            return;
+        }
+
+        self._kick();
+    }
+
+    fs.writeFile(tmpFile, JSON.stringify({
+        payload: msg.payload,
+        type: msg.type
+    }) + '\n', function _onWritten(writeErr) {
+        if (writeErr) {
+            done(writeErr);
+            return;
+        }
+
+        fs.rename(tmpFile, file, done);
+    });
+};
+
+
+/*
+ * Removes msg's file, if any, calling the optional callback() once it's gone
+ * (or we've given up on removing it).
+ */
+CnapiOutbox.prototype._unpersist = function _unpersist(msg, callback) {
+    var self = this;
+    var file = msg.file;
+
+    msg.file = undefined;
+
+    if (!file) {
+        if (callback) {
+            setImmediate(callback);
+        }
+        return;
+    }
+
+    self._removeFile(file, callback);
+};
+
+
+CnapiOutbox.prototype._removeFile = function _removeFile(file, callback) {
+    var self = this;
+
+    fs.unlink(file, function _onUnlinked(err) {
+        if (err && err.code !== 'ENOENT') {
+            self.log.warn({ err: err, file: file },
+                'Unable to remove sent CNAPI message');
+        }
+
+        if (callback) {
+            callback();
+        }
+    });
+};
+
+
+CnapiOutbox.prototype.breakerState = function breakerState() {
+    var self = this;
+
+    if (self.consecutiveFailures < self.breakerThreshold) {
+        return 'closed';
+    }
+
+    return (Date.now() < self.breakerOpenUntil ? 'open' : 'half-open');
+};
+
+
+/*
+ * Sends the first pending message that may be sent now, if we're not already
+ * sending one. Otherwise, if there are messages waiting for their backoff
+ * delay (or the circuit breaker) this tries again once the first of them may
+ * be sent.
+ */
+CnapiOutbox.prototype._kick = function _kick() {
+    var self = this;
+    var idx;
+    var msg;
+    var now = Date.now();
+    var sendAt = Infinity;
+
+    if (self.sending || self.pending.length === 0) {
+        return;
+    }
+
+    if (self.timer) {
+        clearTimeout(self.timer);
+        self.timer = null;
+    }
+
+    if (self.breakerOpenUntil > now) {
+        sendAt = self.breakerOpenUntil;
+    } else {
+        for (idx = 0; idx < self.pending.length; idx++) {
+            msg = self.pending[idx];
+
+            // This kicks again once it has been written.
+            if (msg.writing) {
+                continue;
+            }
+
+            if (self.handlers[msg.type].retryAt <= now) {
+                self._sendNext(idx);
+                return;
+            }
+
+            sendAt = Math.min(sendAt, self.handlers[msg.type].retryAt);
+        }
+    }
+
+    if (sendAt !== Infinity) {
+        self.timer = setTimeout(function _onDelayed() {
+            self.timer = null;
+            self._kick();
+        }, sendAt - now);
+    }
+};
+
+
+CnapiOutbox.prototype._sendNext = function _sendNext(idx) {
+    var self = this;
+    var msg = self.pending.splice(idx, 1)[0];
+    var handler = self.handlers[msg.type];
+    var labels = { message: msg.type };
+    var observeLatency;
+
+    self.sending = true;
+    self._updatePendingMetric();
+    msg.attempts++;
+
+    if (self.metrics.latency) {
+        observeLatency = self.metrics.latency.startTimer(labels);
+    }
+
+    handler.send(msg.payload, function _onSent(err) {
+        if (observeLatency) {
+            observeLatency();
+        }
+
+        self.sending = false;
+
+        if (err) {
+            self._onFailure(msg, err);
+        } else {
+            self._onSuccess(msg);
+        }
+
+        self._updatePendingMetric();
+        self._kick();
+    });
+};
+
+
+CnapiOutbox.prototype._onSuccess = function _onSuccess(msg) {
+    var self = this;
+
+    if (self.consecutiveFailures >= self.breakerThreshold) {
+        self.log.info('CNAPI is responding again, closing circuit breaker');
+    }
+
+    self.consecutiveFailures = 0;
+    self.handlers[msg.type].backoff.reset();
+    self.handlers[msg.type].retryAt = 0;
+
+    self._unpersist(msg, function _onUnpersisted() {
+        msg.callbacks.forEach(function (cb) {
+            cb();
+        });
+    });
+};
+
+
+CnapiOutbox.prototype._onFailure = function _onFailure(msg, err) {
+    var self = this;
+    var handler = self.handlers[msg.type];
+    var delay = handler.backoff.duration();
+    var newer = self._findCoalescable(msg.type, msg.payload);
+
+    if (self.metrics.failures) {
+        self.metrics.failures.inc({ message: msg.type });
+    }
+
+    self.consecutiveFailures++;
+    handler.retryAt = Date.now() + delay;
+
+    if (self.consecutiveFailures >= self.breakerThreshold) {
+        self.breakerOpenUntil = Date.now() + self.breakerCooldown;
+        self.log.warn({
+            consecutiveFailures: self.consecutiveFailures,
+            cooldownMs: self.breakerCooldown
+        }, 'Too many CNAPI failures, circuit breaker is open');
+    }
+
+    self.log.warn({
+        attempts: msg.attempts,
+        err: err,
+        retry: handler.retry,
+        retryInMs: (handler.retry ? delay : undefined),
+        type: msg.type
+    }, 'Failed to send %s to CNAPI', msg.type);
+
+    if (!handler.retry) {
+        self._unpersist(msg, function _onUnpersisted() {
+            msg.callbacks.forEach(function (cb) {
+                cb(err);
+            });
+        });
+        return;
+    }
+
+    // If a newer message that supersedes this one came in while we were
+    // sending it, only the newer one needs to be retried.
+    if (newer) {
+        self._unpersist(msg);
+        newer.callbacks = msg.callbacks.concat(newer.callbacks);
+        return;
+    }
+
+    // It goes back to the front, so that it's still sent before any others
+    // of its type.
+    self.pending.unshift(msg);
+};
+
+
+CnapiOutbox.prototype._updatePendingMetric = function _updatePendingMetric() {
+    var self = this;
+
+    if (self.metrics.pending) {
+        self.metrics.pending.set({}, self.pending.length);
+    }
+};
+
+
+/*
+ * Returns a summary of the outbox's state.
+ */
+CnapiOutbox.prototype.status = function status() {
+    var self = this;
+
+    return {
+        breaker: self.breakerState(),
+        consecutive_failures: self.consecutiveFailures,
+        pending: self.pending.map(function (msg) {
+            return { attempts: msg.attempts, type: msg.type };
+        }),
+        sending: self.sending
+    };
+};
+
+
+module.exports = CnapiOutbox;
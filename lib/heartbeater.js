@@ -36,13 +36,55 @@ var VM_LOOKUP_FIELDS = [
 ];
 
 
-function StatusReporter(opts) {
-    this.debug = !!process.env.DEBUG;
-    this.max_interval = 60000;  // milliseconds frequency for doing full reload
-    this.status_interval = 500;  // milliseconds frequency of sending msgs
+// Returns what we report about a VM in the status, given its vmobj.
+function sampleVm(vmobj) {
+    return {
+        brand: vmobj.brand,
+        cpu_cap: vmobj.cpu_cap,
+        last_modified: vmobj.last_modified,
+        max_physical_memory: vmobj.max_physical_memory,
+        owner_uuid: vmobj.owner_uuid,
+        quota: vmobj.quota,
+        state: vmobj.state,
+        uuid: vmobj.uuid,
+        zone_state: vmobj.zone_state
+    };
+}
+
 
+// Defaults for the intervals (in milliseconds) that can be passed in opts.
+var DEFAULT_MAX_INTERVAL = 60000;
+var DEFAULT_STATUS_INTERVAL = 500;
+var DEFAULT_THROTTLE_INTERVAL = 5000;
+
+
+/*
+ * The StatusReporter gathers the status of the CN (its VMs, zpools, memory,
+ * disk usage and boot time) and emits 'status' with it whenever it may have
+ * changed.
+ *
+ * The whole status is gathered at first, every max_interval ms, and whenever
+ * the backend's watchers tell us something changed without saying what. When
+ * they tell us a particular VM changed, we only reload that VM (and the memory
+ * info, which changes as VMs start and stop) and reuse the rest of the last
+ * status. Disk usage and zpool info are only updated with the whole status.
+ */
+function StatusReporter(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.backend, 'opts.backend');
+    assert.optionalNumber(opts.maxInterval, 'opts.maxInterval');
+    assert.optionalObject(opts.metrics, 'opts.metrics');
+    assert.optionalNumber(opts.statusInterval, 'opts.statusInterval');
+    assert.optionalNumber(opts.throttleInterval, 'opts.throttleInterval');
+
+    this.debug = !!process.env.DEBUG;
+    // milliseconds frequency for doing full reload
+    this.max_interval = opts.maxInterval || DEFAULT_MAX_INTERVAL;
+    // milliseconds frequency of sending msgs
+    this.status_interval = opts.statusInterval || DEFAULT_STATUS_INTERVAL;
+    // milliseconds we wait after updating the sample before updating again
+    this.throttle_interval = opts.throttleInterval ||
+        DEFAULT_THROTTLE_INTERVAL;
 
     this.throttle = false;
 
@@ -58,6 +100,12 @@ function StatusReporter(opts) {
     this.isDirty = true;
     this.readySample = true;
 
+    // The UUIDs of VMs which have changed since the last sample (as keys),
+    // when we know which.
+    this.dirtyVms = {};
+    // The vmobjs from the last sample, by UUID.
+    this.vms = null;
+
     // The current sample is stored here and we lock the samplerLock while we're
     // updating so that we don't do two lookups at the same time.
     this.sample = null;
@@ -76,6 +124,16 @@ function StatusReporter(opts) {
 
     this.log = opts.log;
 
+    this.metrics = {};
+    if (opts.metrics) {
+        this.metrics.lockContention = opts.metrics.counter(
+            'cn_agent_status_sampler_lock_contention_total',
+            'Sample updates skipped because the previous one was running');
+        this.metrics.sampleDuration = opts.metrics.histogram(
+            'cn_agent_status_sample_duration_seconds',
+            'Time taken to gather a status sample, by result');
+    }
+
     this.serverUuid = opts.serverUuid;
 
     EventEmitter.call(this);
@@ -84,13 +142,15 @@ function StatusReporter(opts) {
 util.inherits(StatusReporter, EventEmitter);
 
 
-StatusReporter.prototype.updateSample = function () {
+// Takes the samplerLock, returning false if it's already held.
+StatusReporter.prototype.lockSampler = function lockSampler() {
     var self = this;
-    var newSample = {};
-    var vms;
 
     if (self.samplerLock) {
         self.updateSampleAttempts++;
+        if (self.metrics.lockContention) {
+            self.metrics.lockContention.inc();
+        }
 
         if (self.updateSampleAttempts === self.updateSampleAttemptsMax) {
             self.log.error(
@@ -100,15 +160,46 @@ StatusReporter.prototype.updateSample = function () {
         self.log.error(
             'SamplerLock is still held, skipping update. Attempt #'
             + self.updateSampleAttempts);
-        return;
+        return false;
     }
 
     self.updateSampleAttempts = 0;
-
     self.samplerLock = true;
 
-    // set this now in case another update comes in while we're running.
+    return true;
+};
+
+
+StatusReporter.prototype.observeSample = function observeSample(type,
+    sampleStart, err) {
+
+    var self = this;
+
+    if (self.metrics.sampleDuration) {
+        self.metrics.sampleDuration.observe({
+            result: (err ? 'failed' : 'ok'),
+            type: type
+        }, (Date.now() - sampleStart) / 1000);
+    }
+};
+
+
+StatusReporter.prototype.updateSample = function () {
+    var self = this;
+    var newSample = {};
+    var sampleStart;
+    var vms;
+
+    if (!self.lockSampler()) {
+        return;
+    }
+
+    sampleStart = Date.now();
+
+    // set this now in case another update comes in while we're running. This
+    // reloads every VM, so covers any that were marked dirty too.
     self.isDirty = false;
+    self.dirtyVms = {};
 
     vasync.pipeline({
         funcs: [
@@ -136,17 +227,7 @@ StatusReporter.prototype.updateSample = function () {
                         vms[vmobj.uuid] = vmobj;
 
                         if (!vmobj.do_not_inventory) {
-                            newSample.vms[vmobj.uuid] = {
-                                brand: vmobj.brand,
-                                cpu_cap: vmobj.cpu_cap,
-                                last_modified: vmobj.last_modified,
-                                max_physical_memory: vmobj.max_physical_memory,
-                                owner_uuid: vmobj.owner_uuid,
-                                quota: vmobj.quota,
-                                state: vmobj.state,
-                                uuid: vmobj.uuid,
-                                zone_state: vmobj.zone_state
-                            };
+                            newSample.vms[vmobj.uuid] = sampleVm(vmobj);
                         }
                     }
 
@@ -209,6 +290,7 @@ StatusReporter.prototype.updateSample = function () {
         ]
     }, function onPipelineComplete(err) {
         self.samplerLock = false;
+        self.observeSample('full', sampleStart, err);
 
         if (err) {
             // mark as dirty so that we'll try again
@@ -216,6 +298,7 @@ StatusReporter.prototype.updateSample = function () {
             self.log.error({err: err}, 'Failed to update sample');
         } else {
             self.sample = newSample;
+            self.vms = vms;
             self.readySample = true;
             self.emit('status', self.sample);
         }
@@ -223,21 +306,134 @@ StatusReporter.prototype.updateSample = function () {
 };
 
 
-StatusReporter.prototype.markDirty = function () {
+/*
+ * Updates the last sample with just the VMs in self.dirtyVms (and the memory
+ * info), rather than reloading everything.
+ */
+StatusReporter.prototype.updateVms = function updateVms() {
+    var self = this;
+    var newSample = {};
+    var sampleStart;
+    var uuids;
+    var vms = {};
+
+    if (!self.lockSampler()) {
+        return;
+    }
+
+    sampleStart = Date.now();
+    uuids = Object.keys(self.dirtyVms);
+    self.dirtyVms = {};
+
+    Object.keys(self.sample).forEach(function (field) {
+        newSample[field] = self.sample[field];
+    });
+    newSample.vms = {};
+    Object.keys(self.sample.vms).forEach(function (uuid) {
+        if (uuids.indexOf(uuid) === -1) {
+            newSample.vms[uuid] = self.sample.vms[uuid];
+        }
+    });
+    Object.keys(self.vms).forEach(function (uuid) {
+        if (uuids.indexOf(uuid) === -1) {
+            vms[uuid] = self.vms[uuid];
+        }
+    });
+
+    vasync.pipeline({
+        funcs: [
+            function _getChangedVms(_, cb) {
+                // VMs that no longer exist won't be returned, so they stay
+                // removed.
+                self.backend.loadVms({
+                    fields: VM_LOOKUP_FIELDS,
+                    log: self.log,
+                    serverUuid: self.serverUuid,
+                    uuids: uuids
+                }, function onLoadVms(err, vmobjs) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    assert.arrayOfObject(vmobjs, 'vmobjs');
+
+                    vmobjs.forEach(function (vmobj) {
+                        vms[vmobj.uuid] = vmobj;
+                        if (!vmobj.do_not_inventory) {
+                            newSample.vms[vmobj.uuid] = sampleVm(vmobj);
+                        }
+                    });
+
+                    cb();
+                });
+            }, function _getMemoryInfo(_, cb) {
+                self.backend.getMemoryInfo({
+                    serverUuid: self.serverUuid
+                }, function onMemoryInfo(err, meminfo) {
+                    if (!err) {
+                        newSample.meminfo = meminfo;
+                    }
+                    cb(err);
+                });
+            }, function _getTimestamp(_, cb) {
+                newSample.timestamp = new Date().toISOString();
+                cb();
+            }
+        ]
+    }, function onPipelineComplete(err) {
+        self.samplerLock = false;
+        self.observeSample('vms', sampleStart, err);
+
+        if (err) {
+            // Fall back to reloading everything.
+            self.markDirty();
+            self.log.error({err: err, vms: uuids},
+                'Failed to update changed VMs in sample');
+            return;
+        }
+
+        self.log.debug({vms: uuids}, 'Updated changed VMs in sample');
+        self.sample = newSample;
+        self.vms = vms;
+        self.readySample = true;
+        self.emit('status', self.sample);
+    });
+};
+
+
+/*
+ * Called with the UUID of a VM when that VM has changed, or with no arguments
+ * when anything may have changed.
+ */
+StatusReporter.prototype.markDirty = function (uuid) {
     var self = this;
-    self.isDirty = true;
+
+    // Until we have a whole sample, there's nothing to update a VM in.
+    if (uuid === undefined || self.sample === null) {
+        self.isDirty = true;
+        return;
+    }
+
+    self.dirtyVms[uuid] = true;
 };
 
 
 StatusReporter.prototype.checkEmitStatus = function () {
     var self = this;
+    var vmsDirty = (Object.keys(self.dirtyVms).length > 0);
 
-    if (self.isDirty && !self.throttle) {
+    if ((self.isDirty || vmsDirty) && !self.throttle) {
         self.throttle = true;
         setTimeout(function () {
             self.throttle = false;
-        }, 5000);
-        self.updateSample();
+        }, self.throttle_interval);
+
+        if (self.isDirty) {
+            self.updateSample();
+        } else {
+            self.updateVms();
+        }
     }
 
     if (!self.sample) {
@@ -268,18 +464,63 @@ StatusReporter.prototype.stopWatchers = function stopWatchers() {
 };
 
 
+// Returns whether each of the backend's watchers is running, if it has any.
+StatusReporter.prototype.getWatcherStatus = function getWatcherStatus() {
+    var self = this;
+
+    if (!self.watchers || !self.backend.getWatcherStatus) {
+        return {};
+    }
+
+    return self.backend.getWatcherStatus({
+        serverUuid: self.serverUuid
+    }, self.watchers);
+};
+
+
 StatusReporter.prototype.start = function () {
     var self = this;
 
     self.startWatchers();
+    self.startIntervals();
+};
+
+
+StatusReporter.prototype.startIntervals = function startIntervals() {
+    var self = this;
 
     // every max_interval we force an update but we send the state to the
     // best of our knowledge every status_interval ms.
-    self.maxInterval = setInterval(
-        self.markDirty.bind(self), self.max_interval);
+    self.maxInterval = setInterval(function _forceUpdate() {
+        self.markDirty();
+    }, self.max_interval);
     self.pingInterval = setInterval(
         self.checkEmitStatus.bind(self), self.status_interval);
 };
 
 
+/*
+ * Changes the intervals (see the constructor's opts). If we've been started,
+ * the new intervals apply straight away.
+ */
+StatusReporter.prototype.setIntervals = function setIntervals(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.maxInterval, 'opts.maxInterval');
+    assert.number(opts.statusInterval, 'opts.statusInterval');
+    assert.number(opts.throttleInterval, 'opts.throttleInterval');
+
+    self.max_interval = opts.maxInterval;
+    self.status_interval = opts.statusInterval;
+    self.throttle_interval = opts.throttleInterval;
+
+    if (self.pingInterval !== null) {
+        clearInterval(self.maxInterval);
+        clearInterval(self.pingInterval);
+        self.startIntervals();
+    }
+};
+
+
 module.exports = StatusReporter;
@@ -0,0 +1,156 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The intervals (in milliseconds) on which we heartbeat and report status to
+ * CNAPI. Each can be set in the agent config (e.g. "heartbeat_interval_ms":
+ * 10000) and changed at runtime with POST /intervals. Values outside the
+ * bounds below are rejected: a value in the config is then ignored (with a
+ * warning) in favour of the default, and a request is failed.
+ *
+ * Whenever any of the values change, an Intervals emits 'change' with the
+ * new values.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var VError = require('verror').VError;
+
+
+var INTERVALS = {
+    // How long after each heartbeat is posted we post the next.
+    heartbeat_interval_ms: { default: 5000, max: 60000, min: 1000 },
+    // How often the status is gathered, even if nothing has changed.
+    status_max_interval_ms: { default: 60000, max: 3600000, min: 10000 },
+    // How often we check whether the status needs to be gathered.
+    status_check_interval_ms: { default: 500, max: 10000, min: 100 },
+    // The least time between gathering the status.
+    status_throttle_ms: { default: 5000, max: 300000, min: 500 }
+};
+
+
+/*
+ * Returns an error if `value` is not valid for interval `name`.
+ */
+function validateInterval(name, value) {
+    var bounds = INTERVALS[name];
+
+    if (!bounds) {
+        return new VError('unknown interval "%s", must be one of: %s', name,
+            Object.keys(INTERVALS).join(', '));
+    }
+
+    if (typeof (value) !== 'number' || Math.floor(value) !== value ||
+        value < bounds.min || value > bounds.max) {
+
+        return new VError('"%s" must be an integer number of milliseconds ' +
+            'between %d and %d', name, bounds.min, bounds.max);
+    }
+
+    return null;
+}
+
+
+function Intervals(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.object(opts.log, 'opts.log');
+
+    EventEmitter.call(this);
+
+    self.log = opts.log;
+    self.values = {};
+
+    Object.keys(INTERVALS).forEach(function (name) {
+        var err;
+        var value = opts.config[name];
+
+        self.values[name] = INTERVALS[name].default;
+
+        if (value === undefined) {
+            return;
+        }
+
+        err = validateInterval(name, value);
+        if (err) {
+            self.log.warn({ err: err, value: value },
+                'Invalid %s in agent config, using default of %d', name,
+                self.values[name]);
+            return;
+        }
+
+        self.values[name] = value;
+    });
+}
+util.inherits(Intervals, EventEmitter);
+
+
+Intervals.prototype.get = function get(name) {
+    assert.ok(INTERVALS.hasOwnProperty(name), 'unknown interval ' + name);
+
+    return this.values[name];
+};
+
+
+/*
+ * Sets the intervals in `changes` (an object of name -> milliseconds). If any
+ * of them is invalid, nothing is changed and the error is returned.
+ */
+Intervals.prototype.set = function set(changes) {
+    var self = this;
+    var err;
+    var names;
+
+    assert.object(changes, 'changes');
+
+    names = Object.keys(changes);
+    for (var i = 0; i < names.length; i++) {
+        err = validateInterval(names[i], changes[names[i]]);
+        if (err) {
+            return err;
+        }
+    }
+
+    names.forEach(function (name) {
+        self.values[name] = changes[name];
+    });
+
+    if (names.length > 0) {
+        self.log.info({ changes: changes, intervals: self.values },
+            'Intervals changed');
+        self.emit('change', self.describe());
+    }
+
+    return null;
+};
+
+
+// Returns the current value and bounds of each interval.
+Intervals.prototype.describe = function describe() {
+    var self = this;
+    var result = {};
+
+    Object.keys(INTERVALS).forEach(function (name) {
+        result[name] = {
+            max: INTERVALS[name].max,
+            min: INTERVALS[name].min,
+            value: self.values[name]
+        };
+    });
+
+    return result;
+};
+
+
+module.exports = Intervals;
@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A small registry of counters, gauges and histograms which can be served in
+ * the Prometheus text exposition format (see GET /metrics in server.js).
+ *
+ * Each metric is created once with its name and help text, and then updated
+ * with an optional object of labels, e.g.:
+ *
+ *     var tasks = registry.counter('cn_agent_tasks_total', 'Tasks run');
+ *     tasks.inc({ task: 'machine_boot', status: 'finished' });
+ */
+
+var assert = require('assert-plus');
+
+
+// The default histogram buckets, in seconds.
+var DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900,
+    3600];
+
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+
+function labelKey(labels) {
+    return Object.keys(labels || {}).sort().map(function (k) {
+        return k + '="' + escapeLabelValue(labels[k]) + '"';
+    }).join(',');
+}
+
+
+function formatSample(name, key, value) {
+    return name + (key ? '{' + key + '}' : '') + ' ' + value;
+}
+
+
+function Metric(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.help, 'opts.help');
+    assert.string(opts.name, 'opts.name');
+    assert.string(opts.type, 'opts.type');
+
+    this.help = opts.help;
+    this.name = opts.name;
+    this.type = opts.type;
+    // Maps label key -> value (or histogram state)
+    this.values = {};
+}
+
+
+Metric.prototype.inc = function inc(labels, value) {
+    var key = labelKey(labels);
+
+    assert.ok(this.type !== 'histogram', 'cannot inc() a histogram');
+
+    this.values[key] = (this.values[key] || 0) +
+        (value === undefined ? 1 : value);
+};
+
+
+Metric.prototype.dec = function dec(labels, value) {
+    assert.equal(this.type, 'gauge', 'only gauges can be decremented');
+
+    this.inc(labels, -(value === undefined ? 1 : value));
+};
+
+
+Metric.prototype.set = function set(labels, value) {
+    assert.equal(this.type, 'gauge', 'only gauges can be set');
+    assert.number(value, 'value');
+
+    this.values[labelKey(labels)] = value;
+};
+
+
+Metric.prototype.observe = function observe(labels, value) {
+    var key = labelKey(labels);
+    var state = this.values[key];
+
+    assert.equal(this.type, 'histogram', 'only histograms can be observed');
+    assert.number(value, 'value');
+
+    if (!state) {
+        state = this.values[key] = {
+            counts: this.buckets.map(function () { return 0; }),
+            count: 0,
+            sum: 0
+        };
+    }
+
+    this.buckets.forEach(function (bound, idx) {
+        if (value <= bound) {
+            state.counts[idx]++;
+        }
+    });
+    state.count++;
+    state.sum += value;
+};
+
+
+/*
+ * Returns a function which, when called, observes the number of seconds since
+ * startTimer() was called.
+ */
+Metric.prototype.startTimer = function startTimer(labels) {
+    var self = this;
+    var start = process.hrtime();
+
+    return function _observeElapsed() {
+        var elapsed = process.hrtime(start);
+        self.observe(labels, elapsed[0] + elapsed[1] / 1e9);
+    };
+};
+
+
+Metric.prototype.serialize = function serialize() {
+    var self = this;
+    var lines = [
+        '# HELP ' + self.name + ' ' + self.help,
+        '# TYPE ' + self.name + ' ' + self.type
+    ];
+
+    Object.keys(self.values).sort().forEach(function (key) {
+        var state = self.values[key];
+        var prefix = (key ? key + ',' : '');
+
+        if (self.type !== 'histogram') {
+            lines.push(formatSample(self.name, key, state));
+            return;
+        }
+
+        self.buckets.forEach(function (bound, idx) {
+            lines.push(formatSample(self.name + '_bucket',
+                prefix + 'le="' + bound + '"', state.counts[idx]));
+        });
+        lines.push(formatSample(self.name + '_bucket', prefix + 'le="+Inf"',
+            state.count));
+        lines.push(formatSample(self.name + '_sum', key, state.sum));
+        lines.push(formatSample(self.name + '_count', key, state.count));
+    });
+
+    return lines.join('\n');
+};
+
+
+function MetricRegistry() {
+    this.metrics = {};
+}
+
+
+MetricRegistry.prototype._create = function _create(type, name, help) {
+    var self = this;
+
+    // Metrics may be "created" by more than one component (e.g. several
+    // TaskRunners), in which case they share the one metric.
+    if (self.metrics.hasOwnProperty(name)) {
+        assert.equal(self.metrics[name].type, type,
+            'metric ' + name + ' type');
+        return self.metrics[name];
+    }
+
+    self.metrics[name] = new Metric({ help: help, name: name, type: type });
+    return self.metrics[name];
+};
+
+
+MetricRegistry.prototype.counter = function counter(name, help) {
+    return this._create('counter', name, help);
+};
+
+
+MetricRegistry.prototype.gauge = function gauge(name, help) {
+    return this._create('gauge', name, help);
+};
+
+
+MetricRegistry.prototype.histogram = function histogram(name, help, buckets) {
+    var metric = this._create('histogram', name, help);
+
+    assert.optionalArrayOfNumber(buckets, 'buckets');
+
+    if (!metric.buckets) {
+        metric.buckets = buckets || DEFAULT_BUCKETS;
+    }
+
+    return metric;
+};
+
+
+// Returns all metrics in the Prometheus text exposition format.
+MetricRegistry.prototype.serialize = function serialize() {
+    var self = this;
+
+    return Object.keys(self.metrics).sort().map(function (name) {
+        return self.metrics[name].serialize();
+    }).join('\n') + '\n';
+};
+
+
+module.exports = MetricRegistry;
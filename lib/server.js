@@ -15,34 +15,65 @@
  *
  */
 
+var bunyan = require('bunyan');
 var restify = require('restify');
 var EventEmitter = require('events').EventEmitter;
 var os = require('os');
 var util = require('util');
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+var historyQuery = require('./task_agent/history');
+var MetricRegistry = require('./metrics');
+
+// Default and maximum number of seconds GET /tasks/:id/wait will wait.
+var DEFAULT_WAIT_SECONDS = 60;
+var MAX_WAIT_SECONDS = 60 * 60;
+
+// Default and maximum number of logs returned by GET /logs.
+var DEFAULT_LOGS_LIMIT = 100;
+var MAX_LOGS_LIMIT = 1000;
+
+// How often drain() checks whether the in-flight tasks have finished.
+var DRAIN_POLL_MS = 1000;
 
 function AgentHttpServer(opts) {
     var self = this;
+    var serverOpts;
 
+    assert.optionalObject(opts.auth, 'opts.auth');
     assert.string(opts.bindip, 'opts.bindip');
     assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.metrics, 'opts.metrics');
     assert.optionalString(opts.uuid, 'opts.uuid');
 
     if (opts.uuid) {
         self.uuid = opts.uuid;
     }
+    // An Authenticator (see auth.js), if requests must be authenticated.
+    self.auth = opts.auth;
     self.bindip = opts.bindip;
     self.log = opts.log;
+    // Other components add their metrics to this registry, which is served
+    // by GET /metrics.
+    self.metrics = opts.metrics || new MetricRegistry();
 
     // port can be set to 0 to have the system choose a port
     if (opts.hasOwnProperty('port')) {
         self.port = opts.port;
     }
 
-    this.server = restify.createServer({
+    serverOpts = {
         log: opts.log,
         name: 'Compute Node Agent'
-    });
+    };
+
+    if (self.auth && self.auth.serverOptions()) {
+        serverOpts = jsprim.mergeObjects(self.auth.serverOptions(),
+            serverOpts);
+    }
+
+    this.server = restify.createServer(serverOpts);
 
     self.init();
 }
@@ -70,6 +101,7 @@ AgentHttpServer.prototype.start = function start(callback) {
 
 AgentHttpServer.prototype.init = function () {
     var self = this;
+    var bodyParser;
 
     // When true, stop accepting new tasks:
     self.draining = false;
@@ -82,13 +114,22 @@ AgentHttpServer.prototype.init = function () {
     self.server.use(restify.acceptParser(self.server.acceptable));
     self.server.use(restify.authorizationParser());
     self.server.use(restify.queryParser());
-    self.server.use(restify.bodyParser());
+
+    // bodyParser() is a handler that reads the body and one that parses it.
+    // Signatures cover the body as it was sent, so we authenticate between
+    // the two.
+    bodyParser = restify.bodyParser();
+    self.server.use(bodyParser[0]);
+    if (self.auth) {
+        self.server.use(self.auth.handler());
+    }
+    self.server.use(bodyParser[1]);
 
     self.server.on('after', function auditReq(req, res, route, err) {
         var method = req.method;
         var reqpath = req.path();
         if (method === 'GET' || method === 'HEAD') {
-            if (reqpath === '/ping') {
+            if (reqpath === '/ping' || reqpath === '/metrics') {
                 return;
             }
         }
@@ -98,7 +139,11 @@ AgentHttpServer.prototype.init = function () {
                    Math.floor(res.statusCode/100) !== 2;
 
         restify.auditLogger({
-            log: req.log.child({ route: route && route.name }, true),
+            log: req.log.child({
+                auth_rejected: req.authRejected,
+                identity: req.identity,
+                route: route && route.name
+            }, true),
             body: body
         })(req, res, route, err);
     });
@@ -151,28 +196,408 @@ AgentHttpServer.prototype.init = function () {
         return;
     });
 
+    self.server.get('/tasks/:id', function (req, res, next) {
+        var task = self.getTrackedTask(req.params.id);
+        var authErr;
+
+        if (!task) {
+            next(new restify.ResourceNotFoundError(
+                'Unknown task id \'%s\'', req.params.id));
+            return;
+        }
+
+        authErr = self.authorizeQueue(req, task.queue);
+        if (authErr) {
+            next(authErr);
+            return;
+        }
+
+        res.send(200, task.serialize());
+        next();
+    });
+
+    // Like GET /tasks/:id, but if the task has not finished this waits for up
+    // to `timeout` seconds for it to do so before responding.
+    self.server.get('/tasks/:id/wait', function (req, res, next) {
+        var task = self.getTrackedTask(req.params.id);
+        var timeout = DEFAULT_WAIT_SECONDS;
+        var authErr;
+
+        if (!task) {
+            next(new restify.ResourceNotFoundError(
+                'Unknown task id \'%s\'', req.params.id));
+            return;
+        }
+
+        authErr = self.authorizeQueue(req, task.queue);
+        if (authErr) {
+            next(authErr);
+            return;
+        }
+
+        if (req.params.timeout !== undefined) {
+            timeout = Number(req.params.timeout);
+            if (isNaN(timeout) || timeout < 0 || timeout > MAX_WAIT_SECONDS) {
+                next(new restify.InvalidArgumentError(
+                    '\'timeout\' must be a number of seconds between 0 ' +
+                    'and %d', MAX_WAIT_SECONDS));
+                return;
+            }
+        }
+
+        req.connection.setTimeout((timeout + 60) * 1000);
+        res.connection.setTimeout((timeout + 60) * 1000);
+
+        task.wait(timeout * 1000, function _onWaited() {
+            res.send(200, task.serialize());
+            next();
+        });
+    });
+
+    // Cancels a queued or running task. This responds once the task has been
+    // stopped (which may include the time it takes the task to clean up).
+    self.server.del('/tasks/:id', function (req, res, next) {
+        var task = self.getTrackedTask(req.params.id);
+        var authErr;
+
+        if (!task) {
+            next(new restify.ResourceNotFoundError(
+                'Unknown task id \'%s\'', req.params.id));
+            return;
+        }
+
+        authErr = self.authorizeQueue(req, task.queue);
+        if (authErr) {
+            next(authErr);
+            return;
+        }
+
+        if (task.isDone()) {
+            next(new restify.ConflictError(
+                'Task \'%s\' has already finished', req.params.id));
+            return;
+        }
+
+        task.cancel(function _onCancelled() {
+            res.send(200, task.serialize());
+            next();
+        });
+    });
+
+    // Lists the task history, optionally filtered (see history.js).
     self.server.get('/history', function (req, res, next) {
-        var history = self.taskHistory || [];
-        res.send(200, history);
+        var query;
+
+        if (!self.taskJournal) {
+            next(new restify.ServiceUnavailableError('Not ready'));
+            return;
+        }
+
+        try {
+            query = historyQuery.parseHistoryQuery(req.params);
+        } catch (err) {
+            next(new restify.InvalidArgumentError(err.message));
+            return;
+        }
+
+        historyQuery.listHistory({
+            filter: function (entry) {
+                return self.isAllowed(req, entry.queue ||
+                    self.queueOfTask(entry.task));
+            },
+            history: self.taskHistory || [],
+            journal: self.taskJournal,
+            query: query
+        }, function (err, entries) {
+            if (err) {
+                next(new restify.InternalError(err,
+                    'Unable to read task history'));
+                return;
+            }
+
+            res.send(200, entries);
+            next();
+        });
+    });
+
+    // Returns one history entry, including all of its messages and log.
+    self.server.get('/history/:id', function (req, res, next) {
+        var authErr;
+
+        if (!self.taskJournal) {
+            next(new restify.ServiceUnavailableError('Not ready'));
+            return;
+        }
+
+        historyQuery.getHistoryEntry({
+            history: self.taskHistory || [],
+            id: req.params.id,
+            journal: self.taskJournal
+        }, function (err, entry) {
+            if (err) {
+                next(new restify.InternalError(err,
+                    'Unable to read task history'));
+                return;
+            }
+
+            if (!entry) {
+                next(new restify.ResourceNotFoundError(
+                    'No history for task \'%s\'', req.params.id));
+                return;
+            }
+
+            authErr = self.authorizeQueue(req, entry.queue ||
+                self.queueOfTask(entry.task));
+            if (authErr) {
+                next(authErr);
+                return;
+            }
+
+            res.send(200, entry);
+            next();
+        });
+    });
+
+    // Lists the task log files (see task_logs.js).
+    self.server.get('/logs', function (req, res, next) {
+        var limit = DEFAULT_LOGS_LIMIT;
+
+        if (!self.taskLogs) {
+            next(new restify.ServiceUnavailableError('Not ready'));
+            return;
+        }
+
+        if (req.params.limit !== undefined) {
+            limit = Number(req.params.limit);
+            if (isNaN(limit) || limit < 1 || limit > MAX_LOGS_LIMIT ||
+                Math.floor(limit) !== limit) {
+
+                next(new restify.InvalidArgumentError(
+                    '\'limit\' must be an integer between 1 and %d',
+                    MAX_LOGS_LIMIT));
+                return;
+            }
+        }
+
+        self.taskLogs.list({
+            filter: function (info) {
+                return self.isAllowed(req, self.queueOfTask(info.task));
+            },
+            limit: limit,
+            task: req.params.task
+        }, function (err, logs) {
+            if (err) {
+                next(new restify.InternalError(err, 'Unable to list logs'));
+                return;
+            }
+
+            res.send(200, logs);
+            next();
+        });
+    });
+
+    // Returns a task's log, by task id or pid. With `level`, only records at
+    // or above that level are returned. With `follow=true`, new records are
+    // streamed until the task has finished.
+    self.server.get('/logs/:id', function (req, res, next) {
+        var follow = (req.params.follow === true ||
+            req.params.follow === 'true');
+        var level = bunyan.TRACE;
+        var authErr;
+
+        if (!self.taskLogs) {
+            next(new restify.ServiceUnavailableError('Not ready'));
+            return;
+        }
+
+        if (req.params.level !== undefined) {
+            try {
+                level = bunyan.resolveLevel(isNaN(Number(req.params.level)) ?
+                    req.params.level : Number(req.params.level));
+            } catch (err) {
+                next(new restify.InvalidArgumentError(
+                    'Unknown log level \'%s\'', req.params.level));
+                return;
+            }
+        }
+
+        self.taskLogs.find(req.params.id, function (findErr, info) {
+            if (findErr) {
+                next(new restify.InternalError(findErr,
+                    'Unable to find log'));
+                return;
+            }
+
+            if (!info) {
+                next(new restify.ResourceNotFoundError(
+                    'No log for task \'%s\'', req.params.id));
+                return;
+            }
+
+            authErr = self.authorizeQueue(req, self.queueOfTask(info.task));
+            if (authErr) {
+                next(authErr);
+                return;
+            }
+
+            if (follow) {
+                // The log may be followed for as long as the task runs.
+                req.connection.setTimeout(0);
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'application/x-ndjson',
+                'x-task-log-id': info.id
+            });
+
+            self.taskLogs.read({
+                follow: follow,
+                id: info.id,
+                level: level,
+                stream: res
+            }, function (readErr) {
+                if (readErr) {
+                    req.log.error({ err: readErr, id: info.id },
+                        'Error reading task log');
+                }
+                res.end();
+                next();
+            });
+        });
+    });
+
+    // Shows the running and waiting tasks for each of the task queues.
+    self.server.get('/queues', function (req, res, next) {
+        var queues = self.taskQueues || {};
+        res.send(200, Object.keys(queues).map(function (name) {
+            return queues[name].status();
+        }));
+        next();
+        return;
+    });
+
+    // Health check for supervisors and CNAPI. This responds with a 503 when
+    // we're unhealthy so that callers needn't parse the body.
+    self.server.get('/ping', function (req, res, next) {
+        var health = self.getHealth();
+
+        res.send((health.status === 'unhealthy' ? 503 : 200), health);
+        next();
+    });
+
+    self.server.get('/metrics', function (req, res, next) {
+        var body = self.metrics.serialize();
+
+        res.writeHead(200, {
+            'Content-Length': Buffer.byteLength(body),
+            'Content-Type': 'text/plain; version=0.0.4'
+        });
+        res.end(body);
+        next();
+    });
+
+    // The heartbeat and status intervals (see intervals.js).
+    self.server.get('/intervals', function (req, res, next) {
+        if (!self.intervals) {
+            next(new restify.ServiceUnavailableError('Not available'));
+            return;
+        }
+
+        res.send(200, self.intervals.describe());
+        next();
+    });
+
+    // Changes the intervals given in the body, e.g.
+    // {"heartbeat_interval_ms": 10000}, until cn-agent restarts.
+    self.server.post('/intervals', function (req, res, next) {
+        var err = self.authorizeAdmin(req);
+
+        if (err) {
+            next(err);
+            return;
+        }
+
+        if (!self.intervals) {
+            next(new restify.ServiceUnavailableError('Not available'));
+            return;
+        }
+
+        if (typeof (req.body) !== 'object' || req.body === null ||
+            Array.isArray(req.body)) {
+
+            next(new restify.InvalidArgumentError(
+                'Body must be an object of interval names to milliseconds'));
+            return;
+        }
+
+        err = self.intervals.set(req.body);
+        if (err) {
+            next(new restify.InvalidArgumentError(err.message));
+            return;
+        }
+
+        res.send(200, self.intervals.describe());
+        next();
+    });
+
+    // Reports whether we're draining and which tasks are still in flight.
+    self.server.get('/status', function (req, res, next) {
+        res.send(200, self.drainStatus());
         next();
         return;
     });
 
     // Stop accepting new tasks, probably b/c we're gonna update
     // the agent itself or reboot the server where the agent is
-    // running:
+    // running. With `wait=true`, this responds once the in-flight tasks have
+    // finished or `timeout` seconds have passed, whichever comes first.
     self.server.post('/pause', function (req, res, next) {
-        if (!self.draining) {
-            self.draining = true;
+        var authErr = self.authorizeAdmin(req);
+        var timeout = DEFAULT_WAIT_SECONDS;
+
+        if (authErr) {
+            next(authErr);
+            return;
         }
-        res.send(204);
-        next();
-        return;
+
+        if (req.params.wait !== true && req.params.wait !== 'true') {
+            if (!self.draining) {
+                self.draining = true;
+            }
+            res.send(204);
+            next();
+            return;
+        }
+
+        if (req.params.timeout !== undefined) {
+            timeout = Number(req.params.timeout);
+            if (isNaN(timeout) || timeout < 0 || timeout > MAX_WAIT_SECONDS) {
+                next(new restify.InvalidArgumentError(
+                    '\'timeout\' must be a number of seconds between 0 ' +
+                    'and %d', MAX_WAIT_SECONDS));
+                return;
+            }
+        }
+
+        req.connection.setTimeout((timeout + 60) * 1000);
+        res.connection.setTimeout((timeout + 60) * 1000);
+
+        self.drain({ timeoutSeconds: timeout }, function _onDrained(status) {
+            res.send(200, status);
+            next();
+        });
     });
 
     // Accept new tasks again. (After an agent reboot, it will always
     // accept new tasks).
     self.server.post('/resume', function (req, res, next) {
+        var authErr = self.authorizeAdmin(req);
+
+        if (authErr) {
+            next(authErr);
+            return;
+        }
+
         if (self.draining) {
             self.draining = false;
         }
@@ -189,10 +614,264 @@ AgentHttpServer.prototype.registerTaskHandler = function (uuid, handler) {
 };
 
 
+/*
+ * Returns an error if the client that made `req` may not use the tasks in
+ * queue `queueName`.
+ */
+AgentHttpServer.prototype.authorizeQueue = function (req, queueName) {
+    var self = this;
+
+    if (!self.auth) {
+        return null;
+    }
+
+    return self.auth.authorizeQueue(req, queueName);
+};
+
+
+/*
+ * Like authorizeQueue(), but returns whether the client may use the queue
+ * rather than rejecting the request, for filtering lists.
+ */
+AgentHttpServer.prototype.isAllowed = function (req, queueName) {
+    var self = this;
+
+    if (!self.auth) {
+        return true;
+    }
+
+    return self.auth.isAllowed(req.identity, queueName);
+};
+
+
+/*
+ * Returns an error if the client that made `req` may not use the endpoints
+ * that affect the whole agent.
+ */
+AgentHttpServer.prototype.authorizeAdmin = function (req) {
+    var self = this;
+
+    if (!self.auth) {
+        return null;
+    }
+
+    return self.auth.authorizeAdmin(req);
+};
+
+
+// Returns the name of the queue that task `taskName` runs in, if any.
+AgentHttpServer.prototype.queueOfTask = function (taskName) {
+    var self = this;
+    var queues = self.taskQueues || {};
+    var names = Object.keys(queues);
+    var idx;
+
+    for (idx = 0; idx < names.length; idx++) {
+        if (queues[names[idx]].tasks.indexOf(taskName) !== -1) {
+            return names[idx];
+        }
+    }
+
+    return undefined;
+};
+
+
+/*
+ * Sets the function that GET /ping calls to get the health checks for the
+ * rest of cn-agent (see App.getHealth).
+ */
+AgentHttpServer.prototype.setHealthCheck = function (healthFn) {
+    var self = this;
+    self.healthCheck = healthFn;
+};
+
+
+/*
+ * Returns our health, with an overall `status` of "unhealthy" if any check
+ * failed, "degraded" if any check has a warning and "healthy" otherwise.
+ */
+AgentHttpServer.prototype.getHealth = function () {
+    var self = this;
+    var health = (self.healthCheck ? self.healthCheck() : { checks: {} });
+    var statuses;
+
+    health.checks.draining = {
+        status: (self.draining ? 'warn' : 'ok')
+    };
+
+    statuses = Object.keys(health.checks).map(function (name) {
+        return health.checks[name].status;
+    });
+
+    if (statuses.indexOf('fail') !== -1) {
+        health.status = 'unhealthy';
+    } else if (statuses.indexOf('warn') !== -1) {
+        health.status = 'degraded';
+    } else {
+        health.status = 'healthy';
+    }
+
+    health.draining = self.draining;
+    health.uptime_seconds = Math.floor(process.uptime());
+
+    return health;
+};
+
+
+AgentHttpServer.prototype.setIntervals = function (intervals) {
+    var self = this;
+    self.intervals = intervals;
+};
+
+
 AgentHttpServer.prototype.setTaskHistory = function (history) {
     var self = this;
     self.taskHistory = history;
 };
 
 
+AgentHttpServer.prototype.setTaskJournal = function (journal) {
+    var self = this;
+    self.taskJournal = journal;
+};
+
+
+AgentHttpServer.prototype.setTaskTracker = function (tracker) {
+    var self = this;
+    self.taskTracker = tracker;
+};
+
+
+AgentHttpServer.prototype.getTrackedTask = function (id) {
+    var self = this;
+
+    if (!self.taskTracker) {
+        return undefined;
+    }
+
+    return self.taskTracker.get(id);
+};
+
+
+AgentHttpServer.prototype.setTaskQueues = function (queues) {
+    var self = this;
+    self.taskQueues = queues;
+};
+
+
+AgentHttpServer.prototype.setTaskLogs = function (taskLogs) {
+    var self = this;
+    self.taskLogs = taskLogs;
+};
+
+
+AgentHttpServer.prototype.setTaskRunner = function (runner) {
+    var self = this;
+    self.taskRunner = runner;
+};
+
+
+/*
+ * Returns the draining flag along with the tasks that are running and the
+ * number still waiting in the task queues. `drained` is true once we're
+ * draining and there is nothing left in flight.
+ */
+AgentHttpServer.prototype.drainStatus = function () {
+    var self = this;
+    var queued = 0;
+    var queues = self.taskQueues || {};
+    var tasks = (self.taskRunner ? self.taskRunner.inFlight() : []);
+
+    Object.keys(queues).forEach(function (name) {
+        queued += queues[name].status().queued.length;
+    });
+
+    return {
+        draining: self.draining,
+        drained: (self.draining && tasks.length === 0 && queued === 0),
+        queued: queued,
+        tasks: tasks
+    };
+};
+
+
+/*
+ * Stops accepting new tasks and calls callback(status), with the status from
+ * drainStatus(), once all in-flight tasks have finished or
+ * opts.timeoutSeconds have passed.
+ */
+AgentHttpServer.prototype.drain = function (opts, callback) {
+    var self = this;
+    var deadline;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.timeoutSeconds, 'opts.timeoutSeconds');
+    assert.func(callback, 'callback');
+
+    deadline = Date.now() + (opts.timeoutSeconds * 1000);
+    self.draining = true;
+
+    function check() {
+        var status = self.drainStatus();
+
+        if (status.drained || Date.now() >= deadline) {
+            callback(status);
+            return;
+        }
+
+        setTimeout(check, DRAIN_POLL_MS);
+    }
+
+    check();
+};
+
+
+/*
+ * Kills the workers of any tasks that are still running, and calls callback
+ * once they have exited.
+ */
+AgentHttpServer.prototype.killTasks = function (callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    if (!self.taskRunner) {
+        setImmediate(callback);
+        return;
+    }
+
+    self.taskRunner.reapChildren(callback);
+};
+
+
+/*
+ * What we do on SIGTERM: rather than orphaning any running task workers, stop
+ * accepting new tasks and give the running ones up to opts.timeoutSeconds to
+ * finish, then kill any that remain. Calls callback(status) once no workers
+ * are left, with the status from drainStatus() from before any were killed.
+ */
+AgentHttpServer.prototype.shutdown = function (opts, callback) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.timeoutSeconds, 'opts.timeoutSeconds');
+    assert.func(callback, 'callback');
+
+    self.log.info('Draining tasks before exiting');
+
+    self.drain(opts, function _onDrained(status) {
+        if (!status.drained) {
+            self.log.warn({ status: status },
+                'Tasks still running after %d seconds, killing them',
+                opts.timeoutSeconds);
+            self.killTasks(function _onKilled() {
+                callback(status);
+            });
+            return;
+        }
+        callback(status);
+    });
+};
+
+
 module.exports = AgentHttpServer;
@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * StatusDeltas turns the full status samples from the StatusReporter into
+ * the updates we POST to CNAPI when `status_delta` is enabled. Each update
+ * has a `seq` one greater than the last one CNAPI accepted, and is either:
+ *
+ *  - a full snapshot (`full: true`) with the whole sample, or
+ *  - a delta (`full: false`) against the update CNAPI last acknowledged,
+ *    whose `seq` is `base_seq`. A delta has only the VMs that are new or have
+ *    changed (and of those, only the changed fields plus `uuid`), the uuids of
+ *    VMs that have gone in `removed_vms`, and the other top-level fields
+ *    (zpoolStatus, meminfo, ...) only if they have changed. A field (of a VM
+ *    or top-level) that has gone, or become undefined, is sent as null.
+ *
+ * Nothing changes until CNAPI accepts an update, so one that fails is built
+ * again (with the same seq) against the same baseline next time.
+ *
+ * If CNAPI hasn't seen base_seq (e.g. it restarted), it can't apply the delta
+ * and asks for a resync, and the next update will be a full snapshot. We also
+ * send a full snapshot every fullInterval ms regardless.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+
+// Fields that are always sent, changed or not.
+var ALWAYS_SENT = ['timestamp'];
+
+
+/*
+ * Returns the names of the fields of `cur` that differ from those of `prev`,
+ * including those `prev` has but `cur` doesn't. A missing field is the same
+ * as an undefined one.
+ */
+function changedFields(prev, cur) {
+    var fields = Object.keys(cur);
+
+    Object.keys(prev).forEach(function (field) {
+        if (!cur.hasOwnProperty(field)) {
+            fields.push(field);
+        }
+    });
+
+    return fields.filter(function (field) {
+        return !jsprim.deepEqual(cur[field], prev[field]);
+    });
+}
+
+
+// The value to send for `field` of `obj`: null if it has gone.
+function deltaValue(obj, field) {
+    return (obj[field] === undefined ? null : obj[field]);
+}
+
+
+/*
+ * Returns the delta that turns status sample `prev` into `cur`.
+ */
+function diffStatus(prev, cur) {
+    var delta = {};
+    var prevVms = prev.vms || {};
+    var curVms = cur.vms || {};
+
+    delta.vms = {};
+    Object.keys(curVms).forEach(function (uuid) {
+        var changed;
+        var vm = curVms[uuid];
+
+        if (!prevVms.hasOwnProperty(uuid)) {
+            delta.vms[uuid] = vm;
+            return;
+        }
+
+        changed = changedFields(prevVms[uuid], vm);
+        if (changed.length > 0) {
+            delta.vms[uuid] = { uuid: uuid };
+            changed.forEach(function (field) {
+                delta.vms[uuid][field] = deltaValue(vm, field);
+            });
+        }
+    });
+
+    delta.removed_vms = Object.keys(prevVms).filter(function (uuid) {
+        return !curVms.hasOwnProperty(uuid);
+    });
+
+    changedFields(prev, cur).concat(ALWAYS_SENT).forEach(function (field) {
+        if (field !== 'vms' && !delta.hasOwnProperty(field)) {
+            delta[field] = deltaValue(cur, field);
+        }
+    });
+
+    return delta;
+}
+
+
+function StatusDeltas(opts) {
+    assert.object(opts, 'opts');
+    assert.number(opts.fullInterval, 'opts.fullInterval');
+
+    // The last sample CNAPI accepted, and the seq of that update.
+    this.acked = null;
+    this.ackedSeq = 0;
+    this.fullInterval = opts.fullInterval;
+    this.lastFullAt = 0;
+    this.needFull = true;
+}
+
+
+/*
+ * Returns the update to send to CNAPI for `sample`. Once CNAPI has accepted
+ * it, acknowledge() must be called with the sample and the update, which is
+ * what moves on the seq and the baseline that deltas are built against.
+ */
+StatusDeltas.prototype.build = function build(sample) {
+    var self = this;
+    var update;
+
+    assert.object(sample, 'sample');
+
+    if (self.needFull || self.acked === null ||
+        Date.now() - self.lastFullAt >= self.fullInterval) {
+
+        update = jsprim.deepCopy(sample);
+        update.full = true;
+    } else {
+        update = diffStatus(self.acked, sample);
+        update.base_seq = self.ackedSeq;
+        update.full = false;
+    }
+
+    update.seq = self.ackedSeq + 1;
+
+    return update;
+};
+
+
+StatusDeltas.prototype.acknowledge = function acknowledge(sample, update) {
+    var self = this;
+
+    assert.object(sample, 'sample');
+    assert.object(update, 'update');
+
+    self.acked = sample;
+    self.ackedSeq = update.seq;
+    if (update.full) {
+        self.lastFullAt = Date.now();
+        self.needFull = false;
+    }
+};
+
+
+// Makes the next update a full snapshot.
+StatusDeltas.prototype.resync = function resync() {
+    this.needFull = true;
+};
+
+
+module.exports = {
+    diffStatus: diffStatus,
+    StatusDeltas: StatusDeltas
+};
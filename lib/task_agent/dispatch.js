@@ -15,10 +15,46 @@
 
 var path = require('path');
 
-function createHttpTaskDispatchFn(agent) {
+/*
+ * Returns the function used to dispatch HTTP task requests for the tasks in
+ * queue `queueName`. The task is not forked until the agent's TaskQueue of
+ * that name has a free slot (see task_queue.js).
+ */
+function createHttpTaskDispatchFn(agent, queueName) {
     return function (req) {
-        var child = agent.runner.dispatch(req);
-        setupHttpChildEventHandlers(agent, child, req);
+        var queue = agent.queues[queueName];
+
+        queue.push(req, function _startTask(done) {
+            var child;
+            var released = false;
+
+            // The slot must be freed however the task ends, but only once.
+            function release() {
+                if (!released) {
+                    released = true;
+                    done();
+                }
+            }
+
+            try {
+                child = agent.runner.dispatch(req);
+            } catch (err) {
+                agent.log.error({ err: err, req_id: req.req_id },
+                    'Unable to start task %s', req.task);
+                release();
+                req.event('error', {
+                    error: 'Unable to start task ' + req.task + ': ' +
+                        err.message
+                });
+                req.finish();
+                req.event('finish', {});
+                return;
+            }
+
+            child.once('exit', release);
+            req.started(child.pid);
+            setupHttpChildEventHandlers(agent, child, req);
+        });
     };
 }
 
@@ -34,6 +70,16 @@ function setupHttpChildEventHandlers(agent, child, req, http) {
     child.on('event', function (eventName, event) {
         req.event(eventName, event);
     });
+
+    child.on('subtask', function (id, resource, task, msg) {
+        agent.runSubTask({
+            child: child,
+            id: id,
+            params: msg,
+            parent: req,
+            task: task
+        });
+    });
 }
 
 function setupChildEventHandlers(agent, child, req) {
@@ -0,0 +1,220 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Helpers for querying the task history (as served by GET /history). The
+ * history is kept in the TaskJournal, which goes back much further than the
+ * TaskRunner's in-memory taskHistory. Only the latter has the `messages` and
+ * `log` received from each task, so those are added from it when they're
+ * wanted and the task is recent enough to still be there.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror').VError;
+
+
+// The (potentially large) fields only included when a summary isn't wanted.
+var DETAIL_FIELDS = ['messages', 'log'];
+var DEFAULT_LIMIT = 100;
+var MAX_LIMIT = 1000;
+
+
+function parseDate(value, name) {
+    var date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+        throw new VError('\'%s\' must be an ISO 8601 date', name);
+    }
+
+    return date;
+}
+
+
+/*
+ * Validates the query parameters for GET /history and returns an object that
+ * can be passed to listHistory(). Throws an error on invalid input.
+ */
+function parseHistoryQuery(params) {
+    var limit;
+    var query = {};
+
+    assert.object(params, 'params');
+
+    ['marker', 'req_id', 'status', 'task'].forEach(function (field) {
+        if (params[field] !== undefined) {
+            query[field] = String(params[field]);
+        }
+    });
+
+    if (params.since !== undefined) {
+        query.since = parseDate(params.since, 'since');
+    }
+
+    if (params.until !== undefined) {
+        query.until = parseDate(params.until, 'until');
+    }
+
+    query.limit = DEFAULT_LIMIT;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT ||
+            Math.floor(limit) !== limit) {
+
+            throw new VError('\'limit\' must be an integer between 1 and %d',
+                MAX_LIMIT);
+        }
+        query.limit = limit;
+    }
+
+    // Lists are summaries unless asked otherwise.
+    query.summary = (params.summary !== false && params.summary !== 'false');
+
+    return query;
+}
+
+
+function matchesQuery(entry, query) {
+    var startedAt = new Date(entry.started_at);
+
+    return !((query.task !== undefined && entry.task !== query.task) ||
+        (query.status !== undefined && entry.status !== query.status) ||
+        (query.req_id !== undefined && entry.req_id !== query.req_id) ||
+        (query.since !== undefined && startedAt < query.since) ||
+        (query.until !== undefined && startedAt > query.until));
+}
+
+
+// Adds the messages and log for `entry` from the in-memory history, if any.
+function addDetails(history, entry) {
+    var recent = findHistoryEntry(history, entry.id);
+
+    if (recent) {
+        DETAIL_FIELDS.forEach(function (field) {
+            entry[field] = recent[field];
+        });
+    }
+
+    return entry;
+}
+
+
+/*
+ * Calls callback(err, entries) with the entries (oldest first) from
+ * opts.journal that match opts.query, from parseHistoryQuery(). When
+ * query.marker is set, only entries after the entry with that id are
+ * considered. opts.history is the in-memory history that details are added
+ * from when query.summary isn't set. Entries for which opts.filter(entry), if
+ * given, returns false are left out.
+ */
+function listHistory(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalFunc(opts.filter, 'opts.filter');
+    assert.arrayOfObject(opts.history, 'opts.history');
+    assert.object(opts.journal, 'opts.journal');
+    assert.object(opts.query, 'opts.query');
+    assert.func(callback, 'callback');
+
+    var ids = opts.journal.idsAfter(opts.query.marker);
+    var matches = [];
+    var query = opts.query;
+
+    function next() {
+        var id = ids.shift();
+
+        if (id === undefined || matches.length >= query.limit) {
+            callback(null, matches);
+            return;
+        }
+
+        // The task name is in the id, so there's no need to read the others.
+        if (query.task !== undefined &&
+            id.split('-').slice(2).join('-') !== query.task) {
+
+            setImmediate(next);
+            return;
+        }
+
+        opts.journal.read(id, function _onRead(err, entry) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            // It may have been removed since we got the ids.
+            if (entry && matchesQuery(entry, query) &&
+                (!opts.filter || opts.filter(entry))) {
+
+                matches.push(query.summary ? entry :
+                    addDetails(opts.history, entry));
+            }
+            next();
+        });
+    }
+
+    next();
+}
+
+
+/*
+ * Finds a single history entry by id, or if `id` is numeric by the pid of the
+ * task's worker (most recent task first).
+ */
+function findHistoryEntry(history, id) {
+    var idx;
+
+    assert.arrayOfObject(history, 'history');
+    assert.string(id, 'id');
+
+    for (idx = history.length - 1; idx >= 0; idx--) {
+        if (history[idx].id === id || String(history[idx].pid) === id) {
+            return history[idx];
+        }
+    }
+
+    return undefined;
+}
+
+
+/*
+ * Calls callback(err, entry) with a single history entry, found by opts.id as
+ * findHistoryEntry() does, including its messages and log if it's still in the
+ * in-memory history, or with no entry if there isn't one.
+ */
+function getHistoryEntry(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.history, 'opts.history');
+    assert.object(opts.journal, 'opts.journal');
+    assert.string(opts.id, 'opts.id');
+    assert.func(callback, 'callback');
+
+    var id = opts.journal.findId(opts.id);
+
+    // Its journal entry may not have been written yet.
+    if (id === undefined) {
+        callback(null, findHistoryEntry(opts.history, opts.id));
+        return;
+    }
+
+    opts.journal.read(id, function _onRead(err, entry) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, (entry ? addDetails(opts.history, entry) : undefined));
+    });
+}
+
+
+module.exports = {
+    getHistoryEntry: getHistoryEntry,
+    listHistory: listHistory,
+    parseHistoryQuery: parseHistoryQuery
+};
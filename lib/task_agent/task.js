@@ -18,6 +18,7 @@ var common = require('./common');
 
 function Task(request) {
     EventEmitter.call(this);
+    this.cancelHooks = [];
     this.subTaskCallbacks = {};
     this.log = new Log(this);
     this.req = request;
@@ -181,6 +182,15 @@ Task.prototype.run = function (binpath, args, env, callback) {
 };
 
 
+/**
+ * Runs another task (`task`, with `msg` as its params) through cn-agent's
+ * queues. `callback` is called as:
+ *
+ *     callback.call(task, eventName, event)
+ *
+ * for each event from the sub-task, ending with 'finish'. The `resource`
+ * argument is unused and only kept for compatibility.
+ */
 Task.prototype.subTask = function (resource, task, msg, callback) {
     var id = common.genId();
     this.subTaskCallbacks[id] = callback;
@@ -195,6 +205,45 @@ Task.prototype.subTask = function (resource, task, msg, callback) {
 };
 
 
+/**
+ * Registers a function to be called if the task is cancelled (through
+ * DELETE /tasks/:id) before it has finished. Hooks are called as:
+ *
+ *     fn.call(task, callback)
+ *
+ * one after the other, in the order they were added, and must call callback()
+ * when they're done cleaning up. The worker process will be sent a SIGKILL if
+ * the hooks take longer than the cancellation grace period.
+ */
+Task.prototype.addCancelHook = function (fn) {
+    this.cancelHooks.push(fn);
+};
+
+
+Task.prototype.runCancelHooks = function (callback) {
+    var self = this;
+    var hooks = self.cancelHooks.slice();
+
+    function next() {
+        var hook = hooks.shift();
+
+        if (!hook) {
+            callback();
+            return;
+        }
+
+        hook.call(self, function _onHookDone(err) {
+            if (err) {
+                self.log.error('Cancel hook failed: ' + err.message);
+            }
+            next();
+        });
+    }
+
+    next();
+};
+
+
 Task.createSteps = function (steps) {
     for (var k in steps) {
         var step = steps[k];
@@ -8,12 +8,18 @@
  * Copyright (c) 2019, Joyent, Inc.
  */
 
+var crypto = require('crypto');
 var util = require('util');
 var format = util.format;
 var path = require('path');
 var jsprim = require('jsprim');
 var common = require('./common');
+var TaskJournal = require('./task_journal');
+var TaskLogs = require('./task_logs');
+var TaskQueue = require('./task_queue');
 var TaskRunner = require('./task_runner');
+var taskStream = require('./task_stream');
+var TaskTracker = require('./task_tracker');
 var bunyan = require('bunyan');
 var restify = require('restify');
 var os = require('os');
@@ -23,12 +29,23 @@ var assert = require('assert-plus');
 
 var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 
+// The largest per-task timeout a caller may ask for.
+var MAX_TASK_TIMEOUT_SECONDS = 24 * 60 * 60;
+
+// Boolean parameters may come in the query string (as strings) or the body.
+function isTrue(value) {
+    return (value === true || value === 'true');
+}
+
 function TaskAgent(opts) {
     EventEmitter.call(this);
     assert.object(opts.agentserver, 'opts.agentserver');
     assert.object(opts.backend, 'opts.backend');
     assert.optionalObject(opts.env, 'opts.env');
     assert.object(opts.log, 'opts.log');
+    assert.string(opts.journalDir, 'opts.journalDir');
+    assert.optionalNumber(opts.journalMaxAgeDays, 'opts.journalMaxAgeDays');
+    assert.optionalNumber(opts.journalMaxEntries, 'opts.journalMaxEntries');
     assert.string(opts.tasklogdir, 'opts.tasklogdir');
     assert.string(opts.taskspath, 'opts.taskspath');
     assert.object(opts.sysinfo, 'opts.sysinfo');
@@ -44,6 +61,7 @@ function TaskAgent(opts) {
 
     this.agentserver = opts.agentserver;
     this.env = opts.env || {};
+    this.queues = {};
 
     if (opts.taskspath) {
         this.taskspath = opts.taskspath;
@@ -55,20 +73,35 @@ function TaskAgent(opts) {
     this.uuid = opts.uuid;
     this.timeoutSeconds = opts.timeoutSeconds;
 
+    this.journal = new TaskJournal({
+        dir: opts.journalDir,
+        log: this.log,
+        maxAgeDays: opts.journalMaxAgeDays,
+        maxEntries: opts.journalMaxEntries
+    });
+
     this.runner = new TaskRunner({
         backend: opts.backend,
         env: this.env,
+        journal: this.journal,
         log: this.log,
         logdir: this.tasklogdir,
+        metrics: this.agentserver.metrics,
         taskspath: this.taskspath,
         timeoutSeconds: this.timeoutSeconds
     });
+
+    this.tracker = new TaskTracker({ log: this.log });
+
+    // Passed on so that the App can send them to CNAPI.
+    this.runner.on('taskEvent', this.emit.bind(this, 'taskEvent'));
 }
 
 util.inherits(TaskAgent, EventEmitter);
 
 TaskAgent.prototype.start = function () {
     var self = this;
+    self.journal.open();
     self.setupTaskRoutes(self.queueDefns);
     self.setupTaskHistory();
 };
@@ -79,6 +112,7 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
 
     self.log.info('Setting up task route for %s', self.uuid);
     this.agentserver.registerTaskHandler(self.uuid, handler);
+    this.agentserver.setTaskTracker(self.tracker);
 
     function handler(req, res, next) {
         var target = req.header('x-server-uuid');
@@ -102,26 +136,64 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
             return;
         }
 
+        var asyncMode = isTrue(req.params.async);
         var dispatch = {};
+        var queueNames = {};
         var taskName = req.params.task;
         var logParams = true;
-
-        // Setup req/res connection timeouts, to be 5 minutes longer than the
-        // task timeout, as that will give the task runner up to 5 minutes to
-        // properly kill and cleanup the task if it timed out.
-        req.connection.setTimeout((self.timeoutSeconds + 300) * 1000);
-        res.connection.setTimeout((self.timeoutSeconds + 300) * 1000);
+        var streamFormat = req.params.stream;
+        var timeoutSeconds = self.timeoutSeconds;
+
+        if (streamFormat !== undefined) {
+            if (!taskStream.isValidFormat(streamFormat)) {
+                next(new restify.InvalidArgumentError(
+                    '\'stream\' must be one of "ndjson" or "sse"'));
+                return;
+            }
+            if (asyncMode) {
+                next(new restify.InvalidArgumentError(
+                    '\'stream\' and \'async\' cannot be used together'));
+                return;
+            }
+        }
 
         self.queueDefns.forEach(function (i) {
             i.tasks.forEach(function (j) {
                 if (j === taskName && i.log_params === false) {
                     logParams = false;
                 }
+                if (j === taskName && i.timeoutSeconds !== undefined) {
+                    timeoutSeconds = i.timeoutSeconds;
+                }
 
                 dispatch[j] = i.onhttpmsg;
+                queueNames[j] = i.name;
             });
         });
 
+        // The caller can override the queue's (or our default) timeout.
+        if (req.params.timeout !== undefined) {
+            timeoutSeconds = Number(req.params.timeout);
+            if (isNaN(timeoutSeconds) ||
+                Math.floor(timeoutSeconds) !== timeoutSeconds ||
+                timeoutSeconds < 1 ||
+                timeoutSeconds > MAX_TASK_TIMEOUT_SECONDS) {
+
+                next(new restify.InvalidArgumentError(
+                    '\'timeout\' must be an integer number of seconds ' +
+                    'between 1 and %d', MAX_TASK_TIMEOUT_SECONDS));
+                return;
+            }
+        }
+
+        if (!asyncMode) {
+            // Setup req/res connection timeouts, to be 5 minutes longer than
+            // the task timeout, as that will give the task runner up to 5
+            // minutes to properly kill and cleanup the task if it timed out.
+            req.connection.setTimeout((timeoutSeconds + 300) * 1000);
+            res.connection.setTimeout((timeoutSeconds + 300) * 1000);
+        }
+
         if (logParams) {
             req.log.info({ task: req.params }, '%s task params', taskName);
         } else {
@@ -129,6 +201,47 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
                 'Not logging task params for %s (log_params=false)', taskName);
         }
 
+        // NEED TO CALL DISPATCH FN WITH A "REQ" OBJECT
+        var taskfn = dispatch[req.params.task];
+        if (!taskfn) {
+            next(new restify.ResourceNotFoundError(
+                'Unknown task, \'%s\'', req.params.task));
+            return;
+        }
+
+        var authErr = self.agentserver.authorizeQueue(req,
+            queueNames[taskName]);
+        if (authErr) {
+            next(authErr);
+            return;
+        }
+
+        // A retry of a request we've already seen attaches to the original
+        // task rather than starting the task again. Keys are only shared
+        // between requests from the same client for the same queue.
+        var idempotencyKey = req.header('idempotency-key');
+        var idempotencyScope = JSON.stringify([req.identity || null,
+            queueNames[taskName]]);
+        var paramsHash = crypto.createHash('sha256')
+            .update(JSON.stringify(req.params.params)).digest('hex');
+        if (idempotencyKey !== undefined) {
+            var original = self.tracker.getByIdempotencyKey(idempotencyKey,
+                idempotencyScope);
+            if (original) {
+                replayTask(original);
+                return;
+            }
+        }
+
+        var tracked = self.tracker.create({
+            cancel: cancel,
+            idempotency_key: idempotencyKey,
+            idempotency_scope: idempotencyScope,
+            params_hash: paramsHash,
+            queue: queueNames[taskName],
+            req_id: req.getId(),
+            task: taskName
+        });
         var value, error;
 
         var cbcount = 0;
@@ -136,6 +249,12 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
             cbcount++;
 
             if (cbcount === 2) {
+                tracked.finish(error, value);
+
+                if (asyncMode || streamFormat) {
+                    return;
+                }
+
                 if (error) {
                     res.send(500, error);
                     next();
@@ -153,15 +272,22 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
             serverAddress: self.agentserver.server.address(),
             task: req.params.task,
             params: req.params.params,
+            log_params: logParams,
             sysinfo: self.sysinfo,
+            timeout_seconds: timeoutSeconds,
+            started: function (pid) {
+                tracked.started({ pid: pid, queue: params.queue });
+            },
             finish: function () {
                 fcb();
             },
             progress: function (v) {
+                tracked.setProgress(v);
             },
             event: function (name, message) {
                 self.log.trace(
                     { name: name, message: message }, 'Received event');
+                tracked.addEvent(name, message);
                 if (name === 'finish') {
                     value = message;
                     fcb();
@@ -171,27 +297,228 @@ TaskAgent.prototype.setupTaskRoutes = function (defns) {
             }
         };
 
-        // NEED TO CALL DISPATCH FN WITH A "REQ" OBJECT
-        var taskfn = dispatch[req.params.task];
-        if (taskfn) {
-            dispatch[req.params.task](params);
-        } else {
-            next(new restify.ResourceNotFoundError(
-                'Unknown task, \'%s\'', req.params.task));
+        function cancel(cb) {
+            if (tracked.pid !== undefined) {
+                self.runner.cancel(tracked.pid, cb);
+                return;
+            }
+
+            // Not started yet, so we just need to take it out of the queue
+            // and finish it ourselves.
+            if (self.queues[queueNames[taskName]].remove(params)) {
+                params.event('error', {
+                    error: 'Task ' + taskName + ' was cancelled'
+                });
+                params.finish();
+                params.event('finish', {});
+            }
+            cb();
+        }
+
+        function replayTask(task) {
+            if (task.task !== taskName) {
+                next(new restify.ConflictError(
+                    'Idempotency-Key \'%s\' was already used for a %s task',
+                    idempotencyKey, task.task));
+                return;
+            }
+
+            if (task.params_hash !== paramsHash) {
+                next(new restify.UnprocessableEntityError(
+                    'Idempotency-Key \'%s\' was already used with different ' +
+                    'params', idempotencyKey));
+                return;
+            }
+
+            req.log.info({
+                idempotency_key: idempotencyKey,
+                original_req_id: task.req_id,
+                task_id: task.id
+            }, 'Repeated %s request, attaching to the original task',
+                taskName);
+
+            res.header('x-task-id', task.id);
+            res.header('x-idempotent-replay', 'true');
+
+            if (asyncMode) {
+                res.header('Location', '/tasks/' + task.id);
+                res.send(202, task.serialize());
+                next();
+                return;
+            }
+
+            if (streamFormat) {
+                taskStream.streamTask({
+                    format: streamFormat,
+                    res: res,
+                    task: task
+                }, function _onStreamEnd() {
+                    next();
+                });
+                return;
+            }
+
+            function sendResult() {
+                if (task.error) {
+                    res.send(500, task.error);
+                } else {
+                    res.send(200, task.result);
+                }
+                next();
+            }
+
+            if (task.isDone()) {
+                sendResult();
+            } else {
+                task.once('done', sendResult);
+            }
+        }
+
+        res.header('x-task-id', tracked.id);
+        taskfn(params);
+
+        if (asyncMode) {
+            res.header('Location', '/tasks/' + tracked.id);
+            res.send(202, tracked.serialize());
+            next();
+        } else if (streamFormat) {
+            taskStream.streamTask({
+                format: streamFormat,
+                res: res,
+                task: tracked
+            }, function _onStreamEnd() {
+                next();
+            });
         }
     }
 };
 
 
+/*
+ * Runs a sub-task on behalf of a running task (see Task.subTask). The sub-task
+ * goes through its queue like any other task, and each of its events is sent
+ * back to the parent's worker as:
+ *
+ *     { action: 'subtask', id: <id>, name: <event name>, event: <event> }
+ *
+ * which task_worker.js passes on to the callback given to subTask(). The
+ * sub-task is cancelled if the parent's worker exits before it finishes.
+ *
+ * Note that a task must not start sub-tasks in its own queue if that queue
+ * has maxConcurrent set, since the sub-task could then wait forever for the
+ * parent's slot.
+ */
+TaskAgent.prototype.runSubTask = function (opts) {
+    var self = this;
+    var child = opts.child;
+    var defn;
+    var done = false;
+    var replied = false;
+    var subPid;
+
+    assert.object(opts.child, 'opts.child');
+    assert.string(opts.id, 'opts.id');
+    assert.object(opts.parent, 'opts.parent');
+    assert.string(opts.task, 'opts.task');
+
+    self.queueDefns.forEach(function (i) {
+        if (i.tasks.indexOf(opts.task) !== -1) {
+            defn = i;
+        }
+    });
+
+    self.log.info({
+        parent_id: child.taskId,
+        parent_task: opts.parent.task,
+        req_id: opts.parent.req_id,
+        task: opts.task
+    }, 'Starting sub-task %s', opts.task);
+
+    function reply(name, event) {
+        // The parent may have exited (or been killed) in the meantime, and
+        // mustn't hear anything more once the sub-task has finished.
+        if (!child.connected || replied) {
+            return;
+        }
+        if (name === 'finish') {
+            replied = true;
+        }
+        child.send({
+            action: 'subtask',
+            id: opts.id,
+            name: name,
+            event: event
+        });
+    }
+
+    if (!defn) {
+        reply('error', { error: 'Unknown task, \'' + opts.task + '\'' });
+        reply('finish', {});
+        return;
+    }
+
+    child.once('exit', function _onParentExit() {
+        if (done || subPid === undefined) {
+            return;
+        }
+        self.log.info({ pid: subPid, task: opts.task },
+            'Parent task exited, cancelling sub-task');
+        self.runner.cancel(subPid, function () {});
+    });
+
+    defn.onhttpmsg({
+        req_id: opts.parent.req_id,
+        req_host: opts.parent.req_host,
+        serverAddress: opts.parent.serverAddress,
+        task: opts.task,
+        params: opts.params || {},
+        parent_id: child.taskId,
+        log_params: (defn.log_params !== false),
+        sysinfo: self.sysinfo,
+        timeout_seconds: defn.timeoutSeconds || self.timeoutSeconds,
+        started: function (pid) {
+            subPid = pid;
+        },
+        finish: function () {
+            done = true;
+        },
+        progress: function (v) {
+            reply('progress', { value: v });
+        },
+        event: function (name, event) {
+            reply(name, event);
+        }
+    });
+};
+
+
 TaskAgent.prototype.useQueues = function (defns) {
     var self = this;
     self.queueDefns = defns;
+
+    defns.forEach(function (defn) {
+        self.queues[defn.name] = new TaskQueue({
+            log: self.log,
+            maxConcurrent: defn.maxConcurrent,
+            name: defn.name,
+            tasks: defn.tasks
+        });
+    });
 };
 
 
 TaskAgent.prototype.setupTaskHistory = function () {
     var self = this;
     self.agentserver.setTaskHistory(self.runner.taskHistory);
+    self.agentserver.setTaskJournal(self.journal);
+    self.agentserver.setTaskQueues(self.queues);
+    self.agentserver.setTaskRunner(self.runner);
+
+    self.agentserver.setTaskLogs(new TaskLogs({
+        dir: self.tasklogdir,
+        log: self.log,
+        runner: self.runner
+    }));
 };
 
 
@@ -0,0 +1,299 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The TaskJournal keeps a record of every task the TaskRunner has run on disk
+ * so that it survives cn-agent restarts and crashes. Each task gets one JSON
+ * file in the journal directory named:
+ *
+ *     <start timestamp in ms>-<pid>-<task>.json
+ *
+ * which matches the name of the task's log file in the tasklogdir (except for
+ * the extension). The file is written when the task starts and rewritten when
+ * the task's worker exits.
+ *
+ * When the journal is opened, any tasks that are still "active" must have been
+ * running when cn-agent went away, so those are marked "interrupted".
+ *
+ * Journal entries are removed once there are more than maxEntries of them, or
+ * once they are older than maxAgeDays.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var mkdirp = require('mkdirp');
+var VError = require('verror').VError;
+
+
+var DEFAULT_MAX_AGE_DAYS = 7;
+var DEFAULT_MAX_ENTRIES = 1000;
+var JOURNAL_FILE_RE = /^(\d+)-\d+-.+\.json$/;
+
+
+function TaskJournal(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.maxAgeDays, 'opts.maxAgeDays');
+    assert.optionalNumber(opts.maxEntries, 'opts.maxEntries');
+
+    this.dir = opts.dir;
+    this.ids = [];
+    this.log = opts.log;
+    this.maxAgeDays = opts.maxAgeDays || DEFAULT_MAX_AGE_DAYS;
+    this.maxEntries = opts.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.writing = {};
+}
+
+
+TaskJournal.prototype._filename = function _filename(id) {
+    return path.join(this.dir, id + '.json');
+};
+
+
+/*
+ * Loads the list of existing journal entries, marks those that were active as
+ * interrupted and removes any that are past retention. This is done
+ * synchronously as it only happens once at startup.
+ */
+TaskJournal.prototype.open = function open() {
+    var self = this;
+    var interrupted = 0;
+
+    if (!fs.existsSync(self.dir)) {
+        mkdirp.sync(self.dir, parseInt('0755', 8));
+    }
+
+    self.ids = fs.readdirSync(self.dir).filter(function _isEntry(filename) {
+        return JOURNAL_FILE_RE.test(filename);
+    }).map(function _toId(filename) {
+        return filename.slice(0, -('.json'.length));
+    }).sort(compareIds);
+
+    self.ids.forEach(function _checkEntry(id) {
+        var filename = self._filename(id);
+        var record;
+
+        try {
+            record = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        } catch (err) {
+            self.log.warn({ err: err, filename: filename },
+                'Ignoring unreadable task journal entry');
+            return;
+        }
+
+        if (record.status !== 'active') {
+            return;
+        }
+
+        record.status = 'interrupted';
+        record.interrupted_at = new Date().toISOString();
+        fs.writeFileSync(filename, JSON.stringify(record) + '\n');
+        interrupted++;
+    });
+
+    self.log.info({
+        dir: self.dir,
+        entries: self.ids.length,
+        interrupted: interrupted
+    }, 'Opened task journal');
+
+    self.prune();
+};
+
+
+/*
+ * Writes (or rewrites) the journal entry `id` with the contents of `record`.
+ * Writes for the same entry are serialized, and only the most recent record
+ * will be written if several arrive while a write is in progress.
+ */
+TaskJournal.prototype.write = function write(id, record) {
+    var self = this;
+    var filename = self._filename(id);
+    var state = self.writing[id];
+
+    assert.string(id, 'id');
+    assert.object(record, 'record');
+
+    if (state) {
+        state.next = record;
+        return;
+    }
+
+    state = self.writing[id] = { next: null };
+
+    if (self.ids.indexOf(id) === -1) {
+        self.ids.push(id);
+    }
+
+    function _write(rec) {
+        var tmpFilename = filename + '.tmp';
+
+        fs.writeFile(tmpFilename, JSON.stringify(rec) + '\n',
+            function _onWritten(err) {
+
+            if (err) {
+                _afterWrite(err);
+                return;
+            }
+
+            fs.rename(tmpFilename, filename, _afterWrite);
+        });
+    }
+
+    function _afterWrite(err) {
+        var next = state.next;
+
+        if (err) {
+            self.log.warn({ err: err, filename: filename },
+                'Failed to write task journal entry');
+        }
+
+        if (next) {
+            state.next = null;
+            _write(next);
+            return;
+        }
+
+        delete self.writing[id];
+        self.prune();
+    }
+
+    _write(record);
+};
+
+
+/*
+ * Removes the oldest entries until we're within both maxEntries and
+ * maxAgeDays. Entries that are still being written are left alone.
+ */
+TaskJournal.prototype.prune = function prune() {
+    var self = this;
+    var id;
+    var oldest = Date.now() - (self.maxAgeDays * 24 * 60 * 60 * 1000);
+
+    while (self.ids.length > 0) {
+        id = self.ids[0];
+
+        if (self.writing.hasOwnProperty(id)) {
+            break;
+        }
+
+        if (self.ids.length <= self.maxEntries && idTimestamp(id) >= oldest) {
+            break;
+        }
+
+        self.ids.shift();
+        fs.unlink(self._filename(id), logUnlinkError);
+    }
+
+    function logUnlinkError(err) {
+        if (err && err.code !== 'ENOENT') {
+            self.log.warn({ err: err }, 'Failed to remove task journal entry');
+        }
+    }
+};
+
+
+/*
+ * Returns the ids of the entries after the entry `marker` (or all of them if
+ * it's not given), oldest first. If the marker's entry has since been removed,
+ * the entries started after it are returned.
+ */
+TaskJournal.prototype.idsAfter = function idsAfter(marker) {
+    var self = this;
+    var idx;
+
+    assert.optionalString(marker, 'marker');
+
+    if (marker === undefined) {
+        return self.ids.slice();
+    }
+
+    idx = self.ids.indexOf(marker);
+    if (idx !== -1) {
+        return self.ids.slice(idx + 1);
+    }
+
+    return self.ids.filter(function _isAfter(id) {
+        return (idTimestamp(id) > idTimestamp(marker));
+    });
+};
+
+
+/*
+ * Returns the id of the entry `id`, or if `id` is numeric of the most recent
+ * entry for a worker with that pid. Returns undefined if there's no such
+ * entry.
+ */
+TaskJournal.prototype.findId = function findId(id) {
+    var self = this;
+    var idx;
+
+    assert.string(id, 'id');
+
+    for (idx = self.ids.length - 1; idx >= 0; idx--) {
+        if (self.ids[idx] === id || self.ids[idx].split('-')[1] === id) {
+            return self.ids[idx];
+        }
+    }
+
+    return undefined;
+};
+
+
+/*
+ * Calls callback(err, entry) with the journal entry `id`, with its `id` added,
+ * or with no entry if it has been removed.
+ */
+TaskJournal.prototype.read = function read(id, callback) {
+    var self = this;
+    var filename = self._filename(id);
+
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    fs.readFile(filename, 'utf8', function _onRead(readErr, data) {
+        var entry;
+
+        if (readErr && readErr.code === 'ENOENT') {
+            callback();
+            return;
+        } else if (readErr) {
+            callback(readErr);
+            return;
+        }
+
+        try {
+            entry = JSON.parse(data);
+        } catch (parseErr) {
+            callback(new VError(parseErr, 'parsing %s', filename));
+            return;
+        }
+
+        entry.id = id;
+        callback(null, entry);
+    });
+};
+
+
+function idTimestamp(id) {
+    return Number(id.split('-')[0]);
+}
+
+
+function compareIds(a, b) {
+    return (idTimestamp(a) - idTimestamp(b));
+}
+
+
+module.exports = TaskJournal;
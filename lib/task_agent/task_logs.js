@@ -0,0 +1,281 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * TaskLogs gives access to the bunyan logs written by task workers (see
+ * task_worker.js) in the tasklogdir, as served by the GET /logs routes. Log
+ * files are named:
+ *
+ *     <start timestamp in ms>-<pid>-<task>.log
+ *
+ * and the part before ".log" is the task's id (as used by the task history
+ * and journal).
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+
+var ID_RE = /^(\d+)-(\d+)-([a-zA-Z0-9_]+)$/;
+var LOG_FILE_RE = /^(\d+)-(\d+)-([a-zA-Z0-9_]+)\.log$/;
+// How often a followed log is checked for new data.
+var FOLLOW_POLL_MS = 1000;
+
+
+function parseId(id) {
+    var match = id.match(ID_RE);
+
+    if (!match) {
+        return null;
+    }
+
+    return {
+        id: id,
+        pid: Number(match[2]),
+        started_at: new Date(Number(match[1])).toISOString(),
+        task: match[3]
+    };
+}
+
+
+function TaskLogs(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.runner, 'opts.runner');
+
+    this.dir = opts.dir;
+    this.log = opts.log;
+    this.runner = opts.runner;
+}
+
+
+TaskLogs.prototype.isRunning = function isRunning(id) {
+    return this.runner.inFlight().some(function (info) {
+        return (info.id === id);
+    });
+};
+
+
+/*
+ * Calls callback(err, logs) with the logs in the tasklogdir (oldest first),
+ * optionally only those for opts.task, for which opts.filter(info) returns
+ * true, and at most the opts.limit most recent.
+ */
+TaskLogs.prototype.list = function list(opts, callback) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalFunc(opts.filter, 'opts.filter');
+    assert.optionalString(opts.task, 'opts.task');
+    assert.optionalNumber(opts.limit, 'opts.limit');
+    assert.func(callback, 'callback');
+
+    fs.readdir(self.dir, function (err, filenames) {
+        var logs;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        logs = filenames.filter(function (filename) {
+            return LOG_FILE_RE.test(filename);
+        }).map(function (filename) {
+            return parseId(filename.slice(0, -('.log'.length)));
+        }).filter(function (info) {
+            return ((opts.task === undefined || info.task === opts.task) &&
+                (opts.filter === undefined || opts.filter(info)));
+        }).sort(function (a, b) {
+            return (a.started_at < b.started_at ? -1 : 1);
+        });
+
+        if (opts.limit !== undefined) {
+            logs = logs.slice(-opts.limit);
+        }
+
+        vasync.forEachPipeline({
+            inputs: logs,
+            func: function _statLog(info, cb) {
+                fs.stat(self.filename(info.id), function (statErr, stats) {
+                    // It may have been removed since we read the directory.
+                    if (!statErr) {
+                        info.size = stats.size;
+                        info.running = self.isRunning(info.id);
+                    }
+                    cb();
+                });
+            }
+        }, function () {
+            callback(null, logs.filter(function (info) {
+                return (info.size !== undefined);
+            }));
+        });
+    });
+};
+
+
+TaskLogs.prototype.filename = function filename(id) {
+    return path.join(this.dir, id + '.log');
+};
+
+
+/*
+ * Finds the log for `id`, which is either a task id or the pid of a task's
+ * worker (in which case the most recent task with that pid is used). Calls
+ * callback(err, info) where info is as in list(), or undefined if there is no
+ * such log.
+ */
+TaskLogs.prototype.find = function find(id, callback) {
+    var self = this;
+    var info;
+
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    if (/^\d+$/.test(id)) {
+        self.list({}, function (err, logs) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, logs.filter(function (log) {
+                return (String(log.pid) === id);
+            }).pop());
+        });
+        return;
+    }
+
+    info = parseId(id);
+    if (!info) {
+        callback();
+        return;
+    }
+
+    fs.stat(self.filename(id), function (err, stats) {
+        if (err && err.code === 'ENOENT') {
+            callback();
+            return;
+        } else if (err) {
+            callback(err);
+            return;
+        }
+
+        info.size = stats.size;
+        info.running = self.isRunning(id);
+        callback(null, info);
+    });
+};
+
+
+/*
+ * Writes the records from the log `opts.id` to `opts.stream`, one per line,
+ * leaving out those below `opts.level`. With `opts.follow`, this keeps
+ * writing new records until the task is no longer running. Calls
+ * callback(err) when done, without ending the stream.
+ */
+TaskLogs.prototype.read = function read(opts, callback) {
+    var self = this;
+    var carry = '';
+    var filename;
+    var offset = 0;
+    var stopped = false;
+
+    assert.object(opts, 'opts');
+    assert.bool(opts.follow, 'opts.follow');
+    assert.string(opts.id, 'opts.id');
+    assert.number(opts.level, 'opts.level');
+    assert.object(opts.stream, 'opts.stream');
+    assert.func(callback, 'callback');
+
+    filename = self.filename(opts.id);
+
+    function writeLine(line) {
+        var rec;
+
+        if (line.length === 0) {
+            return;
+        }
+
+        try {
+            rec = JSON.parse(line);
+        } catch (_) {
+            // Not a bunyan record, so we can't filter it.
+            rec = {};
+        }
+
+        if (rec.level === undefined || rec.level >= opts.level) {
+            opts.stream.write(line + '\n');
+        }
+    }
+
+    function readMore(cb) {
+        fs.stat(filename, function (err, stats) {
+            var rs;
+
+            if (err || stats.size <= offset) {
+                cb(err);
+                return;
+            }
+
+            rs = fs.createReadStream(filename, {
+                encoding: 'utf8',
+                end: stats.size - 1,
+                start: offset
+            });
+            rs.on('data', function (chunk) {
+                var lines = (carry + chunk).split('\n');
+
+                carry = lines.pop();
+                lines.forEach(writeLine);
+            });
+            rs.on('error', cb);
+            rs.on('end', function () {
+                offset = stats.size;
+                cb();
+            });
+        });
+    }
+
+    // If the client goes away, there's no point in following any further.
+    opts.stream.once('close', function () {
+        stopped = true;
+    });
+
+    function loop() {
+        // This must be checked before reading, so that the last read starts
+        // after the worker has exited.
+        var running = (opts.follow && self.isRunning(opts.id));
+
+        readMore(function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (running && !stopped) {
+                setTimeout(loop, FOLLOW_POLL_MS);
+                return;
+            }
+
+            writeLine(carry);
+            callback();
+        });
+    }
+
+    loop();
+};
+
+
+module.exports = TaskLogs;
@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A TaskQueue enforces the `maxConcurrent` limit from a backend's queue
+ * definition. Tasks pushed onto a queue are started immediately while the
+ * queue has fewer than maxConcurrent tasks running, otherwise they wait in
+ * FIFO order until a running task's worker has exited.
+ *
+ * Queues without a maxConcurrent limit start every task immediately.
+ */
+
+var assert = require('assert-plus');
+
+
+function TaskQueue(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.maxConcurrent, 'opts.maxConcurrent');
+    assert.string(opts.name, 'opts.name');
+    assert.optionalArrayOfString(opts.tasks, 'opts.tasks');
+
+    if (opts.maxConcurrent !== undefined) {
+        assert.ok(opts.maxConcurrent >= 1,
+            'opts.maxConcurrent must be at least 1');
+    }
+
+    this.active = 0;
+    this.log = opts.log;
+    this.maxConcurrent = opts.maxConcurrent;
+    this.name = opts.name;
+    this.pending = [];
+    // The names of the tasks that run in this queue.
+    this.tasks = opts.tasks || [];
+}
+
+
+/*
+ * Adds a task to the queue. `req` is the task request object (as passed to
+ * TaskRunner.dispatch) and `startFn` is called as:
+ *
+ *     startFn(done)
+ *
+ * when the task is allowed to run. The caller must call done() exactly once
+ * when the task's worker is gone, which frees the slot for the next task.
+ *
+ * Before startFn is called, the following are set on `req` so that they can be
+ * recorded in the task history:
+ *
+ *     queue         -- the name of this queue
+ *     queued_at     -- ISO 8601 timestamp when the task was pushed
+ *     queue_wait_ms -- how long the task waited for a free slot
+ */
+TaskQueue.prototype.push = function push(req, startFn) {
+    var self = this;
+
+    assert.object(req, 'req');
+    assert.func(startFn, 'startFn');
+
+    self.pending.push({
+        queuedAt: new Date(),
+        req: req,
+        startFn: startFn
+    });
+
+    if (self.isFull()) {
+        self.log.info({
+            active: self.active,
+            maxConcurrent: self.maxConcurrent,
+            position: self.pending.length,
+            queue: self.name,
+            req_id: req.req_id,
+            task: req.task
+        }, 'Queue is at maxConcurrent, task %s will wait', req.task);
+    }
+
+    self._startNext();
+};
+
+
+TaskQueue.prototype.isFull = function isFull() {
+    var self = this;
+
+    return (self.maxConcurrent !== undefined &&
+        self.active >= self.maxConcurrent);
+};
+
+
+TaskQueue.prototype._startNext = function _startNext() {
+    var self = this;
+    var done = false;
+    var item;
+    var now;
+
+    if (self.pending.length === 0 || self.isFull()) {
+        return;
+    }
+
+    item = self.pending.shift();
+    now = new Date();
+
+    item.req.queue = self.name;
+    item.req.queued_at = item.queuedAt.toISOString();
+    item.req.queue_wait_ms = now - item.queuedAt;
+
+    self.active++;
+
+    if (item.req.queue_wait_ms > 0 && self.maxConcurrent !== undefined) {
+        self.log.info({
+            queue: self.name,
+            queue_wait_ms: item.req.queue_wait_ms,
+            req_id: item.req.req_id,
+            task: item.req.task
+        }, 'Starting queued task %s', item.req.task);
+    }
+
+    item.startFn(function _onTaskDone() {
+        if (done) {
+            self.log.warn({
+                queue: self.name,
+                req_id: item.req.req_id,
+                task: item.req.task
+            }, 'TaskQueue done() called more than once');
+            return;
+        }
+        done = true;
+
+        self.active--;
+        self._startNext();
+    });
+
+    // If we're not limited, there may be more that can be started.
+    self._startNext();
+};
+
+
+/*
+ * Removes a task that has not yet been started from the queue. Returns true if
+ * the task was found and removed.
+ */
+TaskQueue.prototype.remove = function remove(req) {
+    var self = this;
+    var idx;
+
+    for (idx = 0; idx < self.pending.length; idx++) {
+        if (self.pending[idx].req === req) {
+            self.pending.splice(idx, 1);
+            return true;
+        }
+    }
+
+    return false;
+};
+
+
+/*
+ * Returns a JSON-friendly summary of the queue's state, including the position
+ * and time spent waiting for each task that has not yet started.
+ */
+TaskQueue.prototype.status = function status() {
+    var self = this;
+    var now = new Date();
+
+    return {
+        name: self.name,
+        max_concurrent: self.maxConcurrent,
+        active: self.active,
+        queued: self.pending.map(function _queuedStatus(item, idx) {
+            return {
+                position: idx + 1,
+                queued_at: item.queuedAt.toISOString(),
+                req_id: item.req.req_id,
+                task: item.req.task,
+                wait_ms: now - item.queuedAt
+            };
+        })
+    };
+};
+
+
+module.exports = TaskQueue;
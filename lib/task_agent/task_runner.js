@@ -12,6 +12,20 @@
  * This class, TaskRunner, is responsible for starting the child process
  * (found in task_worker). It also propagates events to and from the child
  * process.
+ *
+ * The runner emits 'taskEvent' as each task starts, reports progress and
+ * finishes, with an object like:
+ *
+ *     {
+ *         "event": "started" | "progress" | "finished",
+ *         "id": <task id>,
+ *         "req_id": <req_id of the request that started the task>,
+ *         "task": <task name>,
+ *         ...
+ *     }
+ *
+ * "progress" events have the task's `progress` (0-100). "finished" events have
+ * the final `status` and the task's `result` or `error`.
  */
 
 var EventEmitter = require('events');
@@ -31,17 +45,39 @@ function isString(obj) {
 }
 
 
+// Seconds a task's worker has to exit (or, when the task is cancelled, to clean
+// up) after we've asked it to before it is sent SIGKILL.
+var DEFAULT_CANCEL_GRACE_SECONDS = 30;
+
+
 function TaskRunner(options) {
     this.backend = options.backend;
+    this.cancelGraceSeconds = options.cancelGraceSeconds ||
+        DEFAULT_CANCEL_GRACE_SECONDS;
     this.children = {};
     this.env = options.env;
+    this.journal = options.journal;
     this.log = options.log;
     this.logdir = options.logdir;
+    this.metrics = {};
     this.taskHistory = [];
     this.taskspath = options.taskspath;
     this.timeoutSeconds = options.timeoutSeconds;
     this.sysinfo = options.sysinfo;
 
+    if (options.metrics) {
+        this.metrics.duration = options.metrics.histogram(
+            'cn_agent_task_duration_seconds',
+            'Time from starting a task\'s worker until it exited');
+        this.metrics.failures = options.metrics.counter(
+            'cn_agent_task_failures_total',
+            'Tasks which reported an error or whose worker failed');
+        this.metrics.tasks = options.metrics.counter('cn_agent_tasks_total',
+            'Tasks run, by task, queue and final status');
+        this.metrics.workers = options.metrics.gauge('cn_agent_task_workers',
+            'Task worker processes currently running');
+    }
+
     if (!fs.existsSync(this.logdir)) {
         mkdirp.sync(this.logdir, parseInt('0755', 8));
     }
@@ -106,10 +142,20 @@ TaskRunner.prototype.dispatch = function (req) {
         { env: env });
 
     var pid = child.pid;
-    var timeout = setTimeout(onTimeout, self.timeoutSeconds * 1000);
+    var metricLabels = { queue: req.queue || 'none', task: req.task };
+    var timeoutSeconds = req.timeout_seconds || self.timeoutSeconds;
+    var timeout = setTimeout(onTimeout, timeoutSeconds * 1000);
 
     function onTimeout() {
-        child.kill();
+        self.killChild(child, { reason: 'timeout' });
+
+        // It may have finished and just be slow to exit.
+        if (entry.status !== 'active') {
+            return;
+        }
+
+        entry.finished_at = (new Date().toISOString());
+        entry.status = 'failed';
 
         var timeoutMsg = sprintf(
                 'child task process timed out after %s seconds',
@@ -122,6 +168,7 @@ TaskRunner.prototype.dispatch = function (req) {
     // Reformat logname here so we can log.info 'Child logging to %s...'
     // which matches what the task_worker will generate.
     var logname = sprintf('%s-%s-%s.log', logtimestamp, pid, req.task);
+    var journalId = sprintf('%s-%s-%s', logtimestamp, pid, req.task);
 
     self.log.info({ logging: req.logging, req_id: req.params.req_id },
                   'Child logging to %s', env.logdir + '/' + logname);
@@ -175,6 +222,10 @@ TaskRunner.prototype.dispatch = function (req) {
 
     info('Executing task module: ' + taskModule);
 
+    if (self.metrics.workers) {
+        self.metrics.workers.inc(metricLabels);
+    }
+
     var entry = {};
     this.children[pid] = child;
 
@@ -185,15 +236,99 @@ TaskRunner.prototype.dispatch = function (req) {
         this.taskHistory.splice(0, this.taskHistory.length - maxHistory);
     }
 
+    entry.id = journalId;
     entry.started_at = (new Date().toISOString());
     entry.task = req.task;
+    entry.req_id = req.req_id;
     entry.pid = pid;
     entry.params = req.params;
     entry.status = 'active';
+    entry.queue = req.queue;
+    entry.queued_at = req.queued_at;
+    entry.queue_wait_ms = req.queue_wait_ms;
+    entry.timeout_seconds = timeoutSeconds;
+    entry.parent_id = req.parent_id;
+    entry.subtasks = [];
     entry.errorCount = 0;
     entry.messages = [];
     entry.log = [];
 
+    // So that sub-tasks started by this task can be linked back to it.
+    child.taskId = journalId;
+    child.historyEntry = entry;
+    // What we report about the task while it's running (see inFlight()).
+    child.taskInfo = {
+        id: journalId,
+        pid: pid,
+        req_id: req.req_id,
+        started_at: entry.started_at,
+        task: req.task
+    };
+    // The parent is still running (its worker is what asked for this), but
+    // may no longer be in the taskHistory.
+    if (req.parent_id !== undefined) {
+        Object.keys(self.children).forEach(function _linkToParent(parentPid) {
+            var parent = self.children[parentPid];
+
+            if (parent.taskId === req.parent_id) {
+                parent.historyEntry.subtasks.push(journalId);
+            }
+        });
+    }
+
+    // What we know about the outcome, for the journal.
+    var exitCode;
+    var exitSignal;
+    var lastError;
+    var result;
+
+    function writeJournal() {
+        if (!self.journal) {
+            return;
+        }
+
+        self.journal.write(journalId, {
+            task: req.task,
+            req_id: req.req_id,
+            pid: pid,
+            // Some queues' params are too large or sensitive to keep.
+            params: (req.log_params === false ? undefined : req.params),
+            queue: req.queue,
+            queued_at: req.queued_at,
+            parent_id: req.parent_id,
+            subtasks: entry.subtasks,
+            started_at: entry.started_at,
+            finished_at: entry.finished_at,
+            timeout_seconds: timeoutSeconds,
+            status: entry.status,
+            exit_code: exitCode,
+            signal: exitSignal,
+            result: result,
+            error: lastError
+        });
+    }
+
+    function emitTaskEvent(name, fields) {
+        var event = {
+            event: name,
+            id: journalId,
+            parent_id: req.parent_id,
+            pid: pid,
+            queue: req.queue,
+            req_id: req.req_id,
+            task: req.task,
+            timestamp: (new Date().toISOString())
+        };
+
+        Object.keys(fields || {}).forEach(function (k) {
+            event[k] = fields[k];
+        });
+        self.emit('taskEvent', event);
+    }
+
+    writeJournal();
+    emitTaskEvent('started');
+
     child.on('message', function (msg) {
         debug('Parent received hydracp ' + msg.type
             + ' message from child process.');
@@ -222,19 +357,24 @@ TaskRunner.prototype.dispatch = function (req) {
 
                 if (msg.name === 'error') {
                     entry.errorCount++;
+                    lastError = msg.event;
                 }
 
                 switch (msg.name) {
                     case 'progress':
                         child.emit('progress', msg.event.value);
+                        emitTaskEvent('progress', {
+                            progress: msg.event.value
+                        });
                         break;
 
                     case 'finish':
+                        result = msg.event;
                         entry.finished_at = (new Date().toISOString());
                         entry.status = 'finished';
                         child.emit('finish');
                         child.emit('event', msg.name, msg.event);
-                        child.kill();
+                        self.killChild(child, { reason: 'finished' });
                         break;
 
                     default:
@@ -266,9 +406,31 @@ TaskRunner.prototype.dispatch = function (req) {
     });
 
 
-    child.on('exit', function (code) {
+    child.on('error', function (err) {
+        self.log.error({ err: err, pid: pid, req_id: req.req_id },
+            'Error from child task process');
+
+        // A worker that couldn't be started never exits, so we finish up as
+        // if it had failed.
+        if (pid === undefined) {
+            child.emit('exit', 1, null);
+        }
+    });
+
+    child.on('exit', function (code, signal) {
         clearTimeout(timeout);
-        if (code !== 0) {
+        exitCode = code;
+        exitSignal = signal;
+        if (child.cancelled && entry.status === 'active') {
+            info('Cancelled child terminated with code = ' + code);
+            entry.finished_at = (new Date().toISOString());
+            entry.status = 'cancelled';
+            child.emit('event', 'error', {
+                error: 'Task ' + req.task + ' was cancelled'
+            });
+            child.emit('event', 'finish', {});
+            child.emit('finish');
+        } else if (code !== 0 && entry.status === 'active') {
             info('Child terminated with code = ' + code);
             entry.finished_at = (new Date().toISOString());
             entry.status = 'failed';
@@ -280,25 +442,165 @@ TaskRunner.prototype.dispatch = function (req) {
                 });
             child.emit('event', 'finish', {});
             child.emit('finish');
+        } else if (code !== 0) {
+            // It has already finished (or timed out), which was reported.
+            info('Finished child terminated with code = ' + code);
         } else {
             info('Child terminated cleanly.');
         }
 
+        writeJournal();
+        emitTaskEvent('finished', {
+            error: lastError,
+            exit_code: exitCode,
+            finished_at: entry.finished_at,
+            result: result,
+            signal: exitSignal,
+            status: entry.status
+        });
         delete self.children[pid];
+
+        if (self.metrics.workers) {
+            self.metrics.workers.dec(metricLabels);
+            self.metrics.duration.observe(metricLabels,
+                (new Date() - startTime) / 1000);
+            self.metrics.tasks.inc({
+                queue: metricLabels.queue,
+                status: entry.status,
+                task: req.task
+            });
+            // A task that reports an error still ends up 'finished'.
+            if (entry.status === 'failed' ||
+                (entry.errorCount > 0 && entry.status !== 'cancelled')) {
+
+                self.metrics.failures.inc(metricLabels);
+            }
+        }
     });
 
     return child;
 };
 
 
-TaskRunner.prototype.reapChildren = function (req) {
+/*
+ * Stops the worker `child`. With opts.cancel the worker is asked to run the
+ * task's cancel hooks (see Task.addCancelHook) before it exits, otherwise it's
+ * asked to exit straight away. Either way, it's sent SIGKILL if it's still
+ * running after cancelGraceSeconds, so that a stuck worker can't hold on to
+ * its queue slot forever.
+ *
+ * We ask over IPC rather than with SIGTERM because workers ignore SIGTERM
+ * while we're connected to them: SMF stops cn-agent by sending SIGTERM to
+ * every process in its contract, and the workers must keep running while
+ * cn-agent drains them.
+ */
+TaskRunner.prototype.killChild = function (child, opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.cancel, 'opts.cancel');
+    assert.string(opts.reason, 'opts.reason');
+
+    if (child.exitCode !== null || child.signalCode !== null) {
+        return;
+    }
+
+    if (!child.killTimer) {
+        child.killTimer = setTimeout(function _killChild() {
+            self.log.warn({ pid: child.pid, reason: opts.reason },
+                'Task worker did not exit after %d seconds, sending SIGKILL',
+                self.cancelGraceSeconds);
+            child.kill('SIGKILL');
+        }, self.cancelGraceSeconds * 1000);
+
+        child.once('exit', function _onKilledExit() {
+            clearTimeout(child.killTimer);
+        });
+    }
+
+    // Without IPC the worker exits on SIGTERM, but we can't ask for the
+    // cancel hooks to be run.
+    if (child.connected) {
+        child.send({ action: (opts.cancel ? 'cancel' : 'exit') });
+        return;
+    }
+
+    child.kill('SIGTERM');
+};
+
+
+/*
+ * Cancels the running task whose worker has process ID `pid` (see
+ * killChild). The callback is called once the worker has exited.
+ */
+TaskRunner.prototype.cancel = function (pid, callback) {
+    var self = this;
+    var child = self.children[pid];
+
+    if (!child) {
+        callback(new Error('No running task with pid ' + pid));
+        return;
+    }
+
+    self.log.info({ pid: pid }, 'Cancelling task');
+
+    child.cancelled = true;
+    child.once('exit', function _onCancelledExit() {
+        callback();
+    });
+
+    self.killChild(child, { cancel: true, reason: 'cancelled' });
+};
+
+
+/*
+ * Returns a summary of each task whose worker process is still running.
+ */
+TaskRunner.prototype.inFlight = function () {
+    var self = this;
+
+    return Object.keys(self.children).map(function (pid) {
+        return self.children[pid].taskInfo;
+    });
+};
+
+
+/*
+ * Stops the workers of all running tasks (see killChild). The optional
+ * callback is called once they have all exited.
+ */
+TaskRunner.prototype.reapChildren = function (callback) {
     var self = this;
-    for (var pid in self.children) {
-        if (!self.children.hasOwnProperty(pid)) {
-            continue;
+    var pids = Object.keys(self.children);
+    var running = pids.length;
+
+    assert.optionalFunc(callback, 'callback');
+
+    function _onReapedExit() {
+        running--;
+        if (running === 0 && callback) {
+            callback();
+        }
+    }
+
+    if (running === 0) {
+        if (callback) {
+            setImmediate(callback);
         }
-        self.children[pid].kill();
+        return;
     }
+
+    pids.forEach(function (pid) {
+        var child = self.children[pid];
+
+        if (child.exitCode !== null || child.signalCode !== null) {
+            _onReapedExit();
+            return;
+        }
+
+        child.once('exit', _onReapedExit);
+        self.killChild(child, { reason: 'reaped' });
+    });
 };
 
 
@@ -0,0 +1,125 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Streams the progress and events of a TrackedTask to an HTTP response as
+ * they happen. This is used when POST /tasks is called with `stream` set to
+ * one of the formats below. Each record has an event name and a data payload:
+ *
+ *  progress    -- {value: <percent complete>}
+ *  error       -- the error payload from the task
+ *  finish      -- the task's finish payload
+ *  <other>     -- any other event emitted by the task (e.g. "start:<step>")
+ *  end         -- always the last record, the same object GET /tasks/:id
+ *                 would return for the finished task
+ *
+ * In "ndjson" format each record is a line of JSON:
+ *
+ *     {"event":"progress","data":{"value":50}}
+ *
+ * and in "sse" format each record is a Server-Sent Event:
+ *
+ *     event: progress
+ *     data: {"value":50}
+ *
+ */
+
+var assert = require('assert-plus');
+
+
+var FORMATS = {
+    ndjson: {
+        contentType: 'application/x-ndjson',
+        format: function formatNdjson(name, data) {
+            return JSON.stringify({ event: name, data: data }) + '\n';
+        }
+    },
+    sse: {
+        contentType: 'text/event-stream',
+        format: function formatSse(name, data) {
+            return 'event: ' + name + '\n' +
+                'data: ' + JSON.stringify(data) + '\n\n';
+        }
+    }
+};
+
+
+function isValidFormat(format) {
+    return FORMATS.hasOwnProperty(format);
+}
+
+
+/*
+ * Writes the response headers and then every event from opts.task to opts.res
+ * until the task is done, at which point the response is ended and callback()
+ * is called.
+ */
+function streamTask(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.format, 'opts.format');
+    assert.ok(isValidFormat(opts.format), 'invalid format: ' + opts.format);
+    assert.object(opts.res, 'opts.res');
+    assert.object(opts.task, 'opts.task');
+    assert.func(callback, 'callback');
+
+    var format = FORMATS[opts.format].format;
+    var res = opts.res;
+    var task = opts.task;
+
+    function write(name, data) {
+        if (!res.finished) {
+            res.write(format(name, data));
+        }
+    }
+
+    function onProgress(value) {
+        write('progress', { value: value });
+    }
+
+    function onEvent(name, event) {
+        write(name, event);
+    }
+
+    function cleanup() {
+        task.removeListener('progress', onProgress);
+        task.removeListener('event', onEvent);
+    }
+
+    res.writeHead(200, {
+        'Cache-Control': 'no-cache',
+        'Content-Type': FORMATS[opts.format].contentType
+    });
+
+    task.on('progress', onProgress);
+    task.on('event', onEvent);
+
+    // If the client goes away, the task keeps running and can still be
+    // retrieved through GET /tasks/:id.
+    res.once('close', cleanup);
+
+    function onDone() {
+        cleanup();
+        write('end', task.serialize());
+        res.end();
+        callback();
+    }
+
+    if (task.isDone()) {
+        onDone();
+    } else {
+        task.once('done', onDone);
+    }
+}
+
+
+module.exports = {
+    isValidFormat: isValidFormat,
+    streamTask: streamTask
+};
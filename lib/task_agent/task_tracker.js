@@ -0,0 +1,308 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The TaskTracker keeps track of the tasks submitted through POST /tasks by
+ * task ID, from the time they are received until some time after they have
+ * finished. This is what allows a client to submit a task asynchronously and
+ * then later retrieve its status and result through GET /tasks/:id.
+ *
+ * Each task is represented by a TrackedTask which emits:
+ *
+ *  'progress' (value)      -- when the task reports progress
+ *  'event' (name, event)   -- for every other event from the task, including
+ *                             'error' and 'finish'
+ *  'done'                  -- once the task has finished (successfully or not)
+ *
+ * Tasks may also be created with an idempotency key (from the Idempotency-Key
+ * header of POST /tasks). Those can be looked up by that key while they are
+ * running and for idempotencyRetentionSeconds after they have finished, so
+ * that a retried request does not start the task a second time. Keys are
+ * scoped (by the caller's identity and the task's queue), so the same key
+ * used in another scope is a different key, and the task remembers a hash of
+ * its params (params_hash) so that a key reused for other params can be told
+ * apart from a retry.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+// The number of finished tasks we'll remember.
+var DEFAULT_MAX_FINISHED = 100;
+// How long we remember the idempotency key of a finished task.
+var DEFAULT_IDEMPOTENCY_RETENTION_SECONDS = 60 * 60;
+
+
+function TrackedTask(opts) {
+    assert.object(opts, 'opts');
+    assert.func(opts.cancel, 'opts.cancel');
+    assert.optionalString(opts.idempotency_key, 'opts.idempotency_key');
+    assert.optionalString(opts.idempotency_scope, 'opts.idempotency_scope');
+    assert.optionalString(opts.params_hash, 'opts.params_hash');
+    assert.optionalString(opts.queue, 'opts.queue');
+    assert.string(opts.req_id, 'opts.req_id');
+    assert.string(opts.task, 'opts.task');
+
+    EventEmitter.call(this);
+
+    this.cancelFn = opts.cancel;
+    this.cancelled = false;
+    this.created_at = new Date().toISOString();
+    this.error = undefined;
+    this.finished_at = undefined;
+    this.id = uuid.v4();
+    this.idempotency_key = opts.idempotency_key;
+    this.idempotency_scope = opts.idempotency_scope || '';
+    this.params_hash = opts.params_hash;
+    this.pid = undefined;
+    this.progress = 0;
+    this.queue = opts.queue;
+    this.req_id = opts.req_id;
+    this.result = undefined;
+    this.started_at = undefined;
+    this.status = 'queued';
+    this.task = opts.task;
+}
+util.inherits(TrackedTask, EventEmitter);
+
+
+TrackedTask.prototype.isDone = function isDone() {
+    return (this.finished_at !== undefined);
+};
+
+
+// Called when the task's worker process has been forked.
+TrackedTask.prototype.started = function started(opts) {
+    assert.object(opts, 'opts');
+    assert.number(opts.pid, 'opts.pid');
+    assert.optionalString(opts.queue, 'opts.queue');
+
+    this.pid = opts.pid;
+    if (opts.queue !== undefined) {
+        this.queue = opts.queue;
+    }
+    this.started_at = new Date().toISOString();
+    this.status = 'active';
+};
+
+
+TrackedTask.prototype.setProgress = function setProgress(value) {
+    this.progress = value;
+    this.emit('progress', value);
+};
+
+
+TrackedTask.prototype.addEvent = function addEvent(name, event) {
+    this.emit('event', name, event);
+};
+
+
+// Called once with the task's error (if any) and 'finish' event payload.
+TrackedTask.prototype.finish = function finish(error, result) {
+    assert.ok(!this.isDone(), 'task already finished');
+
+    this.error = error;
+    this.finished_at = new Date().toISOString();
+    this.result = result;
+    if (error) {
+        this.status = (this.cancelled ? 'cancelled' : 'failed');
+    } else {
+        this.status = 'finished';
+    }
+
+    this.emit('done');
+};
+
+
+/*
+ * Cancels the task, calling callback() once it is done. If the task manages to
+ * finish successfully before it can be cancelled its status will be
+ * 'finished', otherwise it will be 'cancelled'.
+ */
+TrackedTask.prototype.cancel = function cancel(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+    assert.ok(!self.isDone(), 'cannot cancel finished task');
+
+    if (!self.cancelled) {
+        self.cancelled = true;
+        self.status = 'cancelling';
+        // An error here means the worker had already exited, in which case
+        // the 'done' event is still on its way.
+        self.cancelFn(function _onCancelled() {});
+    }
+
+    if (self.isDone()) {
+        callback();
+    } else {
+        self.once('done', callback);
+    }
+};
+
+
+/*
+ * Calls callback() as soon as the task is done, or after timeoutMs has elapsed
+ * if the task is still not done by then.
+ */
+TrackedTask.prototype.wait = function wait(timeoutMs, callback) {
+    var self = this;
+    var timer;
+
+    assert.number(timeoutMs, 'timeoutMs');
+    assert.func(callback, 'callback');
+
+    if (self.isDone()) {
+        callback();
+        return;
+    }
+
+    function onDone() {
+        clearTimeout(timer);
+        callback();
+    }
+
+    timer = setTimeout(function _onWaitTimeout() {
+        self.removeListener('done', onDone);
+        callback();
+    }, timeoutMs);
+
+    self.once('done', onDone);
+};
+
+
+TrackedTask.prototype.serialize = function serialize() {
+    return {
+        id: this.id,
+        task: this.task,
+        req_id: this.req_id,
+        status: this.status,
+        progress: this.progress,
+        queue: this.queue,
+        pid: this.pid,
+        created_at: this.created_at,
+        started_at: this.started_at,
+        finished_at: this.finished_at,
+        result: this.result,
+        error: this.error
+    };
+};
+
+
+function TaskTracker(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.maxFinished, 'opts.maxFinished');
+    assert.optionalNumber(opts.idempotencyRetentionSeconds,
+        'opts.idempotencyRetentionSeconds');
+
+    this.finished = [];
+    this.idempotencyRetentionSeconds = opts.idempotencyRetentionSeconds ||
+        DEFAULT_IDEMPOTENCY_RETENTION_SECONDS;
+    // Maps scoped idempotency key (see scopedKey()) ->
+    // { task: <TrackedTask>, expires: <ms> }
+    this.keys = {};
+    this.log = opts.log;
+    this.maxFinished = opts.maxFinished || DEFAULT_MAX_FINISHED;
+    this.tasks = {};
+}
+
+
+TaskTracker.prototype.create = function create(opts) {
+    var self = this;
+    var task = new TrackedTask(opts);
+    var keyEntry;
+
+    self.tasks[task.id] = task;
+
+    if (task.idempotency_key !== undefined) {
+        self._expireKeys();
+        keyEntry = self.keys[scopedKey(task.idempotency_scope,
+            task.idempotency_key)] = {
+            expires: Infinity,
+            task: task
+        };
+    }
+
+    task.once('done', function _onTaskDone() {
+        var expired;
+
+        if (keyEntry) {
+            keyEntry.expires = Date.now() +
+                (self.idempotencyRetentionSeconds * 1000);
+        }
+
+        self.finished.push(task.id);
+        while (self.finished.length > self.maxFinished) {
+            expired = self.finished.shift();
+            delete self.tasks[expired];
+        }
+    });
+
+    return task;
+};
+
+
+TaskTracker.prototype.get = function get(id) {
+    var self = this;
+
+    if (!self.tasks.hasOwnProperty(id)) {
+        return undefined;
+    }
+
+    return self.tasks[id];
+};
+
+
+/*
+ * Returns the task created with idempotency key `key` in `scope` (default
+ * ''), if it is still running or finished within the retention window.
+ */
+TaskTracker.prototype.getByIdempotencyKey = function getByIdempotencyKey(key,
+    scope) {
+
+    var self = this;
+    var scoped;
+
+    assert.string(key, 'key');
+    assert.optionalString(scope, 'scope');
+
+    self._expireKeys();
+
+    scoped = scopedKey(scope || '', key);
+    if (!self.keys.hasOwnProperty(scoped)) {
+        return undefined;
+    }
+
+    return self.keys[scoped].task;
+};
+
+
+TaskTracker.prototype._expireKeys = function _expireKeys() {
+    var self = this;
+    var now = Date.now();
+
+    Object.keys(self.keys).forEach(function (key) {
+        if (self.keys[key].expires <= now) {
+            delete self.keys[key];
+        }
+    });
+};
+
+
+function scopedKey(scope, key) {
+    return JSON.stringify([scope, key]);
+}
+
+
+module.exports = TaskTracker;
@@ -45,10 +45,24 @@ log.begin(process.env.task);
 log.debug('Child ready to start, sending ready event to parent');
 process.send({ type: 'ready' });
 
-process.on('SIGTERM', function () {
+function exit() {
     log.end(process.env.task);
     log.info('Task processes terminated. Exiting.');
     process.exit(0);
+}
+
+// The parent asks us to exit over IPC (see TaskRunner.killChild), so while
+// it's connected SIGTERM can only have come from elsewhere, most likely SMF
+// stopping cn-agent by signalling every process in its contract. cn-agent
+// then waits for its running tasks before exiting, so we carry on. Once the
+// parent has gone there's nothing to wait for and SIGTERM is an exit that
+// isn't a cancellation, so the cancel hooks aren't run.
+process.on('SIGTERM', function () {
+    if (process.connected) {
+        log.info('Ignoring SIGTERM, not sent by the parent');
+        return;
+    }
+    exit();
 });
 
 process.on('uncaughtException', function (err) {
@@ -72,8 +86,30 @@ process.on('message', function (msg) {
         case 'start':
             start(msg.req, msg.taskspath);
             break;
+        case 'cancel':
+            // The parent is cancelling the task (see TaskRunner.killChild).
+            if (task && !taskFinished) {
+                log.info('Task cancelled, running cancel hooks');
+                task.runCancelHooks(exit);
+            } else {
+                exit();
+            }
+            break;
+        case 'exit':
+            // The task has finished or timed out, or cn-agent is shutting
+            // down. None of those are a cancellation.
+            exit();
+            break;
         case 'subtask':
             var fn = task.subTaskCallbacks[msg.id];
+            if (!fn) {
+                log.warn({ msg: msg }, 'Event for unknown or finished subtask');
+                break;
+            }
+            // The callback is done with once the sub-task has finished.
+            if (msg.name === 'finish') {
+                delete task.subTaskCallbacks[msg.id];
+            }
             fn.apply(task, [msg.name, msg.event]);
             break;
         default:
@@ -83,6 +119,7 @@ process.on('message', function (msg) {
 });
 
 var task;
+var taskFinished = false;
 
 function start(req, taskspath) {
     log.info({
@@ -98,6 +135,9 @@ function start(req, taskspath) {
         log.info({
             event: event
         }, 'Received event (%s) from task instance', name);
+        if (name === 'finish') {
+            taskFinished = true;
+        }
         process.send({ type: 'event', name: name, event: event });
     });
 
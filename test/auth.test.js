@@ -0,0 +1,388 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for authenticating and authorizing API requests with HTTP
+// Signatures, these don't require a running cn-agent.
+
+var child_process = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var httpSignature = require('http-signature');
+var mkdirp = require('mkdirp');
+var rimraf = require('rimraf');
+var vasync = require('vasync');
+
+var AgentHttpServer = require('../lib/server');
+var Authenticator = require('../lib/auth');
+var TaskQueue = require('../lib/task_agent/task_queue');
+var TaskTracker = require('../lib/task_agent/task_tracker');
+
+var SERVER_UUID = '564d0000-0000-0000-0000-000000000001';
+var TMP_DIR = path.join(os.tmpdir(), 'cn-agent-auth-test.' + process.pid);
+var KEYS_DIR = path.join(TMP_DIR, 'keys');
+// Only 'cnapi' may use server_tasks, and only 'operator' may pause.
+var CONFIG = {
+    auth_admin_identities: [ 'operator' ],
+    auth_keys_dir: KEYS_DIR,
+    auth_mode: 'signature',
+    auth_queue_policy: { server_tasks: [ 'cnapi' ] }
+};
+var SIGNED_HEADERS = [ 'date', 'request-line', 'digest' ];
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'auth-test'
+});
+// The private keys of each identity, and of one that has no public key in
+// KEYS_DIR.
+var keys = {};
+var port;
+var server;
+var task;
+
+
+// Creates a key pair for `identity`, with its public key in KEYS_DIR.
+function createKey(identity, cb) {
+    var keyFile = path.join(TMP_DIR, identity);
+
+    child_process.execFile('ssh-keygen', [
+        '-t', 'rsa', '-b', '2048', '-m', 'PEM', '-N', '', '-q',
+        '-f', keyFile
+    ], function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        keys[identity] = fs.readFileSync(keyFile, 'utf8');
+        if (identity !== 'stranger') {
+            fs.renameSync(keyFile + '.pub',
+                path.join(KEYS_DIR, identity + '.pub'));
+        }
+        cb();
+    });
+}
+
+
+function setup(cb) {
+    var tracker;
+
+    mkdirp.sync(KEYS_DIR);
+
+    vasync.forEachPipeline({
+        inputs: [ 'cnapi', 'operator', 'stranger' ],
+        func: createKey
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        server = new AgentHttpServer({
+            auth: new Authenticator({ config: CONFIG, log: log }),
+            bindip: '127.0.0.1',
+            log: log,
+            port: 0,
+            uuid: SERVER_UUID
+        });
+        // Like the TaskAgent's handler, which checks the task's queue.
+        server.registerTaskHandler(SERVER_UUID, function (req, res, next) {
+            var authErr = server.authorizeQueue(req, 'server_tasks');
+
+            if (authErr) {
+                next(authErr);
+                return;
+            }
+
+            res.send(200, { identity: req.identity, params: req.body.params });
+            next();
+        });
+        server.setTaskQueues({
+            server_tasks: new TaskQueue({
+                log: log,
+                name: 'server_tasks',
+                tasks: [ 'server_sysinfo' ]
+            })
+        });
+        server.setTaskRunner({
+            inFlight: function () {
+                return [];
+            }
+        });
+
+        tracker = new TaskTracker({ log: log });
+        task = tracker.create({
+            cancel: function (cancelCb) {
+                cancelCb();
+            },
+            queue: 'server_tasks',
+            req_id: 'req-1',
+            task: 'server_sysinfo'
+        });
+        server.setTaskTracker(tracker);
+
+        server.start(function () {
+            port = server.server.address().port;
+            cb();
+        });
+    });
+}
+
+
+function teardown(cb) {
+    server.server.close(function () {
+        rimraf(TMP_DIR, cb);
+    });
+}
+
+
+function sha256Digest(body) {
+    return 'SHA-256=' + crypto.createHash('sha256').update(body)
+        .digest('base64');
+}
+
+
+/*
+ * Makes a request and calls cb(err, res, body). Unless opts.keyId is null,
+ * the request is signed with opts.keyId's key (or opts.key) covering
+ * opts.headers (default SIGNED_HEADERS). The Digest header is for opts.digest
+ * if given, otherwise for the body actually sent.
+ */
+function request(opts, cb) {
+    var body = (opts.body === undefined ? '' : JSON.stringify(opts.body));
+    var keyId = (opts.keyId === undefined ? 'cnapi' : opts.keyId);
+    var req;
+
+    req = http.request({
+        headers: {
+            'content-length': Buffer.byteLength(body),
+            'content-type': 'application/json',
+            'digest': sha256Digest(opts.digest === undefined ? body :
+                JSON.stringify(opts.digest))
+        },
+        host: '127.0.0.1',
+        method: opts.method || 'GET',
+        path: opts.path,
+        port: port
+    }, function (res) {
+        var data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            data += chunk;
+        });
+        res.on('end', function () {
+            cb(null, res, (data ? JSON.parse(data) : undefined));
+        });
+    });
+
+    req.once('error', cb);
+
+    if (keyId !== null) {
+        httpSignature.signRequest(req, {
+            headers: opts.headers || SIGNED_HEADERS,
+            key: opts.key || keys[keyId],
+            keyId: keyId
+        });
+    }
+
+    req.end(body);
+}
+
+
+function testSignedRequest(test) {
+    request({
+        body: { params: { a: 1 } },
+        method: 'POST',
+        path: '/tasks?task=server_sysinfo'
+    }, function (err, res, body) {
+        test.ifError(err);
+        test.equal(res.statusCode, 200);
+        test.deepEqual(body, { identity: 'cnapi', params: { a: 1 } });
+
+        request({ path: '/status' }, function (err2, res2) {
+            test.ifError(err2);
+            test.equal(res2.statusCode, 200, 'signed GET without a body');
+            test.done();
+        });
+    });
+}
+
+
+function testUnsignedRequest(test) {
+    request({ keyId: null, path: '/status' }, function (err, res, body) {
+        test.ifError(err);
+        test.equal(res.statusCode, 401);
+        test.equal(body.code, 'InvalidCredentials');
+
+        request({ keyId: null, path: '/ping' }, function (err2, res2) {
+            test.ifError(err2);
+            test.notEqual(res2.statusCode, 401, 'health checks allowed');
+            test.done();
+        });
+    });
+}
+
+
+function testWrongKey(test) {
+    vasync.forEachPipeline({
+        inputs: [
+            // Someone else's key.
+            { key: keys.operator, keyId: 'cnapi' },
+            // A key we don't know.
+            { keyId: 'stranger' }
+        ],
+        func: function (opts, cb) {
+            opts.path = '/status';
+            request(opts, function (err, res, body) {
+                test.ifError(err);
+                test.equal(res.statusCode, 401);
+                test.equal(body.code, 'InvalidCredentials');
+                cb();
+            });
+        }
+    }, function () {
+        test.done();
+    });
+}
+
+
+function testMissingSignedHeaders(test) {
+    vasync.forEachPipeline({
+        inputs: [
+            [ 'date' ],
+            [ 'date', 'digest' ],
+            [ 'date', 'request-line' ]
+        ],
+        func: function (headers, cb) {
+            request({
+                body: { params: {} },
+                headers: headers,
+                method: 'POST',
+                path: '/tasks?task=server_sysinfo'
+            }, function (err, res, body) {
+                test.ifError(err);
+                test.equal(res.statusCode, 401,
+                    'rejected signature of ' + headers.join(', '));
+                test.ok(/^Signature must include/.test(body.message));
+                cb();
+            });
+        }
+    }, function () {
+        test.done();
+    });
+}
+
+
+function testTamperedBody(test) {
+    request({
+        body: { params: { command: 'rm -rf /' } },
+        digest: { params: { command: 'true' } },
+        method: 'POST',
+        path: '/tasks?task=server_sysinfo'
+    }, function (err, res, body) {
+        test.ifError(err);
+        test.equal(res.statusCode, 401);
+        test.equal(body.message,
+            'Digest header must be the SHA-256 of the body');
+        test.done();
+    });
+}
+
+
+function testQueuePolicy(test) {
+    var opts = {
+        body: { params: {} },
+        keyId: 'operator',
+        method: 'POST',
+        path: '/tasks?task=server_sysinfo'
+    };
+
+    request(opts, function (err, res) {
+        test.ifError(err);
+        test.equal(res.statusCode, 403, 'operator may not run tasks');
+
+        vasync.forEachPipeline({
+            inputs: [
+                { method: 'GET', path: '/tasks/' + task.id },
+                { method: 'GET', path: '/tasks/' + task.id + '/wait' },
+                { method: 'DELETE', path: '/tasks/' + task.id }
+            ],
+            func: function (taskOpts, cb) {
+                taskOpts.keyId = 'operator';
+                request(taskOpts, function (err2, res2) {
+                    test.ifError(err2);
+                    test.equal(res2.statusCode, 403,
+                        taskOpts.method + ' ' + taskOpts.path);
+                    cb();
+                });
+            }
+        }, function () {
+            request({ path: '/tasks/' + task.id }, function (err3, res3, body) {
+                test.ifError(err3);
+                test.equal(res3.statusCode, 200, 'cnapi may see the task');
+                test.equal(body.queue, 'server_tasks');
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testAdminPolicy(test) {
+    request({ method: 'POST', path: '/pause' }, function (err, res) {
+        test.ifError(err);
+        test.equal(res.statusCode, 403, 'cnapi may not pause');
+        test.ok(!server.draining);
+
+        request({ keyId: 'operator', method: 'POST', path: '/pause' },
+            function (err2, res2) {
+
+            test.ifError(err2);
+            test.equal(res2.statusCode, 204, 'operator may pause');
+            test.ok(server.draining);
+            test.done();
+        });
+    });
+}
+
+
+function testInvalidQueuePolicy(test) {
+    test.throws(function () {
+        return new Authenticator({
+            config: {
+                auth_keys_dir: KEYS_DIR,
+                auth_mode: 'signature',
+                auth_queue_policy: { server_tasks: 'cnapi' }
+            },
+            log: log
+        });
+    }, /auth_queue_policy\.server_tasks/);
+    test.done();
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'signed requests': testSignedRequest,
+    'unsigned requests are rejected': testUnsignedRequest,
+    'wrong key is rejected': testWrongKey,
+    'signature must cover request-line and digest': testMissingSignedHeaders,
+    'tampered body is rejected': testTamperedBody,
+    'queue policy applies to task routes': testQueuePolicy,
+    'admin policy': testAdminPolicy,
+    'queue policy must list identities': testInvalidQueuePolicy
+};
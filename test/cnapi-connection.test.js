@@ -0,0 +1,203 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for the cueball pool of connections to CNAPI (see
+// App.createCnapiConnection), with a mock CNAPI. These don't require a
+// running cn-agent.
+
+var net = require('net');
+
+var bunyan = require('bunyan');
+
+var App = require('../lib/app');
+var MockCnapi = require('./lib/mock-cnapi');
+
+var SERVER_UUID = '564d0000-0000-0000-0000-000000000001';
+var HEARTBEAT_PATH = '/servers/' + SERVER_UUID + '/events/heartbeat';
+// How long (ms) to wait for the pool to get to the state we expect.
+var POOL_TIMEOUT = 20000;
+var POOL_POLL = 100;
+
+var log;
+var records;
+var app;
+var cnapi;
+
+
+/*
+ * Returns a stand-in for an App with the given `cnapi` config and sdc_config,
+ * as far as createCnapiConnection() and getCnapiPoolStatus() need.
+ */
+function createApp(cnapiConfig, sdcConfig) {
+    return {
+        config: { cnapi: cnapiConfig },
+        createCnapiConnection: App.prototype.createCnapiConnection,
+        getCnapiPoolStatus: App.prototype.getCnapiPoolStatus,
+        log: log,
+        sdc_config: sdcConfig || {
+            datacenter_name: 'coal',
+            dns_domain: 'example.com'
+        },
+        userAgent: 'cn-agent-test'
+    };
+}
+
+
+function setup(cb) {
+    records = new bunyan.RingBuffer({ limit: 100 });
+    log = bunyan.createLogger({
+        name: 'cnapi-connection-test',
+        streams: [ { level: 'info', stream: records, type: 'raw' } ]
+    });
+    app = undefined;
+
+    cnapi = new MockCnapi({ log: log });
+    cnapi.start(cb);
+}
+
+
+function teardown(cb) {
+    function stopCnapi() {
+        cnapi.stop(function () {
+            cb();
+        });
+    }
+
+    if (app && app.cnapiAgent) {
+        app.cnapiClient.close();
+        app.cnapiAgent.stop(stopCnapi);
+        return;
+    }
+
+    stopCnapi();
+}
+
+
+// Calls cb(health) once the pool's health check has `status`.
+function waitForPoolStatus(status, cb) {
+    var start = Date.now();
+
+    function check() {
+        var health = app.getCnapiPoolStatus();
+
+        if (health.status === status || Date.now() - start > POOL_TIMEOUT) {
+            cb(health);
+            return;
+        }
+        setTimeout(check, POOL_POLL);
+    }
+
+    check();
+}
+
+
+// The info records that createCnapiConnection() logged.
+function connectionRecords() {
+    return records.records.filter(function (rec) {
+        return (/^Creating CNAPI connection/.test(rec.msg));
+    });
+}
+
+
+function testConnects(test) {
+    app = createApp({ url: cnapi.url });
+
+    app.createCnapiConnection(function () {
+        waitForPoolStatus('ok', function (health) {
+            test.equal(health.status, 'ok', 'pool is running');
+            test.ok(health.connections > 0, 'connected to CNAPI');
+            test.equal(health.last_error, undefined);
+
+            app.cnapiClient.post(HEARTBEAT_PATH, {}, function (err) {
+                test.ifError(err);
+                test.equal(cnapi.posts.heartbeat.length, 1,
+                    'requests go through the pool');
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testUnreachable(test) {
+    // Find a port that nothing is listening on.
+    var server = net.createServer();
+
+    server.listen(0, '127.0.0.1', function () {
+        var port = server.address().port;
+
+        server.close(function () {
+            app = createApp({ url: 'http://127.0.0.1:' + port });
+
+            app.createCnapiConnection(function () {
+                test.equal(app.getCnapiPoolStatus().status, 'warn',
+                    'still connecting');
+
+                waitForPoolStatus('fail', function (health) {
+                    test.equal(health.status, 'fail',
+                        'fails once every CNAPI is dead');
+                    test.ok(health.last_error, 'has the last error');
+                    test.done();
+                });
+            });
+        });
+    });
+}
+
+
+function testResolvers(test) {
+    app = createApp({ url: cnapi.url }, {
+        binder_admin_ips: '10.99.99.11,10.99.99.12',
+        datacenter_name: 'coal',
+        dns_domain: 'example.com'
+    });
+    app.createCnapiConnection(function () {
+        test.deepEqual(connectionRecords()[0].resolvers,
+            [ '10.99.99.11', '10.99.99.12' ], 'binders from sdc_config');
+        app.cnapiClient.close();
+        app.cnapiAgent.stop();
+
+        app = createApp({
+            resolvers: [ '10.99.99.13' ],
+            url: cnapi.url
+        }, {
+            binder_admin_ips: '10.99.99.11,10.99.99.12',
+            datacenter_name: 'coal',
+            dns_domain: 'example.com'
+        });
+        app.createCnapiConnection(function () {
+            test.deepEqual(connectionRecords()[1].resolvers,
+                [ '10.99.99.13' ], 'config overrides sdc_config');
+            test.ok(/^Creating CNAPI connection to http:\/\/127\.0\.0\.1:/
+                .test(connectionRecords()[1].msg));
+            test.done();
+        });
+    });
+}
+
+
+function testInvalidResolvers(test) {
+    var invalid = createApp({ resolvers: '10.99.99.13', url: cnapi.url });
+
+    test.throws(function () {
+        invalid.createCnapiConnection(function () {});
+    }, /config\.cnapi\.resolvers/);
+    test.done();
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'connects to CNAPI through the pool': testConnects,
+    'unreachable CNAPI fails the health check': testUnreachable,
+    'resolvers': testResolvers,
+    'resolvers must be an array': testInvalidResolvers
+};
@@ -0,0 +1,382 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for CnapiOutbox, these don't require a running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var rimraf = require('rimraf');
+
+var CnapiOutbox = require('../lib/cnapi_outbox');
+
+var OUTBOX_DIR =
+    path.join(os.tmpdir(), 'cn-agent-outbox-test.' + process.pid);
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'cnapi-outbox-test'
+});
+
+
+function setup(cb) {
+    rimraf(OUTBOX_DIR, cb);
+}
+
+
+function teardown(cb) {
+    rimraf(OUTBOX_DIR, cb);
+}
+
+
+function testCoalesce(test) {
+    var outbox = new CnapiOutbox({ log: log });
+    var sent = [];
+    var statusCallbacks = 0;
+
+    outbox.register('heartbeat', {
+        send: function (payload, cb) {
+            sent.push('heartbeat');
+            setImmediate(cb);
+        }
+    });
+    outbox.register('status', {
+        coalesce: true,
+        send: function (payload, cb) {
+            sent.push(payload);
+            setImmediate(cb);
+        }
+    });
+    outbox.open();
+
+    // The heartbeat is sent right away, and meanwhile the second status
+    // replaces the first.
+    outbox.push('heartbeat', {});
+    outbox.push('status', 'old', function () {
+        statusCallbacks++;
+    });
+    outbox.push('status', 'new', function () {
+        statusCallbacks++;
+        test.deepEqual(sent, ['heartbeat', 'new']);
+        test.equal(statusCallbacks, 2, 'both callbacks called');
+        test.done();
+    });
+}
+
+
+function testCoalesceKey(test) {
+    var outbox = new CnapiOutbox({ log: log });
+    var sent = [];
+
+    function event(id, name, progress) {
+        return { event: name, id: id, progress: progress };
+    }
+
+    outbox.register('task_event', {
+        coalesceKey: function (payload) {
+            return (payload.event === 'progress' ? payload.id : undefined);
+        },
+        send: function (payload, cb) {
+            sent.push(payload.id + ' ' + payload.event +
+                (payload.progress === undefined ? '' : ' ' + payload.progress));
+            setImmediate(cb);
+        }
+    });
+    outbox.open();
+
+    // The first is sent right away. Only the progress of the same task is
+    // coalesced, and the newer progress takes the older one's place.
+    outbox.push('task_event', event('a', 'started'));
+    outbox.push('task_event', event('a', 'progress', 10));
+    outbox.push('task_event', event('b', 'progress', 10));
+    outbox.push('task_event', event('a', 'progress', 50));
+    outbox.push('task_event', event('a', 'finished'));
+    outbox.push('task_event', event('b', 'finished'), function (err) {
+        test.ifError(err);
+        test.deepEqual(sent, [
+            'a started',
+            'a progress 50',
+            'b progress 10',
+            'a finished',
+            'b finished'
+        ]);
+        test.done();
+    });
+}
+
+
+function testPersistAndRetry(test) {
+    var attempts = 0;
+    var outbox = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+
+    outbox.register('agents', {
+        persist: true,
+        retry: true,
+        send: function (payload, cb) {
+            attempts++;
+            test.equal(fs.readdirSync(OUTBOX_DIR).length, 1,
+                'message persisted until sent');
+            setImmediate(cb, attempts === 1 ? new Error('boom') : null);
+        }
+    });
+    outbox.open();
+
+    outbox.push('agents', [ { name: 'cn-agent' } ], function (err) {
+        test.ifError(err);
+        test.equal(attempts, 2, 'retried after failure');
+        test.equal(fs.readdirSync(OUTBOX_DIR).length, 0,
+            'message removed once sent');
+        test.done();
+    });
+}
+
+
+function testLoadPersisted(test) {
+    var first = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+    var second = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+
+    // Never sent, as if cn-agent stopped before it could be. This is only
+    // called once the message has been written.
+    first.register('agents', {
+        persist: true,
+        send: function () {
+            second.open();
+        }
+    });
+
+    second.register('agents', {
+        persist: true,
+        send: function (payload, cb) {
+            if (payload === 'next') {
+                cb();
+                return;
+            }
+
+            test.deepEqual(payload, [ { name: 'cn-agent' } ]);
+            cb();
+
+            // Callbacks are called once the message's file is gone, and
+            // messages are sent in order.
+            second.push('agents', 'next', function () {
+                test.equal(fs.readdirSync(OUTBOX_DIR).length, 0);
+                test.done();
+            });
+        }
+    });
+
+    first.open();
+    first.push('agents', [ { name: 'cn-agent' } ]);
+}
+
+
+function testCoalescePersisted(test) {
+    var outbox = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+    var sent = [];
+
+    outbox.register('agents', {
+        coalesce: true,
+        persist: true,
+        send: function (payload, cb) {
+            sent.push(payload);
+            test.equal(fs.readdirSync(OUTBOX_DIR).length, 1,
+                'only the newer message is on disk');
+            test.deepEqual(JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR,
+                fs.readdirSync(OUTBOX_DIR)[0]))).payload, payload);
+            setImmediate(cb);
+        }
+    });
+    outbox.open();
+
+    // The second replaces the first while it's still being written.
+    outbox.push('agents', 'old');
+    outbox.push('agents', 'new', function (err) {
+        test.ifError(err);
+        test.deepEqual(sent, ['new']);
+        test.done();
+    });
+}
+
+
+// Writes a message to the outbox directory, as if cn-agent had persisted it
+// before restarting.
+function writePersisted(seq, type, payload) {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUTBOX_DIR, seq + '-' + type + '.json'),
+        JSON.stringify({ payload: payload, type: type }) + '\n');
+}
+
+
+function testCoalesceLoaded(test) {
+    var outbox = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+    var sent = [];
+
+    // The older was still unsent when the newer was persisted.
+    writePersisted(1000, 'agents', 'old');
+    writePersisted(1001, 'agents', 'new');
+
+    outbox.register('agents', {
+        coalesce: true,
+        persist: true,
+        send: function (payload, cb) {
+            sent.push(payload);
+            setImmediate(cb);
+            if (payload !== 'new') {
+                return;
+            }
+
+            // Callbacks are called once the message's file is gone.
+            outbox.push('agents', 'next', function (err) {
+                test.ifError(err);
+                test.deepEqual(sent, [ 'new', 'next' ]);
+                test.equal(fs.readdirSync(OUTBOX_DIR).length, 0,
+                    'superseded file removed');
+                test.done();
+            });
+        }
+    });
+    outbox.open();
+}
+
+
+function testProgressNotReplayed(test) {
+    var sent = [];
+
+    function event(name, progress) {
+        return { event: name, id: 'a', progress: progress };
+    }
+
+    function openOutbox(cb) {
+        var outbox = new CnapiOutbox({ dir: OUTBOX_DIR, log: log });
+
+        outbox.register('task_event', {
+            coalesceKey: function (payload) {
+                return (payload.event === 'progress' ? payload.id : undefined);
+            },
+            persist: true,
+            retry: true,
+            send: function (payload, sendCb) {
+                sent.push(payload.event + (payload.progress === undefined ?
+                    '' : ' ' + payload.progress));
+                setImmediate(sendCb);
+                if (payload.event === 'finished') {
+                    setImmediate(cb);
+                }
+            }
+        });
+        outbox.open();
+    }
+
+    writePersisted(1000, 'task_event', event('progress', 10));
+    writePersisted(1001, 'task_event', event('progress', 50));
+    writePersisted(1002, 'task_event', event('finished'));
+
+    openOutbox(function () {
+        // Give the sent messages' files time to be removed, then restart.
+        setTimeout(function () {
+            test.equal(fs.readdirSync(OUTBOX_DIR).length, 0);
+
+            openOutbox(function () {
+                test.ok(false, 'nothing is sent again');
+            });
+            setTimeout(function () {
+                test.deepEqual(sent, [ 'progress 50', 'finished' ],
+                    'older progress never replayed');
+                test.done();
+            }, 200);
+        }, 200);
+    });
+}
+
+
+function testFailureDoesNotHoldUpOthers(test) {
+    var outbox = new CnapiOutbox({ log: log });
+    var start = Date.now();
+    var statusAttempts = 0;
+
+    outbox.register('heartbeat', {
+        send: function (payload, cb) {
+            setImmediate(cb);
+        }
+    });
+    outbox.register('status', {
+        coalesce: true,
+        retry: true,
+        send: function (payload, cb) {
+            statusAttempts++;
+            setImmediate(cb, (statusAttempts === 1 ?
+                new Error('CNAPI rejected status') : null));
+        }
+    });
+    outbox.open();
+
+    // The status goes first and fails, and is then retried after the
+    // heartbeat has been sent.
+    outbox.push('status', {}, function (err) {
+        test.ifError(err);
+        test.equal(statusAttempts, 2);
+        test.ok(Date.now() - start >= 300, 'status backed off');
+        test.done();
+    });
+    outbox.push('heartbeat', {}, function (err) {
+        test.ifError(err);
+        test.equal(statusAttempts, 1, 'status is backing off');
+        test.ok(Date.now() - start < 300, 'heartbeat was not held up');
+        test.deepEqual(outbox.status().pending, [
+            { attempts: 1, type: 'status' }
+        ]);
+    });
+}
+
+
+function testCircuitBreaker(test) {
+    var attempts = 0;
+    var outbox = new CnapiOutbox({
+        breakerCooldown: 60 * 1000,
+        breakerThreshold: 1,
+        log: log
+    });
+
+    outbox.register('heartbeat', {
+        send: function (payload, cb) {
+            attempts++;
+            setImmediate(cb, new Error('CNAPI is down'));
+        }
+    });
+    outbox.open();
+
+    outbox.push('heartbeat', {}, function (err) {
+        test.ok(err, 'first heartbeat fails');
+        test.equal(outbox.breakerState(), 'open');
+
+        outbox.push('heartbeat', {}, function (err2) {
+            test.ok(err2, 'second heartbeat fails');
+            test.equal(attempts, 1, 'not sent while breaker is open');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'superseded messages are coalesced': testCoalesce,
+    'messages are coalesced by key': testCoalesceKey,
+    'persisted messages are retried and removed once sent': testPersistAndRetry,
+    'persisted messages are loaded on open': testLoadPersisted,
+    'coalesced persisted messages replace older files': testCoalescePersisted,
+    'loaded messages coalesce and remove older files': testCoalesceLoaded,
+    'older progress is not replayed after a restart': testProgressNotReplayed,
+    'failures only hold up messages of that type':
+        testFailureDoesNotHoldUpOthers,
+    'circuit breaker stops sends': testCircuitBreaker
+};
@@ -0,0 +1,498 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for the dummy backend's docker_* tasks and the protocols their
+// servers speak, run through cn-agent with a mock CNAPI and vminfod (see
+// test/lib). These run anywhere, without a SmartOS CN.
+
+var child_process = require('child_process');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var mkdirp = require('mkdirp');
+var rimraf = require('rimraf');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var DummyCn = require('./lib/dummy-cn');
+var MockCnapi = require('./lib/mock-cnapi');
+var MockVminfod = require('./lib/mock-vminfod');
+
+var TAR = (process.platform === 'sunos') ? '/usr/bin/gtar' : 'tar';
+var TMP_DIR = path.join(os.tmpdir(), 'cn-agent-dummy-docker-test.' +
+    process.pid);
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'dummy-docker-test'
+});
+var cn;
+var cnapi;
+var vminfod;
+var vmUuid;
+
+
+// Writes the VM's JSON file, as the dummy vmadm would.
+function writeVm(state) {
+    var filename = path.join(cn.serverDir, 'vms', vmUuid + '.json');
+
+    mkdirp.sync(path.dirname(filename));
+    fs.writeFileSync(filename, JSON.stringify({
+        brand: 'lx',
+        docker: true,
+        max_physical_memory: 512,
+        server_uuid: cn.serverUuid,
+        state: state,
+        uuid: vmUuid,
+        zone_state: state
+    }));
+}
+
+
+function vmRoot() {
+    return path.join(cn.serverDir, 'zones', vmUuid, 'root');
+}
+
+
+function setup(cb) {
+    vmUuid = uuid.v4();
+    mkdirp.sync(TMP_DIR);
+
+    cnapi = new MockCnapi({ log: log });
+    vasync.pipeline({ funcs: [
+        function (_, next) {
+            cnapi.start(next);
+        },
+        function (_, next) {
+            cn = new DummyCn({ cnapiUrl: cnapi.url });
+            vminfod = new MockVminfod({
+                log: log,
+                mockcloudRoot: cn.mockcloudRoot
+            });
+            vminfod.start(next);
+        },
+        function (_, next) {
+            cn.start(next);
+        },
+        function (_, next) {
+            writeVm('running');
+            cn.waitForTasks(next);
+        }
+    ]}, function (err) {
+        if (err) {
+            throw err;
+        }
+        cb();
+    });
+}
+
+
+function teardown(cb) {
+    cn.stop(function () {
+        vminfod.stop(function () {
+            cnapi.stop(function () {
+                rimraf(TMP_DIR, cb);
+            });
+        });
+    });
+}
+
+
+// Calls back with the task's error or result, as the POST /tasks response.
+function runTask(task, params, cb) {
+    params.uuid = vmUuid;
+    cn.client.post('/tasks?task=' + task, { params: params },
+        function (err, req, res, body) {
+            cb(err, body, res && res.statusCode);
+        });
+}
+
+
+/*
+ * Connects to the server a task returned, sends it `data` (if any) and calls
+ * back with everything it sends before it hangs up.
+ */
+function exchange(result, data, cb) {
+    var chunks = [];
+    var socket = net.connect(result.port, result.host);
+
+    socket.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    socket.on('error', cb);
+    socket.on('end', function () {
+        cb(null, Buffer.concat(chunks));
+    });
+
+    if (data !== undefined) {
+        socket.end(data);
+    }
+}
+
+
+// Splits what a server sent into the objects on each line.
+function parseLines(buf) {
+    return buf.toString().split(/\r?\n/).filter(function (line) {
+        return (line.length > 0);
+    }).map(function (line) {
+        return JSON.parse(line);
+    });
+}
+
+
+function stdio(type, data) {
+    return JSON.stringify({ type: type, data: data }) + '\r\n';
+}
+
+
+function testExec(test) {
+    runTask('docker_exec', {
+        command: {
+            AttachStdin: true,
+            Cmd: [ 'sh', '-c', 'pwd; echo oops >&2; read line; ' +
+                'echo "got $line $FOO"; exit 3' ],
+            Env: [ 'FOO=bar' ]
+        }
+    }, function (err, result) {
+        test.ifError(err);
+        if (err) {
+            test.done();
+            return;
+        }
+        test.equal(result.host, '127.0.0.1');
+        test.equal(typeof (result.port), 'number');
+
+        exchange(result, stdio('stdin', 'hello\n') + stdio('end'),
+            function (exchErr, buf) {
+                var events;
+                var stdout;
+
+                test.ifError(exchErr);
+                events = parseLines(buf);
+                stdout = events.filter(function (evt) {
+                    return (evt.type === 'stdout');
+                }).map(function (evt) {
+                    return evt.data;
+                }).join('');
+
+                test.equal(stdout, fs.realpathSync(vmRoot()) +
+                    '\ngot hello bar\n', 'ran in the VM\'s root with stdin');
+                test.deepEqual(events.filter(function (evt) {
+                    return (evt.type === 'stderr');
+                }), [ { type: 'stderr', data: 'oops\n' } ]);
+                test.deepEqual(events[events.length - 1],
+                    { type: 'end', data: { code: 3, signal: null } },
+                    'ends with the exit status');
+                test.done();
+            });
+    });
+}
+
+
+function testExecTty(test) {
+    runTask('docker_exec', {
+        command: { Cmd: [ 'nonexistent-command' ], Tty: true }
+    }, function (err, result) {
+        test.ifError(err);
+        if (err) {
+            test.done();
+            return;
+        }
+
+        exchange(result, undefined, function (exchErr, buf) {
+            var events;
+
+            test.ifError(exchErr);
+            events = parseLines(buf);
+            test.ok(events.slice(0, -1).every(function (evt) {
+                return (evt.type === 'tty');
+            }), 'all output is tty');
+            test.ok(/^exec: /.test(events[0].data), events[0].data);
+            test.deepEqual(events[events.length - 1],
+                { type: 'end', data: { code: 127, signal: null } });
+            test.done();
+        });
+    });
+}
+
+
+function testExecNotRunning(test) {
+    writeVm('stopped');
+
+    runTask('docker_exec', {
+        command: { Cmd: [ 'true' ] }
+    }, function (err, body, statusCode) {
+        test.ok(err, 'exec failed');
+        test.equal(statusCode, 500);
+        test.equal(body.error, 'docker_exec: VM is not running, cannot run ' +
+            'docker exec');
+        test.equal(body.details.restCode, 'VmNotRunning');
+
+        // Logs are still available from a stopped container.
+        runTask('docker_exec', {
+            command: { Cmd: [ 'true' ], Logs: true }
+        }, function (logsErr, result) {
+            test.ifError(logsErr);
+            if (logsErr) {
+                test.done();
+                return;
+            }
+
+            exchange(result, undefined, function (exchErr, buf) {
+                test.ifError(exchErr);
+                test.deepEqual(parseLines(buf),
+                    [ { type: 'end', data: { code: 0, signal: null } } ]);
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testCopy(test) {
+    var srcDir = path.join(TMP_DIR, 'src');
+    var outDir = path.join(TMP_DIR, 'out');
+
+    mkdirp.sync(srcDir);
+    mkdirp.sync(outDir);
+    fs.writeFileSync(path.join(srcDir, 'hello.txt'), 'hello world\n');
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            // Copying into a directory that doesn't exist fails.
+            runTask('docker_copy', { mode: 'write', path: '/data' },
+                function (err, body) {
+                    test.ok(err);
+                    test.equal(body.details.restCode, 'FileNotFound');
+                    cb();
+                });
+        },
+        function (_, cb) {
+            mkdirp.sync(path.join(vmRoot(), 'data'));
+
+            runTask('docker_copy', { mode: 'write', path: '/data' },
+                function (err, result) {
+                    var tarball;
+
+                    test.ifError(err);
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    test.equal(result.containerPathStat.name, 'data');
+
+                    tarball = child_process.execFileSync(TAR,
+                        [ 'cf', '-', '-C', srcDir, 'hello.txt' ]);
+                    exchange(result, tarball, function (exchErr) {
+                        test.ifError(exchErr);
+                        test.equal(fs.readFileSync(path.join(vmRoot(),
+                            'data/hello.txt'), 'utf8'), 'hello world\n',
+                            'tarball extracted into the VM');
+                        cb(exchErr);
+                    });
+                });
+        },
+        function (_, cb) {
+            runTask('docker_copy', { mode: 'stat', path: '/data/hello.txt' },
+                function (err, result) {
+                    test.ifError(err);
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    test.equal(result.port, undefined, 'nothing to connect to');
+                    test.equal(result.containerPathStat.name,
+                        'data/hello.txt');
+                    test.equal(result.containerPathStat.size, 12);
+                    cb(err);
+                });
+        },
+        function (_, cb) {
+            runTask('docker_copy', { mode: 'read', path: '/data/hello.txt' },
+                function (err, result) {
+                    test.ifError(err);
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    exchange(result, undefined, function (exchErr, tarball) {
+                        test.ifError(exchErr);
+                        child_process.execFileSync(TAR,
+                            [ 'xf', '-', '-C', outDir ], { input: tarball });
+                        test.equal(fs.readFileSync(path.join(outDir,
+                            'hello.txt'), 'utf8'), 'hello world\n',
+                            'got a tarball of the file');
+                        cb(exchErr);
+                    });
+                });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testStats(test) {
+    runTask('docker_stats', {
+        payload: { doStream: false }
+    }, function (err, result) {
+        test.ifError(err);
+        if (err) {
+            test.done();
+            return;
+        }
+
+        exchange(result, undefined, function (exchErr, buf) {
+            var stats;
+
+            test.ifError(exchErr);
+            stats = parseLines(buf);
+            test.equal(stats.length, 1, 'one set of stats');
+            test.equal(stats[0].memory_stats.limit, 512 * 1024 * 1024,
+                'memory limit from the VM');
+            test.ok(stats[0].network, 'old clients get network');
+            test.ok(stats[0].cpu_stats.cpu_usage.total_usage > 0);
+            test.done();
+        });
+    });
+}
+
+
+function testStatsStream(test) {
+    runTask('docker_stats', {
+        payload: { clientApiVersion: 1.21, doStream: true }
+    }, function (err, result) {
+        var buf = '';
+        var socket;
+
+        test.ifError(err);
+        if (err) {
+            test.done();
+            return;
+        }
+
+        socket = net.connect(result.port, result.host);
+        socket.setEncoding('utf8');
+        socket.on('data', function (data) {
+            var stats;
+
+            buf += data;
+            stats = parseLines(buf.slice(0, buf.lastIndexOf('\n') + 1));
+            if (stats.length < 2 || socket.writableEnded) {
+                return;
+            }
+
+            test.ok(stats[1].networks.eth0, 'newer clients get networks');
+            test.deepEqual(stats[1].precpu_stats, stats[0].cpu_stats,
+                'each follows on from the last');
+            test.ok(stats[1].networks.eth0.rx_bytes >
+                stats[0].networks.eth0.rx_bytes);
+            socket.end();
+        });
+        socket.on('close', function () {
+            test.done();
+        });
+    });
+}
+
+
+function testBuild(test) {
+    var contextFile = path.join(TMP_DIR, 'Dockerfile');
+    var context;
+    var result;
+
+    fs.writeFileSync(contextFile, 'FROM scratch\n');
+    context = child_process.execFileSync(TAR,
+        [ 'cf', '-', '-C', TMP_DIR, 'Dockerfile' ]);
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            runTask('docker_build', {
+                payload: { command: 'build', labels: '{"a":"b"}' }
+            }, function (err, body) {
+                test.ifError(err);
+                result = body;
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            exchange(result, context, function (err, buf) {
+                test.ifError(err);
+                test.equal(parseLines(buf)[0].message, 'Context received');
+                test.ok(fs.readFileSync(path.join(cn.serverDir, 'zones',
+                    vmUuid, 'config/docker-build/context.tar')).equals(context),
+                    'context uploaded');
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var buf = '';
+            var events = [];
+            var socket = net.connect(result.port, result.host);
+
+            // Answer each task with a callback, as sdc-docker does.
+            socket.setEncoding('utf8');
+            socket.on('data', function (data) {
+                var lines;
+
+                buf += data;
+                lines = buf.split('\n');
+                buf = lines.pop();
+                lines.forEach(function (line) {
+                    var evt = JSON.parse(line);
+
+                    events.push(evt);
+                    if (evt.type === 'image_create' ||
+                        evt.type === 'build_finished') {
+
+                        socket.write(JSON.stringify({
+                            messageId: evt.messageId,
+                            type: 'callback'
+                        }) + '\n');
+                    }
+                });
+            });
+            socket.on('end', function () {
+                var image = events[1].payload.image;
+
+                socket.end();
+                test.deepEqual(events.map(function (evt) {
+                    return evt.type;
+                }), [ 'message', 'image_create', 'build_finished', 'end' ]);
+                test.deepEqual(image.config.Labels, { a: 'b' });
+                test.equal(events[2].finalImageDigest,
+                    events[1].payload.config_digest);
+                test.ok(!events[3].error, 'no error');
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'exec relays stdio and the exit status': testExec,
+    'exec with a tty': testExecTty,
+    'exec needs a running VM, but logs do not': testExecNotRunning,
+    'copy to, stat and copy from a VM': testCopy,
+    'stats': testStats,
+    'streamed stats': testStatsStream,
+    'build uploads the context and creates an image': testBuild
+};
@@ -0,0 +1,358 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// End-to-end tests of cn-agent with the dummy backend and a mock CNAPI (see
+// test/lib), these run anywhere, without a SmartOS CN.
+
+var fs = require('fs');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var DummyCn = require('./lib/dummy-cn');
+var MockCnapi = require('./lib/mock-cnapi');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'dummy-e2e-test'
+});
+var cn;
+var cnapi;
+
+
+function setup(cb) {
+    cnapi = new MockCnapi({ log: log });
+    cnapi.start(function () {
+        cn = new DummyCn({
+            cnapiUrl: cnapi.url,
+            config: { heartbeat_interval_ms: 1000 }
+        });
+        cb();
+    });
+}
+
+
+function teardown(cb) {
+    cn.stop(function () {
+        cnapi.stop(cb);
+    });
+}
+
+
+// Calls back with the task's error or result, as the POST /tasks response.
+function runTask(task, params, cb) {
+    cn.client.post('/tasks?task=' + task, { params: params },
+        function (err, req, res, body) {
+            cb(err, body, res && res.statusCode);
+        });
+}
+
+
+function testRegistration(test) {
+    // The outbox keeps retrying until CNAPI takes the sysinfo.
+    cnapi.failNext('sysinfo', 2);
+
+    cn.start(function (err) {
+        test.ifError(err);
+        if (err) {
+            test.done();
+            return;
+        }
+
+        cnapi.waitFor('sysinfo', function (waitErr, post) {
+            test.ifError(waitErr);
+            test.equal(cnapi.rejected.sysinfo, 2, 'failed posts were retried');
+            test.equal(post.server_uuid, cn.serverUuid);
+            test.equal(post.body.sysinfo.UUID, cn.serverUuid);
+            test.equal(post.body.sysinfo['CN Agent Port'], cn.port);
+            test.done();
+        });
+    });
+}
+
+
+function testReporting(test) {
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            cn.start(cb);
+        },
+        function (_, cb) {
+            cnapi.waitFor('agents', function (err, post) {
+                test.ifError(err);
+                test.deepEqual(post.body.agents.map(function (agent) {
+                    return agent.name;
+                }), [ 'cn-agent' ]);
+                cb();
+            });
+        },
+        function (_, cb) {
+            cnapi.waitFor('status', function (err, post) {
+                test.ifError(err);
+                test.deepEqual(post.body.vms, {});
+                test.ok(post.body.zpoolStatus.zones.bytes_available > 0,
+                    'status has the simulated pool');
+                test.ok(post.body.diskinfo.pool_size_bytes > 0,
+                    'status has disk usage');
+                cb();
+            });
+        },
+        function (_, cb) {
+            // The second shows heartbeats keep coming.
+            cnapi.waitFor('heartbeat', function (body, idx) {
+                return (idx === 1);
+            }, function (err, post) {
+                test.ifError(err);
+                test.equal(post.server_uuid, cn.serverUuid);
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testTasks(test) {
+    var reqId;
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            cn.start(cb);
+        },
+        function (_, cb) {
+            cn.waitForTasks(cb);
+        },
+        function (_, cb) {
+            cn.client.post('/tasks?task=zfs_list_datasets', { params: {} },
+                function (err, req, res, datasets) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    test.equal(res.statusCode, 200);
+                    test.ok(datasets.some(function (ds) {
+                        return (ds.name === 'zones/var');
+                    }), 'task used the mock CN\'s pool');
+                    reqId = res.headers['x-request-id'];
+                    cb();
+                });
+        },
+        function (_, cb) {
+            cnapi.waitFor('task', function (event) {
+                return (event.req_id === reqId && event.event === 'finished');
+            }, function (err, post) {
+                test.ifError(err);
+                test.equal(post.body.task, 'zfs_list_datasets');
+                test.equal(post.body.status, 'finished');
+                test.equal(post.body.exit_code, 0);
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testFaults(test) {
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            cn.start(cb);
+        },
+        function (_, cb) {
+            cn.waitForTasks(cb);
+        },
+        function (_, cb) {
+            fs.writeFileSync(path.join(cn.serverDir, 'faults.json'),
+                JSON.stringify({
+                    tasks: {
+                        nop: {
+                            action: 'fail',
+                            count: 1,
+                            message: 'injected failure',
+                            restCode: 'InjectedFailure'
+                        }
+                    }
+                }));
+            runTask('nop', {}, function (err, body, statusCode) {
+                test.ok(err, 'task failed');
+                test.equal(statusCode, 500);
+                if (!body) {
+                    cb(err);
+                    return;
+                }
+                test.equal(body.error, 'injected failure');
+                test.equal(body.details.restCode, 'InjectedFailure');
+                cb();
+            });
+        },
+        function (_, cb) {
+            runTask('nop', {}, function (err, body, statusCode) {
+                test.ifError(err);
+                test.equal(statusCode, 200, 'only failed once');
+                cb();
+            });
+        },
+        function (_, cb) {
+            var faultsFile = path.join(cn.serverDir, 'faults.json');
+            // One heartbeat may already be on its way.
+            var next = cnapi.posts.heartbeat.length + 1;
+
+            fs.writeFileSync(faultsFile, JSON.stringify({
+                heartbeat: { action: 'drop', count: 2 }
+            }));
+            cnapi.waitFor('heartbeat', function (body, idx) {
+                return (idx === next);
+            }, function (err) {
+                test.ifError(err);
+                test.deepEqual(
+                    JSON.parse(fs.readFileSync(faultsFile)).heartbeat, [],
+                    'two heartbeats dropped before the next was sent');
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+// Finds the history entry for the task started by request `reqId`.
+function getHistory(reqId, cb) {
+    cn.client.get('/history?req_id=' + reqId,
+        function (err, req, res, entries) {
+            cb(err, entries && entries[0]);
+        });
+}
+
+
+function testTimeouts(test) {
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            cn.start(cb);
+        },
+        function (_, cb) {
+            cn.waitForTasks(cb);
+        },
+        function (_, cb) {
+            cn.client.post('/tasks?task=nop', {
+                params: { sleep: 30 },
+                timeout: 1
+            }, function (err, req, res, body) {
+                test.ok(err, 'task timed out');
+                test.equal(res.statusCode, 500);
+                test.ok(/timed out after/.test(body.error), body.error);
+
+                getHistory(res.headers['x-request-id'],
+                    function (histErr, entry) {
+                        test.ifError(histErr);
+                        test.equal(entry.timeout_seconds, 1,
+                            'timeout from the request');
+                        cb(histErr);
+                    });
+            });
+        },
+        function (_, cb) {
+            runTask('nop', {}, function (err, body, statusCode) {
+                test.ifError(err);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            cn.client.post('/tasks?task=nop', { params: {}, timeout: 'soon' },
+                function (err, req, res) {
+                    test.ok(err, 'invalid timeout rejected');
+                    test.equal(err.body.code, 'InvalidArgument');
+                    cb();
+                });
+        },
+        function (_, cb) {
+            // zfs_list_datasets is in the zfs_query queue, which has a
+            // timeout of 5 minutes.
+            cn.client.post('/tasks?task=zfs_list_datasets', { params: {} },
+                function (err, req, res) {
+                    test.ifError(err);
+                    getHistory(res.headers['x-request-id'],
+                        function (histErr, entry) {
+                            test.ifError(histErr);
+                            test.equal(entry.timeout_seconds, 300,
+                                'timeout from the queue');
+                            cb(histErr);
+                        });
+                });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testIdempotencyKey(test) {
+    var taskId;
+
+    function post(params, cb) {
+        cn.client.post({
+            headers: { 'idempotency-key': 'key-1' },
+            path: '/tasks?task=nop'
+        }, { params: params }, cb);
+    }
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            cn.start(cb);
+        },
+        function (_, cb) {
+            cn.waitForTasks(cb);
+        },
+        function (_, cb) {
+            post({}, function (err, req, res) {
+                test.ifError(err);
+                taskId = res.headers['x-task-id'];
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            post({}, function (err, req, res) {
+                test.ifError(err);
+                test.equal(res.headers['x-idempotent-replay'], 'true');
+                test.equal(res.headers['x-task-id'], taskId,
+                    'retry gets the original task');
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            post({ sleep: 0 }, function (err, req, res) {
+                test.ok(err, 'key reused with other params');
+                test.equal(res.statusCode, 422);
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'registration is retried': testRegistration,
+    'agents, status and heartbeats are reported': testReporting,
+    'tasks run and their events are reported': testTasks,
+    'injected faults': testFaults,
+    'task timeouts': testTimeouts,
+    'idempotency keys': testIdempotencyKey
+};
@@ -0,0 +1,127 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for the dummy backend's fault injection, these don't require a
+// running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var rimraf = require('rimraf');
+var vasync = require('vasync');
+
+var DummyFaults = require('../lib/backends/dummy/lib/faults').DummyFaults;
+
+var SERVER_ROOT =
+    path.join(os.tmpdir(), 'cn-agent-dummy-faults-test.' + process.pid);
+var SERVER_UUID = '564d0000-0000-0000-0000-000000000001';
+var FAULTS_FILE = path.join(SERVER_ROOT, SERVER_UUID, 'faults.json');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'dummy-faults-test'
+});
+var faults;
+
+
+function setup(cb) {
+    faults = new DummyFaults({
+        log: log,
+        serverRoot: SERVER_ROOT,
+        serverUuid: SERVER_UUID
+    });
+    fs.mkdirSync(SERVER_ROOT);
+    fs.mkdirSync(path.join(SERVER_ROOT, SERVER_UUID));
+    cb();
+}
+
+
+function teardown(cb) {
+    rimraf(SERVER_ROOT, cb);
+}
+
+
+function writeFaults(config) {
+    fs.writeFileSync(FAULTS_FILE, JSON.stringify(config));
+}
+
+
+function testNoFaults(test) {
+    faults.check('task', 'machine_boot', function (err, fault) {
+        test.ifError(err);
+        test.equal(fault, undefined, 'no file, no faults');
+
+        writeFaults({ heartbeat: { action: 'drop' } });
+        faults.check('task', 'machine_boot', function (err2, fault2) {
+            test.ifError(err2);
+            test.equal(fault2, undefined, 'no faults for tasks');
+            test.done();
+        });
+    });
+}
+
+
+function testTaskFaults(test) {
+    writeFaults({
+        tasks: {
+            machine_create: [
+                { action: 'fail', probability: 0 },
+                { action: 'fail', count: 2, restCode: 'VmNotFound' }
+            ],
+            '*': { action: 'hang', seconds: 5 }
+        }
+    });
+
+    vasync.forEachPipeline({
+        inputs: [ 'VmNotFound', 'VmNotFound', 'hang' ],
+        func: function (expected, cb) {
+            faults.check('task', 'machine_create', function (err, fault) {
+                test.ifError(err);
+                test.equal(fault.restCode || fault.action, expected);
+                cb();
+            });
+        }
+    }, function (err) {
+        var config = JSON.parse(fs.readFileSync(FAULTS_FILE));
+
+        test.ifError(err);
+        test.deepEqual(config.tasks.machine_create,
+            [ { action: 'fail', probability: 0 } ],
+            'fault removed when its count runs out');
+        test.done();
+    });
+}
+
+
+function testInvalidFaults(test) {
+    writeFaults({ status: { action: 'crash' } });
+
+    faults.check('status', function (err, fault) {
+        test.ok(err, 'a status can\'t crash');
+        test.equal(fault, undefined);
+
+        writeFaults({ heartbeat: { action: 'hang' } });
+        faults.check('heartbeat', function (err2) {
+            test.ok(err2, 'a heartbeat can\'t hang forever');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'no faults': testNoFaults,
+    'task faults and counts': testTaskFaults,
+    'invalid faults': testInvalidFaults
+};
@@ -0,0 +1,541 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// End-to-end tests of migrating a VM between two dummy CNs with the dummy
+// machine_migrate task, driving the source's and target's servers as VMAPI
+// does. These run anywhere, without a SmartOS CN.
+
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var LineStream = require('lstream');
+var mkdirp = require('mkdirp');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var DummyCn = require('./lib/dummy-cn');
+var DummyZfs = require('../lib/backends/dummy/lib/zfs').DummyZfs;
+var migrate = require('../lib/backends/dummy/lib/migrate');
+var MockCnapi = require('./lib/mock-cnapi');
+
+var MiB = 1024 * 1024;
+// How often (ms) and for how long waitForExit() checks.
+var POLL_INTERVAL = 100;
+var WAIT_TIMEOUT = 30000;
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'dummy-migrate-test'
+});
+var cnapi;
+var source;
+var target;
+var vm;
+
+
+function zfsFor(cn) {
+    return new DummyZfs({
+        log: log,
+        serverRoot: path.join(cn.mockcloudRoot, 'servers'),
+        serverUuid: cn.serverUuid
+    });
+}
+
+
+function vmFilename(cn) {
+    return path.join(cn.serverDir, 'vms', vm.uuid + '.json');
+}
+
+
+function writeVm(cn, vmobj) {
+    mkdirp.sync(path.dirname(vmFilename(cn)));
+    fs.writeFileSync(vmFilename(cn), JSON.stringify(vmobj, null, 2) + '\n');
+}
+
+
+function setup(cb) {
+    var vmUuid = uuid.v4();
+
+    vm = {
+        autoboot: true,
+        brand: 'joyent-minimal',
+        create_timestamp: '2020-01-02T03:04:05.678Z',
+        quota: 10,
+        state: 'running',
+        uuid: vmUuid,
+        zfs_filesystem: 'zones/' + vmUuid,
+        zone_state: 'running',
+        zonepath: '/zones/' + vmUuid
+    };
+
+    cnapi = new MockCnapi({ log: log });
+    vasync.pipeline({ funcs: [
+        function (_, next) {
+            cnapi.start(next);
+        },
+        function (_, next) {
+            source = new DummyCn({ cnapiUrl: cnapi.url });
+            source.start(next);
+        },
+        function (_, next) {
+            target = new DummyCn({ cnapiUrl: cnapi.url });
+            target.start(next);
+        },
+        function (_, next) {
+            source.waitForTasks(next);
+        },
+        function (_, next) {
+            target.waitForTasks(next);
+        }
+    ]}, function (err) {
+        if (err) {
+            throw err;
+        }
+        writeVm(source, vm);
+        cb();
+    });
+}
+
+
+function teardown(cb) {
+    source.stop(function () {
+        target.stop(function () {
+            cnapi.stop(cb);
+        });
+    });
+}
+
+
+// Calls back with the machine_migrate task's error or result.
+function runMigrateTask(cn, params, cb) {
+    params.migrationTask = {
+        record: { target_vm_uuid: vm.uuid, vm_uuid: vm.uuid }
+    };
+    params.vm = vm;
+    params.vm_uuid = vm.uuid;
+
+    cn.client.post('/tasks?task=machine_migrate', { params: params },
+        function (err, req, res, body) {
+            cb(err, body);
+        });
+}
+
+
+/*
+ * A connection to a migration server, over which commands are sent as
+ * requests and answered with a response (or error) with the same eventId.
+ * Anything else the server sends, i.e. progress, is passed to onEvent.
+ */
+function MigrateClient(addr, onEvent) {
+    var self = this;
+    var lstream = new LineStream({ encoding: 'utf8' });
+
+    self.eventId = 1;
+    self.pending = {};
+    self.socket = net.connect(addr.port, addr.host);
+
+    self.socket.on('error', function () {});
+    self.socket.pipe(lstream);
+    lstream.on('readable', function () {
+        var cb;
+        var event;
+        var line;
+
+        while ((line = lstream.read()) !== null) {
+            event = JSON.parse(line);
+            cb = self.pending[event.eventId];
+            if (cb) {
+                delete self.pending[event.eventId];
+                cb((event.type === 'error') ? new Error(event.message) : null,
+                    event);
+            } else if (onEvent) {
+                onEvent(event);
+            }
+        }
+    });
+}
+
+
+MigrateClient.prototype.command = function (command, fields, cb) {
+    var event = fields || {};
+
+    event.command = command;
+    event.eventId = this.eventId++;
+    event.type = 'request';
+    this.pending[event.eventId] = cb;
+    this.socket.write(JSON.stringify(event) + '\n');
+};
+
+
+MigrateClient.prototype.close = function () {
+    this.socket.end();
+};
+
+
+// Calls cb() once the process with `pid` has exited.
+function waitForExit(pid, cb) {
+    var giveUpAt = Date.now() + WAIT_TIMEOUT;
+
+    function check() {
+        try {
+            process.kill(pid, 0);
+        } catch (ex) {
+            cb();
+            return;
+        }
+
+        if (Date.now() > giveUpAt) {
+            cb(new Error('timed out waiting for ' + pid + ' to exit'));
+            return;
+        }
+        setTimeout(check, POLL_INTERVAL);
+    }
+
+    check();
+}
+
+
+/*
+ * Starts the target's receive server and the source's sync server, and calls
+ * cb(err, ctx) with their addresses as ctx.receiver and ctx.sender.
+ */
+function startServers(syncParams, cb) {
+    var ctx = {};
+
+    vasync.pipeline({ funcs: [
+        function (_, next) {
+            runMigrateTask(target, { action: 'receive' },
+                function (err, result) {
+                    ctx.receiver = result;
+                    next(err);
+                });
+        },
+        function (_, next) {
+            syncParams.action = 'sync';
+            runMigrateTask(source, syncParams, function (err, result) {
+                ctx.sender = result;
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        cb(err, ctx);
+    });
+}
+
+
+/*
+ * Syncs the VM from the source to the target as VMAPI does, and calls back
+ * once both servers have exited.
+ */
+function sync(test, cb) {
+    startServers({}, function (err, ctx) {
+        var client;
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        client = new MigrateClient(ctx.sender);
+        vasync.pipeline({ funcs: [
+            function (_, next) {
+                client.command('ping', {}, function (pingErr, event) {
+                    test.equal(event.pid, ctx.sender.pid, 'ping');
+                    next(pingErr);
+                });
+            },
+            function (_, next) {
+                client.command('set-record', {
+                    record: { target_vm_uuid: vm.uuid, vm_uuid: vm.uuid }
+                }, next);
+            },
+            function (_, next) {
+                client.command('sync', {
+                    host: ctx.receiver.host,
+                    port: ctx.receiver.port
+                }, next);
+            },
+            function (_, next) {
+                client.command('stop', {}, next);
+            },
+            function (_, next) {
+                client.close();
+                waitForExit(ctx.sender.pid, next);
+            },
+            function (_, next) {
+                waitForExit(ctx.receiver.pid, next);
+            }
+        ]}, function (syncErr) {
+            cb(syncErr);
+        });
+    });
+}
+
+
+/*
+ * Calls cb(err, values) with the dataset's used bytes and migration snapshots
+ * on each server.
+ */
+function getDatasets(cb) {
+    var values = {};
+
+    vasync.forEachPipeline({
+        inputs: [ 'source', 'target' ],
+        func: function (name, next) {
+            var cn = (name === 'source') ? source : target;
+            var zfs = zfsFor(cn);
+
+            zfs.get(vm.zfs_filesystem, [ 'usedbydataset' ], true,
+                function (err, props) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    migrate.getSnapshotNames(zfs, vm.zfs_filesystem,
+                        function (namesErr, names) {
+                            values[name] = {
+                                snapshots: names,
+                                used: Number(
+                                    props[vm.zfs_filesystem].usedbydataset)
+                            };
+                            next(namesErr);
+                        });
+                });
+        }
+    }, function (err) {
+        cb(err, values);
+    });
+}
+
+
+function testMigrate(test) {
+    var sourceZfs = zfsFor(source);
+
+    vasync.pipeline({ funcs: [
+        function (_, next) {
+            // This creates the VM's dataset, which dummy VMs don't have.
+            runMigrateTask(source, { action: 'estimate' },
+                function (err, result) {
+                    test.ifError(err);
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    test.equal(typeof (result.size), 'number');
+                    next();
+                });
+        },
+        function (_, next) {
+            sourceZfs.write(vm.zfs_filesystem, 10 * MiB, next);
+        },
+        function (_, next) {
+            sync(test, next);
+        },
+        function (_, next) {
+            getDatasets(function (err, datasets) {
+                test.deepEqual(datasets.target, datasets.source, 'full sync');
+                test.deepEqual(datasets.source.snapshots,
+                    [ 'vm-migration-1' ]);
+                test.ok(datasets.target.used > 10 * MiB);
+                next(err);
+            });
+        },
+        function (_, next) {
+            sourceZfs.write(vm.zfs_filesystem, 5 * MiB, next);
+        },
+        function (_, next) {
+            // What the source asks the target before an incremental sync.
+            runMigrateTask(target, { action: 'receive' },
+                function (err, receiver) {
+                    var client;
+
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    client = new MigrateClient(receiver);
+                    client.command('ping', {}, function (pingErr, ping) {
+                        test.ifError(pingErr);
+                        test.equal(ping.pid, receiver.pid);
+
+                        client.command('get-zfs-snapshot-names', {
+                            zfsFilesystem: vm.zfs_filesystem
+                        }, function (namesErr, names) {
+                            test.ifError(namesErr);
+                            test.deepEqual(names.names, [ 'vm-migration-1' ]);
+
+                            client.command('get-zfs-resume-token', {
+                                zfsFilesystem: vm.zfs_filesystem
+                            }, function (tokenErr, token) {
+                                test.ifError(tokenErr);
+                                test.equal(token.token, '',
+                                    'nothing to resume');
+
+                                client.command('stop', {}, function () {
+                                    client.close();
+                                    waitForExit(receiver.pid, next);
+                                });
+                            });
+                        });
+                    });
+                });
+        },
+        function (_, next) {
+            sync(test, next);
+        },
+        function (_, next) {
+            getDatasets(function (err, datasets) {
+                test.deepEqual(datasets.target, datasets.source,
+                    'incremental sync');
+                test.deepEqual(datasets.source.snapshots,
+                    [ 'vm-migration-2' ]);
+                test.ok(datasets.target.used > 15 * MiB);
+                next(err);
+            });
+        },
+        function (_, next) {
+            // VMAPI creates the target's VM, hidden until it's switched over.
+            var targetVm = JSON.parse(JSON.stringify(vm));
+
+            targetVm.autoboot = false;
+            targetVm.create_timestamp = new Date().toISOString();
+            targetVm.do_not_inventory = true;
+            writeVm(target, targetVm);
+
+            vasync.forEachPipeline({
+                inputs: [
+                    { action: 'set-create-timestamp' },
+                    { action: 'set-do-not-inventory', value: 'false' },
+                    { action: 'set-autoboot', value: 'true' },
+                    { action: 'remove-sync-snapshots' }
+                ],
+                func: function (params, cb) {
+                    runMigrateTask(target, params, function (err) {
+                        test.ifError(err, params.action);
+                        cb(err);
+                    });
+                }
+            }, next);
+        },
+        function (_, next) {
+            var targetVm = JSON.parse(fs.readFileSync(vmFilename(target)));
+
+            test.equal(targetVm.create_timestamp, vm.create_timestamp);
+            test.strictEqual(targetVm.do_not_inventory, false);
+            test.strictEqual(targetVm.autoboot, true);
+
+            getDatasets(function (err, datasets) {
+                test.deepEqual(datasets.target.snapshots, [],
+                    'migration snapshots removed');
+                test.equal(datasets.target.used, datasets.source.used);
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testStopAndResume(test) {
+    var ctx;
+    var progress = [];
+
+    vasync.pipeline({ funcs: [
+        function (_, next) {
+            runMigrateTask(source, { action: 'estimate' }, next);
+        },
+        function (_, next) {
+            zfsFor(source).write(vm.zfs_filesystem, 20 * MiB, next);
+        },
+        function (_, next) {
+            // Slow enough (2MB/s) for there to be progress to watch.
+            startServers({ zfs_send_mbps_limit: 16 }, function (err, _ctx) {
+                ctx = _ctx;
+                next(err);
+            });
+        },
+        function (_, next) {
+            var client = new MigrateClient(ctx.sender);
+            var watcher = new MigrateClient(ctx.sender, function (event) {
+                if (event.type !== 'progress' || progress.length > 0) {
+                    return;
+                }
+
+                progress.push(event);
+                client.command('stop', {}, function (stopErr) {
+                    test.ifError(stopErr);
+                    waitForExit(ctx.sender.pid, next);
+                });
+            });
+
+            watcher.command('watch', {}, function () {});
+            client.command('sync', {
+                host: ctx.receiver.host,
+                port: ctx.receiver.port
+            }, function () {
+                test.ok(false, 'sync was stopped');
+            });
+        },
+        function (_, next) {
+            // As VMAPI does when it aborts a sync.
+            runMigrateTask(target, {
+                action: 'kill_migration_process',
+                pid: ctx.receiver.pid
+            }, function (err) {
+                test.ifError(err);
+                waitForExit(ctx.receiver.pid, next);
+            });
+        },
+        function (_, next) {
+            test.equal(progress[0].phase, 'sync');
+            test.ok(progress[0].current_progress > 0, 'made progress');
+            test.ok(progress[0].current_progress <
+                progress[0].total_progress, 'but not all of it');
+            test.ok(progress[0].total_progress > 20 * MiB);
+
+            getDatasets(function (err, datasets) {
+                test.ok(err, 'nothing received');
+                test.deepEqual(datasets.source.snapshots,
+                    [ 'vm-migration-1' ]);
+                next();
+            });
+        },
+        function (_, next) {
+            // Resuming sends the snapshot that didn't make it again.
+            sync(test, next);
+        },
+        function (_, next) {
+            getDatasets(function (err, datasets) {
+                test.deepEqual(datasets.target, datasets.source,
+                    'resumed sync');
+                test.deepEqual(datasets.source.snapshots,
+                    [ 'vm-migration-1' ]);
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'full then incremental sync': testMigrate,
+    'stopped sync resumes': testStopAndResume
+};
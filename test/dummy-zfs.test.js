@@ -0,0 +1,330 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for the dummy backend's simulated ZFS, these don't require a
+// running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var rimraf = require('rimraf');
+var vasync = require('vasync');
+
+var mod_zfs = require('../lib/backends/dummy/lib/zfs');
+
+var GiB = 1024 * 1024 * 1024;
+var SERVER_ROOT =
+    path.join(os.tmpdir(), 'cn-agent-dummy-zfs-test.' + process.pid);
+var SERVER_UUID = '564d0000-0000-0000-0000-000000000001';
+var VM_UUID = 'a0000000-0000-4000-8000-000000000000';
+var VM_DATASET = 'zones/' + VM_UUID;
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'dummy-zfs-test'
+});
+var zfs;
+
+
+function setup(cb) {
+    zfs = new mod_zfs.DummyZfs({
+        log: log,
+        serverRoot: SERVER_ROOT,
+        serverUuid: SERVER_UUID
+    });
+    fs.mkdirSync(SERVER_ROOT);
+    fs.mkdirSync(path.join(SERVER_ROOT, SERVER_UUID));
+    cb();
+}
+
+
+function teardown(cb) {
+    rimraf(SERVER_ROOT, cb);
+}
+
+
+function getProps(name, cb) {
+    zfs.get(name, ['all'], true, function (err, values) {
+        cb(err, values && values[name]);
+    });
+}
+
+
+function testSpaceAccounting(test) {
+    var poolUsed;
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            getProps('zones', function (err, props) {
+                test.ifError(err);
+                poolUsed = Number(props.used);
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.create(VM_DATASET, { quota: '10G' }, cb);
+        },
+        function (_, cb) {
+            zfs.write(VM_DATASET, 4 * GiB, cb);
+        },
+        function (_, cb) {
+            zfs.snapshot(VM_DATASET + '@before', cb);
+        },
+        function (_, cb) {
+            // Removing data the snapshot still refers to doesn't free it.
+            zfs.write(VM_DATASET, -3 * GiB, cb);
+        },
+        function (_, cb) {
+            getProps(VM_DATASET, function (err, props) {
+                test.ifError(err);
+                test.equal(props.referenced, String(1 * GiB + 24 * 1024));
+                test.equal(props.usedbysnapshots, String(3 * GiB));
+                test.equal(props.used, String(4 * GiB + 24 * 1024));
+                test.equal(props.available, String(6 * GiB - 24 * 1024),
+                    'limited by the quota');
+                test.equal(props.mountpoint, '/' + VM_DATASET);
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.write(VM_DATASET, 9 * GiB, function (err) {
+                test.ok(err, 'quota is enforced');
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.set(VM_DATASET, { quota: '1G' }, function (err) {
+                test.ok(err, 'quota can\'t be set below used');
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.rollback(VM_DATASET + '@before', cb);
+        },
+        function (_, cb) {
+            getProps('zones', function (err, props) {
+                test.ifError(err);
+                test.equal(Number(props.used), poolUsed + 4 * GiB + 24 * 1024,
+                    'pool accounts for the new dataset');
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testClonesAndRename(test) {
+    var snapshot = VM_DATASET + '@image';
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            zfs.create(VM_DATASET, cb);
+        },
+        function (_, cb) {
+            zfs.snapshot(snapshot, cb);
+        },
+        function (_, cb) {
+            zfs.clone(snapshot, 'zones/clone', cb);
+        },
+        function (_, cb) {
+            zfs.destroy(snapshot, function (err) {
+                test.ok(err, 'can\'t destroy snapshot with clones');
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.rename(VM_DATASET, 'zones/renamed', cb);
+        },
+        function (_, cb) {
+            zfs.list('', { type: 'snapshot' }, function (err, fields, rows) {
+                test.ifError(err);
+                test.deepEqual(mod_zfs.listToObjects(fields, rows).map(
+                    function (ds) {
+                        return ds.name;
+                    }), ['zones/renamed@image'], 'snapshot was renamed');
+                cb();
+            });
+        },
+        function (_, cb) {
+            getProps('zones/clone', function (err, props) {
+                test.ifError(err);
+                test.equal(props.origin, 'zones/renamed@image',
+                    'clone follows its renamed origin');
+                test.equal(props.usedbydataset, '0');
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.listPools(function (err, fields, rows) {
+                var pools = mod_zfs.listToObjects(fields, rows);
+
+                test.ifError(err);
+                test.equal(pools.length, 1);
+                test.equal(pools[0].name, 'zones');
+                test.equal(Number(pools[0].allocated) + Number(pools[0].free),
+                    Number(pools[0].size));
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+function testVolumes(test) {
+    zfs.create(VM_DATASET + '-disk0', { volsize: '20G' }, function (err) {
+        test.ifError(err);
+
+        getProps(VM_DATASET + '-disk0', function (getErr, props) {
+            test.ifError(getErr);
+            test.equal(props.type, 'volume');
+            test.equal(props.volsize, String(20 * GiB));
+            test.equal(props.used, String(20 * GiB),
+                'refreservation counts as used');
+
+            zfs.create('zones/huge', { volsize: '2T' }, function (hugeErr) {
+                test.ok(hugeErr, 'can\'t reserve more than the pool has');
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testCorruptState(test) {
+    var filename = path.join(SERVER_ROOT, SERVER_UUID, 'zfs.json');
+
+    fs.writeFileSync(filename, '{"datasets": ');
+
+    getProps('zones', function (err) {
+        test.ok(err, 'error for invalid state');
+        test.equal(err.message.indexOf('parsing ' + filename + ': '), 0,
+            err.message);
+
+        zfs.create(VM_DATASET, {}, function (createErr) {
+            test.ok(createErr, 'changes fail too');
+            test.equal(fs.readFileSync(filename, 'utf8'), '{"datasets": ',
+                'state left alone');
+            test.done();
+        });
+    });
+}
+
+
+function testSendReceive(test) {
+    var OTHER_UUID = '564d0000-0000-0000-0000-000000000002';
+    var other;
+
+    fs.mkdirSync(path.join(SERVER_ROOT, OTHER_UUID));
+    other = new mod_zfs.DummyZfs({
+        log: log,
+        serverRoot: SERVER_ROOT,
+        serverUuid: OTHER_UUID
+    });
+
+    function sendTo(snapshot, from, cb) {
+        zfs.send(VM_DATASET + '@' + snapshot, { from: from },
+            function (err, stream) {
+
+            test.ifError(err);
+            other.receive(VM_DATASET, stream, function (recvErr) {
+                cb(recvErr, stream);
+            });
+        });
+    }
+
+    vasync.pipeline({ funcs: [
+        function (_, cb) {
+            zfs.create(VM_DATASET + '/data', { quota: '10G' }, function (err) {
+                test.ok(err, 'parent must exist');
+                zfs.create(VM_DATASET, cb);
+            });
+        },
+        function (_, cb) {
+            zfs.create(VM_DATASET + '/data', cb);
+        },
+        function (_, cb) {
+            zfs.write(VM_DATASET + '/data', GiB, cb);
+        },
+        function (_, cb) {
+            zfs.snapshot(VM_DATASET + '@one', { recursive: true }, cb);
+        },
+        function (_, cb) {
+            sendTo('one', undefined, function (err, stream) {
+                test.ifError(err);
+                test.ok(stream.size >= GiB, 'full stream has all the data');
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.write(VM_DATASET + '/data', 2 * GiB, cb);
+        },
+        function (_, cb) {
+            zfs.snapshot(VM_DATASET + '@two', { recursive: true }, cb);
+        },
+        function (_, cb) {
+            sendTo('two', 'one', function (err, stream) {
+                test.ifError(err);
+                test.equal(stream.size, 2 * GiB, 'incremental stream');
+                cb();
+            });
+        },
+        function (_, cb) {
+            other.get(VM_DATASET + '/data@two', ['referenced'], true,
+                function (err, values) {
+
+                test.ifError(err);
+                test.equal(values[VM_DATASET + '/data@two'].referenced,
+                    String(3 * GiB + 24 * 1024));
+                cb();
+            });
+        },
+        function (_, cb) {
+            zfs.destroy(VM_DATASET + '@one', { recursive: true }, cb);
+        },
+        function (_, cb) {
+            zfs.destroy(VM_DATASET, function (err) {
+                test.ok(err, 'can\'t destroy dataset with children');
+                zfs.destroy(VM_DATASET, { recursive: true }, cb);
+            });
+        },
+        function (_, cb) {
+            zfs.list('', { type: 'all' }, function (err, fields, rows) {
+                test.ifError(err);
+                test.equal(mod_zfs.listToObjects(fields, rows).filter(
+                    function (ds) {
+                        return ds.name.indexOf(VM_DATASET) === 0;
+                    }).length, 0, 'all destroyed');
+                cb();
+            });
+        }
+    ]}, function (err) {
+        test.ifError(err);
+        test.done();
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'space accounting and quotas': testSpaceAccounting,
+    'clones and renames': testClonesAndRename,
+    'volumes reserve their size': testVolumes,
+    'corrupt state is an error': testCorruptState,
+    'send and receive': testSendReceive
+};
@@ -0,0 +1,183 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for the health checks behind GET /ping (App.getHealth), these
+// don't require a running cn-agent.
+
+var App = require('../lib/app');
+
+var HEARTBEAT_INTERVAL_MS = 5000;
+var MINUTE = 60 * 1000;
+
+
+/*
+ * Returns a stand-in for an App which started `uptime` ms ago and last did
+ * each of the things in `health` that many ms ago.
+ */
+function createApp(uptime, health) {
+    var now = Date.now();
+    var app = {
+        backend: { name: 'dummy' },
+        getCnapiPoolStatus: App.prototype.getCnapiPoolStatus,
+        health: {},
+        intervals: {
+            get: function () {
+                return HEARTBEAT_INTERVAL_MS;
+            }
+        },
+        startedAt: now - uptime,
+        statusReporter: {
+            getWatcherStatus: function () {
+                return { zone_config: true, zoneevent: true };
+            }
+        },
+        sysinfoWatcher: {
+            isWatching: function () {
+                return true;
+            }
+        },
+        version: '2.14.4'
+    };
+
+    Object.keys(health || {}).forEach(function (name) {
+        app.health[name] = now - health[name];
+    });
+
+    return app;
+}
+
+
+function getHealth(app) {
+    return App.prototype.getHealth.call(app);
+}
+
+
+function statuses(health) {
+    var result = {};
+
+    Object.keys(health.checks).forEach(function (name) {
+        result[name] = health.checks[name].status;
+    });
+
+    return result;
+}
+
+
+function testStarting(test) {
+    var health = getHealth(createApp(1000));
+
+    test.equal(health.backend, 'dummy');
+    test.equal(health.version, '2.14.4');
+    test.deepEqual(statuses(health), {
+        cnapi_connection: 'warn',
+        cnapi_registration: 'warn',
+        heartbeat: 'warn',
+        status_report: 'warn',
+        watchers: 'ok'
+    }, 'nothing fails during the startup grace period');
+    test.done();
+}
+
+
+function testNeverRegistered(test) {
+    var health = getHealth(createApp(2 * MINUTE));
+
+    test.equal(health.checks.cnapi_registration.status, 'fail');
+    test.equal(health.checks.heartbeat.status, 'fail');
+    test.equal(health.checks.status_report.status, 'warn',
+        'status reports only ever warn');
+    test.done();
+}
+
+
+function testHealthy(test) {
+    var health = getHealth(createApp(10 * MINUTE, {
+        lastHeartbeatAt: 1000,
+        lastStatusAt: 30 * 1000,
+        registeredAt: 9 * MINUTE
+    }));
+
+    test.equal(health.checks.cnapi_registration.status, 'ok');
+    test.ok(health.checks.cnapi_registration.registered_at);
+    test.equal(health.checks.heartbeat.status, 'ok');
+    test.ok(health.checks.heartbeat.age_seconds >= 1 &&
+        health.checks.heartbeat.age_seconds < 2);
+    test.equal(health.checks.status_report.status, 'ok');
+    test.done();
+}
+
+
+function testHeartbeatAge(test) {
+    var warnAge = 3 * HEARTBEAT_INTERVAL_MS;
+
+    function heartbeatStatus(age) {
+        return getHealth(createApp(10 * MINUTE, {
+            lastHeartbeatAt: age,
+            registeredAt: 9 * MINUTE
+        })).checks.heartbeat.status;
+    }
+
+    test.equal(heartbeatStatus(warnAge - 1000), 'ok');
+    test.equal(heartbeatStatus(warnAge + 1000), 'warn');
+    // Twice the warning age is less than a minute, so that's the limit.
+    test.equal(heartbeatStatus(2 * warnAge + 1000), 'warn');
+    test.equal(heartbeatStatus(MINUTE + 1000), 'fail');
+    test.done();
+}
+
+
+function testStatusAge(test) {
+    var health = getHealth(createApp(10 * MINUTE, {
+        lastStatusAt: 6 * MINUTE
+    }));
+
+    test.equal(health.checks.status_report.status, 'warn');
+    test.done();
+}
+
+
+function testStoppedWatcher(test) {
+    var app = createApp(10 * MINUTE);
+    var health;
+
+    app.sysinfoWatcher.isWatching = function () {
+        return false;
+    };
+    health = getHealth(app);
+
+    test.equal(health.checks.watchers.status, 'warn');
+    test.deepEqual(health.checks.watchers.running, {
+        sysinfo: false,
+        zone_config: true,
+        zoneevent: true
+    });
+    test.done();
+}
+
+
+function testUpdateHelper(test) {
+    var app = createApp(10 * MINUTE);
+
+    app.isUpdateHelper = true;
+    test.deepEqual(getHealth(app).checks, {},
+        'the update service does not talk to CNAPI');
+    test.done();
+}
+
+
+module.exports = {
+    'starting up': testStarting,
+    'never registered': testNeverRegistered,
+    'healthy': testHealthy,
+    'heartbeat age': testHeartbeatAge,
+    'status report age': testStatusAge,
+    'stopped watcher': testStoppedWatcher,
+    'update helper': testUpdateHelper
+};
@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for the StatusReporter reloading only the VMs that changed,
+// these don't require a running cn-agent.
+
+var bunyan = require('bunyan');
+
+var StatusReporter = require('../lib/heartbeater');
+
+var VM_A = 'a0000000-0000-0000-0000-000000000000';
+var VM_B = 'b0000000-0000-0000-0000-000000000000';
+var VM_C = 'c0000000-0000-0000-0000-000000000000';
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'heartbeater-test'
+});
+// The backend's VMs by UUID, and what it has been asked for.
+var backendVms;
+var calls;
+var loadVmsError;
+var reporter;
+
+
+function vmobj(uuid, state) {
+    return {
+        brand: 'joyent',
+        quota: 10,
+        state: state,
+        uuid: uuid,
+        zone_state: state
+    };
+}
+
+
+// A backend with backendVms and a fixed zpool, memory, disk and boot time.
+function createBackend() {
+    function respond(name, value) {
+        return function (opts, callback) {
+            calls[name] = (calls[name] || 0) + 1;
+            setImmediate(callback, null, value);
+        };
+    }
+
+    return {
+        getBootTime: respond('getBootTime', '2020-03-04T00:00:00.000Z'),
+        getDiskUsage: function (vms, opts, callback) {
+            calls.getDiskUsage = (calls.getDiskUsage || 0) + 1;
+            setImmediate(callback, null, { zones: calls.getDiskUsage });
+        },
+        getMemoryInfo: function (opts, callback) {
+            calls.getMemoryInfo = (calls.getMemoryInfo || 0) + 1;
+            setImmediate(callback, null, { free: calls.getMemoryInfo });
+        },
+        getZpoolInfo: respond('getZpoolInfo', { zones: {} }),
+        loadVms: function (opts, callback) {
+            var vms;
+
+            calls.loadVms.push(opts.uuids);
+            if (loadVmsError) {
+                setImmediate(callback, loadVmsError);
+                return;
+            }
+
+            vms = Object.keys(backendVms).filter(function (uuid) {
+                return (!opts.uuids || opts.uuids.indexOf(uuid) !== -1);
+            }).map(function (uuid) {
+                return backendVms[uuid];
+            });
+            setImmediate(callback, null, vms);
+        }
+    };
+}
+
+
+function setup(cb) {
+    backendVms = {};
+    backendVms[VM_A] = vmobj(VM_A, 'running');
+    backendVms[VM_B] = vmobj(VM_B, 'stopped');
+    backendVms[VM_C] = vmobj(VM_C, 'running');
+    calls = { loadVms: [] };
+    loadVmsError = null;
+
+    reporter = new StatusReporter({
+        backend: createBackend(),
+        log: log,
+        throttleInterval: 1
+    });
+    cb();
+}
+
+
+// Runs fn() and calls cb(status) with the status it emits.
+function nextStatus(fn, cb) {
+    reporter.once('status', cb);
+    fn();
+}
+
+
+function testMarkDirty(test) {
+    reporter.isDirty = false;
+    reporter.markDirty(VM_A);
+    test.ok(reporter.isDirty, 'everything is dirty before the first sample');
+    test.deepEqual(reporter.dirtyVms, {});
+
+    nextStatus(reporter.updateSample.bind(reporter), function () {
+        test.ok(!reporter.isDirty);
+
+        reporter.markDirty(VM_A);
+        reporter.markDirty(VM_C);
+        reporter.markDirty(VM_A);
+        test.ok(!reporter.isDirty, 'only those VMs are dirty');
+        test.deepEqual(Object.keys(reporter.dirtyVms), [ VM_A, VM_C ]);
+
+        reporter.markDirty();
+        test.ok(reporter.isDirty, 'everything is dirty');
+        test.done();
+    });
+}
+
+
+function testUpdateVms(test) {
+    nextStatus(reporter.updateSample.bind(reporter), function (first) {
+        test.deepEqual(Object.keys(first.vms).sort(), [ VM_A, VM_B, VM_C ]);
+
+        // VM A stops and VM C is deleted.
+        backendVms[VM_A] = vmobj(VM_A, 'stopped');
+        delete backendVms[VM_C];
+        reporter.markDirty(VM_A);
+        reporter.markDirty(VM_C);
+
+        nextStatus(reporter.checkEmitStatus.bind(reporter), function (status) {
+            test.deepEqual(calls.loadVms, [ undefined, [ VM_A, VM_C ] ],
+                'only the changed VMs are loaded');
+            test.deepEqual(reporter.dirtyVms, {});
+
+            test.equal(status.vms[VM_A].state, 'stopped');
+            test.equal(status.vms[VM_B], first.vms[VM_B], 'VM B unchanged');
+            test.ok(!status.vms.hasOwnProperty(VM_C), 'VM C removed');
+            test.deepEqual(Object.keys(reporter.vms).sort(), [ VM_A, VM_B ]);
+
+            test.deepEqual(status.meminfo, { free: 2 }, 'memory reloaded');
+            test.equal(status.diskinfo, first.diskinfo, 'disk usage reused');
+            test.equal(status.zpoolStatus, first.zpoolStatus);
+            test.equal(calls.getZpoolInfo, 1);
+            test.equal(status.boot_time, first.boot_time);
+            test.ok(status.timestamp >= first.timestamp);
+
+            test.equal(first.vms[VM_A].state, 'running',
+                'the previous sample is left alone');
+            test.done();
+        });
+    });
+}
+
+
+function testUpdateVmsFailure(test) {
+    nextStatus(reporter.updateSample.bind(reporter), function (first) {
+        var emitted = false;
+
+        reporter.on('status', function () {
+            emitted = true;
+        });
+
+        loadVmsError = new Error('vmadm failed');
+        backendVms[VM_A] = vmobj(VM_A, 'stopped');
+        reporter.markDirty(VM_A);
+        reporter.updateVms();
+
+        setTimeout(function () {
+            test.ok(!emitted, 'no status emitted');
+            test.ok(!reporter.samplerLock, 'sampler unlocked');
+            test.ok(reporter.isDirty, 'falls back to reloading everything');
+            test.equal(reporter.sample, first, 'sample unchanged');
+            test.done();
+        }, 50);
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    'markDirty': testMarkDirty,
+    'updateVms reloads only the changed VMs': testUpdateVms,
+    'updateVms failure marks everything dirty': testUpdateVmsFailure
+};
@@ -0,0 +1,247 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for querying the task history, these don't require a running
+// cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var mkdirp = require('mkdirp');
+var rimraf = require('rimraf');
+
+var history = require('../lib/task_agent/history');
+var TaskJournal = require('../lib/task_agent/task_journal');
+
+var JOURNAL_DIR =
+    path.join(os.tmpdir(), 'cn-agent-history-test.' + process.pid);
+// More than the 16 tasks kept in memory.
+var NUM_TASKS = 20;
+var START = 1580000000000;
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'history-test'
+});
+var ids;
+var journal;
+
+
+/*
+ * Creates a journal with NUM_TASKS tasks, one a second. Every third is a
+ * failed machine_reboot, the rest are finished nops.
+ */
+function setup(cb) {
+    var i;
+    var id;
+    var task;
+
+    ids = [];
+    mkdirp.sync(JOURNAL_DIR);
+
+    for (i = 0; i < NUM_TASKS; i++) {
+        task = (i % 3 === 0 ? 'machine_reboot' : 'nop');
+        id = (START + i * 1000) + '-' + (100 + i) + '-' + task;
+        ids.push(id);
+        fs.writeFileSync(path.join(JOURNAL_DIR, id + '.json'), JSON.stringify({
+            pid: 100 + i,
+            req_id: 'req-' + i,
+            started_at: new Date(START + i * 1000).toISOString(),
+            status: (task === 'nop' ? 'finished' : 'failed'),
+            task: task
+        }));
+    }
+
+    journal = new TaskJournal({
+        dir: JOURNAL_DIR,
+        log: log,
+        maxAgeDays: 365 * 100
+    });
+    journal.open();
+    cb();
+}
+
+
+function teardown(cb) {
+    rimraf(JOURNAL_DIR, cb);
+}
+
+
+function list(params, memory, cb) {
+    history.listHistory({
+        history: memory,
+        journal: journal,
+        query: history.parseHistoryQuery(params)
+    }, cb);
+}
+
+
+function pluck(entries, field) {
+    return entries.map(function (entry) {
+        return entry[field];
+    });
+}
+
+
+function testParseQuery(test) {
+    var query = history.parseHistoryQuery({});
+
+    test.equal(query.limit, 100, 'default limit');
+    test.ok(query.summary, 'summary by default');
+    test.ok(!history.parseHistoryQuery({ summary: 'false' }).summary);
+    test.throws(function () {
+        history.parseHistoryQuery({ limit: '0' });
+    });
+    test.throws(function () {
+        history.parseHistoryQuery({ since: 'yesterday' });
+    });
+    test.done();
+}
+
+
+function testPagination(test) {
+    var pages = [];
+
+    function getPage(marker) {
+        list({ limit: 8, marker: marker }, [], function (err, entries) {
+            test.ifError(err);
+            pages.push(entries);
+
+            if (entries.length === 8) {
+                getPage(entries[7].id);
+                return;
+            }
+
+            test.deepEqual(pages.map(function (page) {
+                return page.length;
+            }), [8, 8, 4], 'pages through the whole journal');
+            test.deepEqual(pluck([].concat.apply([], pages), 'id'), ids,
+                'every task, oldest first');
+            test.done();
+        });
+    }
+
+    getPage();
+}
+
+
+function testFilters(test) {
+    list({
+        since: new Date(START + 5000).toISOString(),
+        status: 'failed',
+        task: 'machine_reboot'
+    }, [], function (err, entries) {
+        test.ifError(err);
+        test.deepEqual(pluck(entries, 'req_id'),
+            ['req-6', 'req-9', 'req-12', 'req-15', 'req-18']);
+
+        list({ req_id: 'req-1' }, [], function (err2, entries2) {
+            test.ifError(err2);
+            test.deepEqual(pluck(entries2, 'id'), [ids[1]]);
+            test.done();
+        });
+    });
+}
+
+
+function testFilter(test) {
+    history.listHistory({
+        filter: function (entry) {
+            return (entry.task !== 'machine_reboot');
+        },
+        history: [],
+        journal: journal,
+        query: history.parseHistoryQuery({ limit: 5 })
+    }, function (err, entries) {
+        test.ifError(err);
+        test.deepEqual(pluck(entries, 'req_id'),
+            ['req-1', 'req-2', 'req-4', 'req-5', 'req-7'],
+            'limit applies after the filter');
+        test.done();
+    });
+}
+
+
+function testSummary(test) {
+    var memory = [ {
+        id: ids[19],
+        log: [ { level: 'info', message: 'hi' } ],
+        messages: [ { type: 'event' } ],
+        pid: 119
+    } ];
+
+    list({ marker: ids[17] }, memory, function (err, entries) {
+        test.ifError(err);
+        test.equal(entries[1].log, undefined, 'no log in a summary');
+
+        list({ marker: ids[17], summary: 'false' }, memory,
+            function (err2, detailed) {
+
+            test.ifError(err2);
+            test.equal(detailed[0].log, undefined,
+                'no details for tasks no longer in memory');
+            test.deepEqual(detailed[1].messages, memory[0].messages);
+            test.deepEqual(detailed[1].log, memory[0].log);
+            test.done();
+        });
+    });
+}
+
+
+function testRemovedMarker(test) {
+    var marker = ids[2];
+
+    fs.unlinkSync(path.join(JOURNAL_DIR, marker + '.json'));
+    journal.open();
+
+    list({ limit: 1, marker: marker }, [], function (err, entries) {
+        test.ifError(err);
+        test.deepEqual(pluck(entries, 'id'), [ids[3]],
+            'continues after where the marker was');
+        test.done();
+    });
+}
+
+
+function testGetEntry(test) {
+    history.getHistoryEntry({
+        history: [],
+        id: '104',
+        journal: journal
+    }, function (err, entry) {
+        test.ifError(err);
+        test.equal(entry.id, ids[4], 'found by pid');
+
+        history.getHistoryEntry({
+            history: [],
+            id: 'nonexistent',
+            journal: journal
+        }, function (err2, entry2) {
+            test.ifError(err2);
+            test.equal(entry2, undefined);
+            test.done();
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'parse query': testParseQuery,
+    'pagination over the journal': testPagination,
+    'filters': testFilters,
+    'filter function': testFilter,
+    'summary and details': testSummary,
+    'marker no longer in the journal': testRemovedMarker,
+    'get one entry': testGetEntry
+};
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for the heartbeat and status intervals and the /intervals routes,
+// these don't require a running cn-agent.
+
+var bunyan = require('bunyan');
+var restify = require('restify');
+
+var AgentHttpServer = require('../lib/server');
+var Intervals = require('../lib/intervals');
+
+var log;
+var records;
+
+
+function setup(cb) {
+    records = new bunyan.RingBuffer({ limit: 100 });
+    log = bunyan.createLogger({
+        name: 'intervals-test',
+        streams: [ { level: 'warn', stream: records, type: 'raw' } ]
+    });
+    cb();
+}
+
+
+function values(intervals) {
+    var described = intervals.describe();
+    var result = {};
+
+    Object.keys(described).forEach(function (name) {
+        result[name] = described[name].value;
+    });
+
+    return result;
+}
+
+
+function testDefaults(test) {
+    var intervals = new Intervals({ config: {}, log: log });
+
+    test.deepEqual(values(intervals), {
+        heartbeat_interval_ms: 5000,
+        status_check_interval_ms: 500,
+        status_max_interval_ms: 60000,
+        status_throttle_ms: 5000
+    });
+    test.equal(intervals.get('heartbeat_interval_ms'), 5000);
+    test.deepEqual(intervals.describe().heartbeat_interval_ms, {
+        max: 60000,
+        min: 1000,
+        value: 5000
+    });
+    test.throws(function () {
+        intervals.get('nonexistent_ms');
+    }, /unknown interval nonexistent_ms/);
+    test.done();
+}
+
+
+function testConfig(test) {
+    var intervals = new Intervals({
+        config: {
+            heartbeat_interval_ms: 10000,
+            status_max_interval_ms: 1,
+            status_throttle_ms: '1000'
+        },
+        log: log
+    });
+
+    test.equal(intervals.get('heartbeat_interval_ms'), 10000);
+    test.equal(intervals.get('status_max_interval_ms'), 60000,
+        'default instead of a value out of bounds');
+    test.equal(intervals.get('status_throttle_ms'), 5000,
+        'default instead of a string');
+    test.deepEqual(records.records.map(function (rec) {
+        return rec.msg;
+    }), [
+        'Invalid status_max_interval_ms in agent config, using default of ' +
+            '60000',
+        'Invalid status_throttle_ms in agent config, using default of 5000'
+    ]);
+    test.done();
+}
+
+
+function testSet(test) {
+    var changes = [];
+    var intervals = new Intervals({ config: {}, log: log });
+
+    intervals.on('change', function (described) {
+        changes.push(described);
+    });
+
+    test.equal(intervals.set({
+        heartbeat_interval_ms: 2000,
+        status_throttle_ms: 1000
+    }), null);
+    test.equal(intervals.get('heartbeat_interval_ms'), 2000);
+    test.equal(intervals.get('status_throttle_ms'), 1000);
+    test.equal(changes.length, 1, 'one change for both');
+    test.deepEqual(changes[0], intervals.describe());
+
+    test.equal(intervals.set({}), null);
+    test.equal(changes.length, 1, 'no change event when nothing changed');
+    test.done();
+}
+
+
+function testSetInvalid(test) {
+    var changed = false;
+    var intervals = new Intervals({ config: {}, log: log });
+
+    intervals.on('change', function () {
+        changed = true;
+    });
+
+    [
+        [ { heartbeat_interval_ms: 2000, status_throttle_ms: 100 },
+            /^"status_throttle_ms" must be .* between 500 and 300000$/ ],
+        [ { heartbeat_interval_ms: 1500.5 }, /"heartbeat_interval_ms" must/ ],
+        [ { heartbeat_interval_ms: null }, /"heartbeat_interval_ms" must/ ],
+        [ { nonexistent_ms: 1000 }, /^unknown interval "nonexistent_ms"/ ]
+    ].forEach(function (c) {
+        var err = intervals.set(c[0]);
+
+        test.ok(err, JSON.stringify(c[0]) + ' is invalid');
+        test.ok(c[1].test(err.message), err.message);
+    });
+
+    test.deepEqual(values(intervals), values(new Intervals({
+        config: {},
+        log: log
+    })), 'nothing changed');
+    test.ok(!changed, 'no change event');
+    test.done();
+}
+
+
+function testRoutes(test) {
+    var client;
+    var intervals = new Intervals({ config: {}, log: log });
+    var server = new AgentHttpServer({
+        bindip: '127.0.0.1',
+        log: log,
+        port: 0
+    });
+
+    server.setIntervals(intervals);
+
+    function done() {
+        client.close();
+        server.server.close(function () {
+            test.done();
+        });
+    }
+
+    server.start(function () {
+        var url = 'http://127.0.0.1:' + server.server.address().port;
+
+        client = restify.createJsonClient({ agent: false, url: url });
+
+        client.get('/intervals', function (err, req, res, body) {
+            test.ifError(err);
+            test.deepEqual(body, intervals.describe());
+
+            client.post('/intervals', {
+                heartbeat_interval_ms: 10000
+            }, function (err2, req2, res2, body2) {
+                test.ifError(err2);
+                test.equal(body2.heartbeat_interval_ms.value, 10000);
+                test.equal(intervals.get('heartbeat_interval_ms'), 10000);
+
+                client.post('/intervals', {
+                    heartbeat_interval_ms: 100
+                }, function (err3) {
+                    test.equal(err3.statusCode, 409);
+                    test.ok(/^"heartbeat_interval_ms" must/
+                        .test(err3.message));
+                    test.equal(intervals.get('heartbeat_interval_ms'), 10000);
+
+                    client.post('/intervals', [ 1 ], function (err4) {
+                        test.equal(err4.statusCode, 409);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    'defaults': testDefaults,
+    'values from the config': testConfig,
+    'set intervals': testSet,
+    'invalid intervals are not set': testSetInvalid,
+    'routes': testRoutes
+};
@@ -0,0 +1,257 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Runs cn-agent (App and AgentHttpServer) with the dummy backend for a mock
+ * CN whose files are in a temporary mockcloud root, so the whole task and
+ * CNAPI reporting pipeline can be tested without a SmartOS CN (e.g. on Linux).
+ *
+ * cn-agent runs in a child process (this file is forked with the mockcloud
+ * root in CN_AGENT_MOCKCLOUD_ROOT, which its task workers inherit), both
+ * because the dummy backend only reads that when it's loaded and because
+ * cn-agent has no way to stop all of its timers and watchers. Its log is in
+ * <serverDir>/logs/cn-agent.log.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var mkdirp = require('mkdirp');
+var restify = require('restify');
+var rimraf = require('rimraf');
+var uuid = require('uuid');
+
+// How often (ms) and for how long waitForTasks() checks.
+var POLL_INTERVAL = 100;
+var WAIT_TIMEOUT = 30000;
+var TOP = path.resolve(__dirname, '../..');
+var VERSION = require(path.join(TOP, 'package.json')).version;
+
+
+function writeJson(filename, obj) {
+    mkdirp.sync(path.dirname(filename));
+    fs.writeFileSync(filename, JSON.stringify(obj, null, 2) + '\n');
+}
+
+
+/*
+ * opts.cnapiUrl is where CNAPI (i.e. a MockCnapi) is, and opts.config is
+ * added to the agent config. Once start() has called back, `client` is a
+ * restify JSON client for cn-agent's HTTP API and `serverDir` is the mock
+ * CN's directory.
+ */
+function DummyCn(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.cnapiUrl, 'opts.cnapiUrl');
+    assert.optionalObject(opts.config, 'opts.config');
+
+    this.child = null;
+    this.client = null;
+    this.cnapiUrl = opts.cnapiUrl;
+    this.config = opts.config || {};
+    this.mockcloudRoot = path.join(os.tmpdir(),
+        'cn-agent-dummy-cn.' + process.pid + '.' + Date.now());
+    this.port = null;
+    this.serverUuid = uuid.v4();
+    this.serverDir = path.join(this.mockcloudRoot, 'servers', this.serverUuid);
+}
+
+
+// Creates the mock CN's sysinfo and a cn-agent agent.
+DummyCn.prototype._createServer = function _createServer() {
+    var self = this;
+
+    writeJson(path.join(self.serverDir, 'sysinfo.json'), {
+        'Boot Time': String(Math.floor(Date.now() / 1000)),
+        'Datacenter Name': 'testdc',
+        'Hostname': 'dummy-' + self.serverUuid.split('-')[0],
+        'Live Image': '20200101T000000Z',
+        'MiB of Memory': '262111',
+        'Setup': 'true',
+        'System Type': 'Virtual',
+        'UUID': self.serverUuid,
+        'Zpool': 'zones'
+    });
+    writeJson(path.join(self.serverDir, 'agents/cn-agent/package.json'), {
+        name: 'cn-agent',
+        version: VERSION
+    });
+};
+
+
+DummyCn.prototype.start = function start(callback) {
+    var self = this;
+    var env = JSON.parse(JSON.stringify(process.env));
+
+    self._createServer();
+
+    env.CN_AGENT_MOCKCLOUD_ROOT = self.mockcloudRoot;
+    // cn-agent's task agent logs to stdout.
+    self.child = child_process.fork(__filename, [], {
+        env: env,
+        stdio: [ 'ignore', 'ignore', 'inherit', 'ipc' ]
+    });
+
+    self.child.once('exit', function _onEarlyExit(code, signal) {
+        callback(new Error('cn-agent exited (code ' + code + ', signal ' +
+            signal + ') before starting'));
+    });
+
+    self.child.once('message', function _onStarted(msg) {
+        self.child.removeAllListeners('exit');
+        self.port = msg.port;
+        self.client = restify.createJsonClient({
+            agent: false,
+            url: 'http://127.0.0.1:' + msg.port
+        });
+        callback();
+    });
+
+    self.child.send({
+        cnapiUrl: self.cnapiUrl,
+        config: self.config,
+        serverUuid: self.serverUuid
+    });
+};
+
+
+/*
+ * cn-agent only takes tasks once it has registered with CNAPI, so this calls
+ * callback(err) once it has (i.e. it has some task queues).
+ */
+DummyCn.prototype.waitForTasks = function waitForTasks(callback) {
+    var self = this;
+    var giveUpAt = Date.now() + WAIT_TIMEOUT;
+
+    function check() {
+        self.client.get('/queues', function (err, req, res, queues) {
+            if (!err && queues.length > 0) {
+                callback();
+                return;
+            }
+
+            if (Date.now() > giveUpAt) {
+                callback(new Error('timed out waiting for task queues'));
+                return;
+            }
+            setTimeout(check, POLL_INTERVAL);
+        });
+    }
+
+    check();
+};
+
+
+DummyCn.prototype.stop = function stop(callback) {
+    var self = this;
+
+    if (self.client) {
+        self.client.close();
+    }
+
+    if (!self.child || self.child.exitCode !== null ||
+        self.child.signalCode !== null) {
+
+        rimraf(self.mockcloudRoot, callback);
+        return;
+    }
+
+    self.child.once('exit', function _onExit() {
+        rimraf(self.mockcloudRoot, callback);
+    });
+    self.child.kill();
+};
+
+
+module.exports = DummyCn;
+
+
+// What we run in the child process.
+function runCnAgent(opts) {
+    var AgentHttpServer = require('../../lib/server');
+    var App = require('../../lib/app');
+    var DummyBackend = require('../../lib/backends/dummy');
+
+    var serverDir = path.join(process.env.CN_AGENT_MOCKCLOUD_ROOT, 'servers',
+        opts.serverUuid);
+    var agentserver;
+    var backend;
+    var config = JSON.parse(JSON.stringify(opts.config));
+    var log;
+
+    mkdirp.sync(path.join(serverDir, 'logs'));
+    log = bunyan.createLogger({
+        level: 'debug',
+        name: 'cn-agent',
+        streams: [ {
+            level: 'debug',
+            path: path.join(serverDir, 'logs/cn-agent.log')
+        } ]
+    });
+
+    config.cnapi = config.cnapi || {};
+    config.cnapi.url = opts.cnapiUrl;
+    config.no_rabbit = true;
+
+    backend = new DummyBackend({
+        backendName: 'dummy',
+        log: log,
+        serverUuid: opts.serverUuid
+    });
+
+    agentserver = new AgentHttpServer({
+        bindip: '127.0.0.1',
+        log: log,
+        port: 0,
+        uuid: opts.serverUuid
+    });
+
+    agentserver.start(function _onListening() {
+        backend.getSysinfo({
+            serverAddress: agentserver.server.address(),
+            serverUuid: opts.serverUuid
+        }, function _onSysinfo(err, sysinfo) {
+            var app;
+
+            assert.ifError(err, 'loading sysinfo');
+
+            app = new App({
+                agentserver: agentserver,
+                backend: backend,
+                config: config,
+                log: log,
+                logname: 'cn-agent',
+                sdc_config: {
+                    datacenter_name: 'testdc',
+                    dns_domain: 'example.com'
+                },
+                sysinfo: sysinfo,
+                tasklogdir: path.join(serverDir, 'logs/cn-agent'),
+                taskspath: path.join(TOP, 'lib/backends/dummy/tasks'),
+                uuid: opts.serverUuid
+            });
+            app.start();
+
+            process.send({ port: agentserver.server.address().port });
+        });
+    });
+}
+
+if (require.main === module) {
+    process.once('message', runCnAgent);
+    // Don't outlive the test.
+    process.once('disconnect', function _onDisconnect() {
+        process.exit(0);
+    });
+}
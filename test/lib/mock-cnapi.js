@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A mock CNAPI for testing, with just the endpoints cn-agent posts to. It
+ * records what each server posts in `posts`, by type:
+ *
+ *     agents     POST /servers/:uuid
+ *     heartbeat  POST /servers/:uuid/events/heartbeat
+ *     status     POST /servers/:uuid/events/status
+ *     sysinfo    POST /servers/:uuid/sysinfo
+ *     task       POST /servers/:uuid/events/task
+ *
+ * as {body, server_uuid, time} objects. Use failNext() to have it reject
+ * posts, and waitFor() to wait until something has been posted.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+
+var POST_TYPES = [ 'agents', 'heartbeat', 'status', 'sysinfo', 'task' ];
+// How long (ms) waitFor() waits before giving up.
+var WAIT_TIMEOUT = 30000;
+
+
+function MockCnapi(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    EventEmitter.call(self);
+
+    // How many more of each type of post to reject, and with what status.
+    self.failures = {};
+    self.log = opts.log;
+    self.posts = {};
+    // How many of each type of post have been rejected.
+    self.rejected = {};
+    self.url = null;
+
+    POST_TYPES.forEach(function (type) {
+        self.posts[type] = [];
+        self.rejected[type] = 0;
+    });
+
+    self.server = restify.createServer({
+        log: opts.log,
+        name: 'Mock CNAPI'
+    });
+    self.server.use(restify.bodyParser());
+
+    // cueball pings each CNAPI it connects to.
+    self.server.get('/ping', function _ping(req, res, next) {
+        res.send(200, { ready: true });
+        next();
+    });
+
+    self.server.post('/servers/:uuid', self._record.bind(self, 'agents'));
+    self.server.post('/servers/:uuid/events/heartbeat',
+        self._record.bind(self, 'heartbeat'));
+    self.server.post('/servers/:uuid/events/status',
+        self._record.bind(self, 'status'));
+    self.server.post('/servers/:uuid/events/task',
+        self._record.bind(self, 'task'));
+    self.server.post('/servers/:uuid/sysinfo',
+        self._record.bind(self, 'sysinfo'));
+}
+util.inherits(MockCnapi, EventEmitter);
+
+
+MockCnapi.prototype._record = function _record(type, req, res, next) {
+    var self = this;
+    var failure = self.failures[type];
+    var post;
+
+    if (failure && failure.count > 0) {
+        failure.count--;
+        self.rejected[type]++;
+        res.send(failure.statusCode, {
+            code: 'InternalError',
+            message: 'mock CNAPI rejected ' + type
+        });
+        next();
+        return;
+    }
+
+    post = {
+        body: req.body,
+        server_uuid: req.params.uuid,
+        time: Date.now()
+    };
+    self.posts[type].push(post);
+    self.emit('post', type, post);
+
+    res.send(204);
+    next();
+};
+
+
+MockCnapi.prototype.start = function start(callback) {
+    var self = this;
+
+    self.server.listen(0, '127.0.0.1', function _onListening() {
+        var addr = self.server.address();
+
+        self.url = 'http://' + addr.address + ':' + addr.port;
+        callback();
+    });
+};
+
+
+MockCnapi.prototype.stop = function stop(callback) {
+    this.server.close(callback);
+};
+
+
+/*
+ * Rejects the next `count` posts of `type` with a `statusCode` (default 500)
+ * error, as CNAPI does when it can't reach moray.
+ */
+MockCnapi.prototype.failNext = function failNext(type, count, statusCode) {
+    assert.ok(POST_TYPES.indexOf(type) !== -1, 'unknown type: ' + type);
+    assert.number(count, 'count');
+    assert.optionalNumber(statusCode, 'statusCode');
+
+    this.failures[type] = {
+        count: count,
+        statusCode: statusCode || 500
+    };
+};
+
+
+/*
+ * Calls callback(err, post) with the first post of `type` (including those
+ * already made) for which filter(body, index) returns true, or any post if
+ * there's no filter. Gives up after WAIT_TIMEOUT.
+ */
+MockCnapi.prototype.waitFor = function waitFor(type, filter, callback) {
+    var self = this;
+    var found;
+    var timer;
+
+    if (callback === undefined) {
+        callback = filter;
+        filter = function () { return true; };
+    }
+
+    assert.ok(POST_TYPES.indexOf(type) !== -1, 'unknown type: ' + type);
+    assert.func(filter, 'filter');
+    assert.func(callback, 'callback');
+
+    found = self.posts[type].filter(function (post, idx) {
+        return filter(post.body, idx);
+    })[0];
+
+    if (found) {
+        setImmediate(callback, null, found);
+        return;
+    }
+
+    function onPost(postType, post) {
+        if (postType !== type ||
+            !filter(post.body, self.posts[type].length - 1)) {
+
+            return;
+        }
+        clearTimeout(timer);
+        self.removeListener('post', onPost);
+        callback(null, post);
+    }
+
+    timer = setTimeout(function _onTimeout() {
+        self.removeListener('post', onPost);
+        callback(new Error('timed out waiting for ' + type + ' post'));
+    }, WAIT_TIMEOUT);
+
+    self.on('post', onPost);
+};
+
+
+module.exports = MockCnapi;
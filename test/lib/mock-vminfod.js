@@ -0,0 +1,119 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A mock vminfod for testing, with just the endpoints the dummy vmadm
+ * (vmadm/lib/index.dummy_vminfod) loads VMs from:
+ *
+ *     GET /servers/:server/vms        all of the server's VMs
+ *     GET /servers/:server/vms/:uuid  one VM, or a 404 VmNotFound
+ *
+ * which it serves from the VMs' JSON files in the mockcloud root (see
+ * test/lib/dummy-cn.js), as the dummy vmadm writes them. The dummy vmadm
+ * always looks for vminfod on port 9090, so only one can run at a time.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+
+var PORT = 9090;
+
+
+/*
+ * opts.mockcloudRoot is the mockcloud root whose servers' VMs we serve, i.e.
+ * a DummyCn's `mockcloudRoot`.
+ */
+function MockVminfod(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.mockcloudRoot, 'opts.mockcloudRoot');
+
+    self.mockcloudRoot = opts.mockcloudRoot;
+
+    self.server = restify.createServer({
+        log: opts.log,
+        name: 'Mock vminfod'
+    });
+
+    self.server.get('/servers/:server/vms', self._getVms.bind(self));
+    self.server.get('/servers/:server/vms/:uuid', self._getVm.bind(self));
+}
+
+
+MockVminfod.prototype._vmsDir = function _vmsDir(serverUuid) {
+    return path.join(this.mockcloudRoot, 'servers', serverUuid, 'vms');
+};
+
+
+MockVminfod.prototype._getVms = function _getVms(req, res, next) {
+    var dir = this._vmsDir(req.params.server);
+    var filenames;
+
+    try {
+        filenames = fs.readdirSync(dir);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            next(err);
+            return;
+        }
+        filenames = [];
+    }
+
+    res.send(200, filenames.filter(function (filename) {
+        return /\.json$/.test(filename);
+    }).map(function (filename) {
+        return JSON.parse(fs.readFileSync(path.join(dir, filename)));
+    }));
+    next();
+};
+
+
+MockVminfod.prototype._getVm = function _getVm(req, res, next) {
+    var filename = path.join(this._vmsDir(req.params.server),
+        req.params.uuid + '.json');
+    var vm;
+
+    try {
+        vm = JSON.parse(fs.readFileSync(filename));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            next(err);
+            return;
+        }
+        res.send(404, {
+            code: 'VmNotFound',
+            message: 'VM ' + req.params.uuid + ' not found'
+        });
+        next();
+        return;
+    }
+
+    res.send(200, vm);
+    next();
+};
+
+
+MockVminfod.prototype.start = function start(callback) {
+    this.server.listen(PORT, '127.0.0.1', callback);
+};
+
+
+MockVminfod.prototype.stop = function stop(callback) {
+    this.server.close(callback);
+};
+
+
+module.exports = MockVminfod;
@@ -0,0 +1,58 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A task for testing TaskRunner, which runs until it's stopped, or finishes
+ * params.finish_ms after it's ready. Its cancel hook writes "cancelled" to
+ * params.marker, or never finishes if params.hang_hook is set. With
+ * params.ignore_exit, it can only be stopped with SIGKILL. It reports 50%
+ * progress once it's ready.
+ */
+
+var fs = require('fs');
+
+var Task = require('../../../lib/task_agent/task');
+
+var Cancellable = module.exports = function (req) {
+    Task.call(this);
+    this.req = req;
+};
+
+Task.createTask(Cancellable);
+
+Cancellable.setStart(start);
+
+function start(callback) {
+    var self = this;
+
+    self.addCancelHook(function _onCancel(cb) {
+        if (self.req.params.hang_hook) {
+            return;
+        }
+        fs.writeFile(self.req.params.marker, 'cancelled', cb);
+    });
+
+    // The worker stops when it's asked to over IPC, or on SIGTERM once the
+    // parent has gone.
+    if (self.req.params.ignore_exit) {
+        process.removeAllListeners('message');
+        process.removeAllListeners('SIGTERM');
+        process.on('SIGTERM', function () {});
+    }
+
+    self.progress(50);
+    setInterval(function () {}, 1000);
+
+    if (self.req.params.finish_ms !== undefined) {
+        setTimeout(function () {
+            self.finish();
+        }, self.req.params.finish_ms);
+    }
+}
@@ -0,0 +1,81 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for MetricRegistry, these don't require a running cn-agent.
+
+var MetricRegistry = require('../lib/metrics');
+
+
+function testCounterAndGauge(test) {
+    var registry = new MetricRegistry();
+    var counter = registry.counter('test_total', 'A counter');
+    var gauge = registry.gauge('test_gauge', 'A gauge');
+
+    counter.inc({ task: 'nop' });
+    counter.inc({ task: 'nop' }, 2);
+    counter.inc({ task: 'say "hi"' });
+    gauge.inc();
+    gauge.inc();
+    gauge.dec();
+
+    test.equal(registry.serialize(), [
+        '# HELP test_gauge A gauge',
+        '# TYPE test_gauge gauge',
+        'test_gauge 1',
+        '# HELP test_total A counter',
+        '# TYPE test_total counter',
+        'test_total{task="nop"} 3',
+        'test_total{task="say \\"hi\\""} 1',
+        ''
+    ].join('\n'));
+    test.done();
+}
+
+
+function testHistogram(test) {
+    var registry = new MetricRegistry();
+    var histogram = registry.histogram('test_seconds', 'A histogram', [1, 5]);
+
+    histogram.observe({ task: 'nop' }, 0.5);
+    histogram.observe({ task: 'nop' }, 3);
+    histogram.observe({ task: 'nop' }, 10);
+
+    test.equal(registry.serialize(), [
+        '# HELP test_seconds A histogram',
+        '# TYPE test_seconds histogram',
+        'test_seconds_bucket{task="nop",le="1"} 1',
+        'test_seconds_bucket{task="nop",le="5"} 2',
+        'test_seconds_bucket{task="nop",le="+Inf"} 3',
+        'test_seconds_sum{task="nop"} 13.5',
+        'test_seconds_count{task="nop"} 3',
+        ''
+    ].join('\n'));
+    test.done();
+}
+
+
+function testSharedMetric(test) {
+    var registry = new MetricRegistry();
+
+    test.equal(registry.counter('test_total', 'A counter'),
+        registry.counter('test_total', 'A counter'),
+        'same metric returned for the same name');
+    test.throws(function () {
+        registry.gauge('test_total', 'A gauge');
+    }, 'metric type cannot change');
+    test.done();
+}
+
+
+module.exports = {
+    'counters and gauges': testCounterAndGauge,
+    'histograms': testHistogram,
+    'metrics with the same name are shared': testSharedMetric
+};
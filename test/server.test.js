@@ -0,0 +1,223 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for AgentHttpServer's own routes, with stand-ins for the rest of
+// cn-agent. These don't require a running cn-agent.
+
+var bunyan = require('bunyan');
+var restify = require('restify');
+
+var AgentHttpServer = require('../lib/server');
+
+var SERVER_UUID = '564d0000-0000-0000-0000-000000000001';
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'server-test'
+});
+var client;
+var server;
+// What the stand-in TaskRunner reports as running, and how often it has
+// been told to kill them.
+var inFlight;
+var reaped;
+
+
+function setup(cb) {
+    inFlight = [];
+    reaped = 0;
+
+    server = new AgentHttpServer({
+        bindip: '127.0.0.1',
+        log: log,
+        port: 0,
+        uuid: SERVER_UUID
+    });
+    server.registerTaskHandler(SERVER_UUID, function (req, res, next) {
+        res.send(200, {});
+        next();
+    });
+    server.setTaskQueues({});
+    server.setTaskRunner({
+        inFlight: function () {
+            return inFlight;
+        },
+        reapChildren: function (callback) {
+            reaped++;
+            inFlight = [];
+            setImmediate(callback);
+        }
+    });
+
+    server.start(function () {
+        client = restify.createJsonClient({
+            agent: false,
+            url: 'http://127.0.0.1:' + server.server.address().port
+        });
+        cb();
+    });
+}
+
+
+function teardown(cb) {
+    client.close();
+    server.server.close(cb);
+}
+
+
+function testPauseAndResume(test) {
+    client.post('/pause', {}, function (err, req, res) {
+        test.ifError(err);
+        test.equal(res.statusCode, 204);
+
+        client.post('/tasks?task=nop', { params: {} }, function (err2) {
+            test.ok(err2, 'no new tasks while paused');
+            test.equal(err2.statusCode, 503);
+
+            client.post('/resume', {}, function (err3) {
+                test.ifError(err3);
+
+                client.post('/tasks?task=nop', { params: {} },
+                    function (err4, req4, res4) {
+                        test.ifError(err4);
+                        test.equal(res4.statusCode, 200);
+                        test.done();
+                    });
+            });
+        });
+    });
+}
+
+
+function testPauseWait(test) {
+    inFlight = [ { id: 'task-1', pid: 100, task: 'nop' } ];
+
+    // The task finishes while we're waiting.
+    setTimeout(function () {
+        inFlight = [];
+    }, 200);
+
+    client.post('/pause?wait=true&timeout=10', {},
+        function (err, req, res, status) {
+            test.ifError(err);
+            test.equal(res.statusCode, 200);
+            test.ok(status.draining);
+            test.ok(status.drained, 'waited for the task to finish');
+            test.deepEqual(status.tasks, []);
+            test.equal(reaped, 0);
+            test.done();
+        });
+}
+
+
+function testPauseWaitTimeout(test) {
+    inFlight = [ { id: 'task-1', pid: 100, task: 'nop' } ];
+
+    client.post('/pause?wait=true&timeout=0', {},
+        function (err, req, res, status) {
+            test.ifError(err);
+            test.ok(!status.drained, 'gave up waiting');
+            test.equal(status.tasks[0].id, 'task-1');
+
+            client.get('/status', function (err2, req2, res2, status2) {
+                test.ifError(err2);
+                test.ok(status2.draining);
+                test.equal(status2.tasks.length, 1, 'task still running');
+                test.equal(reaped, 0, 'task not killed');
+                test.done();
+            });
+        });
+}
+
+
+function testShutdown(test) {
+    inFlight = [ { id: 'task-1', pid: 100, task: 'nop' } ];
+
+    server.shutdown({ timeoutSeconds: 0 }, function (status) {
+        test.ok(!status.drained);
+        test.equal(reaped, 1, 'remaining tasks were killed');
+
+        server.shutdown({ timeoutSeconds: 10 }, function (status2) {
+            test.ok(status2.drained);
+            test.equal(reaped, 1, 'nothing left to kill');
+            test.done();
+        });
+    });
+}
+
+
+function testPing(test) {
+    var checks = {};
+
+    server.setHealthCheck(function () {
+        return {
+            checks: JSON.parse(JSON.stringify(checks)),
+            version: '1.2.3'
+        };
+    });
+
+    function ping(cb) {
+        client.get('/ping', function (err, req, res, health) {
+            cb(res.statusCode, health);
+        });
+    }
+
+    checks.heartbeat = { status: 'ok' };
+    ping(function (code, health) {
+        test.equal(code, 200);
+        test.equal(health.status, 'healthy');
+        test.equal(health.version, '1.2.3');
+        test.deepEqual(health.checks.draining, { status: 'ok' });
+        test.equal(typeof (health.uptime_seconds), 'number');
+
+        checks.watchers = { status: 'warn' };
+        ping(function (code2, health2) {
+            test.equal(code2, 200, 'degraded is still up');
+            test.equal(health2.status, 'degraded');
+
+            checks.heartbeat.status = 'fail';
+            ping(function (code3, health3) {
+                test.equal(code3, 503);
+                test.equal(health3.status, 'unhealthy');
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testPingWhileDraining(test) {
+    client.get('/ping', function (err, req, res, health) {
+        test.ifError(err);
+        test.equal(health.status, 'healthy', 'no other checks');
+
+        server.draining = true;
+        client.get('/ping', function (err2, req2, res2, health2) {
+            test.ifError(err2);
+            test.equal(res2.statusCode, 200);
+            test.equal(health2.status, 'degraded');
+            test.ok(health2.draining);
+            test.equal(health2.checks.draining.status, 'warn');
+            test.done();
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'pause and resume': testPauseAndResume,
+    'pause and wait for tasks': testPauseWait,
+    'pause and wait gives up': testPauseWaitTimeout,
+    'shutdown kills remaining tasks': testShutdown,
+    'ping verdicts': testPing,
+    'ping while draining': testPingWhileDraining
+};
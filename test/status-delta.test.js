@@ -0,0 +1,174 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for status deltas, these don't require a running cn-agent.
+
+var mod_status_delta = require('../lib/status_delta');
+
+var diffStatus = mod_status_delta.diffStatus;
+var StatusDeltas = mod_status_delta.StatusDeltas;
+
+var VM_A = 'a0000000-0000-0000-0000-000000000000';
+var VM_B = 'b0000000-0000-0000-0000-000000000000';
+var VM_C = 'c0000000-0000-0000-0000-000000000000';
+
+
+function sample(opts) {
+    var vms = {};
+
+    vms[VM_A] = { state: opts.stateA || 'running', quota: 10, uuid: VM_A };
+    vms[VM_B] = { state: 'stopped', quota: 20, uuid: VM_B };
+    if (opts.withC) {
+        delete vms[VM_B];
+        vms[VM_C] = { state: 'running', quota: 30, uuid: VM_C };
+    }
+
+    return {
+        meminfo: { availrmem_bytes: opts.freeMem || 100 },
+        timestamp: opts.timestamp || '2020-03-04T00:00:00.000Z',
+        vms: vms,
+        zpoolStatus: { zones: { bytes_used: 1 } }
+    };
+}
+
+
+function testDiff(test) {
+    var delta = diffStatus(sample({}), sample({
+        freeMem: 50,
+        stateA: 'stopped',
+        timestamp: '2020-03-04T00:00:05.000Z',
+        withC: true
+    }));
+    var expectedVms = {};
+
+    expectedVms[VM_A] = { state: 'stopped', uuid: VM_A };
+    expectedVms[VM_C] = { state: 'running', quota: 30, uuid: VM_C };
+
+    test.deepEqual(delta, {
+        meminfo: { availrmem_bytes: 50 },
+        removed_vms: [ VM_B ],
+        timestamp: '2020-03-04T00:00:05.000Z',
+        vms: expectedVms
+    }, 'only changed VMs, fields and top-level values');
+    test.done();
+}
+
+
+function testRemovedFields(test) {
+    var cur = sample({});
+    var delta;
+    var expectedVms = {};
+
+    // VM A's quota goes and its state becomes undefined, and the zpools go.
+    cur.vms[VM_A].state = undefined;
+    delete cur.vms[VM_A].quota;
+    delete cur.zpoolStatus;
+
+    delta = diffStatus(sample({}), cur);
+    expectedVms[VM_A] = { quota: null, state: null, uuid: VM_A };
+
+    test.deepEqual(delta, {
+        removed_vms: [],
+        timestamp: '2020-03-04T00:00:00.000Z',
+        vms: expectedVms,
+        zpoolStatus: null
+    }, 'removed fields are null');
+
+    test.deepEqual(diffStatus(cur, cur).vms, {},
+        'an undefined field is the same as a missing one');
+    test.done();
+}
+
+
+function testSequence(test) {
+    var deltas = new StatusDeltas({ fullInterval: 60 * 1000 });
+    var first = sample({});
+    var second = sample({ stateA: 'stopped' });
+    var update;
+
+    update = deltas.build(first);
+    test.equal(update.full, true, 'first update is full');
+    test.equal(update.seq, 1);
+    deltas.acknowledge(first, update);
+
+    update = deltas.build(second);
+    test.equal(update.full, false, 'then deltas');
+    test.equal(update.seq, 2);
+    test.equal(update.base_seq, 1);
+
+    // Not acknowledged, so the next delta is still against seq 1.
+    update = deltas.build(second);
+    test.equal(update.seq, 2);
+    test.equal(update.base_seq, 1);
+    deltas.acknowledge(second, update);
+
+    deltas.resync();
+    update = deltas.build(second);
+    test.equal(update.full, true, 'full after resync');
+    test.equal(update.seq, 3);
+    test.done();
+}
+
+
+function testFailedUpdates(test) {
+    var deltas = new StatusDeltas({ fullInterval: 60 * 1000 });
+    var first = sample({});
+    var second = sample({ stateA: 'stopped' });
+    var third = sample({ freeMem: 50, stateA: 'stopped' });
+    var update;
+
+    // CNAPI never accepted the first full snapshot, so we keep sending full
+    // snapshots with its seq.
+    update = deltas.build(first);
+    update = deltas.build(second);
+    test.equal(update.full, true, 'still full');
+    test.equal(update.seq, 1);
+    test.equal(update.vms[VM_A].state, 'stopped');
+    deltas.acknowledge(second, update);
+
+    // A delta that fails (here, VM A starting again) isn't the baseline for
+    // the next one, which is against the last accepted update.
+    update = deltas.build(first);
+    test.equal(update.seq, 2);
+    test.equal(update.vms[VM_A].state, 'running');
+    update = deltas.build(third);
+    test.equal(update.full, false);
+    test.equal(update.seq, 2, 'same seq as the failed update');
+    test.equal(update.base_seq, 1);
+    test.deepEqual(update.vms, {});
+    test.deepEqual(update.meminfo, { availrmem_bytes: 50 });
+    deltas.acknowledge(third, update);
+
+    update = deltas.build(third);
+    test.equal(update.seq, 3);
+    test.equal(update.base_seq, 2);
+    test.equal(update.meminfo, undefined, 'against the accepted update');
+    test.done();
+}
+
+
+function testFullInterval(test) {
+    var deltas = new StatusDeltas({ fullInterval: 0 });
+    var update = deltas.build(sample({}));
+
+    deltas.acknowledge(sample({}), update);
+    test.equal(deltas.build(sample({})).full, true,
+        'full once fullInterval has passed');
+    test.done();
+}
+
+
+module.exports = {
+    'diff has only changes': testDiff,
+    'removed fields': testRemovedFields,
+    'sequence numbers and resync': testSequence,
+    'failed updates': testFailedUpdates,
+    'periodic full snapshots': testFullInterval
+};
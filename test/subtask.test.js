@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for TaskAgent.runSubTask, these don't require a running
+// cn-agent.
+
+var EventEmitter = require('events').EventEmitter;
+
+var bunyan = require('bunyan');
+
+var TaskAgent = require('../lib/task_agent/task_agent');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'subtask-test'
+});
+
+
+/*
+ * Returns a stand-in for a TaskAgent whose queues have the `nop` task, and
+ * records each request for it in `requests`.
+ */
+function createAgent() {
+    var agent = {
+        cancelled: [],
+        log: log,
+        requests: [],
+        runner: {
+            cancel: function (pid, cb) {
+                agent.cancelled.push(pid);
+                cb();
+            }
+        },
+        sysinfo: { UUID: '564d0000-0000-0000-0000-000000000001' },
+        timeoutSeconds: 3600
+    };
+
+    agent.queueDefns = [ {
+        name: 'nop',
+        onhttpmsg: function (req) {
+            agent.requests.push(req);
+        },
+        tasks: [ 'nop' ],
+        timeoutSeconds: 60
+    } ];
+
+    return agent;
+}
+
+
+// A parent task's worker, which records what it's sent.
+function createParent() {
+    var child = new EventEmitter();
+
+    child.connected = true;
+    child.sent = [];
+    child.send = function (msg) {
+        child.sent.push(msg);
+    };
+    child.taskId = '1580000000000-100-parent';
+
+    return child;
+}
+
+
+function runSubTask(agent, child, task) {
+    TaskAgent.prototype.runSubTask.call(agent, {
+        child: child,
+        id: 'sub-1',
+        params: { sleep: 1 },
+        parent: { req_id: 'req-1', task: 'parent' },
+        task: task
+    });
+}
+
+
+function testEvents(test) {
+    var agent = createAgent();
+    var child = createParent();
+    var req;
+
+    runSubTask(agent, child, 'nop');
+
+    test.equal(agent.requests.length, 1, 'sub-task was queued');
+    req = agent.requests[0];
+    test.equal(req.parent_id, child.taskId);
+    test.equal(req.timeout_seconds, 60, 'queue\'s timeout');
+    test.deepEqual(req.params, { sleep: 1 });
+
+    req.started(200);
+    req.progress(50);
+    req.event('error', { error: 'timed out' });
+    req.event('finish', {});
+    req.finish();
+    // e.g. a worker that timed out and then failed to exit cleanly.
+    req.event('error', { error: 'did not terminate cleanly' });
+    req.event('finish', {});
+
+    test.deepEqual(child.sent.map(function (msg) {
+        return msg.name;
+    }), [ 'progress', 'error', 'finish' ], 'parent hears finish once');
+    test.ok(child.sent.every(function (msg) {
+        return (msg.action === 'subtask' && msg.id === 'sub-1');
+    }));
+
+    child.emit('exit');
+    test.deepEqual(agent.cancelled, [], 'finished sub-task not cancelled');
+    test.done();
+}
+
+
+function testParentExits(test) {
+    var agent = createAgent();
+    var child = createParent();
+
+    runSubTask(agent, child, 'nop');
+    agent.requests[0].started(200);
+
+    child.connected = false;
+    child.emit('exit');
+
+    test.deepEqual(agent.cancelled, [ 200 ], 'sub-task cancelled');
+    agent.requests[0].event('finish', {});
+    test.equal(child.sent.length, 0, 'nothing sent to the exited parent');
+    test.done();
+}
+
+
+function testUnknownTask(test) {
+    var agent = createAgent();
+    var child = createParent();
+
+    runSubTask(agent, child, 'no_such_task');
+
+    test.equal(agent.requests.length, 0);
+    test.deepEqual(child.sent.map(function (msg) {
+        return [ msg.name, msg.event.error ];
+    }), [
+        [ 'error', 'Unknown task, \'no_such_task\'' ],
+        [ 'finish', undefined ]
+    ]);
+    test.done();
+}
+
+
+module.exports = {
+    'sub-task events go to the parent': testEvents,
+    'sub-task is cancelled when its parent exits': testParentExits,
+    'unknown sub-task': testUnknownTask
+};
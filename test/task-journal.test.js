@@ -0,0 +1,106 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for TaskJournal, these don't require a running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var rimraf = require('rimraf');
+
+var TaskJournal = require('../lib/task_agent/task_journal');
+
+var JOURNAL_DIR =
+    path.join(os.tmpdir(), 'cn-agent-journal-test.' + process.pid);
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-journal-test'
+});
+
+
+function readEntry(id) {
+    return JSON.parse(
+        fs.readFileSync(path.join(JOURNAL_DIR, id + '.json'), 'utf8'));
+}
+
+
+function setup(cb) {
+    rimraf(JOURNAL_DIR, cb);
+}
+
+
+function teardown(cb) {
+    rimraf(JOURNAL_DIR, cb);
+}
+
+
+function testInterruptedOnOpen(test) {
+    var activeId = Date.now() + '-100-machine_create';
+    var finishedId = Date.now() + '-101-nop';
+    var journal;
+
+    fs.mkdirSync(JOURNAL_DIR);
+    fs.writeFileSync(path.join(JOURNAL_DIR, activeId + '.json'),
+        JSON.stringify({ task: 'machine_create', status: 'active' }));
+    fs.writeFileSync(path.join(JOURNAL_DIR, finishedId + '.json'),
+        JSON.stringify({ task: 'nop', status: 'finished' }));
+
+    journal = new TaskJournal({ dir: JOURNAL_DIR, log: log });
+    journal.open();
+
+    test.equal(readEntry(activeId).status, 'interrupted',
+        'active task marked interrupted');
+    test.ok(readEntry(activeId).interrupted_at, 'interrupted_at is set');
+    test.equal(readEntry(finishedId).status, 'finished',
+        'finished task left alone');
+    test.done();
+}
+
+
+function testWriteAndPrune(test) {
+    var base = Date.now();
+    var journal = new TaskJournal({
+        dir: JOURNAL_DIR,
+        log: log,
+        maxEntries: 2
+    });
+
+    journal.open();
+
+    [0, 1, 2].forEach(function (n) {
+        journal.write((base + n) + '-' + n + '-nop', {
+            status: 'finished',
+            task: 'nop'
+        });
+    });
+
+    // Give the writes and unlinks a moment to complete.
+    setTimeout(function () {
+        var files = fs.readdirSync(JOURNAL_DIR).sort();
+
+        test.deepEqual(files, [
+            (base + 1) + '-1-nop.json',
+            (base + 2) + '-2-nop.json'
+        ], 'oldest entry pruned');
+        test.equal(readEntry((base + 2) + '-2-nop').task, 'nop');
+        test.done();
+    }, 500);
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'active entries are interrupted on open': testInterruptedOnOpen,
+    'entries are written and pruned': testWriteAndPrune
+};
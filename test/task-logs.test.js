@@ -0,0 +1,279 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for reading task logs and the GET /logs routes, these don't require
+// a running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+
+var bunyan = require('bunyan');
+var mkdirp = require('mkdirp');
+var restify = require('restify');
+var rimraf = require('rimraf');
+
+var AgentHttpServer = require('../lib/server');
+var TaskLogs = require('../lib/task_agent/task_logs');
+
+var LOG_DIR = path.join(os.tmpdir(), 'cn-agent-task-logs-test.' +
+    process.pid);
+var START = 1580000000000;
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-logs-test'
+});
+// Log ids, oldest first.
+var ids;
+// What the stand-in TaskRunner reports as running.
+var inFlight;
+var taskLogs;
+
+
+function record(level, msg) {
+    return JSON.stringify({ level: level, msg: msg }) + '\n';
+}
+
+
+/*
+ * Writes logs for a machine_load (pid 100), a machine_reboot (pid 101) and
+ * another machine_load with a reused pid (100), as well as a file that isn't
+ * a task log.
+ */
+function setup(cb) {
+    ids = [
+        START + '-100-machine_load',
+        (START + 1000) + '-101-machine_reboot',
+        (START + 2000) + '-100-machine_load'
+    ];
+    inFlight = [];
+
+    mkdirp.sync(LOG_DIR);
+    ids.forEach(function (id) {
+        fs.writeFileSync(path.join(LOG_DIR, id + '.log'),
+            record(bunyan.DEBUG, 'starting ' + id) +
+            record(bunyan.WARN, 'warning from ' + id));
+    });
+    fs.writeFileSync(path.join(LOG_DIR, 'cn-agent.log'), '');
+
+    taskLogs = new TaskLogs({
+        dir: LOG_DIR,
+        log: log,
+        runner: {
+            inFlight: function () {
+                return inFlight;
+            }
+        }
+    });
+    cb();
+}
+
+
+function teardown(cb) {
+    rimraf(LOG_DIR, cb);
+}
+
+
+function pluck(logs, field) {
+    return logs.map(function (info) {
+        return info[field];
+    });
+}
+
+
+// Calls cb(err, data) with what taskLogs.read() writes with `opts`.
+function read(opts, cb) {
+    var data = '';
+    var stream = new PassThrough();
+
+    stream.setEncoding('utf8');
+    stream.on('data', function (chunk) {
+        data += chunk;
+    });
+
+    opts.stream = stream;
+    taskLogs.read(opts, function (err) {
+        cb(err, data);
+    });
+}
+
+
+function testList(test) {
+    inFlight = [ { id: ids[2] } ];
+
+    taskLogs.list({}, function (err, logs) {
+        test.ifError(err);
+        test.deepEqual(pluck(logs, 'id'), ids, 'oldest first');
+        test.deepEqual(pluck(logs, 'running'), [false, false, true]);
+        test.equal(logs[0].size, fs.statSync(
+            path.join(LOG_DIR, ids[0] + '.log')).size);
+        test.equal(logs[1].task, 'machine_reboot');
+        test.equal(logs[1].started_at, new Date(START + 1000).toISOString());
+
+        taskLogs.list({
+            limit: 1,
+            task: 'machine_load'
+        }, function (err2, logs2) {
+            test.ifError(err2);
+            test.deepEqual(pluck(logs2, 'id'), [ ids[2] ],
+                'most recent machine_load');
+
+            taskLogs.list({
+                filter: function (info) {
+                    return (info.pid !== 100);
+                },
+                limit: 2
+            }, function (err3, logs3) {
+                test.ifError(err3);
+                test.deepEqual(pluck(logs3, 'id'), [ ids[1] ]);
+                test.done();
+            });
+        });
+    });
+}
+
+
+function testFind(test) {
+    taskLogs.find(ids[1], function (err, info) {
+        test.ifError(err);
+        test.equal(info.id, ids[1]);
+        test.equal(info.pid, 101);
+
+        taskLogs.find('100', function (err2, info2) {
+            test.ifError(err2);
+            test.equal(info2.id, ids[2], 'most recent task with that pid');
+
+            taskLogs.find('1580000009000-102-nop', function (err3, info3) {
+                test.ifError(err3);
+                test.equal(info3, undefined);
+
+                taskLogs.find('../cn-agent', function (err4, info4) {
+                    test.ifError(err4);
+                    test.equal(info4, undefined, 'only task logs');
+                    test.done();
+                });
+            });
+        });
+    });
+}
+
+
+function testRead(test) {
+    read({
+        follow: false,
+        id: ids[0],
+        level: bunyan.TRACE
+    }, function (err, data) {
+        test.ifError(err);
+        test.equal(data, fs.readFileSync(
+            path.join(LOG_DIR, ids[0] + '.log'), 'utf8'));
+
+        read({
+            follow: false,
+            id: ids[0],
+            level: bunyan.INFO
+        }, function (err2, data2) {
+            test.ifError(err2);
+            test.equal(data2, record(bunyan.WARN, 'warning from ' + ids[0]));
+            test.done();
+        });
+    });
+}
+
+
+function testFollow(test) {
+    var filename = path.join(LOG_DIR, ids[2] + '.log');
+
+    inFlight = [ { id: ids[2] } ];
+
+    // The task logs some more, then finishes with a partial line.
+    setTimeout(function () {
+        fs.appendFileSync(filename, record(bunyan.INFO, 'more'));
+    }, 200);
+    setTimeout(function () {
+        fs.appendFileSync(filename, '{"level": 30, "msg": "last"}');
+        inFlight = [];
+    }, 1500);
+
+    read({
+        follow: true,
+        id: ids[2],
+        level: bunyan.INFO
+    }, function (err, data) {
+        test.ifError(err);
+        test.deepEqual(data.trim().split('\n').map(function (line) {
+            return JSON.parse(line).msg;
+        }), [ 'warning from ' + ids[2], 'more', 'last' ]);
+        test.done();
+    });
+}
+
+
+function testRoutes(test) {
+    var client;
+    var server = new AgentHttpServer({
+        bindip: '127.0.0.1',
+        log: log,
+        port: 0
+    });
+
+    server.setTaskLogs(taskLogs);
+
+    function done() {
+        client.close();
+        server.server.close(function () {
+            test.done();
+        });
+    }
+
+    server.start(function () {
+        var url = 'http://127.0.0.1:' + server.server.address().port;
+
+        client = restify.createJsonClient({ agent: false, url: url });
+
+        client.get('/logs?task=machine_load', function (err, req, res, logs) {
+            test.ifError(err);
+            test.deepEqual(pluck(logs, 'id'), [ ids[0], ids[2] ]);
+
+            client.get('/logs?limit=0', function (err2) {
+                test.equal(err2.statusCode, 409);
+
+                client.get('/logs/nonexistent', function (err3) {
+                    test.equal(err3.statusCode, 404);
+
+                    client.get('/logs/101?level=warn',
+                        function (err4, req4, res4) {
+
+                        test.ifError(err4);
+                        test.equal(res4.headers['content-type'],
+                            'application/x-ndjson');
+                        test.equal(res4.headers['x-task-log-id'], ids[1]);
+                        test.equal(JSON.parse(res4.body).msg,
+                            'warning from ' + ids[1]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'list logs': testList,
+    'find a log': testFind,
+    'read a log': testRead,
+    'follow a running task\'s log': testFollow,
+    'routes': testRoutes
+};
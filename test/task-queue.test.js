@@ -0,0 +1,139 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for TaskQueue, these don't require a running cn-agent.
+
+var bunyan = require('bunyan');
+
+var dispatch = require('../lib/task_agent/dispatch');
+var TaskQueue = require('../lib/task_agent/task_queue');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-queue-test'
+});
+
+
+function testUnlimitedQueue(test) {
+    var queue = new TaskQueue({log: log, name: 'unlimited'});
+    var started = [];
+
+    [1, 2, 3].forEach(function (n) {
+        queue.push({req_id: 'req' + n, task: 'nop'}, function (done) {
+            started.push(n);
+        });
+    });
+
+    test.deepEqual(started, [1, 2, 3], 'all tasks started immediately');
+    test.equal(queue.status().active, 3, 'three tasks active');
+    test.equal(queue.status().queued.length, 0, 'nothing queued');
+    test.done();
+}
+
+
+function testMaxConcurrent(test) {
+    var dones = {};
+    var queue = new TaskQueue({log: log, maxConcurrent: 1, name: 'limited'});
+    var reqs = [];
+    var started = [];
+    var status;
+
+    [1, 2, 3].forEach(function (n) {
+        var req = {req_id: 'req' + n, task: 'agent_install'};
+        reqs.push(req);
+        queue.push(req, function (done) {
+            started.push(n);
+            dones[n] = done;
+        });
+    });
+
+    test.deepEqual(started, [1], 'only first task started');
+
+    status = queue.status();
+    test.equal(status.name, 'limited');
+    test.equal(status.max_concurrent, 1);
+    test.equal(status.active, 1);
+    test.deepEqual(status.queued.map(function (q) {
+        return [q.position, q.req_id];
+    }), [[1, 'req2'], [2, 'req3']], 'waiting tasks are in FIFO order');
+    test.ok(status.queued[0].wait_ms >= 0, 'wait_ms is reported');
+
+    dones[1]();
+    test.deepEqual(started, [1, 2], 'second task started after first done');
+
+    // Calling done() twice must not free a second slot.
+    dones[1]();
+    test.deepEqual(started, [1, 2], 'duplicate done() ignored');
+
+    dones[2]();
+    test.deepEqual(started, [1, 2, 3], 'third task started');
+    test.equal(reqs[2].queue, 'limited', 'req records queue name');
+    test.ok(reqs[2].queued_at, 'req records queued_at');
+    test.equal(typeof (reqs[2].queue_wait_ms), 'number',
+        'req records queue_wait_ms');
+
+    dones[3]();
+    test.equal(queue.status().active, 0, 'nothing active at the end');
+    test.done();
+}
+
+
+function testFailedDispatch(test) {
+    var dispatched = [];
+    var events = [];
+    var queue = new TaskQueue({log: log, maxConcurrent: 1, name: 'limited'});
+    var agent = {
+        log: log,
+        queues: { limited: queue },
+        runner: {
+            dispatch: function (req) {
+                dispatched.push(req.req_id);
+                throw new Error('fork failed');
+            }
+        }
+    };
+    var dispatchFn = dispatch.createHttpTaskDispatchFn(agent, 'limited');
+
+    function makeReq(n) {
+        return {
+            req_id: 'req' + n,
+            task: 'nop',
+            event: function (name, event) {
+                events.push([n, name, event.error]);
+            },
+            finish: function () {
+                events.push([n, 'done']);
+            },
+            started: function () {
+                test.ok(false, 'task should not have started');
+            }
+        };
+    }
+
+    dispatchFn(makeReq(1));
+    dispatchFn(makeReq(2));
+
+    test.deepEqual(dispatched, ['req1', 'req2'],
+        'slot was freed after the first dispatch failed');
+    test.equal(queue.status().active, 0, 'nothing active');
+    test.deepEqual(events.slice(0, 3), [
+        [1, 'error', 'Unable to start task nop: fork failed'],
+        [1, 'done'],
+        [1, 'finish', undefined]
+    ], 'failed task was finished with an error');
+    test.done();
+}
+
+
+module.exports = {
+    'unlimited queue starts everything': testUnlimitedQueue,
+    'maxConcurrent limits running tasks': testMaxConcurrent,
+    'failed dispatch frees its slot': testFailedDispatch
+};
@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Tests for how TaskRunner stops task workers, these fork real workers but
+// don't require a running cn-agent.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var rimraf = require('rimraf');
+
+var TaskRunner = require('../lib/task_agent/task_runner');
+
+var TMP_DIR = path.join(os.tmpdir(), 'cn-agent-task-runner-test.' +
+    process.pid);
+var MARKER = path.join(TMP_DIR, 'cancelled');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-runner-test'
+});
+var runner;
+
+
+function setup(cb) {
+    fs.mkdirSync(TMP_DIR);
+    runner = new TaskRunner({
+        cancelGraceSeconds: 1,
+        env: {},
+        log: log,
+        logdir: path.join(TMP_DIR, 'logs'),
+        taskspath: path.join(__dirname, 'lib/tasks'),
+        timeoutSeconds: 60
+    });
+    cb();
+}
+
+
+function teardown(cb) {
+    rimraf(TMP_DIR, cb);
+}
+
+
+/*
+ * Starts the cancellable task and calls onRunning(child) once its cancel hook
+ * is in place.
+ */
+function startTask(params, onRunning) {
+    var child;
+    var req = {
+        params: params,
+        parent_id: params.parent_id,
+        req_id: 'req-1',
+        task: 'cancellable',
+        timeout_seconds: params.timeout_seconds
+    };
+
+    params.marker = MARKER;
+    child = runner.dispatch(req);
+    child.once('progress', function () {
+        onRunning(child);
+    });
+
+    return child;
+}
+
+
+function lastEntry() {
+    return runner.taskHistory[runner.taskHistory.length - 1];
+}
+
+
+function testCancelRunsHooks(test) {
+    startTask({}, function (child) {
+        runner.cancel(child.pid, function (err) {
+            test.ifError(err);
+            test.equal(child.signalCode, null, 'worker exited by itself');
+            test.equal(fs.readFileSync(MARKER, 'utf8'), 'cancelled',
+                'cancel hook ran');
+            test.equal(lastEntry().status, 'cancelled');
+            test.done();
+        });
+    });
+}
+
+
+function testHungCancelHookIsKilled(test) {
+    startTask({ hang_hook: true }, function (child) {
+        runner.cancel(child.pid, function (err) {
+            test.ifError(err);
+            test.equal(child.signalCode, 'SIGKILL',
+                'worker killed after the grace period');
+            test.equal(lastEntry().status, 'cancelled');
+            test.equal(Object.keys(runner.children).length, 0);
+            test.done();
+        });
+    });
+}
+
+
+function testTimeoutSkipsHooks(test) {
+    var child = startTask({ timeout_seconds: 1 }, function () {});
+
+    child.once('exit', function () {
+        test.ok(!fs.existsSync(MARKER), 'cancel hook did not run');
+        test.equal(lastEntry().status, 'failed');
+        test.done();
+    });
+}
+
+
+function testReapSkipsHooks(test) {
+    startTask({}, function (child) {
+        child.once('exit', function (code, signal) {
+            test.equal(code, 0, 'worker exited when asked');
+            test.ok(!fs.existsSync(MARKER), 'cancel hook did not run');
+            test.done();
+        });
+        runner.reapChildren();
+    });
+}
+
+
+function testTimeoutFinishesOnce(test) {
+    var child = startTask({ ignore_exit: true, timeout_seconds: 1 },
+        function () {});
+    var finishes = 0;
+
+    child.on('finish', function () {
+        finishes++;
+    });
+
+    child.once('exit', function (code, signal) {
+        test.equal(signal, 'SIGKILL', 'worker killed after the grace period');
+        test.equal(finishes, 1, 'task finished once');
+        test.equal(lastEntry().status, 'failed');
+        test.done();
+    });
+}
+
+
+function testReapWaitsForExit(test) {
+    startTask({ ignore_exit: true }, function (child) {
+        runner.reapChildren(function () {
+            test.equal(child.signalCode, 'SIGKILL',
+                'called back once the worker was killed');
+            test.equal(Object.keys(runner.children).length, 0);
+            test.done();
+        });
+    });
+}
+
+
+// SMF stops cn-agent by sending SIGTERM to every process in its contract,
+// which mustn't stop the task while cn-agent waits for it to finish.
+function testSigtermIgnored(test) {
+    startTask({ finish_ms: 500 }, function (child) {
+        child.once('exit', function (code, signal) {
+            test.equal(code, 0);
+            test.equal(signal, null, 'worker was not killed');
+            test.ok(!fs.existsSync(MARKER), 'cancel hook did not run');
+            test.equal(lastEntry().status, 'finished', 'task completed');
+            test.done();
+        });
+        process.kill(child.pid, 'SIGTERM');
+    });
+}
+
+
+function testSubTaskLinkedToParent(test) {
+    startTask({}, function (parent) {
+        var i;
+        var parentEntry = lastEntry();
+
+        // Push the parent out of the in-memory history.
+        for (i = 0; i < 16; i++) {
+            runner.taskHistory.push({ id: 'other-' + i });
+        }
+        runner.taskHistory.splice(0, runner.taskHistory.length - 16);
+
+        startTask({ parent_id: parent.taskId }, function (sub) {
+            test.deepEqual(parentEntry.subtasks, [ sub.taskId ]);
+            runner.reapChildren();
+            sub.once('exit', function () {
+                test.done();
+            });
+        });
+    });
+}
+
+
+module.exports = {
+    setUp: setup,
+    tearDown: teardown,
+    'cancel runs cancel hooks': testCancelRunsHooks,
+    'hung cancel hook is killed': testHungCancelHookIsKilled,
+    'timeout does not run cancel hooks': testTimeoutSkipsHooks,
+    'reaped tasks do not run cancel hooks': testReapSkipsHooks,
+    'timed out task finishes once': testTimeoutFinishesOnce,
+    'reaping waits for workers to exit': testReapWaitsForExit,
+    'SIGTERM does not stop a running task': testSigtermIgnored,
+    'sub-task is linked to its parent': testSubTaskLinkedToParent
+};
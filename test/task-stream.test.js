@@ -0,0 +1,177 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for task_stream.js, these don't require a running cn-agent.
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var bunyan = require('bunyan');
+
+var TaskTracker = require('../lib/task_agent/task_tracker');
+var taskStream = require('../lib/task_agent/task_stream');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-stream-test'
+});
+
+
+function noop() {}
+
+
+// Just enough of an http.ServerResponse to collect what's written to it.
+function MockResponse() {
+    EventEmitter.call(this);
+    this.body = '';
+    this.finished = false;
+    this.headers = undefined;
+    this.statusCode = undefined;
+}
+util.inherits(MockResponse, EventEmitter);
+
+MockResponse.prototype.writeHead = function writeHead(statusCode, headers) {
+    this.statusCode = statusCode;
+    this.headers = headers;
+};
+
+MockResponse.prototype.write = function write(data) {
+    this.body += data;
+};
+
+MockResponse.prototype.end = function end() {
+    this.finished = true;
+};
+
+
+function createTask() {
+    var tracker = new TaskTracker({ log: log });
+
+    return tracker.create({
+        cancel: noop,
+        req_id: 'req-1',
+        task: 'machine_create'
+    });
+}
+
+
+function testValidFormats(test) {
+    test.ok(taskStream.isValidFormat('ndjson'));
+    test.ok(taskStream.isValidFormat('sse'));
+    test.ok(!taskStream.isValidFormat('xml'));
+    test.ok(!taskStream.isValidFormat('hasOwnProperty'));
+    test.done();
+}
+
+
+function testNdjson(test) {
+    var res = new MockResponse();
+    var task = createTask();
+
+    taskStream.streamTask({
+        format: 'ndjson',
+        res: res,
+        task: task
+    }, function _onEnd() {
+        var records = res.body.trim().split('\n').map(function (line) {
+            return JSON.parse(line);
+        });
+
+        test.equal(res.statusCode, 200);
+        test.equal(res.headers['Content-Type'], 'application/x-ndjson');
+        test.ok(res.finished, 'response ended');
+        test.deepEqual(records.map(function (r) {
+            return r.event;
+        }), [ 'progress', 'start:zfs', 'finish', 'end' ]);
+        test.deepEqual(records[0].data, { value: 50 });
+        test.deepEqual(records[1].data, { step: 1 });
+        test.equal(records[3].data.status, 'finished');
+        test.deepEqual(records[3].data.result, { vm: 'ok' });
+        test.equal(task.listeners('event').length, 0, 'listeners removed');
+        test.done();
+    });
+
+    task.setProgress(50);
+    task.addEvent('start:zfs', { step: 1 });
+    task.addEvent('finish', { vm: 'ok' });
+    task.finish(undefined, { vm: 'ok' });
+}
+
+
+function testSse(test) {
+    var res = new MockResponse();
+    var task = createTask();
+
+    taskStream.streamTask({
+        format: 'sse',
+        res: res,
+        task: task
+    }, function _onEnd() {
+        var records = res.body.split('\n\n');
+
+        test.equal(res.headers['Content-Type'], 'text/event-stream');
+        test.equal(records[0], 'event: error\ndata: {"error":"boom"}');
+        test.ok(records[1].indexOf('event: end\ndata: ') === 0,
+            'end record is last');
+        test.equal(JSON.parse(records[1].split('data: ')[1]).status,
+            'failed');
+        test.done();
+    });
+
+    task.addEvent('error', { error: 'boom' });
+    task.finish({ error: 'boom' }, {});
+}
+
+
+function testFinishedTask(test) {
+    var res = new MockResponse();
+    var task = createTask();
+
+    task.finish(undefined, {});
+
+    taskStream.streamTask({
+        format: 'ndjson',
+        res: res,
+        task: task
+    }, function _onEnd() {
+        test.equal(JSON.parse(res.body).event, 'end',
+            'only the end record for a task that already finished');
+        test.ok(res.finished);
+        test.done();
+    });
+}
+
+
+function testClientGone(test) {
+    var res = new MockResponse();
+    var task = createTask();
+
+    taskStream.streamTask({
+        format: 'ndjson',
+        res: res,
+        task: task
+    }, noop);
+
+    res.emit('close');
+    task.setProgress(10);
+
+    test.equal(res.body, '', 'nothing written after the client went away');
+    test.equal(task.listeners('progress').length, 0, 'listeners removed');
+    test.done();
+}
+
+
+module.exports = {
+    'valid formats': testValidFormats,
+    'ndjson stream': testNdjson,
+    'sse stream': testSse,
+    'stream of a finished task': testFinishedTask,
+    'client goes away': testClientGone
+};
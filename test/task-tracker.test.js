@@ -0,0 +1,96 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+// Unit tests for TaskTracker, these don't require a running cn-agent.
+
+var bunyan = require('bunyan');
+
+var TaskTracker = require('../lib/task_agent/task_tracker');
+
+var log = bunyan.createLogger({
+    level: 'fatal',
+    name: 'task-tracker-test'
+});
+
+
+function noop() {}
+
+
+function testIdempotencyKey(test) {
+    var tracker = new TaskTracker({ log: log });
+    var task = tracker.create({
+        cancel: noop,
+        idempotency_key: 'key-1',
+        req_id: 'req-1',
+        task: 'machine_create'
+    });
+
+    test.equal(tracker.getByIdempotencyKey('key-1'), task,
+        'running task found by key');
+    test.equal(tracker.getByIdempotencyKey('key-2'), undefined,
+        'unknown key not found');
+
+    task.finish(undefined, { ok: true });
+
+    test.equal(tracker.getByIdempotencyKey('key-1'), task,
+        'finished task found by key');
+    test.done();
+}
+
+
+function testIdempotencyKeyExpires(test) {
+    var tracker = new TaskTracker({
+        idempotencyRetentionSeconds: 0.1,
+        log: log
+    });
+    var task = tracker.create({
+        cancel: noop,
+        idempotency_key: 'key-1',
+        req_id: 'req-1',
+        task: 'machine_create'
+    });
+
+    task.finish(undefined, {});
+
+    setTimeout(function () {
+        test.equal(tracker.getByIdempotencyKey('key-1'), undefined,
+            'key forgotten after retention period');
+        test.done();
+    }, 200);
+}
+
+
+function testIdempotencyKeyScope(test) {
+    var tracker = new TaskTracker({ log: log });
+    var task = tracker.create({
+        cancel: noop,
+        idempotency_key: 'key-1',
+        idempotency_scope: 'cnapi/machine_tasks',
+        params_hash: 'abc',
+        req_id: 'req-1',
+        task: 'machine_create'
+    });
+
+    test.equal(tracker.getByIdempotencyKey('key-1', 'cnapi/machine_tasks'),
+        task, 'found in its scope');
+    test.equal(task.params_hash, 'abc');
+    test.equal(tracker.getByIdempotencyKey('key-1', 'vmapi/machine_tasks'),
+        undefined, 'not found in another scope');
+    test.equal(tracker.getByIdempotencyKey('key-1'), undefined,
+        'not found without a scope');
+    test.done();
+}
+
+
+module.exports = {
+    'tasks can be found by idempotency key': testIdempotencyKey,
+    'idempotency keys are scoped': testIdempotencyKeyScope,
+    'idempotency keys expire': testIdempotencyKeyExpires
+};